@@ -0,0 +1,137 @@
+"use strict";
+
+/**
+ * Order types and trigger rules shared by the paper broker.
+ *
+ * Prices are compared against the last traded price of the symbol:
+ * - LIMIT: BUY fills at or below `limitPrice`, SELL at or above (at the market price,
+ *   so a gap through the limit fills better than the limit);
+ * - STOP: BUY triggers at or above `stopPrice`, SELL at or below, then fills at market;
+ * - STOP_LIMIT: triggers like STOP (recorded as `triggeredAt`), then rests as a LIMIT
+ *   at `limitPrice`;
+ * - MIT (market-if-touched): BUY triggers at or below `stopPrice`, SELL at or above,
+ *   then fills at market.
+ *
+ * Orders sharing an `ocoGroup` are one-cancels-other. A bracket (`stopLoss` /
+ * `takeProfit` on an entry) becomes, once the entry fills, a reduce-only STOP and LIMIT
+ * pair in one OCO group that closes the position.
+ */
+
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT', 'MIT'];
+const TIME_IN_FORCE = ['GTC', 'DAY', 'IOC', 'FOK'];
+const ORDER_STATUS = {
+    NEW: 'NEW',
+    ACCEPTED: 'ACCEPTED',
+    PARTIALLY_FILLED: 'PARTIALLY_FILLED',
+    FILLED: 'FILLED',
+    CANCELLED: 'CANCELLED',
+    REJECTED: 'REJECTED'
+};
+
+// Order types accepted under other common spellings
+const TYPE_ALIASES = {
+    STOPLIMIT: 'STOP_LIMIT',
+    'STOP-LIMIT': 'STOP_LIMIT',
+    MARKET_IF_TOUCHED: 'MIT',
+    'MARKET-IF-TOUCHED': 'MIT'
+};
+
+const positive = (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+/**
+ * Validated order request.
+ * @param {Object} req - { symbol, side: 'BUY'|'SELL', quantity, type, limitPrice,
+ *   stopPrice (or triggerPrice for MIT), timeInForce, stopLoss, takeProfit, ocoGroup,
+ *   reduceOnly, strategyId, meta }
+ * @returns {Object} Normalized fields.
+ * @throws {Error} When a required field or price is missing.
+ */
+const normalizeOrder = (req = {}) => {
+    const rawType = String(req.type || 'MARKET').toUpperCase();
+    const type = TYPE_ALIASES[rawType] || rawType;
+    if (!ORDER_TYPES.includes(type)) throw new Error(`Unknown order type '${req.type}'`);
+
+    const side = String(req.side || '').toUpperCase();
+    if (side !== 'BUY' && side !== 'SELL') throw new Error(`Order side must be BUY or SELL (got '${req.side}')`);
+    if (!req.symbol) throw new Error('Order symbol is required');
+
+    const quantity = positive(req.quantity);
+    if (!quantity) throw new Error('Order quantity must be positive');
+
+    const timeInForce = String(req.timeInForce || 'GTC').toUpperCase();
+    if (!TIME_IN_FORCE.includes(timeInForce)) throw new Error(`Unknown time in force '${req.timeInForce}'`);
+
+    const limitPrice = positive(req.limitPrice);
+    const stopPrice = positive(req.stopPrice ?? req.triggerPrice);
+    if ((type === 'LIMIT' || type === 'STOP_LIMIT') && !limitPrice) throw new Error(`${type} order needs a limitPrice`);
+    if ((type === 'STOP' || type === 'STOP_LIMIT' || type === 'MIT') && !stopPrice) throw new Error(`${type} order needs a stopPrice`);
+
+    const stopLoss = positive(req.stopLoss);
+    const takeProfit = positive(req.takeProfit);
+
+    return {
+        symbol: req.symbol,
+        side,
+        quantity,
+        type,
+        limitPrice: type === 'LIMIT' || type === 'STOP_LIMIT' ? limitPrice : undefined,
+        stopPrice: type === 'STOP' || type === 'STOP_LIMIT' || type === 'MIT' ? stopPrice : undefined,
+        timeInForce,
+        bracket: stopLoss || takeProfit ? { stopLoss, takeProfit } : undefined,
+        ocoGroup: req.ocoGroup || null,
+        reduceOnly: req.reduceOnly === true,
+        strategyId: req.strategyId || null,
+        meta: req.meta
+    };
+};
+
+/**
+ * Whether the stop / touch price of a STOP, STOP_LIMIT or MIT order is reached.
+ */
+const isTriggered = (order, price) => {
+    const buy = order.side === 'BUY';
+    if (order.type === 'MIT') return buy ? price <= order.stopPrice : price >= order.stopPrice;
+    return buy ? price >= order.stopPrice : price <= order.stopPrice;
+};
+
+/**
+ * Whether a limit (or triggered stop-limit) order can fill at `price`.
+ */
+const isMarketable = (order, price) => (order.side === 'BUY' ? price <= order.limitPrice : price >= order.limitPrice);
+
+/**
+ * How a working order fills at `price`: { kind: 'market' } (with slippage),
+ * { kind: 'limit' } (at the price, no slippage), { kind: 'trigger' } for a stop-limit
+ * whose stop was hit but whose limit is not marketable, or null to keep waiting.
+ */
+const evaluate = (order, price) => {
+    switch (order.type) {
+        case 'MARKET':
+            return { kind: 'market' };
+        case 'LIMIT':
+            return isMarketable(order, price) ? { kind: 'limit' } : null;
+        case 'STOP':
+        case 'MIT':
+            return isTriggered(order, price) ? { kind: 'market' } : null;
+        case 'STOP_LIMIT':
+            if (!order.triggeredAt && !isTriggered(order, price)) return null;
+            return isMarketable(order, price) ? { kind: 'limit' } : { kind: 'trigger' };
+        default:
+            return null;
+    }
+};
+
+const OPEN_STATUSES = [ORDER_STATUS.NEW, ORDER_STATUS.ACCEPTED, ORDER_STATUS.PARTIALLY_FILLED];
+const isOpen = (order) => OPEN_STATUSES.includes(order.status);
+
+module.exports = {
+    ORDER_TYPES,
+    TIME_IN_FORCE,
+    ORDER_STATUS,
+    normalizeOrder,
+    evaluate,
+    isOpen
+};
@@ -6,32 +6,67 @@ const path = require('path');
 const { bus, EVENTS } = require('@events/bus');
 const logger = require('@utils/logger');
 const StrategyPositionManager = require('@utils/strategy/StrategyPositionManager');
+const marketCalendar = require('@utils/calendar');
+const SeededRandom = require('@utils/random');
+const orderRules = require('./orders');
+
+const { ORDER_STATUS } = orderRules;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_FINISHED_ORDERS = 1000; // finished orders kept in memory (history lives in the order manager)
 
 /**
  * PaperBroker - Professional Execution Engine
  * Supports PAPER mode with LIVE stubs for future expansion.
+ *
+ * Events are always emitted on the instance itself and, unless `silent`, on the
+ * global bus. Backtests run an isolated `{ silent: true, persist: false }` broker
+ * driven by a simulated `clock`.
  */
 class PaperBroker extends EventEmitter {
-    constructor(initialCash = 100000) {
+    /**
+     * @param {number} [initialCash=100000]
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - Keep events off the global bus.
+     * @param {boolean} [options.persist=true] - Load/save data/settings/paper_settings.json and the
+     *   account state / journal in data/paper/.
+     * @param {Function} [options.clock=Date.now] - Timestamp source for fills and updates.
+     * @param {number|string} [options.seed] - Seed of the fill simulation (`config.seed` otherwise,
+     *   time-based when neither is set); the same seed and prices replay the same fills.
+     */
+    constructor(initialCash = 100000, { silent = false, persist = true, clock = Date.now, seed } = {}) {
         super();
+        this.silent = silent;
+        this.persist = persist;
+        this.clock = clock;
         this.cash = initialCash;
         this.initialCash = initialCash;
         this.positions = new StrategyPositionManager();
         this.lastPrices = new Map();
         this.orderId = 0;
+        this.orders = new Map(); // id → order (working and finished, see broker/orders.js)
+        this.volumeLeft = new Map(); // symbol → quantity the current bar can still fill
+        this.realizedPnL = 0; // closed PnL before commissions since the last reset
 
         this.config = {
             commissionPerShare: 0.005,
             commissionMin: 1.00,
             slippageBps: 5,
             fillProbability: 0.98,
+            latencyMs: 0, // order sent → filled
+            maxVolumeFraction: 0, // share of a bar's volume one symbol can fill, 0 = unlimited
+            seed: null,
             minBalance: 0,
             maxBalance: 100000000,
             marginRequirement: 1.0 // 1.0 = 100% Cash, 0.2 = 5x Leverage
         };
 
         this.settingsPath = path.join(process.cwd(), 'data', 'settings', 'paper_settings.json');
+        this.statePath = path.join(process.cwd(), 'data', 'paper', 'state.json');
+        this.journalPath = path.join(process.cwd(), 'data', 'paper', 'journal.jsonl');
+        this._stateSavePending = false;
         this._loadSettings();
+        this._loadState();
+        this.rng = new SeededRandom(seed ?? this.config.seed);
 
         logger.info(`[BROKER] Engine initialized. Initial Capital: $${this.cash.toLocaleString()}`);
     }
@@ -40,11 +75,13 @@ class PaperBroker extends EventEmitter {
      * CORE ACCOUNT METRICS
      */
     getEquity() {
-        let unrealized = 0;
+        // Buys/sells move the full notional through cash, so mark positions at market value
+        let marketValue = 0;
         for (const pos of this.positions.all()) {
-            unrealized += this._calculateUnrealizedPnL(pos.symbol);
+            const price = this.lastPrices.get(pos.symbol) || pos.avgEntryPrice;
+            marketValue += (pos.side === 'short' ? -1 : 1) * pos.quantity * price;
         }
-        return this.cash + unrealized;
+        return this.cash + marketValue;
     }
 
     getUsedMargin() {
@@ -67,7 +104,11 @@ class PaperBroker extends EventEmitter {
             avgEntryPrice: pos.avgEntryPrice,
             side: pos.side,
             unrealizedPnL: this._calculateUnrealizedPnL(pos.symbol),
-            marketPrice: this.lastPrices.get(pos.symbol) || 0
+            marketPrice: this.lastPrices.get(pos.symbol) || 0,
+            stopLoss: pos.stopLoss,
+            takeProfit: pos.takeProfit,
+            strategyId: pos.strategyId || null,
+            openedAt: pos.openedAt || null
         }));
 
         return {
@@ -77,17 +118,70 @@ class PaperBroker extends EventEmitter {
             margin: this.getUsedMargin(),
             freeMargin: this.getFreeMargin(),
             initialCash: this.initialCash,
+            realizedPnL: this.realizedPnL,
             positions,
+            openOrders: this.getOrders({ open: true }),
             config: { ...this.config },
-            lastUpdated: Date.now()
+            lastUpdated: this.clock()
         };
     }
 
     /**
      * EXECUTION LOGIC
+     * `buy` / `sell` send a MARKET order of their own (`fill.strategyId` tags it) and
+     * return false when it is rejected. Every fill, pending orders included, goes
+     * through `_evaluateOrder`, which applies the execution model:
+     * - `latencyMs`: market orders (and stops / MITs once triggered) fill at the first
+     *   price seen `latencyMs` after they are sent, not at the price that sent them;
+     * - `maxVolumeFraction`: with bar volume given to `updatePrice`, a bar fills at most
+     *   this fraction of its volume per symbol; the rest of the order stays working
+     *   (PARTIALLY_FILLED) for the next bars. 0 disables the limit;
+     * - `fillProbability`: chance that an order gets filled at all; the others are
+     *   REJECTED with reason NO_FILL, drawn from the broker's seeded `rng`. Reduce-only
+     *   orders (closes, bracket legs) are exempt, so a position is never left unprotected.
+     * Margin / inventory failures reject the order with a reason.
+     */
+    buy(symbol, quantity = 1, fill = {}) {
+        return this._sendMarket('BUY', symbol, quantity, fill);
+    }
+
+    sell(symbol, quantity = 1, fill = {}) {
+        return this._sendMarket('SELL', symbol, quantity, fill);
+    }
+
+    closePosition(symbol, fill = {}) {
+        const pos = this.positions.get(symbol);
+        if (!pos) return false;
+        const close = { ...fill, reduceOnly: true };
+        return pos.side === 'short' ? this.buy(symbol, pos.quantity, close) : this.sell(symbol, pos.quantity, close);
+    }
+
+    /**
+     * Settles the account at the last prices (end of a backtest): orders still in flight
+     * fill now, then every position is closed at once, both without latency or volume limit.
      */
-    buy(symbol, quantity = 1) {
-        const price = this._getExecutionPrice(symbol, 'BUY');
+    liquidate() {
+        this.volumeLeft.clear();
+        for (const order of this.orders.values()) {
+            if (order.executeAt && orderRules.isOpen(order)) this._evaluateOrder(order, this.lastPrices.get(order.symbol));
+        }
+        for (const pos of this.positions.all()) this.closePosition(pos.symbol, { immediate: true });
+    }
+
+    _sendMarket(side, symbol, quantity, fill) {
+        const price = this.lastPrices.get(symbol);
+        if (!price) throw new Error(`Price feed unavailable: ${symbol}`);
+        const order = this._marketOrder(side, symbol, quantity, fill);
+        this._evaluateOrder(order, price);
+        return order.status !== ORDER_STATUS.REJECTED;
+    }
+
+    /**
+     * Fill `quantity` of a BUY order at `limitPrice`, or at market with slippage.
+     */
+    _fillBuy(order, quantity, limitPrice) {
+        const { symbol } = order;
+        const price = limitPrice ?? this._getExecutionPrice(symbol, 'BUY');
         const commission = this._calculateCommission(quantity);
         const totalCost = (quantity * price) + commission;
 
@@ -99,23 +193,26 @@ class PaperBroker extends EventEmitter {
             const requiredMargin = (quantity * price) * this.config.marginRequirement;
             if (requiredMargin > this.getFreeMargin()) {
                 logger.error(`[BROKER] MARGIN REJECTION: Required $${requiredMargin.toFixed(2)} > Free $${this.getFreeMargin().toFixed(2)}`);
+                this._reject(order, 'INSUFFICIENT_MARGIN');
                 return false;
             }
         }
 
         this.cash -= totalCost;
-        this._updatePosition(symbol, quantity, price);
-        this._emitOrderFilled('BUY', symbol, quantity, price, commission);
+        const realized = this._updatePosition(symbol, quantity, price, order.strategyId);
+        this._recordFill(order, quantity, price, commission, realized);
+        this._afterFill(symbol, order);
         return true;
     }
 
-    sell(symbol, quantity = 1) {
+    _fillSell(order, quantity, limitPrice) {
+        const { symbol } = order;
         const position = this.positions.get(symbol);
 
         // If we don't have a long position, treat as short entry/increase
         const openingShort = !position || position.side === 'short';
 
-        const price = this._getExecutionPrice(symbol, 'SELL');
+        const price = limitPrice ?? this._getExecutionPrice(symbol, 'SELL');
         const commission = this._calculateCommission(quantity);
         const netProceeds = (quantity * price) - commission;
 
@@ -123,35 +220,385 @@ class PaperBroker extends EventEmitter {
             const requiredMargin = (quantity * price) * this.config.marginRequirement;
             if (requiredMargin > this.getFreeMargin()) {
                 logger.error(`[BROKER] MARGIN REJECTION: Required $${requiredMargin.toFixed(2)} > Free $${this.getFreeMargin().toFixed(2)}`);
+                this._reject(order, 'INSUFFICIENT_MARGIN');
                 return false;
             }
         } else if (position.quantity < quantity) {
             logger.error(`[BROKER] INSUFFICIENT INVENTORY: ${symbol}`);
+            this._reject(order, 'INSUFFICIENT_INVENTORY');
             return false;
         }
 
         this.cash += netProceeds;
-        this._updatePosition(symbol, -quantity, price);
-        this._emitOrderFilled('SELL', symbol, quantity, price, commission);
+        const realized = this._updatePosition(symbol, -quantity, price, order.strategyId);
+        this._recordFill(order, quantity, price, commission, realized);
+        this._afterFill(symbol, order);
         return true;
     }
 
-    closePosition(symbol) {
+    // A partly filled order keeps its fills: the remainder is cancelled instead
+    _reject(order, reason) {
+        this._transition(order, order.filledQuantity > 0 ? ORDER_STATUS.CANCELLED : ORDER_STATUS.REJECTED, reason);
+    }
+
+    /**
+     * PENDING ORDERS
+     * Every order goes NEW (validated) → ACCEPTED (on the book) → FILLED, or ends
+     * CANCELLED / REJECTED with a `reason`; each transition is emitted as ORDER.UPDATE
+     * (cancels also as ORDER.CANCELLED, fills as ORDER.FILLED). Orders other than MARKET
+     * rest in `this.orders` and are evaluated on every `updatePrice` of their symbol
+     * (rules in broker/orders.js). Time in force: GTC until filled or cancelled; DAY
+     * until the symbol's session close (see utils/calendar); IOC / FOK fill on
+     * placement or are cancelled.
+     *
+     * An entry with `stopLoss` / `takeProfit` is a bracket: when it fills (or is cancelled
+     * partly filled, for the filled quantity), a reduce-only STOP and LIMIT are placed as
+     * one OCO pair. The one that fills closes the position
+     * (fill `reason` STOP_LOSS / TAKE_PROFIT) and cancels the other (reason OCO); both
+     * are cancelled (POSITION_CLOSED) when the position is closed another way.
+     *
+     * @param {Object} request - { symbol, side: 'BUY'|'SELL', quantity, type, limitPrice,
+     *   stopPrice, timeInForce, stopLoss, takeProfit, ocoGroup, reduceOnly, strategyId, meta }
+     * @param {Object} [links] - { role, parentId } of bracket legs.
+     * @returns {Object} The order (status FILLED, ACCEPTED, CANCELLED or REJECTED).
+     */
+    placeOrder(request, links = {}) {
+        const now = this.clock();
+        let fields;
+        try {
+            fields = orderRules.normalizeOrder(request);
+        } catch (err) {
+            logger.error(`[BROKER] ORDER REJECTED: ${err.message}`);
+            const rejected = this._newOrder({ ...request, ...links, status: ORDER_STATUS.REJECTED, reason: err.message }, now);
+            this._orderUpdated(rejected);
+            return { ...rejected };
+        }
+
+        const order = this._newOrder({
+            ...fields,
+            ...links,
+            expiresAt: fields.timeInForce === 'DAY' ? this._sessionEnd(fields.symbol, now) : null
+        }, now);
+        this._orderUpdated(order);
+        this._transition(order, ORDER_STATUS.ACCEPTED);
+
+        const price = this.lastPrices.get(order.symbol);
+        if (price) this._evaluateOrder(order, price);
+        this._cancelImmediate(order, price ? 'NOT_MARKETABLE' : 'NO_PRICE');
+        return { ...order };
+    }
+
+    /**
+     * One-cancels-other group: the first order to fill cancels the rest.
+     * @param {Object[]} requests - placeOrder requests.
+     * @returns {Object[]} The placed orders.
+     */
+    placeOco(requests = []) {
+        const ocoGroup = `oco_${this._nextOrderId()}`;
+        return requests.map(request => this.placeOrder({ ...request, ocoGroup }));
+    }
+
+    /**
+     * @returns {Object|null} The cancelled order, or null when unknown or already done.
+     */
+    cancelOrder(id, reason = 'USER') {
+        const order = this.orders.get(id);
+        if (!order || !orderRules.isOpen(order)) return null;
+        this._transition(order, ORDER_STATUS.CANCELLED, reason);
+        return { ...order };
+    }
+
+    /**
+     * Orders, oldest first. Finished orders are kept up to `MAX_FINISHED_ORDERS`.
+     * @param {Object} [filter] - { symbol, status, strategyId, open: true for working orders only }
+     */
+    getOrders({ symbol, status, strategyId, open } = {}) {
+        return Array.from(this.orders.values())
+            .filter(o => (!symbol || o.symbol === symbol)
+                && (!status || o.status === status)
+                && (!strategyId || o.strategyId === strategyId)
+                && (!open || orderRules.isOpen(o)))
+            .map(o => ({ ...o }));
+    }
+
+    /**
+     * Positions opened by a strategy (e.g. to hand them back to it after a restart).
+     */
+    getStrategyPositions(strategyId) {
+        return this.positions.all()
+            .filter(pos => pos.strategyId === strategyId)
+            .map(pos => this._getPositionState(pos.symbol));
+    }
+
+    _newOrder(fields, now) {
+        const order = {
+            id: this._nextOrderId(),
+            status: ORDER_STATUS.NEW,
+            ...fields,
+            filledQuantity: 0,
+            avgFillPrice: null,
+            commission: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.orders.set(order.id, order);
+        return order;
+    }
+
+    // Market order created by a direct buy / sell
+    _marketOrder(side, symbol, quantity, { strategyId = null, reduceOnly = false, immediate = false } = {}) {
+        const order = this._newOrder({ symbol, side, quantity, type: 'MARKET', timeInForce: 'GTC', strategyId, reduceOnly }, this.clock());
+        if (immediate) order.executeAt = order.createdAt; // skips the latency
+        this._orderUpdated(order);
+        this._transition(order, ORDER_STATUS.ACCEPTED);
+        return order;
+    }
+
+    _orderUpdated(order) {
+        this._emit(EVENTS.ORDER.UPDATE, { ...order });
+        this._scheduleStateSave();
+    }
+
+    _transition(order, status, reason) {
+        order.status = status;
+        if (reason) order.reason = reason;
+        order.updatedAt = this.clock();
+        this._orderUpdated(order);
+        if (status === ORDER_STATUS.CANCELLED) this._emit(EVENTS.ORDER.CANCELLED, { ...order });
+        // A bracket entry leaving the book partly filled still protects what it filled
+        if (status === ORDER_STATUS.CANCELLED && order.bracket && order.filledQuantity > 0 && !order.children && reason !== 'RESET') {
+            this._attachBracket(order, this.lastPrices.get(order.symbol) ?? order.avgFillPrice);
+        }
+        if (!orderRules.isOpen(order)) this._pruneOrders();
+    }
+
+    _pruneOrders() {
+        let excess = this.orders.size - MAX_FINISHED_ORDERS;
+        if (excess <= 0) return;
+        for (const [id, order] of this.orders) {
+            if (excess <= 0) break;
+            if (orderRules.isOpen(order)) continue;
+            this.orders.delete(id);
+            excess--;
+        }
+    }
+
+    /**
+     * Fill bookkeeping on the order and the journal, then ORDER.FILLED and, once
+     * complete, FILLED.
+     */
+    _recordFill(order, quantity, price, commission, realizedPnL = 0) {
+        const filled = order.filledQuantity + quantity;
+        order.avgFillPrice = ((order.avgFillPrice || 0) * order.filledQuantity + price * quantity) / filled;
+        order.filledQuantity = filled;
+        order.commission += commission;
+        this._emit(EVENTS.ORDER.FILLED, {
+            id: order.id,
+            orderId: order.id,
+            symbol: order.symbol,
+            side: order.side,
+            quantity,
+            price,
+            commission,
+            timestamp: this.clock(),
+            type: order.type,
+            strategyId: order.strategyId,
+            reason: order.role,
+            realizedPnL
+        });
+        const pos = this.positions.get(order.symbol);
+        this._journal({
+            type: 'FILL',
+            orderId: order.id,
+            strategyId: order.strategyId,
+            symbol: order.symbol,
+            side: order.side,
+            quantity,
+            price,
+            commission,
+            realizedPnL,
+            cash: this.cash,
+            position: pos ? { side: pos.side, quantity: pos.quantity, avgEntryPrice: pos.avgEntryPrice } : null
+        });
+        this._scheduleStateSave();
+        if (filled >= order.quantity) {
+            order.filledAt = this.clock();
+            this._transition(order, ORDER_STATUS.FILLED);
+        } else if (order.status !== ORDER_STATUS.PARTIALLY_FILLED) {
+            this._transition(order, ORDER_STATUS.PARTIALLY_FILLED);
+        }
+    }
+
+    // Immediate-or-cancel / fill-or-kill never rest on the book (unless still in flight)
+    _cancelImmediate(order, reason) {
+        if (!orderRules.isOpen(order) || order.executeAt) return;
+        if (order.timeInForce !== 'IOC' && order.timeInForce !== 'FOK') return;
+        this._transition(order, ORDER_STATUS.CANCELLED, order.filledQuantity > 0 ? 'NO_LIQUIDITY' : reason);
+    }
+
+    _evaluateOrders(symbol, price) {
+        const now = this.clock();
+        for (const order of this.orders.values()) {
+            if (order.symbol !== symbol || !orderRules.isOpen(order)) continue;
+            if (order.expiresAt && now >= order.expiresAt) {
+                this._transition(order, ORDER_STATUS.CANCELLED, 'EXPIRED');
+                continue;
+            }
+            if (order.executeAt && now < order.executeAt) continue;
+            this._evaluateOrder(order, price);
+            this._cancelImmediate(order, 'NOT_MARKETABLE');
+        }
+    }
+
+    _evaluateOrder(order, price) {
+        // Orders in flight fill at market once their latency is over, wherever the price went
+        const action = order.executeAt ? { kind: 'market' } : orderRules.evaluate(order, price);
+        if (!action) return;
+        if (action.kind === 'trigger') {
+            // Stop-limit whose stop was hit: keeps working as a limit
+            if (!order.triggeredAt) {
+                order.triggeredAt = this.clock();
+                order.updatedAt = order.triggeredAt;
+                this._orderUpdated(order);
+            }
+            return;
+        }
+        if (action.kind === 'market' && !order.executeAt && this.config.latencyMs > 0) {
+            order.sentAt = this.clock();
+            order.executeAt = order.sentAt + this.config.latencyMs;
+            order.updatedAt = order.sentAt;
+            this._orderUpdated(order);
+            return;
+        }
+
+        let quantity = order.quantity - order.filledQuantity;
+        if (order.reduceOnly) {
+            const pos = this.positions.get(order.symbol);
+            if (!pos || pos.side !== (order.side === 'BUY' ? 'short' : 'long')) {
+                this._transition(order, ORDER_STATUS.CANCELLED, 'POSITION_CLOSED');
+                return;
+            }
+            // Reduce-only orders shrink to the position they close
+            if (pos.quantity < quantity) {
+                order.quantity = order.filledQuantity + pos.quantity;
+                quantity = pos.quantity;
+            }
+        }
+
+        const available = this._availableVolume(order.symbol);
+        if (order.timeInForce === 'FOK' && available < quantity) {
+            this._transition(order, ORDER_STATUS.CANCELLED, 'NO_LIQUIDITY');
+            return;
+        }
+        quantity = Math.min(quantity, available);
+        if (!(quantity > 0)) return; // waits for the next bar's volume
+
+        if (order.filledQuantity === 0 && !order.reduceOnly && this.rng.next() >= this.config.fillProbability) {
+            this._transition(order, ORDER_STATUS.REJECTED, 'NO_FILL');
+            return;
+        }
+
+        const limitPrice = action.kind === 'limit' ? price : undefined;
+        const filled = order.side === 'BUY'
+            ? this._fillBuy(order, quantity, limitPrice)
+            : this._fillSell(order, quantity, limitPrice);
+        if (!filled) return;
+        if (this.volumeLeft.has(order.symbol)) {
+            this.volumeLeft.set(order.symbol, this.volumeLeft.get(order.symbol) - quantity);
+        }
+        if (order.bracket && order.status === ORDER_STATUS.FILLED) this._attachBracket(order, price);
+    }
+
+    // Quantity the current bar can still fill for `symbol` (Infinity without a volume limit)
+    _availableVolume(symbol) {
+        if (!(this.config.maxVolumeFraction > 0) || !this.volumeLeft.has(symbol)) return Infinity;
+        return Math.max(0, this.volumeLeft.get(symbol));
+    }
+
+    /**
+     * Stop-loss / take-profit legs of a bracket entry, for its filled quantity. Levels on
+     * the wrong side of the market at the fill are skipped, as in the backtester.
+     */
+    _attachBracket(entry, price) {
+        const long = entry.side === 'BUY';
+        const { stopLoss, takeProfit } = entry.bracket;
+        const common = {
+            symbol: entry.symbol,
+            side: long ? 'SELL' : 'BUY',
+            quantity: entry.filledQuantity,
+            timeInForce: 'GTC',
+            ocoGroup: `oco_${entry.id}`,
+            reduceOnly: true,
+            strategyId: entry.strategyId
+        };
+        const legs = [];
+        if (stopLoss && (long ? stopLoss < price : stopLoss > price)) {
+            legs.push([{ ...common, type: 'STOP', stopPrice: stopLoss }, 'STOP_LOSS']);
+        } else if (stopLoss) {
+            logger.warn(`[BROKER] Stop loss ${stopLoss} is on the wrong side of ${price} for ${entry.symbol}, ignored`);
+        }
+        if (takeProfit && (long ? takeProfit > price : takeProfit < price)) {
+            legs.push([{ ...common, type: 'LIMIT', limitPrice: takeProfit }, 'TAKE_PROFIT']);
+        } else if (takeProfit) {
+            logger.warn(`[BROKER] Take profit ${takeProfit} is on the wrong side of ${price} for ${entry.symbol}, ignored`);
+        }
+
+        const pos = this.positions.get(entry.symbol);
+        if (pos) {
+            pos.stopLoss = legs.some(([, role]) => role === 'STOP_LOSS') ? stopLoss : pos.stopLoss;
+            pos.takeProfit = legs.some(([, role]) => role === 'TAKE_PROFIT') ? takeProfit : pos.takeProfit;
+        }
+        entry.children = legs.map(([request, role]) => this.placeOrder(request, { role, parentId: entry.id }).id);
+    }
+
+    /**
+     * After every fill: cancel the OCO siblings of the filled order, and reduce-only
+     * orders that no longer reduce a position.
+     */
+    _afterFill(symbol, order) {
+        if (order.ocoGroup) {
+            for (const other of this.orders.values()) {
+                if (other !== order && other.ocoGroup === order.ocoGroup && orderRules.isOpen(other)) {
+                    other.cancelledBy = order.id;
+                    this._transition(other, ORDER_STATUS.CANCELLED, 'OCO');
+                }
+            }
+        }
         const pos = this.positions.get(symbol);
-        if (!pos) return false;
-        return pos.side === 'short' ? this.buy(symbol, pos.quantity) : this.sell(symbol, pos.quantity);
+        for (const other of this.orders.values()) {
+            if (other === order || other.symbol !== symbol || !other.reduceOnly || !orderRules.isOpen(other)) continue;
+            if (!pos || pos.side !== (other.side === 'BUY' ? 'short' : 'long')) {
+                this._transition(other, ORDER_STATUS.CANCELLED, 'POSITION_CLOSED');
+            }
+        }
+    }
+
+    // DAY orders live until the session close, or the end of the trading day for 24/7 markets
+    _sessionEnd(symbol, now) {
+        const session = marketCalendar.sessionAt(symbol, now);
+        return session ? session.close : marketCalendar.tradingDayStart(symbol, now) + DAY_MS;
     }
 
     /**
      * MARKET DATA & STATE
      */
-    updatePrice(symbol, price) {
+    /**
+     * @param {string} symbol
+     * @param {number} price
+     * @param {number} [barVolume] - Volume traded since the previous volume update (the
+     *   bar starting at this price in backtests, the tick's volume live); resets the
+     *   quantity fillable until the next one (see `maxVolumeFraction`). Missing or 0
+     *   keeps the current allowance.
+     */
+    updatePrice(symbol, price, barVolume) {
         if (price <= 0) return;
         const prevPrice = this.lastPrices.get(symbol);
         this.lastPrices.set(symbol, price);
+        if (barVolume > 0) this.volumeLeft.set(symbol, barVolume * (this.config.maxVolumeFraction || 0));
+        this._evaluateOrders(symbol, price);
 
         if (this.positions.get(symbol)) {
-            bus.emit(EVENTS.POSITION.UPDATED, this._getPositionState(symbol));
+            this._emit(EVENTS.POSITION.UPDATED, this._getPositionState(symbol));
         }
         this._emitPortfolioUpdate();
     }
@@ -172,17 +619,28 @@ class PaperBroker extends EventEmitter {
         return Math.max(this.config.commissionMin, qty * this.config.commissionPerShare);
     }
 
-    _updatePosition(symbol, delta, price) {
-        this.positions.applyDelta(symbol, delta, price);
+    /**
+     * Apply a fill to the symbol's position. A position opened (or reversed) by the
+     * fill belongs to `strategyId`.
+     * @returns {number} PnL realized by the part of the fill that reduces the position.
+     */
+    _updatePosition(symbol, delta, price, strategyId = null) {
+        const before = this.positions.get(symbol);
+        let realized = 0;
+        if (before && (before.side === 'long') !== (delta > 0)) {
+            realized = before.getPnL(price, Math.min(before.quantity, Math.abs(delta)));
+        }
+        const after = this.positions.applyDelta(symbol, delta, price);
+        if (after && after !== before) {
+            after.strategyId = strategyId;
+            after.openedAt = this.clock();
+        }
+        this.realizedPnL += realized;
+        return realized;
     }
 
-    _emitOrderFilled(side, symbol, quantity, price, commission) {
-        const id = `ord_${Date.now()}_${this.orderId++}`;
-        bus.emit(EVENTS.ORDER.FILLED, {
-            id, symbol, side, quantity, price, commission,
-            timestamp: Date.now(),
-            type: 'MARKET'
-        });
+    _nextOrderId() {
+        return `ord_${this.clock()}_${this.orderId++}`;
     }
 
     _getPositionState(symbol) {
@@ -195,39 +653,55 @@ class PaperBroker extends EventEmitter {
             side: pos.side,
             unrealizedPnL: this._calculateUnrealizedPnL(symbol),
             marketPrice: this.lastPrices.get(symbol) || 0,
-            timestamp: Date.now()
+            strategyId: pos.strategyId || null,
+            timestamp: this.clock()
         };
     }
 
     _emitPortfolioUpdate() {
-        bus.emit(EVENTS.POSITION.PORTFOLIO_UPDATE, {
+        this._emit(EVENTS.POSITION.PORTFOLIO_UPDATE, {
             equity: this.getEquity(),
             cash: this.cash,
             margin: this.getUsedMargin(),
             freeMargin: this.getFreeMargin(),
-            timestamp: Date.now()
+            timestamp: this.clock()
         });
     }
 
+    _emit(event, payload) {
+        this.emit(event, payload);
+        if (!this.silent) bus.emit(event, payload);
+    }
+
     /**
      * PERSISTENCE & SETTINGS
      */
     updateConfig(next = {}) {
         this.config = { ...this.config, ...next };
+        if ('seed' in next) this.rng = new SeededRandom(this.config.seed);
         this._saveSettings();
         return this.config;
     }
 
     resetAccount() {
+        for (const order of this.orders.values()) {
+            if (orderRules.isOpen(order)) this._transition(order, ORDER_STATUS.CANCELLED, 'RESET');
+        }
         this.cash = this.initialCash;
         this.positions.reset();
         this.lastPrices.clear();
+        this.orders.clear();
+        this.volumeLeft.clear();
+        this.realizedPnL = 0;
         this._saveSettings();
+        this._saveState();
+        this._journal({ type: 'RESET', cash: this.cash });
         logger.info(`[BROKER] Account Reset to $${this.cash}`);
         return true;
     }
 
     _loadSettings() {
+        if (!this.persist) return;
         try {
             if (!fs.existsSync(this.settingsPath)) return;
             const data = JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
@@ -238,6 +712,7 @@ class PaperBroker extends EventEmitter {
     }
 
     _saveSettings() {
+        if (!this.persist) return;
         try {
             const dir = path.dirname(this.settingsPath);
             if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -249,6 +724,75 @@ class PaperBroker extends EventEmitter {
             }, null, 2));
         } catch (e) { logger.warn(`[BROKER] Config Save Error: ${e.message}`); }
     }
+
+    /**
+     * Account state (cash, realized PnL, positions, working orders) is rewritten after
+     * every order change or fill, once per turn of the event loop; fills and resets are
+     * also appended to the journal, which is never rewritten.
+     */
+    _loadState() {
+        if (!this.persist) return;
+        try {
+            if (!fs.existsSync(this.statePath)) return;
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            if (Number.isFinite(state.cash)) this.cash = state.cash;
+            this.realizedPnL = Number(state.realizedPnL) || 0;
+            this.orderId = Number(state.orderId) || 0;
+            for (const saved of state.positions || []) {
+                const pos = this.positions.open(saved.symbol, saved.side, saved.quantity, saved.avgEntryPrice);
+                pos.stopLoss = saved.stopLoss ?? null;
+                pos.takeProfit = saved.takeProfit ?? null;
+                pos.strategyId = saved.strategyId ?? null;
+                pos.openedAt = saved.openedAt ?? null;
+            }
+            for (const order of state.orders || []) this.orders.set(order.id, order);
+            logger.info(`[BROKER] Restored ${this.positions.all().length} position(s) and ${this.orders.size} working order(s)`);
+        } catch (e) { logger.warn(`[BROKER] State Load Error: ${e.message}`); }
+    }
+
+    _scheduleStateSave() {
+        if (!this.persist || this._stateSavePending) return;
+        this._stateSavePending = true;
+        setImmediate(() => {
+            this._stateSavePending = false;
+            this._saveState();
+        });
+    }
+
+    _saveState() {
+        if (!this.persist) return;
+        try {
+            fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+            const tmp = `${this.statePath}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify({
+                cash: this.cash,
+                initialCash: this.initialCash,
+                realizedPnL: this.realizedPnL,
+                orderId: this.orderId,
+                positions: this.positions.all().map(pos => ({
+                    symbol: pos.symbol,
+                    side: pos.side,
+                    quantity: pos.quantity,
+                    avgEntryPrice: pos.avgEntryPrice,
+                    stopLoss: pos.stopLoss,
+                    takeProfit: pos.takeProfit,
+                    strategyId: pos.strategyId || null,
+                    openedAt: pos.openedAt || null
+                })),
+                orders: this.getOrders({ open: true }),
+                updatedAt: new Date().toISOString()
+            }, null, 2));
+            fs.renameSync(tmp, this.statePath);
+        } catch (e) { logger.warn(`[BROKER] State Save Error: ${e.message}`); }
+    }
+
+    _journal(entry) {
+        if (!this.persist) return;
+        try {
+            fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+            fs.appendFileSync(this.journalPath, `${JSON.stringify({ time: this.clock(), ...entry })}\n`);
+        } catch (e) { logger.warn(`[BROKER] Journal Write Error: ${e.message}`); }
+    }
 }
 
 module.exports = PaperBroker;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import client from '../../api/client';
-import { Upload, Play, Loader, FileText, ChevronRight, ChevronDown } from 'lucide-react';
+import { useStore } from '../../store/useStore';
+import { Upload, Play, Loader, FileText, ChevronRight, ChevronDown, XCircle } from 'lucide-react';
 import {
     LineChart,
     Line,
@@ -8,6 +9,7 @@ import {
     YAxis,
     CartesianGrid,
     Tooltip,
+    Legend,
     ResponsiveContainer
 } from 'recharts';
 
@@ -86,12 +88,251 @@ const TreeTable = ({ data }) => {
     );
 };
 
+const JOB_FINISHED = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+const formatEta = (ms) => {
+    if (!Number.isFinite(ms)) return '—';
+    const secs = Math.ceil(ms / 1000);
+    return secs >= 60 ? `${Math.floor(secs / 60)}m ${secs % 60}s` : `${secs}s`;
+};
+
+const JobProgress = ({ job, onCancel }) => {
+    const progress = job?.progress || {};
+    const percent = Number.isFinite(progress.percent) ? progress.percent : null;
+    return (
+        <div className="ui-card flex flex-col gap-3">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2 text-sm text-slate-300">
+                    <Loader size={14} className="animate-spin text-slate-500"/>
+                    <span>{job.status === 'QUEUED' ? 'Queued' : `Running · ${progress.stage || 'starting'}`}</span>
+                    <span className="font-mono text-[11px] text-slate-500">job {job.id}</span>
+                </div>
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    disabled={job.cancelRequested}
+                    className="ui-button ui-button-danger text-xs disabled:opacity-60 disabled:cursor-not-allowed"
+                >
+                    <XCircle size={12}/>
+                    {job.cancelRequested ? 'Cancelling...' : 'Cancel'}
+                </button>
+            </div>
+            <div className="h-2 w-full rounded bg-slate-800 overflow-hidden">
+                <div
+                    className={`h-full bg-emerald-500 transition-all ${percent === null ? 'animate-pulse w-full opacity-30' : ''}`}
+                    style={percent === null ? undefined : { width: `${percent}%` }}
+                />
+            </div>
+            <div className="flex justify-between text-[11px] text-slate-500">
+                <span>{progress.total ? `${progress.processed} / ${progress.total}` : '—'}{percent !== null && ` (${percent.toFixed(1)}%)`}</span>
+                <span>Trades: <span className="text-slate-300">{progress.trades ?? 0}</span></span>
+                <span>ETA: <span className="text-slate-300">{formatEta(progress.etaMs)}</span></span>
+            </div>
+        </div>
+    );
+};
+
+const formatRatio = (v, digits = 2) => (v === null || v === undefined ? '--' : Number(v).toFixed(digits));
+
+const BenchmarkPanel = ({ benchmark }) => {
+    const stats = [
+        { label: 'Benchmark Return', value: `${formatRatio(benchmark.returnPercent)}%` },
+        { label: 'Excess Return', value: `${formatRatio(benchmark.excessReturnPercent)}%`, tone: Number(benchmark.excessReturnPercent) >= 0 ? 'text-emerald-300' : 'text-rose-300' },
+        { label: 'Alpha (ann.)', value: formatRatio(benchmark.alphaAnnualized, 4) },
+        { label: 'Beta', value: formatRatio(benchmark.beta) },
+        { label: 'Correlation', value: formatRatio(benchmark.correlation) },
+        { label: 'Info Ratio (ann.)', value: formatRatio(benchmark.informationRatioAnnualized) }
+    ];
+
+    return (
+        <details className="ui-panel-soft" open>
+            <summary className="px-4 py-3 text-[10px] uppercase tracking-widest text-slate-500 cursor-pointer select-none border-b border-slate-800">
+                Benchmark · {benchmark.source === 'dataset' ? benchmark.symbol : `buy & hold ${benchmark.symbol || ''}`}
+            </summary>
+            <div className="p-4 space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+                    {stats.map(({ label, value, tone }) => (
+                        <div key={label} className="ui-card">
+                            <div className="ui-panel-title mb-1">{label}</div>
+                            <div className={`text-lg font-semibold ${tone || 'text-slate-100'}`}>{value}</div>
+                        </div>
+                    ))}
+                </div>
+                <div className="h-[200px]">
+                    <ResponsiveContainer>
+                        <LineChart data={benchmark.curve}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                            <XAxis
+                                dataKey="time"
+                                type="number"
+                                scale="time"
+                                domain={['dataMin', 'dataMax']}
+                                tickFormatter={(v) => new Date(v).toLocaleDateString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                                stroke="#475569"
+                                tick={{ fill: '#94a3b8', fontSize: 11 }}
+                            />
+                            <YAxis
+                                tickFormatter={(v) => `${Number(v).toFixed(1)}%`}
+                                stroke="#475569"
+                                tick={{ fill: '#94a3b8', fontSize: 11 }}
+                            />
+                            <Tooltip
+                                contentStyle={{
+                                    background: '#0f172a',
+                                    border: '1px solid #334155',
+                                    borderRadius: '8px',
+                                    color: '#e2e8f0'
+                                }}
+                                labelFormatter={(v) => new Date(v).toLocaleString()}
+                                formatter={(v) => [`${Number(v).toFixed(2)}%`, 'Excess return']}
+                            />
+                            <Line type="monotone" dataKey="excessPercent" stroke="#a78bfa" strokeWidth={2} dot={false} />
+                        </LineChart>
+                    </ResponsiveContainer>
+                </div>
+            </div>
+        </details>
+    );
+};
+
+const SENSITIVITY_METRICS = [
+    { key: 'sharpeRatio', label: 'Sharpe' },
+    { key: 'roiPercent', label: 'ROI %' },
+    { key: 'netProfit', label: 'Net Profit' },
+    { key: 'maxDrawdownPercent', label: 'Max DD %' },
+    { key: 'winRate', label: 'Win Rate' }
+];
+
+// Red (worst) → green (best) across the surface's range
+const heatColor = (value, range) => {
+    const span = range.max - range.min;
+    const t = span > 0 ? (value - range.min) / span : 1;
+    return `hsla(${Math.round(t * 140)}, 70%, 40%, 0.85)`;
+};
+
+const SensitivityPanel = ({ strategyId }) => {
+    const [runs, setRuns] = useState([]);
+    const [runId, setRunId] = useState('');
+    const [axes, setAxes] = useState({ x: '', y: '', metric: 'sharpeRatio' });
+    const [surface, setSurface] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!strategyId) return;
+        client.get(`/backtest/${strategyId}/optimizations`)
+            .then((res) => {
+                const list = Array.isArray(res?.payload) ? res.payload : [];
+                setRuns(list);
+                if (list.length > 0) setRunId(list[0].id);
+            })
+            .catch((err) => console.error("Failed to load optimizations", err));
+    }, [strategyId]);
+
+    useEffect(() => {
+        if (!runId) return;
+        const params = new URLSearchParams({ metric: axes.metric });
+        if (axes.x) params.set('x', axes.x);
+        if (axes.y) params.set('y', axes.y);
+        client.get(`/backtest/${strategyId}/optimizations/${runId}/sensitivity?${params}`)
+            .then((res) => {
+                setSurface(res.payload);
+                setError(null);
+            })
+            .catch((err) => {
+                setError(err?.response?.data?.message || err?.message || 'Failed to load sensitivity surface');
+            });
+    }, [strategyId, runId, axes]);
+
+    if (runs.length === 0) return null;
+
+    const cellAt = new Map((surface?.cells || []).map(c => [`${c.x}|${c.y}`, c]));
+    const selectAxis = (key) => (e) => setAxes((prev) => ({ ...prev, [key]: e.target.value }));
+
+    return (
+        <details className="ui-panel-soft" open>
+            <summary className="px-4 py-3 text-[10px] uppercase tracking-widest text-slate-500 cursor-pointer select-none border-b border-slate-800">
+                Parameter Sensitivity
+            </summary>
+            <div className="p-4 space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <select className="ui-select" value={runId} onChange={(e) => setRunId(e.target.value)}>
+                        {runs.map(r => (
+                            <option key={r.id} value={r.id}>
+                                {r.id} · {r.search?.method} · {new Date(r.timestamp).toLocaleString()}
+                            </option>
+                        ))}
+                    </select>
+                    <select className="ui-select" value={surface?.x || axes.x} onChange={selectAxis('x')}>
+                        {(surface?.parameters || []).map(p => <option key={p} value={p}>X: {p}</option>)}
+                    </select>
+                    <select className="ui-select" value={surface?.y || axes.y} onChange={selectAxis('y')}>
+                        {(surface?.parameters || []).map(p => <option key={p} value={p}>Y: {p}</option>)}
+                    </select>
+                    <select className="ui-select" value={axes.metric} onChange={selectAxis('metric')}>
+                        {SENSITIVITY_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                    </select>
+                </div>
+
+                {error && <div className="text-xs text-rose-300">{error}</div>}
+
+                {surface && surface.cells.length > 0 && (
+                    <>
+                        <div className="overflow-x-auto">
+                            <table className="text-[11px] border-separate border-spacing-0.5">
+                                <thead>
+                                    <tr>
+                                        <th className="px-2 text-slate-500 text-left">{surface.y} \ {surface.x}</th>
+                                        {surface.xValues.map(x => <th key={x} className="px-2 text-slate-400 font-medium">{x}</th>)}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {surface.yValues.slice().reverse().map(y => (
+                                        <tr key={y}>
+                                            <th className="px-2 text-slate-400 font-medium text-right">{y}</th>
+                                            {surface.xValues.map(x => {
+                                                const cell = cellAt.get(`${x}|${y}`);
+                                                const isBest = surface.best && surface.best.x === x && surface.best.y === y;
+                                                return (
+                                                    <td
+                                                        key={x}
+                                                        title={cell ? `${surface.x}=${x}, ${surface.y}=${y}\n${surface.metric}: ${cell.value}\nneighbours: ${cell.neighbourMean ?? '--'}\nruns: ${cell.count}` : 'not evaluated'}
+                                                        className={`min-w-[52px] px-2 py-1.5 text-center text-slate-100 rounded ${isBest ? 'ring-2 ring-cyan-300' : ''}`}
+                                                        style={{ background: cell ? heatColor(cell.value, surface.range) : '#0f172a' }}
+                                                    >
+                                                        {cell ? formatRatio(cell.value) : ''}
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {surface.best && (
+                            <div className="text-xs text-slate-500">
+                                Best <span className="text-slate-300">{surface.x}={surface.best.x}, {surface.y}={surface.best.y}</span> at{' '}
+                                <span className="text-slate-300">{formatRatio(surface.best.value)}</span>; neighbours average{' '}
+                                <span className="text-slate-300">{formatRatio(surface.best.neighbourMean)}</span>
+                                {surface.best.neighbourDropPercent !== null && <> ({formatRatio(surface.best.neighbourDropPercent, 1)}% lower)</>}.
+                                {surface.aggregate && surface.parameters.length > 2 && <> Other parameters: {surface.aggregate} over {surface.candidates} candidates.</>}
+                                {surface.partial && <> Older run: only its top candidates are available.</>}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </details>
+    );
+};
+
 const Backtest = () => {
     const [strategies, setStrategies] = useState([]);
     const [selectedStrategy, setSelectedStrategy] = useState('');
     const [loading, setLoading] = useState(false);
     const [results, setResults] = useState(null);
     const [error, setError] = useState(null);
+    const [job, setJob] = useState(null);
+    const wsLastEvent = useStore((s) => s.wsLastEvent);
 
     // Form state
     const [file, setFile] = useState(null);
@@ -181,6 +422,64 @@ const Backtest = () => {
         fetchStrategyMeta();
     }, [selectedStrategy]);
 
+    // Job updates pushed over WS (BACKTEST_JOB / BACKTEST_PROGRESS)
+    useEffect(() => {
+        if (!wsLastEvent || !['BACKTEST_JOB', 'BACKTEST_PROGRESS'].includes(wsLastEvent.type)) return;
+        const update = wsLastEvent.payload;
+        setJob((current) => (current && update?.id === current.id && !JOB_FINISHED.includes(current.status) ? update : current));
+    }, [wsLastEvent]);
+
+    // Fallback poll in case WS events are missed while the job is active
+    const jobActive = Boolean(job) && !JOB_FINISHED.includes(job.status);
+    const jobId = job?.id;
+    useEffect(() => {
+        if (!jobActive) return;
+        const timer = window.setInterval(async () => {
+            try {
+                const res = await client.get(`/backtest/jobs/${jobId}`);
+                setJob((current) => (current?.id === jobId ? res.payload : current));
+            } catch (err) {
+                console.error("Job status poll failed", err);
+            }
+        }, 3000);
+        return () => window.clearInterval(timer);
+    }, [jobActive, jobId]);
+
+    // Settle the run once the job finishes
+    const jobStatus = job?.status;
+    useEffect(() => {
+        if (!jobId || !JOB_FINISHED.includes(jobStatus)) return;
+        const settle = async () => {
+            try {
+                if (jobStatus === 'COMPLETED') {
+                    const res = await client.get(`/backtest/jobs/${jobId}`);
+                    setResults(res.payload?.result || null);
+                } else if (jobStatus === 'CANCELLED') {
+                    setError("Backtest cancelled.");
+                } else {
+                    const res = await client.get(`/backtest/jobs/${jobId}`);
+                    setError(res.payload?.error || "Backtest failed. Check the console for details.");
+                }
+            } catch (err) {
+                console.error("Failed to fetch job result", err);
+                setError(err.message || "Failed to fetch backtest result.");
+            } finally {
+                setLoading(false);
+            }
+        };
+        settle();
+    }, [jobId, jobStatus]);
+
+    const cancelJob = async () => {
+        if (!job) return;
+        try {
+            const res = await client.post(`/backtest/jobs/${job.id}/cancel`);
+            setJob(res.payload);
+        } catch (err) {
+            console.error("Cancel failed", err);
+        }
+    };
+
     const handleFileChange = (e) => {
         setFile(e.target.files[0]);
     };
@@ -195,6 +494,7 @@ const Backtest = () => {
         setLoading(true);
         setResults(null);
         setError(null);
+        setJob(null);
 
         const formData = new FormData();
         if (enabled.dataset && file) {
@@ -216,17 +516,17 @@ const Backtest = () => {
             formData.append('params', JSON.stringify(paramsPayload));
         }
 
+        // Submitted as a job; results are fetched once it completes
         try {
-            const res = await client.post(`/backtest/${selectedStrategy}`, formData, {
+            const res = await client.post(`/backtest/${selectedStrategy}/jobs`, formData, {
                 headers: {
                     'Content-Type': 'multipart/form-data'
                 }
             });
-            setResults(res.payload);
+            setJob(res.payload);
         } catch (err) {
             console.error("Backtest failed", err);
             setError(err.message || "Backtest failed. Check the console for details.");
-        } finally {
             setLoading(false);
         }
     };
@@ -241,6 +541,9 @@ const Backtest = () => {
         : [];
     const hasEquity = equityCurve.length > 1;
     const header = results?.meta || null;
+    const benchmark = results?.benchmark || null;
+    const benchmarkCurve = Array.isArray(benchmark?.curve) ? benchmark.curve : [];
+    const hasBenchmark = benchmarkCurve.length > 1;
 
     return (
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 ui-view-frame h-full">
@@ -479,7 +782,8 @@ const Backtest = () => {
                     <h2 className="text-lg font-bold text-slate-100">Results</h2>
                 </div>
                 <div className="flex-1 ui-panel-scroll">
-                    {loading && <p className="text-slate-400">Running backtest...</p>}
+                    {loading && !job && <p className="text-slate-400">Submitting backtest...</p>}
+                    {loading && job && !JOB_FINISHED.includes(job.status) && <JobProgress job={job} onCancel={cancelJob} />}
                     {error && <div className="bg-red-900/50 border border-red-500/30 text-red-300 p-4 rounded text-sm">{error}</div>}
 
                     {results && (
@@ -532,7 +836,7 @@ const Backtest = () => {
                             </summary>
                             <div className="p-4 h-[320px]">
                                 <ResponsiveContainer>
-                                    <LineChart data={hasEquity ? equityCurve : [{ time: Date.now(), equity: 0 }]}>
+                                    <LineChart data={hasBenchmark ? benchmarkCurve : hasEquity ? equityCurve : [{ time: Date.now(), equity: 0 }]}>
                                         <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
                                         <XAxis
                                             dataKey="time"
@@ -557,19 +861,34 @@ const Backtest = () => {
                                             }}
                                             labelFormatter={(v) => new Date(v).toLocaleString()}
                                         />
+                                        {hasBenchmark && <Legend wrapperStyle={{ fontSize: 11 }} />}
                                         <Line
                                             type="monotone"
-                                            dataKey="equity"
+                                            dataKey={hasBenchmark ? 'strategy' : 'equity'}
+                                            name="Strategy"
                                             stroke="#22d3ee"
                                             strokeWidth={2.5}
-                                            dot={{ r: 2, strokeWidth: 0 }}
+                                            dot={hasBenchmark ? false : { r: 2, strokeWidth: 0 }}
                                             activeDot={{ r: 5, strokeWidth: 2 }}
                                         />
+                                        {hasBenchmark && (
+                                            <Line
+                                                type="monotone"
+                                                dataKey="benchmark"
+                                                name={`Benchmark (${benchmark.source === 'dataset' ? benchmark.symbol : 'buy & hold'})`}
+                                                stroke="#94a3b8"
+                                                strokeWidth={1.5}
+                                                strokeDasharray="4 3"
+                                                dot={false}
+                                            />
+                                        )}
                                     </LineChart>
                                 </ResponsiveContainer>
                             </div>
                         </details>
 
+                        {hasBenchmark && <BenchmarkPanel benchmark={benchmark} />}
+
                         <details className="ui-panel-soft" open>
                             <summary className="px-4 py-3 text-[10px] uppercase tracking-widest text-slate-500 cursor-pointer select-none border-b border-slate-800">
                                 Trades ({trades.length})
@@ -642,6 +961,10 @@ const Backtest = () => {
                     )}
 
                     {!loading && !error && !results && <p className="text-slate-500 text-sm">Results will appear here after running a backtest.</p>}
+
+                    <div className="mt-6">
+                        <SensitivityPanel key={selectedStrategy} strategyId={selectedStrategy} />
+                    </div>
                 </div>
             </div>
         </div>
@@ -14,6 +14,8 @@ const AccountView = () => {
   const [commissionMin, setCommissionMin] = useState('');
   const [slippageBps, setSlippageBps] = useState('');
   const [fillProbability, setFillProbability] = useState('');
+  const [latencyMs, setLatencyMs] = useState('');
+  const [maxVolumeFraction, setMaxVolumeFraction] = useState('');
   const [minBalance, setMinBalance] = useState('');
   const [maxBalance, setMaxBalance] = useState('');
 
@@ -36,6 +38,8 @@ const AccountView = () => {
     setCommissionMin(cfg.commissionMin ?? '');
     setSlippageBps(cfg.slippageBps ?? '');
     setFillProbability(cfg.fillProbability ?? '');
+    setLatencyMs(cfg.latencyMs ?? '');
+    setMaxVolumeFraction(cfg.maxVolumeFraction ?? '');
     setMinBalance(cfg.minBalance ?? '');
     setMaxBalance(cfg.maxBalance ?? '');
   }, []);
@@ -71,6 +75,8 @@ const AccountView = () => {
           commissionMin,
           slippageBps: Number(slippageBps),
           fillProbability: Number(fillProbability),
+          latencyMs: Number(latencyMs),
+          maxVolumeFraction: Number(maxVolumeFraction),
           minBalance: Number(minBalance),
           maxBalance: Number(maxBalance)
         }
@@ -205,6 +211,8 @@ const AccountView = () => {
                 <ConfigInput label="Commission Min" value={commissionMin} onChange={setCommissionMin} />
                 <ConfigInput label="Slippage (BPS)" value={slippageBps} onChange={setSlippageBps} />
                 <ConfigInput label="Fill Probability" value={fillProbability} onChange={setFillProbability} />
+                <ConfigInput label="Latency (ms)" value={latencyMs} onChange={setLatencyMs} />
+                <ConfigInput label="Max Bar Volume Fraction" value={maxVolumeFraction} onChange={setMaxVolumeFraction} />
                 <ConfigInput label="Min Balance" value={minBalance} onChange={setMinBalance} />
                 <ConfigInput label="Max Balance" value={maxBalance} onChange={setMaxBalance} />
               </div>
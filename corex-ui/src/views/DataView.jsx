@@ -2,15 +2,21 @@ import React, { useState, useEffect } from 'react';
 import client from "../api/client";
 import { 
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, 
-  ResponsiveContainer 
+  ResponsiveContainer, Legend
 } from 'recharts';
 
+const COMPARE_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#f43f5e', '#06b6d4', '#a855f7'];
+
 const DataView = () => {
   const [reports, setReports] = useState([]);
   const [selectedId, setSelectedId] = useState(null);
   const [reportData, setReportData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [compareError, setCompareError] = useState(null);
+  const [comparing, setComparing] = useState(false);
 
   useEffect(() => {
     const fetchList = async () => {
@@ -60,6 +66,30 @@ const DataView = () => {
     return () => { canceled = true; };
   }, [selectedId]);
 
+  const toggleCompare = (id) => {
+    setCompareIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const runComparison = async () => {
+    if (compareIds.length < 2) return;
+    setComparing(true);
+    setCompareError(null);
+    try {
+      const res = await client.get(`/system/reports/compare?ids=${compareIds.map(encodeURIComponent).join(',')}`);
+      setComparison(res.payload);
+      setSelectedId(null);
+    } catch (err) {
+      setCompareError(err.message || "Comparison failed");
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const openReport = (id) => {
+    setComparison(null);
+    setSelectedId(id);
+  };
+
   return (
     <div className="ui-page ui-page-scroll">
     <div className="flex min-h-[640px] overflow-hidden ui-panel-soft">
@@ -71,10 +101,25 @@ const DataView = () => {
           ${!selectedId ? 'shadow-2xl' : ''}
         `}
       >
-        <div className="sticky top-0 z-10 bg-slate-900 border-b border-slate-800 px-5 py-4">
+        <div className="sticky top-0 z-10 bg-slate-900 border-b border-slate-800 px-5 py-4 space-y-3">
           <h3 className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
             Backtest Reports
           </h3>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={runComparison}
+              disabled={compareIds.length < 2 || comparing}
+              className="ui-button ui-button-secondary text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {comparing ? 'Comparing...' : `Compare (${compareIds.length})`}
+            </button>
+            {compareIds.length > 0 && (
+              <button onClick={() => setCompareIds([])} className="text-[11px] text-slate-500 hover:text-slate-300">
+                Clear
+              </button>
+            )}
+          </div>
+          {compareError && <div className="text-[11px] text-rose-400">{compareError}</div>}
         </div>
 
         {reports.length === 0 ? (
@@ -84,24 +129,34 @@ const DataView = () => {
         ) : (
           <div className="divide-y divide-slate-800/60">
             {reports.map(r => (
-              <button
+              <div
                 key={r.id}
-                onClick={() => setSelectedId(r.id)}
                 className={`
-                  w-full px-5 py-4 text-left transition-all
-                  hover:bg-slate-800/60 focus:outline-none focus:bg-slate-800/70
+                  flex items-center transition-all hover:bg-slate-800/60
                   ${selectedId === r.id ? 'bg-slate-800/80 border-l-4 border-l-indigo-500' : 'border-l-4 border-transparent'}
                 `}
               >
-                <div className="font-medium text-slate-100 truncate text-sm">
-                  {r.id}
-                </div>
-                <div className="text-xs text-slate-500 mt-1">
-                  {new Date(r.timestamp).toLocaleString('en-US', {
-                    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
-                  })}
-                </div>
-              </button>
+                <input
+                  type="checkbox"
+                  checked={compareIds.includes(r.id)}
+                  onChange={() => toggleCompare(r.id)}
+                  className="ml-4 accent-indigo-500"
+                  aria-label={`Compare ${r.id}`}
+                />
+                <button
+                  onClick={() => openReport(r.id)}
+                  className="flex-1 min-w-0 px-4 py-4 text-left focus:outline-none"
+                >
+                  <div className="font-medium text-slate-100 truncate text-sm">
+                    {r.id}
+                  </div>
+                  <div className="text-xs text-slate-500 mt-1">
+                    {new Date(r.timestamp).toLocaleString('en-US', {
+                      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+                    })}
+                  </div>
+                </button>
+              </div>
             ))}
           </div>
         )}
@@ -109,7 +164,9 @@ const DataView = () => {
 
       {/* Main Content */}
       <main className="flex-1 overflow-y-auto p-6">
-        {!selectedId ? (
+        {comparison ? (
+          <CompareView comparison={comparison} onClose={() => setComparison(null)} />
+        ) : !selectedId ? (
           <div className="h-full flex flex-col items-center justify-center text-slate-500">
             <svg className="w-24 h-24 mb-8 opacity-40" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5}
@@ -119,7 +176,8 @@ const DataView = () => {
               Select a backtest
             </h2>
             <p className="text-slate-500 max-w-md text-center">
-              Click any report on the left to view performance metrics, equity curve and trade list.
+              Click any report on the left to view performance metrics, equity curve and trade list,
+              or tick two or more to compare them.
             </p>
           </div>
         ) : loading ? (
@@ -146,6 +204,27 @@ const DataView = () => {
   );
 };
 
+const EXPORTS = [
+  { label: 'Tear sheet (HTML)', query: 'format=html', suffix: '.html' },
+  { label: 'Trades CSV', query: 'format=csv&table=trades', suffix: '-trades.csv' },
+  { label: 'Equity CSV', query: 'format=csv&table=equity', suffix: '-equity.csv' }
+];
+
+// Fetched through the API client (it carries the admin key), then saved from a blob URL
+const downloadExport = async (id, { query, suffix }) => {
+  try {
+    const blob = await client.get(`/system/reports/${encodeURIComponent(id)}/export?${query}`, { responseType: 'blob' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${id}${suffix}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error("Export failed", err);
+  }
+};
+
 function ReportView({ report }) {
   const { meta, performance, trades = [], equityCurve = [] } = report;
 
@@ -163,6 +242,15 @@ function ReportView({ report }) {
           <div>ID: <span className="text-slate-300">{meta?.id}</span></div>
           <div>Duration: <span className="text-slate-300">{meta?.executionTime}</span></div>
         </div>
+        {meta?.id && (
+          <div className="mt-4 flex flex-wrap gap-2">
+            {EXPORTS.map(exp => (
+              <button key={exp.query} onClick={() => downloadExport(meta.id, exp)} className="ui-button ui-button-secondary text-xs">
+                {exp.label}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Stats */}
@@ -181,6 +269,8 @@ function ReportView({ report }) {
         <Stat label="Sharpe" value={performance?.sharpeRatio ?? '--'} />
       </div>
 
+      {report.holdout && <HoldoutPanel holdout={report.holdout} />}
+
       {/* Chart */}
       <div className="ui-panel">
         <h3 className="text-lg font-semibold text-slate-200 mb-4">Equity Curve</h3>
@@ -284,6 +374,189 @@ function ReportView({ report }) {
   );
 }
 
+const formatMetric = (v) => (v === null || v === undefined ? '--' : Number(v).toFixed(2));
+
+function CompareChart({ title, data, ids, colors, yFormatter }) {
+  return (
+    <div className="ui-panel">
+      <h3 className="text-lg font-semibold text-slate-200 mb-4">{title}</h3>
+      <div className="h-[320px]">
+        <ResponsiveContainer>
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+            <XAxis
+              dataKey="time"
+              type="number"
+              scale="time"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={v => new Date(v).toLocaleDateString('en-US', { hour: '2-digit', minute: '2-digit'})}
+              stroke="#475569"
+              tick={{ fill: '#94a3b8', fontSize: 12 }}
+            />
+            <YAxis tickFormatter={yFormatter} stroke="#475569" tick={{ fill: '#94a3b8', fontSize: 12 }} />
+            <Tooltip
+              contentStyle={{ background: '#0f172a', border: '1px solid #334155', borderRadius: '8px', color: '#e2e8f0' }}
+              labelFormatter={v => new Date(v).toLocaleString()}
+            />
+            <Legend />
+            {ids.map(id => (
+              <Line key={id} type="monotone" dataKey={id} stroke={colors[id]} strokeWidth={2} dot={false} connectNulls={false} />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+function CompareView({ comparison, onClose }) {
+  const { baseline, reports = [], curves = {}, metrics = [], paramDiff = {} } = comparison;
+  const ids = reports.map(r => r.id);
+  const others = ids.filter(id => id !== baseline);
+  const colors = Object.fromEntries(ids.map((id, i) => [id, COMPARE_COLORS[i % COMPARE_COLORS.length]]));
+
+  return (
+    <div className="space-y-8 max-w-[1800px] mx-auto">
+      <div className="pb-6 border-b border-slate-800 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Report Comparison</h1>
+          <div className="mt-2 flex flex-wrap gap-x-6 gap-y-1 text-sm text-slate-400">
+            {reports.map(r => (
+              <div key={r.id} className="flex items-center gap-2">
+                <span className="inline-block w-3 h-3 rounded-full" style={{ background: colors[r.id] }} />
+                <span className="text-slate-300">{r.id}</span>
+                <span>{r.strategyName} · {r.symbol} · {r.timeframe}</span>
+                {r.id === baseline && <span className="text-[10px] uppercase tracking-widest text-indigo-400">baseline</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+        <button onClick={onClose} className="ui-button ui-button-secondary text-xs">Close</button>
+      </div>
+
+      <CompareChart
+        title="Equity Curves"
+        data={curves.equity || []}
+        ids={ids}
+        colors={colors}
+        yFormatter={v => `$${Math.round(v).toLocaleString()}`}
+      />
+      <CompareChart
+        title="Drawdown"
+        data={curves.drawdown || []}
+        ids={ids}
+        colors={colors}
+        yFormatter={v => `${Number(v).toFixed(1)}%`}
+      />
+
+      <div>
+        <h3 className="text-lg font-semibold text-slate-200 mb-4">Metric Differences</h3>
+        <div className="overflow-x-auto rounded-xl border border-slate-800 bg-slate-900/40">
+          <table className="ui-table min-w-full">
+            <thead>
+              <tr>
+                <th>Metric</th>
+                <th className="text-right">{baseline}</th>
+                {others.map(id => <th key={id} className="text-right">{id}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.map(m => (
+                <tr key={m.metric}>
+                  <td className="text-slate-300">{m.metric}</td>
+                  <td className="text-right text-slate-300">{formatMetric(m.values[baseline])}</td>
+                  {others.map(id => {
+                    const delta = m.deltas[id] || {};
+                    const tone = delta.absolute > 0 ? 'text-emerald-400' : delta.absolute < 0 ? 'text-rose-400' : 'text-slate-500';
+                    return (
+                      <td key={id} className="text-right">
+                        <div className="text-slate-300">{formatMetric(m.values[id])}</div>
+                        <div className={`text-[11px] ${tone}`}>
+                          {delta.absolute === null || delta.absolute === undefined ? '--' : `${delta.absolute >= 0 ? '+' : ''}${delta.absolute.toFixed(2)}`}
+                          {Number.isFinite(delta.percent) && ` (${delta.percent >= 0 ? '+' : ''}${delta.percent.toFixed(1)}%)`}
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+              {Object.entries(paramDiff).map(([param, values]) => (
+                <tr key={`param-${param}`}>
+                  <td className="text-slate-400">param: {param}</td>
+                  {ids.map(id => (
+                    <td key={id} className="text-right text-slate-300">{JSON.stringify(values[id])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const HOLDOUT_METRICS = [
+  { key: 'roiPercent', label: 'ROI %', degradation: 'roiPerBar' },
+  { key: 'sharpeRatio', label: 'Sharpe', degradation: 'sharpeRatio' },
+  { key: 'winRate', label: 'Win Rate %', degradation: 'winRate' },
+  { key: 'maxDrawdownPercent', label: 'Max Drawdown %', degradation: 'maxDrawdownPercent' },
+  { key: 'totalTrades', label: 'Trades' },
+  { key: 'netProfit', label: 'Net Profit' }
+];
+
+function HoldoutPanel({ holdout }) {
+  const { inSample, outOfSample, degradation = {}, overfitting = {} } = holdout;
+  const dsr = overfitting.deflatedSharpe;
+  const pbo = overfitting.pbo;
+  const range = (r) => `${new Date(r.from).toLocaleString()} → ${new Date(r.to).toLocaleString()} (${r.bars} bars)`;
+
+  return (
+    <div className="ui-panel">
+      <h3 className="text-lg font-semibold text-slate-200 mb-1">
+        Holdout <span className="text-slate-500 font-normal">(last {holdout.holdoutPercent}% unseen by the optimizer)</span>
+      </h3>
+      <div className="text-xs text-slate-500 mb-4 space-y-0.5">
+        <div>In-sample: {range(inSample)}</div>
+        <div>Out-of-sample: {range(outOfSample)}</div>
+      </div>
+
+      <div className="overflow-x-auto rounded-xl border border-slate-800 bg-slate-900/40">
+        <table className="ui-table min-w-full">
+          <thead>
+            <tr>
+              <th>Metric</th>
+              <th className="text-right">In-sample</th>
+              <th className="text-right">Out-of-sample</th>
+              <th className="text-right">OOS / IS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {HOLDOUT_METRICS.map(({ key, label, degradation: ratioKey }) => (
+              <tr key={key}>
+                <td className="text-slate-300">{label}</td>
+                <td className="text-right text-slate-300">{formatMetric(inSample.performance?.[key])}</td>
+                <td className="text-right text-slate-300">{formatMetric(outOfSample.performance?.[key])}</td>
+                <td className="text-right text-slate-400">{ratioKey ? formatMetric(degradation[ratioKey]) : '--'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+        <Stat label="Trials" value={overfitting.trials ?? '--'} />
+        <Stat label="Deflated Sharpe" value={dsr?.probability != null ? `${(dsr.probability * 100).toFixed(1)}%` : '--'} />
+        <Stat label="Expected Max Sharpe" value={formatMetric(dsr?.expectedMaxSharpe)} />
+        <Stat label="PBO"
+          value={pbo ? `${(pbo.pbo * 100).toFixed(1)}%` : '--'}
+          trend={pbo ? (pbo.pbo > 0.5 ? 'negative' : 'positive') : 'neutral'}
+        />
+      </div>
+    </div>
+  );
+}
+
 function Stat({ label, value, trend = 'neutral' }) {
   const color = trend === 'positive' ? 'text-emerald-400' :
                 trend === 'negative' ? 'text-rose-400' : 
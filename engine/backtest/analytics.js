@@ -0,0 +1,214 @@
+"use strict";
+
+/**
+ * @file Performance Analytics
+ * @description Extended report metrics computed from the trade list, the equity
+ * curve and (optionally) the replayed bars. Ratios are per trade and not
+ * annualized, matching `sharpeRatio`; Calmar uses the annualized growth rate
+ * over the tested span, which is null for spans under 30 days or curves of fewer
+ * than two points.
+ *
+ * Trade PnL in currency depends on how the simulator sized positions:
+ * - `compounding: true` (grademark): every trade uses the full equity, so PnL is
+ *   rebuilt from `growth` along the equity path.
+ * - `compounding: false` (portfolio / event-driven): `profit` is already currency.
+ */
+
+const { maxDrawdownPercent } = require('@core/backtest/portfolio');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+// Shorter spans compound into meaningless annual rates
+const MIN_ANNUALIZED_MS = 30 * 24 * 60 * 60 * 1000;
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+const mean = (values) => (values.length ? sum(values) / values.length : 0);
+
+/**
+ * Currency PnL and fractional return of every trade.
+ */
+const tradeResults = (trades, initialCapital, compounding) => {
+    let equity = initialCapital;
+    return trades.map((t) => {
+        const ret = Number(t.growth) - 1;
+        const pnl = compounding ? equity * ret : Number(t.profit) || 0;
+        if (compounding) equity += pnl;
+        return { pnl, ret: Number.isFinite(ret) ? ret : 0 };
+    });
+};
+
+const longestStreaks = (results) => {
+    let win = 0, loss = 0, maxWin = 0, maxLoss = 0;
+    for (const { pnl } of results) {
+        if (pnl > 0) { win++; loss = 0; } else if (pnl < 0) { loss++; win = 0; } else { win = 0; loss = 0; }
+        maxWin = Math.max(maxWin, win);
+        maxLoss = Math.max(maxLoss, loss);
+    }
+    return { longestWinStreak: maxWin, longestLossStreak: maxLoss };
+};
+
+/**
+ * Share of the tested span with at least one open position (overlaps merged).
+ */
+const exposurePercent = (trades, from, to) => {
+    const span = to - from;
+    if (!(span > 0)) return 0;
+    const intervals = trades
+        .map(t => [Math.max(from, Number(t.entryTime)), Math.min(to, Number(t.exitTime))])
+        .filter(([a, b]) => Number.isFinite(a) && Number.isFinite(b) && b > a)
+        .sort((x, y) => x[0] - y[0]);
+
+    let covered = 0;
+    let [curStart, curEnd] = [null, null];
+    for (const [a, b] of intervals) {
+        if (curEnd === null || a > curEnd) {
+            if (curEnd !== null) covered += curEnd - curStart;
+            [curStart, curEnd] = [a, b];
+        } else {
+            curEnd = Math.max(curEnd, b);
+        }
+    }
+    if (curEnd !== null) covered += curEnd - curStart;
+    return (covered / span) * 100;
+};
+
+/**
+ * Maximum adverse / favorable excursion of each trade, in % of the entry price.
+ * Bars are grouped by `symbol` (bars and trades without one share a group).
+ */
+const excursions = (trades, bars) => {
+    if (!bars || bars.length === 0) return [];
+    const bySymbol = new Map();
+    for (const bar of bars) {
+        const key = bar.symbol || '*';
+        if (!bySymbol.has(key)) bySymbol.set(key, []);
+        bySymbol.get(key).push(bar);
+    }
+
+    const firstIndexAtOrAfter = (series, time) => {
+        let lo = 0, hi = series.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (series[mid].time < time) lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    };
+
+    return trades.map((t) => {
+        const series = bySymbol.get(t.symbol || '*') || bySymbol.get('*') || [];
+        const entry = Number(t.entryPrice);
+        const long = t.direction !== 'short';
+        let worst = entry;
+        let best = entry;
+
+        for (let i = firstIndexAtOrAfter(series, Number(t.entryTime)); i < series.length && series[i].time <= Number(t.exitTime); i++) {
+            const { high, low } = series[i];
+            if (long) { worst = Math.min(worst, low); best = Math.max(best, high); }
+            else { worst = Math.max(worst, high); best = Math.min(best, low); }
+        }
+
+        const pct = (price) => (long ? price - entry : entry - price) / entry * 100;
+        return {
+            symbol: t.symbol,
+            entryTime: t.entryTime,
+            direction: t.direction,
+            maePercent: pct(worst),
+            mfePercent: pct(best)
+        };
+    });
+};
+
+/**
+ * Period returns from an equity curve, keyed 'YYYY' or 'YYYY-MM' (UTC).
+ */
+const periodReturns = (equityCurve, initialCapital, keyOf) => {
+    const rows = [];
+    let opening = initialCapital;
+    let current = null;
+    for (const point of equityCurve) {
+        const key = keyOf(new Date(Number(point.time)));
+        if (!current || current.period !== key) {
+            if (current) opening = current.closing;
+            current = { period: key, opening, closing: point.equity };
+            rows.push(current);
+        } else {
+            current.closing = point.equity;
+        }
+    }
+    return rows.map(r => ({
+        period: r.period,
+        returnPercent: r.opening ? ((r.closing - r.opening) / r.opening) * 100 : 0,
+        closingEquity: r.closing
+    }));
+};
+
+/**
+ * @param {Object} input
+ * @param {Object[]} input.trades
+ * @param {Object[]} input.equityCurve - [{ time, equity }]
+ * @param {number} input.initialCapital
+ * @param {Object[]} [input.bars] - Replayed bars (enables MAE/MFE and exposure span).
+ * @param {boolean} [input.compounding=true]
+ * @returns {Object} `analytics` report section.
+ */
+const compute = ({ trades = [], equityCurve = [], initialCapital, bars = [], compounding = true }) => {
+    const results = tradeResults(trades, initialCapital, compounding);
+    const wins = results.filter(r => r.pnl > 0);
+    const losses = results.filter(r => r.pnl < 0);
+    const grossProfit = sum(wins.map(r => r.pnl));
+    const grossLoss = Math.abs(sum(losses.map(r => r.pnl)));
+
+    const returns = results.map(r => r.ret);
+    const avgReturn = mean(returns);
+    const downside = Math.sqrt(mean(returns.map(r => Math.min(r, 0) ** 2)));
+
+    let from = Infinity;
+    let to = -Infinity;
+    for (const point of [...bars, ...equityCurve]) {
+        const time = Number(point.time);
+        if (!Number.isFinite(time)) continue;
+        if (time < from) from = time;
+        if (time > to) to = time;
+    }
+    if (!Number.isFinite(from)) from = to = 0;
+
+    const finalEquity = equityCurve.length ? equityCurve[equityCurve.length - 1].equity : initialCapital;
+    const years = (to - from) / YEAR_MS;
+    const annualizedReturn = to - from >= MIN_ANNUALIZED_MS && equityCurve.length >= 2 && finalEquity > 0
+        ? (Math.pow(finalEquity / initialCapital, 1 / years) - 1) * 100
+        : null;
+    const maxDD = maxDrawdownPercent(equityCurve);
+
+    const mfe = excursions(trades, bars);
+    const holdingMs = trades.map(t => Number(t.exitTime) - Number(t.entryTime)).filter(Number.isFinite);
+
+    return {
+        sortinoRatio: downside > 0 ? avgReturn / downside : null,
+        calmarRatio: maxDD < 0 && annualizedReturn !== null ? annualizedReturn / Math.abs(maxDD) : null,
+        annualizedReturnPercent: annualizedReturn,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+        grossProfit,
+        grossLoss,
+        expectancy: mean(results.map(r => r.pnl)),
+        expectancyPercent: avgReturn * 100,
+        averageWin: mean(wins.map(r => r.pnl)),
+        averageWinPercent: mean(wins.map(r => r.ret)) * 100,
+        averageLoss: mean(losses.map(r => r.pnl)),
+        averageLossPercent: mean(losses.map(r => r.ret)) * 100,
+        ...longestStreaks(results),
+        exposurePercent: exposurePercent(trades, from, to),
+        averageHoldingBars: mean(trades.map(t => Number(t.holdingPeriod) || 0)),
+        averageHoldingMs: mean(holdingMs),
+        averageMaePercent: mfe.length ? mean(mfe.map(e => e.maePercent)) : null,
+        averageMfePercent: mfe.length ? mean(mfe.map(e => e.mfePercent)) : null,
+        excursions: mfe,
+        returns: {
+            monthly: periodReturns(equityCurve, initialCapital, d => `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`),
+            yearly: periodReturns(equityCurve, initialCapital, d => `${d.getUTCFullYear()}`)
+        }
+    };
+};
+
+module.exports = {
+    compute,
+    tradeResults
+};
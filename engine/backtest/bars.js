@@ -0,0 +1,138 @@
+"use strict";
+
+/**
+ * @file Bar Parsing
+ * @description CSV rows → normalized bars { time (epoch ms), open, high, low, close, volume }.
+ * Column names are matched against the aliases below (first non-empty one wins), so
+ * exports from different brokers load without a mapping step. Tick rows (a price and
+ * no OHLC) become single-price bars.
+ */
+
+const fs = require('fs');
+const dataForge = require('data-forge');
+
+// Accepted source columns per bar field, in order of preference
+const COLUMN_ALIASES = {
+    time: ['time', 'Time', 'timestamp', 'datetime', 'Date', 'at'],
+    open: ['open', 'Open'],
+    high: ['high', 'High'],
+    low: ['low', 'Low'],
+    close: ['close', 'Close'],
+    volume: ['volume', 'Volume', 'size'],
+    price: ['price', 'Price', 'last'],
+    symbol: ['symbol', 'Symbol', 'ticker', 'Ticker']
+};
+
+const pick = (row, aliases) => {
+    for (const alias of aliases) {
+        if (row[alias]) return row[alias];
+    }
+    return undefined;
+};
+
+/**
+ * Epoch milliseconds from a numeric (s / ms / µs / ns) or date-string time value.
+ */
+const parseTime = (rawTime) => {
+    if (!rawTime) return NaN;
+    let num = Number(rawTime);
+    // Convert seconds, microseconds and nanoseconds to milliseconds
+    if (!isNaN(num)) {
+        if (num < 1e11) num *= 1000;
+        while (num > 1e14) num /= 1000;
+    }
+    return !isNaN(num) ? num : Date.parse(rawTime);
+};
+
+const readCsv = (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    return dataForge.fromCSV(content).toArray();
+};
+
+/**
+ * One parsed row as a bar, or null when it has no readable time or a positive close.
+ * @param {Object} row
+ */
+const toBar = (row) => {
+    const timeMs = parseTime(pick(row, COLUMN_ALIASES.time));
+    if (isNaN(timeMs)) return null;
+
+    // Tick rows (price, no OHLC) become single-price bars
+    const tick = pick(row, COLUMN_ALIASES.price);
+
+    // Strict casting to prevent [object Object] or undefined
+    const bar = {
+        time: timeMs,
+        open: parseFloat(pick(row, COLUMN_ALIASES.open) || tick || 0),
+        high: parseFloat(pick(row, COLUMN_ALIASES.high) || tick || 0),
+        low: parseFloat(pick(row, COLUMN_ALIASES.low) || tick || 0),
+        close: parseFloat(pick(row, COLUMN_ALIASES.close) || tick || 0),
+        volume: parseFloat(pick(row, COLUMN_ALIASES.volume) || 0)
+    };
+
+    // Validation: Don't pass bars with 0 price to the strategy
+    return (bar.close > 0) ? bar : null;
+};
+
+/**
+ * @param {Object[]} rawRows - Parsed CSV rows or broker candles.
+ * @returns {Object[]} Time-sorted bars; rows without a time or a positive close are dropped
+ *   (see dataQuality.validate for a pass that reports them).
+ */
+const normalizeBars = (rawRows) => rawRows
+    .map(toBar)
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+
+/**
+ * Source column matched for each bar field, e.g. { time: 'Time', close: 'Close', ... }.
+ * Fields without a matching column are omitted.
+ * @param {string[]} headers
+ */
+const detectColumns = (headers) => {
+    const mapping = {};
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const match = aliases.find(alias => headers.includes(alias));
+        if (match) mapping[field] = match;
+    }
+    return mapping;
+};
+
+const TIMEFRAME_UNITS = [
+    ['w', 7 * 24 * 60 * 60 * 1000],
+    ['d', 24 * 60 * 60 * 1000],
+    ['h', 60 * 60 * 1000],
+    ['m', 60 * 1000],
+    ['s', 1000]
+];
+
+/**
+ * Bar spacing as a label ('1m', '4h', '1d', ...) from the median gap between bars,
+ * or null when it cannot be told (fewer than two bars, or tick data below 1s).
+ * @param {Object[]} bars - Time-sorted bars.
+ */
+const inferTimeframe = (bars) => {
+    const gaps = [];
+    for (let i = 1; i < bars.length; i++) {
+        const gap = bars[i].time - bars[i - 1].time;
+        if (gap > 0) gaps.push(gap);
+    }
+    if (gaps.length === 0) return null;
+    gaps.sort((a, b) => a - b);
+    const median = gaps[Math.floor(gaps.length / 2)];
+    for (const [unit, ms] of TIMEFRAME_UNITS) {
+        if (median >= ms && median % ms === 0) return `${median / ms}${unit}`;
+    }
+    return null;
+};
+
+module.exports = {
+    COLUMN_ALIASES,
+    pick,
+    parseTime,
+    readCsv,
+    toBar,
+    normalizeBars,
+    detectColumns,
+    inferTimeframe
+};
@@ -0,0 +1,143 @@
+"use strict";
+
+/**
+ * @file Benchmark Comparison
+ * @description Scores a strategy equity curve against a passive baseline: buy-and-hold
+ * of the replayed bars (equal weight across symbols) or a separate benchmark series.
+ *
+ * Both curves are sampled on the benchmark's timestamps, the strategy carrying its last
+ * equity forward (grademark curves only move on trade exits). Alpha, beta, correlation
+ * and the information ratio come from per-period returns; the `*Annualized` variants
+ * scale them by the number of periods per year implied by the median bar spacing.
+ */
+
+const { maxDrawdownPercent } = require('@core/backtest/portfolio');
+const { thin } = require('@core/backtest/compare');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+/**
+ * Equity of `initialCapital` split equally across the symbols of `bars` at their first
+ * close and held to the end (each symbol carries its last close forward).
+ * @param {Object[]} bars - Time-ordered bars (with `symbol` for multi-symbol streams).
+ * @param {number} initialCapital
+ * @returns {Object[]} [{ time, equity }]
+ */
+const buyAndHoldCurve = (bars, initialCapital) => {
+    const symbols = Array.from(new Set(bars.map(bar => bar.symbol || '*')));
+    const allocation = initialCapital / Math.max(1, symbols.length);
+    const entry = new Map();
+    const last = new Map();
+    const curve = [];
+
+    for (let i = 0; i < bars.length; i++) {
+        const bar = bars[i];
+        const key = bar.symbol || '*';
+        if (!(bar.close > 0)) continue;
+        if (!entry.has(key)) entry.set(key, bar.close);
+        last.set(key, bar.close);
+        if (bars[i + 1]?.time === bar.time) continue; // wait for every symbol at this timestamp
+
+        let equity = 0;
+        for (const symbol of symbols) {
+            // Symbols that have not printed yet are still cash
+            equity += entry.has(symbol) ? allocation * (last.get(symbol) / entry.get(symbol)) : allocation;
+        }
+        curve.push({ time: bar.time, equity });
+    }
+    return curve;
+};
+
+const medianStep = (times) => {
+    const steps = [];
+    for (let i = 1; i < times.length; i++) steps.push(times[i] - times[i - 1]);
+    steps.sort((a, b) => a - b);
+    return steps.length ? steps[Math.floor(steps.length / 2)] : 0;
+};
+
+/**
+ * @param {Object} input
+ * @param {Object[]} input.equityCurve - Strategy [{ time, equity }].
+ * @param {Object[]} input.benchmarkCurve - Benchmark [{ time, equity }] (any scale).
+ * @param {number} input.initialCapital
+ * @param {number} [input.maxPoints=2000] - Cap on the returned curve length.
+ * @returns {Object|null} Metrics plus `curve` [{ time, strategy, benchmark, excessPercent }].
+ */
+const compare = ({ equityCurve, benchmarkCurve, initialCapital, maxPoints = 2000 }) => {
+    const strategy = equityCurve
+        .map(p => ({ time: Number(p.time), equity: Number(p.equity) }))
+        .filter(p => Number.isFinite(p.time) && Number.isFinite(p.equity))
+        .sort((a, b) => a.time - b.time);
+    if (strategy.length === 0) return null;
+
+    const from = strategy[0].time;
+    const benchmark = benchmarkCurve.filter(p => p.time >= from && Number(p.equity) > 0);
+    if (benchmark.length < 2) return null;
+
+    // Both series rebased to the initial capital on the benchmark's clock
+    const base = benchmark[0].equity;
+    const rows = [];
+    let cursor = -1;
+    for (const point of benchmark) {
+        while (cursor + 1 < strategy.length && strategy[cursor + 1].time <= point.time) cursor++;
+        const strategyEquity = cursor >= 0 ? strategy[cursor].equity : initialCapital;
+        const benchmarkEquity = initialCapital * (point.equity / base);
+        rows.push({
+            time: point.time,
+            strategy: strategyEquity,
+            benchmark: benchmarkEquity,
+            excessPercent: ((strategyEquity - benchmarkEquity) / initialCapital) * 100
+        });
+    }
+
+    const rs = [];
+    const rb = [];
+    for (let i = 1; i < rows.length; i++) {
+        rs.push(rows[i].strategy / rows[i - 1].strategy - 1);
+        rb.push(rows[i].benchmark / rows[i - 1].benchmark - 1);
+    }
+    const ms = mean(rs);
+    const mb = mean(rb);
+    let cov = 0, varS = 0, varB = 0;
+    for (let i = 0; i < rs.length; i++) {
+        cov += (rs[i] - ms) * (rb[i] - mb);
+        varS += (rs[i] - ms) ** 2;
+        varB += (rb[i] - mb) ** 2;
+    }
+    const excess = rs.map((r, i) => r - rb[i]);
+    const excessMean = mean(excess);
+    const trackingError = Math.sqrt(mean(excess.map(e => (e - excessMean) ** 2)));
+
+    const beta = varB > 0 ? cov / varB : null;
+    const alpha = beta !== null ? ms - beta * mb : null;
+    const informationRatio = trackingError > 0 ? excessMean / trackingError : null;
+    const step = medianStep(rows.map(r => r.time));
+    const periodsPerYear = step > 0 ? YEAR_MS / step : null;
+
+    const lastRow = rows[rows.length - 1];
+    const times = thin(rows.map(r => r.time), maxPoints);
+    const keep = new Set(times);
+
+    return {
+        returnPercent: (lastRow.benchmark / initialCapital - 1) * 100,
+        maxDrawdownPercent: maxDrawdownPercent(rows.map(r => ({ equity: r.benchmark }))),
+        strategyReturnPercent: (lastRow.strategy / initialCapital - 1) * 100,
+        excessReturnPercent: lastRow.excessPercent,
+        alpha,
+        alphaAnnualized: alpha !== null && periodsPerYear ? alpha * periodsPerYear : null,
+        beta,
+        correlation: varS > 0 && varB > 0 ? cov / Math.sqrt(varS * varB) : null,
+        trackingError,
+        informationRatio,
+        informationRatioAnnualized: informationRatio !== null && periodsPerYear ? informationRatio * Math.sqrt(periodsPerYear) : null,
+        periods: rs.length,
+        curve: rows.filter(r => keep.has(r.time))
+    };
+};
+
+module.exports = {
+    buyAndHoldCurve,
+    compare
+};
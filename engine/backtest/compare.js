@@ -0,0 +1,145 @@
+"use strict";
+
+/**
+ * @file Report Comparison
+ * @description Lines several stored backtest reports up against each other: equity
+ * curves resampled onto one time axis (each curve carries its last value forward and
+ * is null before it starts), drawdown series on the same axis, and `performanceRaw`
+ * metric deltas against the first report (the baseline).
+ */
+
+/**
+ * Evenly spaced subset of `times` (first and last kept) when it exceeds `maxPoints`.
+ */
+const thin = (times, maxPoints) => {
+    if (!(maxPoints > 1) || times.length <= maxPoints) return times;
+    const step = (times.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => times[Math.round(i * step)]);
+};
+
+/**
+ * @param {Object<string, Object[]>} curvesById - { [reportId]: [{ time, equity }] }
+ * @param {number} [maxPoints=2000] - Cap on the aligned axis length.
+ * @returns {{equity: Object[], drawdown: Object[]}} Rows shaped { time, [reportId]: value }.
+ */
+const alignEquityCurves = (curvesById, maxPoints = 2000) => {
+    const ids = Object.keys(curvesById);
+    const curves = ids.map(id => (curvesById[id] || [])
+        .map(p => ({ time: Number(p.time), equity: Number(p.equity) }))
+        .filter(p => Number.isFinite(p.time) && Number.isFinite(p.equity))
+        .sort((a, b) => a.time - b.time));
+
+    const allTimes = Array.from(new Set(curves.flatMap(c => c.map(p => p.time)))).sort((a, b) => a - b);
+    const times = thin(allTimes, maxPoints);
+
+    const cursors = ids.map(() => -1);
+    const peaks = ids.map(() => -Infinity);
+    const equity = [];
+    const drawdown = [];
+
+    for (const time of times) {
+        const eqRow = { time };
+        const ddRow = { time };
+        ids.forEach((id, k) => {
+            const curve = curves[k];
+            // Advance to the last point at or before `time`; the peak covers every
+            // point passed, including those thinned out of the axis
+            while (cursors[k] + 1 < curve.length && curve[cursors[k] + 1].time <= time) {
+                cursors[k]++;
+                peaks[k] = Math.max(peaks[k], curve[cursors[k]].equity);
+            }
+            if (cursors[k] < 0) {
+                eqRow[id] = null;
+                ddRow[id] = null;
+                return;
+            }
+            const value = curve[cursors[k]].equity;
+            eqRow[id] = value;
+            ddRow[id] = peaks[k] > 0 ? ((value - peaks[k]) / peaks[k]) * 100 : 0;
+        });
+        equity.push(eqRow);
+        drawdown.push(ddRow);
+    }
+
+    return { equity, drawdown };
+};
+
+/**
+ * Metric-by-metric table of `performanceRaw` values with deltas against the baseline.
+ * @param {Object[]} reports - [{ id, performanceRaw }], baseline first.
+ * @returns {Object[]} [{ metric, values: { [id]: v }, deltas: { [id]: { absolute, percent } } }]
+ */
+const diffMetrics = (reports) => {
+    const [baseline] = reports;
+    const metrics = [];
+    for (const report of reports) {
+        for (const key of Object.keys(report.performanceRaw || {})) {
+            if (!metrics.includes(key)) metrics.push(key);
+        }
+    }
+
+    return metrics.map((metric) => {
+        const base = Number(baseline.performanceRaw?.[metric]);
+        const values = {};
+        const deltas = {};
+        for (const report of reports) {
+            const value = Number(report.performanceRaw?.[metric]);
+            values[report.id] = Number.isFinite(value) ? value : null;
+            if (report === baseline) continue;
+            const absolute = Number.isFinite(value) && Number.isFinite(base) ? value - base : null;
+            deltas[report.id] = {
+                absolute,
+                percent: absolute !== null && base !== 0 ? (absolute / Math.abs(base)) * 100 : null
+            };
+        }
+        return { metric, values, deltas };
+    });
+};
+
+/**
+ * Parameters that differ between the reports (from `meta.params`).
+ * @returns {Object<string, Object>} { [param]: { [reportId]: value } }
+ */
+const diffParams = (reports) => {
+    const keys = new Set(reports.flatMap(r => Object.keys(r.meta?.params || {})));
+    const diff = {};
+    for (const key of keys) {
+        const values = {};
+        for (const report of reports) values[report.id] = report.meta?.params?.[key] ?? null;
+        if (new Set(Object.values(values).map(v => JSON.stringify(v))).size > 1) diff[key] = values;
+    }
+    return diff;
+};
+
+/**
+ * @param {Object[]} reports - Stored reports with `id` set, baseline first.
+ * @param {Object} [opts] - { maxPoints }
+ */
+const compareReports = (reports, opts = {}) => {
+    const curvesById = {};
+    for (const report of reports) curvesById[report.id] = report.equityCurve || [];
+
+    return {
+        baseline: reports[0].id,
+        reports: reports.map(r => ({
+            id: r.id,
+            strategyId: r.meta?.strategyId,
+            strategyName: r.meta?.strategyName,
+            symbol: r.meta?.symbol,
+            timeframe: r.meta?.timeframe,
+            mode: r.meta?.mode || 'SINGLE',
+            timestamp: r.meta?.timestamp,
+            params: r.meta?.params || null
+        })),
+        curves: alignEquityCurves(curvesById, opts.maxPoints),
+        metrics: diffMetrics(reports),
+        paramDiff: diffParams(reports)
+    };
+};
+
+module.exports = {
+    thin,
+    alignEquityCurves,
+    diffMetrics,
+    compareReports
+};
@@ -0,0 +1,149 @@
+"use strict";
+
+/**
+ * @file Backtest Cost Model
+ * @description Trading frictions applied to simulated trades: per-share commission
+ * with a minimum, slippage in basis points, a fixed or percentage bid/ask spread,
+ * overnight financing on held positions and borrow cost on shorts. Commission and
+ * slippage use the same keys as `PaperBroker.config`, so paper settings carry over.
+ *
+ * Any object exposing `applyToTrades(trades, initialCapital)` can be passed to
+ * BacktestManager as `options.costModel` in place of this class.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_COSTS = {
+    commissionPerShare: 0,
+    commissionMin: 0,
+    slippageBps: 0,
+    spread: { type: 'fixed', value: 0 }, // 'fixed' = price units, 'percent' = % of price
+    financingRatePct: 0,                 // Annual rate charged on long notional per night held
+    borrowRatePct: 0,                    // Annual rate charged on short notional per night held
+    daysPerYear: 365
+};
+
+const COST_KEYS = ['spread', 'slippage', 'commission', 'financing', 'borrow'];
+
+class CostModel {
+    /**
+     * @param {Object} [config] - Overrides of DEFAULT_COSTS (extra PaperBroker keys are ignored).
+     */
+    constructor(config = {}) {
+        const spread = typeof config.spread === 'object' && config.spread !== null
+            ? config.spread
+            : { type: 'fixed', value: config.spread };
+
+        this.config = {
+            commissionPerShare: Math.max(0, Number(config.commissionPerShare) || 0),
+            commissionMin: Math.max(0, Number(config.commissionMin) || 0),
+            slippageBps: Math.max(0, Number(config.slippageBps) || 0),
+            spread: {
+                type: spread.type === 'percent' ? 'percent' : 'fixed',
+                value: Math.max(0, Number(spread.value) || 0)
+            },
+            financingRatePct: Math.max(0, Number(config.financingRatePct) || 0),
+            borrowRatePct: Math.max(0, Number(config.borrowRatePct) || 0),
+            daysPerYear: Number(config.daysPerYear) || DEFAULT_COSTS.daysPerYear
+        };
+    }
+
+    halfSpread(price) {
+        const { type, value } = this.config.spread;
+        return (type === 'percent' ? price * (value / 100) : value) / 2;
+    }
+
+    slippage(price) {
+        return price * (this.config.slippageBps / 10000);
+    }
+
+    /**
+     * Price actually paid ('buy') or received ('sell') around a mid `price`.
+     */
+    fillPrice(price, side) {
+        const adverse = this.halfSpread(price) + this.slippage(price);
+        return side === 'buy' ? price + adverse : price - adverse;
+    }
+
+    commission(quantity) {
+        if (!(quantity > 0) || (this.config.commissionPerShare === 0 && this.config.commissionMin === 0)) return 0;
+        return Math.max(this.config.commissionMin, quantity * this.config.commissionPerShare);
+    }
+
+    /**
+     * Overnight carry for a position held from `entryTime` to `exitTime` (UTC midnights crossed).
+     * @returns {{financing: number, borrow: number}}
+     */
+    carry(direction, notional, entryTime, exitTime) {
+        const nights = Math.max(0, Math.floor(Number(exitTime) / DAY_MS) - Math.floor(Number(entryTime) / DAY_MS));
+        const daily = (ratePct) => notional * (ratePct / 100) / this.config.daysPerYear;
+        return {
+            financing: direction === 'long' ? daily(this.config.financingRatePct) * nights : 0,
+            borrow: direction === 'short' ? daily(this.config.borrowRatePct) * nights : 0
+        };
+    }
+
+    /**
+     * Itemized costs of one round trip at mid prices.
+     */
+    itemize({ direction, quantity, entryPrice, exitPrice, entryTime, exitTime }) {
+        const costs = {
+            spread: (this.halfSpread(entryPrice) + this.halfSpread(exitPrice)) * quantity,
+            slippage: (this.slippage(entryPrice) + this.slippage(exitPrice)) * quantity,
+            commission: this.commission(quantity) * 2,
+            ...this.carry(direction, entryPrice * quantity, entryTime, exitTime)
+        };
+        costs.total = COST_KEYS.reduce((sum, key) => sum + costs[key], 0);
+        return costs;
+    }
+
+    /**
+     * Net grademark trades (quantity-less, compounding) of their costs. Each trade is
+     * sized with the full equity at entry, matching how `analyze` compounds `growth`.
+     * @returns {Object[]} New trade objects carrying `costs`, `grossGrowth` and `quantity`.
+     */
+    applyToTrades(trades, initialCapital) {
+        let equity = initialCapital;
+        return (trades || []).map((trade) => {
+            const long = trade.direction === 'long';
+            const quantity = Number(trade.quantity) > 0 ? Number(trade.quantity) : equity / trade.entryPrice;
+            const costs = this.itemize({ ...trade, quantity });
+
+            const notional = trade.entryPrice * quantity;
+            const grossProfit = (long ? trade.exitPrice - trade.entryPrice : trade.entryPrice - trade.exitPrice) * quantity;
+            const netProfit = grossProfit - costs.total;
+            const growth = 1 + netProfit / notional;
+            equity *= growth;
+
+            return {
+                ...trade,
+                quantity,
+                profit: netProfit / quantity,
+                profitPct: (growth - 1) * 100,
+                grossGrowth: trade.growth,
+                growth,
+                costs
+            };
+        });
+    }
+}
+
+/**
+ * Totals across trades carrying `costs`, or null when none do.
+ */
+const summarizeCosts = (trades) => {
+    const itemized = (trades || []).filter(t => t.costs);
+    if (itemized.length === 0) return null;
+    const totals = { total: 0 };
+    for (const key of COST_KEYS) totals[key] = 0;
+    for (const t of itemized) {
+        for (const key of [...COST_KEYS, 'total']) totals[key] += Number(t.costs[key]) || 0;
+    }
+    return totals;
+};
+
+module.exports = {
+    CostModel,
+    DEFAULT_COSTS,
+    summarizeCosts
+};
@@ -0,0 +1,240 @@
+"use strict";
+
+/**
+ * @file Data Quality
+ * @description Validation pass over raw bar rows, run in place of the silent cleanup
+ * in `normalizeBars`. It reports:
+ * - errors: unreadable rows (no time / no positive close), rows out of time order,
+ *   duplicate timestamps, OHLC inconsistencies (high < low, open / close outside the
+ *   range, negative volume) and isolated price spikes (a close more than `spikeSigma`
+ *   robust deviations away that reverts on the next bar);
+ * - warnings: gaps longer than the bar spacing, runs of zero-volume bars and one-way
+ *   jumps past `spikeSigma` (real moves as often as bad ticks).
+ *
+ * Strictness: 'report' (default) attaches the findings and passes the bars on exactly
+ * as `normalizeBars` would; 'repair' also fixes what can be fixed without inventing
+ * data (duplicates keep the last row, OHLC ranges are widened to cover open / close,
+ * negative volume becomes 0, isolated spikes are dropped; gaps stay gaps); 'strict'
+ * fails on any error; 'off' skips the pass.
+ */
+
+const { COLUMN_ALIASES, pick, parseTime, toBar } = require('@core/backtest/bars');
+
+const STRICTNESS = ['off', 'report', 'repair', 'strict'];
+const MAX_EXAMPLES = 10;
+
+/**
+ * @param {string|Object} [config] - Strictness, or { strictness, spikeSigma, zeroVolumeRun }.
+ * @param {number} [config.spikeSigma=10] - Robust (MAD) deviations of a close-to-close return that count as a spike.
+ * @param {number} [config.zeroVolumeRun=10] - Consecutive zero-volume bars reported as a run.
+ */
+const resolveConfig = (config) => {
+    const cfg = typeof config === 'object' && config !== null ? config : { strictness: config };
+    const strictness = String(cfg.strictness || 'report').toLowerCase();
+    return {
+        strictness: STRICTNESS.includes(strictness) ? strictness : 'report',
+        spikeSigma: Number(cfg.spikeSigma) > 0 ? Number(cfg.spikeSigma) : 10,
+        zeroVolumeRun: Math.max(2, Math.floor(Number(cfg.zeroVolumeRun) || 10))
+    };
+};
+
+const median = (sorted) => (sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0);
+
+const finding = () => ({ count: 0, examples: [] });
+const note = (entry, example) => {
+    entry.count++;
+    if (entry.examples.length < MAX_EXAMPLES) entry.examples.push(example);
+};
+
+/**
+ * Returns of each bar's close vs. the previous close flagged past `spikeSigma`
+ * robust deviations; `isolated` when the next return reverts past the threshold too.
+ */
+const findSpikes = (bars, sigma) => {
+    const returns = [];
+    for (let i = 1; i < bars.length; i++) returns.push(Math.log(bars[i].close / bars[i - 1].close));
+    if (returns.length < 3) return [];
+
+    const center = median(returns.slice().sort((a, b) => a - b));
+    const mad = median(returns.map(r => Math.abs(r - center)).sort((a, b) => a - b));
+    const scale = 1.4826 * mad;
+    if (!(scale > 0)) return [];
+
+    const threshold = sigma * scale;
+    const spikes = [];
+    for (let i = 0; i < returns.length; i++) {
+        const dev = returns[i] - center;
+        if (Math.abs(dev) <= threshold) continue;
+        const next = returns[i + 1];
+        const isolated = next !== undefined && Math.abs(next - center) > threshold && Math.sign(next - center) !== Math.sign(dev);
+        spikes.push({ index: i + 1, time: bars[i + 1].time, returnPercent: (Math.exp(returns[i]) - 1) * 100, sigmas: dev / scale, isolated });
+        if (isolated) i++; // the reverting return belongs to the same spike
+    }
+    return spikes;
+};
+
+/**
+ * @param {Object[]} rawRows - Parsed CSV rows or broker candles.
+ * @param {string|Object} [config] - See resolveConfig.
+ * @returns {{bars: Object[], report: Object|null}} Bars for the run and the quality
+ *   report (null when strictness is 'off').
+ * @throws {Error} In 'strict' mode when any error-level finding is present.
+ */
+const validate = (rawRows, config) => {
+    const cfg = resolveConfig(config);
+    if (cfg.strictness === 'off') {
+        return { bars: rawRows.map(toBar).filter(Boolean).sort((a, b) => a.time - b.time), report: null };
+    }
+    const repair = cfg.strictness === 'repair';
+
+    const issues = {
+        invalidRows: finding(),
+        outOfOrder: finding(),
+        duplicates: finding(),
+        ohlc: finding(),
+        spikes: finding(),
+        gaps: { ...finding(), largestMs: 0 },
+        zeroVolumeRuns: { ...finding(), longest: 0 },
+        jumps: finding()
+    };
+    const repaired = { duplicatesRemoved: 0, ohlcFixed: 0, spikesRemoved: 0 };
+
+    // 1. Parse, keeping the file order to judge ordering
+    const parsed = [];
+    rawRows.forEach((row, index) => {
+        const bar = toBar(row);
+        if (bar) {
+            parsed.push({ bar, index });
+            return;
+        }
+        const reason = isNaN(parseTime(pick(row, COLUMN_ALIASES.time))) ? 'invalid-time' : 'invalid-price';
+        note(issues.invalidRows, { row: index + 1, reason });
+    });
+
+    // Files written newest-first are read in reverse, not flagged row by row
+    let descending = 0;
+    for (let i = 1; i < parsed.length; i++) if (parsed[i].bar.time < parsed[i - 1].bar.time) descending++;
+    const order = parsed.length > 1 && descending > (parsed.length - 1) / 2 ? 'descending' : 'ascending';
+    for (let i = 1; i < parsed.length; i++) {
+        const [prev, cur] = [parsed[i - 1].bar.time, parsed[i].bar.time];
+        if (order === 'ascending' ? cur < prev : cur > prev) note(issues.outOfOrder, { row: parsed[i].index + 1, time: cur });
+    }
+
+    let bars = parsed.map(p => p.bar).sort((a, b) => a.time - b.time);
+
+    // 2. Duplicate timestamps (sorted by time, file order within a timestamp)
+    const deduped = [];
+    for (const bar of bars) {
+        const last = deduped[deduped.length - 1];
+        if (last && last.time === bar.time) {
+            note(issues.duplicates, { time: bar.time });
+            if (repair) {
+                deduped[deduped.length - 1] = bar;
+                repaired.duplicatesRemoved++;
+                continue;
+            }
+        }
+        deduped.push(bar);
+    }
+    bars = deduped;
+
+    // 3. OHLC consistency
+    bars = bars.map((bar) => {
+        const problems = [];
+        if (bar.high < bar.low) problems.push('high<low');
+        if (bar.open > bar.high || bar.open < bar.low) problems.push('open-outside-range');
+        if (bar.close > bar.high || bar.close < bar.low) problems.push('close-outside-range');
+        if (bar.volume < 0) problems.push('negative-volume');
+        if (problems.length === 0) return bar;
+        note(issues.ohlc, { time: bar.time, problems });
+        if (!repair) return bar;
+        repaired.ohlcFixed++;
+        return {
+            ...bar,
+            high: Math.max(bar.open, bar.high, bar.low, bar.close),
+            low: Math.min(bar.open, bar.high, bar.low, bar.close),
+            volume: Math.max(0, bar.volume)
+        };
+    });
+
+    // 4. Spikes and one-way jumps
+    const spikes = findSpikes(bars, cfg.spikeSigma);
+    for (const spike of spikes) {
+        const { index, ...example } = spike;
+        note(spike.isolated ? issues.spikes : issues.jumps, example);
+    }
+    if (repair) {
+        const drop = new Set(spikes.filter(s => s.isolated).map(s => s.index));
+        repaired.spikesRemoved = drop.size;
+        bars = bars.filter((bar, idx) => !drop.has(idx));
+    }
+
+    // 5. Gaps against the typical bar spacing
+    const steps = [];
+    for (let i = 1; i < bars.length; i++) {
+        const step = bars[i].time - bars[i - 1].time;
+        if (step > 0) steps.push(step);
+    }
+    const spacingMs = median(steps.slice().sort((a, b) => a - b)) || null;
+    if (spacingMs) {
+        for (let i = 1; i < bars.length; i++) {
+            const step = bars[i].time - bars[i - 1].time;
+            if (step <= spacingMs) continue;
+            note(issues.gaps, { from: bars[i - 1].time, to: bars[i].time, missingBars: Math.round(step / spacingMs) - 1 });
+            issues.gaps.largestMs = Math.max(issues.gaps.largestMs, step);
+        }
+    }
+
+    // 6. Zero-volume runs (only meaningful when the data carries volume)
+    if (bars.some(bar => bar.volume > 0)) {
+        let start = -1;
+        for (let i = 0; i <= bars.length; i++) {
+            if (i < bars.length && bars[i].volume === 0) {
+                if (start < 0) start = i;
+                continue;
+            }
+            const length = start >= 0 ? i - start : 0;
+            if (length >= cfg.zeroVolumeRun) {
+                note(issues.zeroVolumeRuns, { from: bars[start].time, to: bars[i - 1].time, bars: length });
+                issues.zeroVolumeRuns.longest = Math.max(issues.zeroVolumeRuns.longest, length);
+            }
+            start = -1;
+        }
+    }
+
+    const errors = ['invalidRows', 'outOfOrder', 'duplicates', 'ohlc', 'spikes'].reduce((n, key) => n + issues[key].count, 0);
+    const warnings = ['gaps', 'zeroVolumeRuns', 'jumps'].reduce((n, key) => n + issues[key].count, 0);
+
+    const report = {
+        strictness: cfg.strictness,
+        spikeSigma: cfg.spikeSigma,
+        rows: rawRows.length,
+        bars: bars.length,
+        order,
+        spacingMs,
+        from: bars[0]?.time ?? null,
+        to: bars[bars.length - 1]?.time ?? null,
+        errors,
+        warnings,
+        passed: errors === 0,
+        issues,
+        repaired: repair ? repaired : undefined
+    };
+
+    if (cfg.strictness === 'strict' && errors > 0) {
+        const summary = ['invalidRows', 'outOfOrder', 'duplicates', 'ohlc', 'spikes']
+            .filter(key => issues[key].count > 0)
+            .map(key => `${issues[key].count} ${key}`)
+            .join(', ');
+        const err = new Error(`Data quality check failed: ${summary}`);
+        err.dataQuality = report;
+        throw err;
+    }
+
+    return { bars, report };
+};
+
+module.exports = {
+    resolveConfig,
+    validate
+};
@@ -0,0 +1,226 @@
+"use strict";
+
+/**
+ * @file Event-Driven Simulator
+ * @description Replays bars as ticks through the path paper trading uses:
+ * `strategy.onTick` → `SignalAdapter` → `PaperBroker`. Candles are rebuilt by the
+ * strategy's own tick aggregator, quantities come from `sizePosition` against the
+ * simulated account, and every fill pays the broker's commission and slippage.
+ * Round-trip trades are reconstructed from the broker's fill events.
+ */
+
+const PaperBroker = require('@broker/paper');
+const SignalAdapter = require('@core/signalAdapter');
+const { EVENTS } = require('@events/bus');
+const { summarizeBySymbol } = require('@core/backtest/portfolio');
+
+/**
+ * OHLC → intrabar price path. Bullish bars visit the low first, bearish bars the high.
+ * The bar's volume rides on the closing tick.
+ */
+const barToTicks = (bar, barMs) => {
+    const prices = bar.close >= bar.open
+        ? [bar.open, bar.low, bar.high, bar.close]
+        : [bar.open, bar.high, bar.low, bar.close];
+    const step = Math.max(1, Math.floor(barMs / prices.length));
+    return prices.map((price, idx) => ({
+        symbol: bar.symbol,
+        time: bar.time + idx * step,
+        price,
+        volume: idx === prices.length - 1 ? (bar.volume || 0) : 0
+    }));
+};
+
+/**
+ * Median spacing between consecutive bars of the same symbol.
+ */
+const inferBarMs = (stream) => {
+    const last = new Map();
+    const gaps = [];
+    for (const bar of stream) {
+        const prev = last.get(bar.symbol);
+        if (prev !== undefined && bar.time > prev) gaps.push(bar.time - prev);
+        last.set(bar.symbol, bar.time);
+    }
+    if (gaps.length === 0) return 60000;
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+};
+
+// Broker fill reasons of bracket legs → trade exit reasons (as in exits.js)
+const FILL_EXIT_REASONS = { STOP_LOSS: 'stop-loss', TAKE_PROFIT: 'profit-target' };
+
+/**
+ * Builds round-trip trades from broker fills (scale-ins average the entry,
+ * opposite fills realize pro rata, over-fills reverse the position).
+ */
+const createTradeLedger = (barIndex) => {
+    const open = new Map(); // symbol → trade being built
+    const trades = [];
+    let exitReason = 'exit-rule';
+
+    const realize = (t, quantity, fill) => {
+        const long = t.signedQty > 0;
+        const share = quantity / Math.abs(t.signedQty);
+        const entryCommission = t.commission * share;
+        const exitCommission = fill.commission * (quantity / fill.quantity);
+        const commission = entryCommission + exitCommission;
+        const gross = (long ? fill.price - t.entryPrice : t.entryPrice - fill.price) * quantity;
+        const profit = gross - commission;
+        const notional = t.entryPrice * quantity;
+
+        trades.push({
+            symbol: fill.symbol,
+            direction: long ? 'long' : 'short',
+            quantity,
+            entryTime: t.entryTime,
+            entryPrice: t.entryPrice,
+            exitTime: fill.timestamp,
+            exitPrice: fill.price,
+            profit,
+            profitPct: (profit / notional) * 100,
+            growth: 1 + profit / notional,
+            holdingPeriod: (barIndex.get(fill.symbol) || 0) - t.entryBar,
+            exitReason: FILL_EXIT_REASONS[fill.reason] || exitReason,
+            commission
+        });
+
+        t.commission -= entryCommission;
+        t.signedQty += long ? -quantity : quantity;
+    };
+
+    const onFill = (fill) => {
+        const signed = fill.side === 'BUY' ? fill.quantity : -fill.quantity;
+        const t = open.get(fill.symbol);
+
+        if (!t || Math.sign(t.signedQty) === Math.sign(signed)) {
+            if (!t) {
+                open.set(fill.symbol, {
+                    signedQty: signed,
+                    entryPrice: fill.price,
+                    entryTime: fill.timestamp,
+                    entryBar: barIndex.get(fill.symbol) || 0,
+                    commission: fill.commission
+                });
+                return;
+            }
+            // Scale-in
+            const held = Math.abs(t.signedQty);
+            t.entryPrice = (t.entryPrice * held + fill.price * fill.quantity) / (held + fill.quantity);
+            t.signedQty += signed;
+            t.commission += fill.commission;
+            return;
+        }
+
+        const closing = Math.min(Math.abs(t.signedQty), fill.quantity);
+        realize(t, closing, fill);
+        if (Math.abs(t.signedQty) > 1e-12) return;
+
+        open.delete(fill.symbol);
+        const remainder = fill.quantity - closing;
+        if (remainder > 1e-12) {
+            onFill({ ...fill, quantity: remainder, commission: 0 });
+        }
+    };
+
+    return {
+        trades,
+        onFill,
+        setExitReason: (reason) => { exitReason = reason; }
+    };
+};
+
+/**
+ * @param {BaseStrategy} strategy
+ * @param {Object[]} stream - Time-ordered bars carrying `symbol` (see portfolio.alignSeries).
+ * @param {Object} [opts]
+ * @param {number} [opts.initialCapital=10000]
+ * @param {Object} [opts.brokerConfig] - PaperBroker config overrides (commission, slippage, margin,
+ *   fill probability, latency, volume limit, `seed` of the fill simulation).
+ * @param {function(number, number)} [opts.onProgress] - (barsProcessed, tradesClosed) after every timestamp.
+ * @returns {{trades: Object[], equityCurve: Object[], bySymbol: Object, finalEquity: number, execution: Object}}
+ */
+const simulate = (strategy, stream, opts = {}) => {
+    const initialCapital = Number(opts.initialCapital) || 10000;
+    let now = stream.length ? stream[0].time : 0;
+
+    const broker = new PaperBroker(initialCapital, { silent: true, persist: false, clock: () => now, seed: opts.brokerConfig?.seed });
+    broker.config = { ...broker.config, ...(opts.brokerConfig || {}) };
+    const adapter = new SignalAdapter({ mode: 'BACKTEST', broker });
+    adapter.attach(strategy); // bracket exits flatten the strategy's own position too
+
+    const barIndex = new Map();
+    const ledger = createTradeLedger(barIndex);
+    let fills = 0;
+    let commissions = 0;
+    broker.on(EVENTS.ORDER.FILLED, (fill) => {
+        fills++;
+        commissions += fill.commission;
+        ledger.onFill(fill);
+    });
+
+    const barMs = inferBarMs(stream);
+    const equityCurve = [];
+    let signals = 0;
+    let rejectedOrders = 0;
+
+    const previousContext = strategy.executionContext;
+    strategy.executionContext = { adapter, broker };
+
+    try {
+        let i = 0;
+        while (i < stream.length) {
+            const time = stream[i].time;
+
+            for (; i < stream.length && stream[i].time === time; i++) {
+                const bar = stream[i];
+                barIndex.set(bar.symbol, (barIndex.get(bar.symbol) || 0) + 1);
+
+                for (const [idx, tick] of barToTicks(bar, barMs).entries()) {
+                    now = tick.time;
+                    // Same order as the live engine: broker marks first, then the strategy.
+                    // The opening tick hands the bar's volume to the broker's fill limit.
+                    broker.updatePrice(tick.symbol, tick.price, idx === 0 ? bar.volume : undefined);
+                    const signal = strategy.onTick(tick);
+                    if (!signal) continue;
+
+                    signals++;
+                    const result = adapter.handleSync(signal);
+                    if (result === false || result?.status === 'REJECTED') rejectedOrders++;
+                }
+            }
+
+            equityCurve.push({ time, equity: broker.getEquity() });
+            opts.onProgress?.(i, ledger.trades.length);
+        }
+
+        ledger.setExitReason('finalize');
+        broker.liquidate();
+        // The last point then pays the closing commissions as well, so it ends on finalEquity
+        if (equityCurve.length) equityCurve[equityCurve.length - 1].equity = broker.getEquity();
+    } finally {
+        strategy.executionContext = previousContext;
+    }
+
+    return {
+        trades: ledger.trades,
+        equityCurve,
+        bySymbol: summarizeBySymbol(ledger.trades, barIndex, initialCapital),
+        finalEquity: broker.getEquity(),
+        execution: {
+            barMs,
+            ticksPerBar: 4,
+            signals,
+            fills,
+            rejectedOrders,
+            commissions,
+            seed: broker.rng.seed,
+            config: { ...broker.config }
+        }
+    };
+};
+
+module.exports = {
+    barToTicks,
+    simulate
+};
@@ -0,0 +1,219 @@
+"use strict";
+
+/**
+ * @file Exit Rules
+ * @description Protective exits shared by the grademark and portfolio simulators:
+ * fixed stop / target (percent of entry, or absolute `stopLoss` / `takeProfit`
+ * prices carried by the entry signal), a trailing stop (percent or ATR multiple),
+ * a break-even move once a profit threshold is reached, and a time stop.
+ *
+ * Levels only move on bar close and take effect from the next bar, so no exit is
+ * decided with information from the bar it fires on. Every protective exit is
+ * tagged with an `exitReason`: 'stop-loss', 'trailing-stop', 'break-even',
+ * 'profit-target' or 'time-stop'.
+ */
+
+const DEFAULT_ATR_PERIOD = 14;
+
+/**
+ * Normalize exit options from a run request.
+ * @param {Object} options
+ * @param {number} [options.stopLossPercent]
+ * @param {number} [options.takeProfitPercent]
+ * @param {number|Object} [options.trailingStop] - Percent, or { type: 'percent'|'atr', value, atrPeriod }.
+ * @param {number|Object} [options.breakEven] - Trigger percent, or { triggerPercent, offsetPercent }.
+ * @param {number} [options.timeStopBars] - Close once a position has been open this many bars.
+ * @param {boolean} [options.signalStops=true] - Honour `stopLoss` / `takeProfit` on entry signals.
+ */
+const resolveExitRules = (options = {}) => {
+    const trailing = typeof options.trailingStop === 'object' && options.trailingStop !== null
+        ? options.trailingStop
+        : { type: 'percent', value: options.trailingStop };
+    const breakEven = typeof options.breakEven === 'object' && options.breakEven !== null
+        ? options.breakEven
+        : { triggerPercent: options.breakEven };
+
+    const trailingValue = Number(trailing.value) || 0;
+    const triggerPercent = Number(breakEven.triggerPercent) || 0;
+
+    return {
+        stopLossPercent: Math.max(0, Number(options.stopLossPercent) || 0),
+        takeProfitPercent: Math.max(0, Number(options.takeProfitPercent) || 0),
+        trailingStop: trailingValue > 0
+            ? {
+                type: String(trailing.type).toLowerCase() === 'atr' ? 'atr' : 'percent',
+                value: trailingValue,
+                atrPeriod: Math.max(1, Math.floor(Number(trailing.atrPeriod) || DEFAULT_ATR_PERIOD))
+            }
+            : null,
+        breakEven: triggerPercent > 0
+            ? { triggerPercent, offsetPercent: Number(breakEven.offsetPercent) || 0 }
+            : null,
+        timeStopBars: Math.max(0, Math.floor(Number(options.timeStopBars) || 0)),
+        signalStops: options.signalStops !== false && options.signalStops !== 'false'
+    };
+};
+
+/**
+ * Wilder ATR per symbol, looked up by time. Returns null unless an ATR trailing stop is configured.
+ * @param {Object} rules - resolveExitRules(...)
+ * @param {Object[]} bars - Time-ordered bars (with `symbol` for multi-symbol streams).
+ * @returns {{at: function(string, number): number|undefined, before: function(string, number): number|undefined}|null}
+ */
+const createAtrLookup = (rules, bars) => {
+    if (rules.trailingStop?.type !== 'atr') return null;
+    const period = rules.trailingStop.atrPeriod;
+    const bySymbol = new Map(); // symbol → { times, values, prevClose, atr, sum, count }
+
+    for (const bar of bars) {
+        const key = bar.symbol || '*';
+        if (!bySymbol.has(key)) bySymbol.set(key, { times: [], values: [], prevClose: null, atr: null, sum: 0, count: 0 });
+        const s = bySymbol.get(key);
+
+        const tr = s.prevClose === null
+            ? bar.high - bar.low
+            : Math.max(bar.high - bar.low, Math.abs(bar.high - s.prevClose), Math.abs(bar.low - s.prevClose));
+        s.prevClose = bar.close;
+        s.count++;
+
+        if (s.count < period) {
+            s.sum += tr;
+        } else if (s.count === period) {
+            s.atr = (s.sum + tr) / period;
+        } else {
+            s.atr = (s.atr * (period - 1) + tr) / period;
+        }
+        if (s.atr !== null) {
+            s.times.push(bar.time);
+            s.values.push(s.atr);
+        }
+    }
+
+    // Index of the last entry with time <= t (inclusive) or < t
+    const lastIndex = (times, t, inclusive) => {
+        let lo = 0, hi = times.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (inclusive ? times[mid] <= t : times[mid] < t) lo = mid + 1; else hi = mid;
+        }
+        return lo - 1;
+    };
+    const lookup = (symbol, time, inclusive) => {
+        const s = bySymbol.get(symbol || '*') || bySymbol.get('*');
+        if (!s) return undefined;
+        const idx = lastIndex(s.times, time, inclusive);
+        return idx >= 0 ? s.values[idx] : undefined;
+    };
+
+    return {
+        at: (symbol, time) => lookup(symbol, time, true),
+        before: (symbol, time) => lookup(symbol, time, false)
+    };
+};
+
+const trailingDistance = (rules, price, atr) => {
+    const trailing = rules.trailingStop;
+    if (!trailing) return undefined;
+    if (trailing.type === 'percent') return price * (trailing.value / 100);
+    return Number.isFinite(atr) && atr > 0 ? atr * trailing.value : undefined;
+};
+
+const isFavorable = (long, candidate, current) =>
+    current === undefined || (long ? candidate > current : candidate < current);
+
+/**
+ * Initial exit levels of a position just filled at `entryPrice`.
+ * Signal levels on the wrong side of the fill are ignored.
+ * @param {Object} rules
+ * @param {Object} position - { direction, entryPrice, stopLoss, takeProfit, atr }
+ *   `atr` is the ATR known at entry (last closed bar).
+ * @returns {Object} Exit state: { direction, entryPrice, stopPrice, profitTarget, stopKind,
+ *   initialStopPrice, bestPrice, breakEvenDone }
+ */
+const openLevels = (rules, { direction, entryPrice, stopLoss, takeProfit, atr }) => {
+    const long = direction === 'long';
+    const sign = long ? 1 : -1;
+    const state = {
+        direction,
+        entryPrice,
+        stopPrice: undefined,
+        profitTarget: undefined,
+        stopKind: 'stop-loss',
+        bestPrice: entryPrice,
+        breakEvenDone: false,
+        initialStopPrice: undefined
+    };
+
+    const signalStop = Number(stopLoss);
+    const signalTarget = Number(takeProfit);
+    if (rules.signalStops && Number.isFinite(signalStop) && signalStop > 0 && (long ? signalStop < entryPrice : signalStop > entryPrice)) {
+        state.stopPrice = signalStop;
+    } else if (rules.stopLossPercent > 0) {
+        state.stopPrice = entryPrice * (1 - sign * rules.stopLossPercent / 100);
+    }
+
+    if (rules.signalStops && Number.isFinite(signalTarget) && signalTarget > 0 && (long ? signalTarget > entryPrice : signalTarget < entryPrice)) {
+        state.profitTarget = signalTarget;
+    } else if (rules.takeProfitPercent > 0) {
+        state.profitTarget = entryPrice * (1 + sign * rules.takeProfitPercent / 100);
+    }
+
+    // A trailing stop starts one trailing distance away from the fill
+    const distance = trailingDistance(rules, entryPrice, atr);
+    if (distance !== undefined) {
+        const trailStop = entryPrice - sign * distance;
+        if (isFavorable(long, trailStop, state.stopPrice)) {
+            state.stopPrice = trailStop;
+            state.stopKind = 'trailing-stop';
+        }
+    }
+
+    state.initialStopPrice = state.stopPrice;
+    return state;
+};
+
+/**
+ * Bar-close update of an open position: ratchets the trailing stop, applies the
+ * break-even move and checks the time stop. Mutates `state`.
+ * @param {Object} rules
+ * @param {Object} state - openLevels(...) result.
+ * @param {Object} bar - The bar that just closed.
+ * @param {Object} ctx - { barsHeld (bars closed since the fill), atr (ATR at this bar) }
+ * @returns {string|null} 'time-stop' when the position should close at the next open.
+ */
+const updateOnClose = (rules, state, bar, { barsHeld, atr } = {}) => {
+    const long = state.direction === 'long';
+    const sign = long ? 1 : -1;
+    state.bestPrice = long ? Math.max(state.bestPrice, bar.high) : Math.min(state.bestPrice, bar.low);
+
+    const distance = trailingDistance(rules, state.bestPrice, atr);
+    if (distance !== undefined) {
+        const trailStop = state.bestPrice - sign * distance;
+        if (isFavorable(long, trailStop, state.stopPrice)) {
+            state.stopPrice = trailStop;
+            state.stopKind = 'trailing-stop';
+        }
+    }
+
+    if (rules.breakEven && !state.breakEvenDone) {
+        const favorablePct = sign * ((state.bestPrice - state.entryPrice) / state.entryPrice) * 100;
+        if (favorablePct >= rules.breakEven.triggerPercent) {
+            state.breakEvenDone = true;
+            const breakEvenStop = state.entryPrice * (1 + sign * rules.breakEven.offsetPercent / 100);
+            if (isFavorable(long, breakEvenStop, state.stopPrice)) {
+                state.stopPrice = breakEvenStop;
+                state.stopKind = 'break-even';
+            }
+        }
+    }
+
+    if (rules.timeStopBars > 0 && barsHeld >= rules.timeStopBars) return 'time-stop';
+    return null;
+};
+
+module.exports = {
+    resolveExitRules,
+    createAtrLookup,
+    openLevels,
+    updateOnClose
+};
@@ -0,0 +1,171 @@
+"use strict";
+
+/**
+ * @file Intrabar Fills
+ * @description Settles which protective level filled first when a signal bar
+ * reaches both the stop and the target. Bar simulators cannot tell the order from
+ * OHLC alone and assume the stop; a finer-grained series of the same instrument
+ * (e.g. 1m bars under a 1h strategy, or ticks) is replayed inside the bar instead.
+ *
+ * Ticks are handled as bars whose open, high, low and close are the tick price.
+ * A bar is only settled when the first fine bar reaching a level does not also
+ * reach the other one; otherwise the simulator's stop-first assumption stands.
+ * Entry bars are not replayed; LIMITATION (also in the report) says why.
+ */
+
+const LIMITATION = 'Only exit bars reaching both the stop and the target are replayed. '
+    + 'Entry bars are not: an entry fills at the bar open and its stop / target are first '
+    + 'checked on the next bar, so a level touched inside the entry bar is not seen.';
+
+const STOP_KINDS = new Set(['stop-loss', 'trailing-stop', 'break-even']);
+
+const touches = (long, bar, level, kind) => {
+    if (level === undefined) return false;
+    if (kind === 'stop') return long ? bar.low <= level : bar.high >= level;
+    return long ? bar.high >= level : bar.low <= level;
+};
+
+/**
+ * Close time of every bar: the open of the next bar of the same symbol (the last
+ * bar reuses the previous spacing).
+ * @param {Object[]} bars - Time-ordered bars (with `symbol` for multi-symbol streams).
+ * @returns {Map<string, Map<number, number>>} symbol → (bar time → window end)
+ */
+const barWindows = (bars) => {
+    const times = new Map();
+    for (const bar of bars) {
+        const key = bar.symbol || '*';
+        if (!times.has(key)) times.set(key, []);
+        times.get(key).push(bar.time);
+    }
+
+    const windows = new Map();
+    for (const [key, list] of times) {
+        const ends = new Map();
+        list.forEach((time, idx) => {
+            const next = list[idx + 1];
+            const spacing = idx > 0 ? time - list[idx - 1] : 0;
+            ends.set(time, next !== undefined ? next : time + spacing);
+        });
+        windows.set(key, ends);
+    }
+    return windows;
+};
+
+/**
+ * @param {Object<string, Object[]>} fineBySymbol - { [symbol]: time-sorted fine bars or ticks };
+ *   the '*' key serves single-symbol runs.
+ * @param {Object[]} coarseBars - The bars the strategy runs on (defines each bar's window).
+ */
+const createResolver = (fineBySymbol, coarseBars) => {
+    const windows = barWindows(coarseBars);
+    const series = (symbol) => fineBySymbol[symbol] || fineBySymbol['*'] || [];
+    const stats = { ambiguous: 0, settled: 0, targetFirst: 0, unresolved: 0 };
+
+    const firstIndexAtOrAfter = (list, time) => {
+        let lo = 0, hi = list.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (list[mid].time < time) lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    };
+
+    /**
+     * Replay the fine data inside one coarse bar.
+     * @param {string} symbol
+     * @param {Object} bar - The coarse bar.
+     * @param {Object} levels - { direction, stopPrice, profitTarget }
+     * @returns {{first: 'stop'|'target', fineBar: Object}|null} null when the fine data
+     *   does not cover the bar or one fine bar reaches both levels.
+     */
+    const firstTouch = (symbol, bar, { direction, stopPrice, profitTarget }) => {
+        const list = series(symbol);
+        const end = windows.get(symbol || '*')?.get(bar.time) ?? windows.get('*')?.get(bar.time);
+        if (!list.length || end === undefined) return null;
+
+        const long = direction === 'long';
+        for (let i = firstIndexAtOrAfter(list, bar.time); i < list.length && list[i].time < end; i++) {
+            const fineBar = list[i];
+            const stopHit = touches(long, fineBar, stopPrice, 'stop');
+            const targetHit = touches(long, fineBar, profitTarget, 'target');
+            if (stopHit && targetHit) return null;
+            if (stopHit) return { first: 'stop', fineBar };
+            if (targetHit) return { first: 'target', fineBar };
+        }
+        return null;
+    };
+
+    /**
+     * Bar-simulator check: the coarse bar reached both levels, which one counts.
+     * Tallies the outcome in `summary()`.
+     * @returns {{first: 'stop'|'target', fineBar: Object}|null}
+     */
+    const settle = (symbol, bar, levels) => {
+        stats.ambiguous++;
+        const result = firstTouch(symbol, bar, levels);
+        if (!result) {
+            stats.unresolved++;
+            return null;
+        }
+        stats.settled++;
+        if (result.first === 'target') stats.targetFirst++;
+        return result;
+    };
+
+    return {
+        firstTouch,
+        settle,
+        summary: () => ({ ...stats, fineBars: Object.values(fineBySymbol).reduce((n, list) => n + list.length, 0) })
+    };
+};
+
+/**
+ * Post-pass over grademark trades: a stop exit on a bar that also reached the
+ * profit target is replayed against the fine data and switched to the target
+ * when that was touched first. Settled trades carry `intrabar: true`.
+ * @param {Object[]} trades - Trades with `stopPrice` / `profitTarget` resolved.
+ * @param {Object[]} bars - The coarse bars the trades were simulated on.
+ * @param {Object} resolver - createResolver(...)
+ * @param {string} symbol
+ */
+const settleTrades = (trades, bars, resolver, symbol) => {
+    const byTime = new Map(bars.map(bar => [bar.time, bar]));
+
+    return trades.map((trade) => {
+        if (!STOP_KINDS.has(trade.exitReason) || trade.profitTarget === undefined) return trade;
+        const bar = byTime.get(trade.exitTime);
+        const long = trade.direction === 'long';
+        if (!bar || !touches(long, bar, trade.profitTarget, 'target')) return trade;
+
+        // grademark exits a stop at the stop level, which is the exit price here
+        const result = resolver.settle(symbol, bar, {
+            direction: trade.direction,
+            stopPrice: trade.exitPrice,
+            profitTarget: trade.profitTarget
+        });
+        if (!result) return trade;
+        if (result.first === 'stop') return { ...trade, intrabar: true };
+
+        const exitPrice = trade.profitTarget;
+        const profit = long ? exitPrice - trade.entryPrice : trade.entryPrice - exitPrice;
+        const unitRisk = Number.isFinite(trade.riskPct) ? (trade.riskPct / 100) * trade.entryPrice : undefined;
+        return {
+            ...trade,
+            exitPrice,
+            exitReason: 'profit-target',
+            profit,
+            profitPct: (profit / trade.entryPrice) * 100,
+            growth: long ? exitPrice / trade.entryPrice : trade.entryPrice / exitPrice,
+            rmultiple: unitRisk ? profit / unitRisk : trade.rmultiple,
+            intrabar: true
+        };
+    });
+};
+
+module.exports = {
+    LIMITATION,
+    barWindows,
+    createResolver,
+    settleTrades
+};
@@ -0,0 +1,114 @@
+"use strict";
+
+/**
+ * @file Monte Carlo Robustness
+ * @description Re-orders (shuffle) and re-samples with replacement (bootstrap) a
+ * backtest trade list to show how much of the equity curve was down to trade
+ * sequencing luck. Trades compound through their `growth` factor, matching
+ * grademark's `analyze` / `computeEquityCurve`, so every shuffle ends on the same
+ * equity: only the bootstrap reports final equity bands.
+ */
+
+const SeededRandom = require('@utils/random');
+
+const DEFAULTS = {
+    iterations: 1000,
+    ruinThresholdPct: 50 // Equity falling 50% below starting capital counts as ruin
+};
+const MAX_ITERATIONS = 20000;
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+/**
+ * Walk one trade sequence and return its final equity, max drawdown % and ruin flag.
+ */
+const simulatePath = (growths, initialCapital, ruinLevel) => {
+    let equity = initialCapital;
+    let peak = initialCapital;
+    let maxDrawdownPct = 0;
+    let ruined = false;
+
+    for (const g of growths) {
+        equity *= g;
+        if (equity > peak) peak = equity;
+        const dd = ((equity - peak) / peak) * 100;
+        if (dd < maxDrawdownPct) maxDrawdownPct = dd;
+        if (equity <= ruinLevel) ruined = true;
+    }
+    return { finalEquity: equity, maxDrawdownPct, ruined };
+};
+
+const percentile = (sorted, p) => {
+    if (sorted.length === 0) return 0;
+    const idx = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+};
+
+const bands = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const out = {};
+    for (const p of PERCENTILES) out[`p${p}`] = percentile(sorted, p);
+    out.mean = values.reduce((a, b) => a + b, 0) / (values.length || 1);
+    return out;
+};
+
+const summarizeRisk = (paths) => ({
+    maxDrawdownPercent: bands(paths.map(p => p.maxDrawdownPct)),
+    riskOfRuin: paths.filter(p => p.ruined).length / (paths.length || 1)
+});
+
+const summarize = (paths) => ({
+    finalEquity: bands(paths.map(p => p.finalEquity)),
+    ...summarizeRisk(paths)
+});
+
+// Fisher–Yates on a copy
+const shuffle = (arr, rng) => {
+    const out = [...arr];
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = rng.int(0, i);
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+};
+
+const bootstrap = (arr, rng) => arr.map(() => arr[rng.int(0, arr.length - 1)]);
+
+/**
+ * Monte Carlo robustness section for a backtest report.
+ * @param {Object[]} trades - Grademark trades (must carry `growth`).
+ * @param {number} initialCapital
+ * @param {Object} [opts] - { iterations, seed, ruinThresholdPct }
+ * @returns {Object|null} `robustness` report block, or null when there is nothing to resample.
+ */
+const analyze = (trades, initialCapital, opts = {}) => {
+    const growths = (trades || []).map(t => Number(t.growth)).filter(g => Number.isFinite(g) && g > 0);
+    if (growths.length === 0) return null;
+
+    const iterations = Math.min(MAX_ITERATIONS, Math.max(1, Math.floor(Number(opts.iterations) || DEFAULTS.iterations)));
+    const ruinThresholdPct = Number(opts.ruinThresholdPct) || DEFAULTS.ruinThresholdPct;
+    const ruinLevel = initialCapital * (1 - ruinThresholdPct / 100);
+    const rng = new SeededRandom(opts.seed);
+
+    const shuffled = [];
+    const resampled = [];
+    for (let i = 0; i < iterations; i++) {
+        shuffled.push(simulatePath(shuffle(growths, rng), initialCapital, ruinLevel));
+        resampled.push(simulatePath(bootstrap(growths, rng), initialCapital, ruinLevel));
+    }
+
+    return {
+        iterations,
+        seed: rng.seed,
+        trades: growths.length,
+        ruinThresholdPct,
+        shuffle: summarizeRisk(shuffled),
+        bootstrap: summarize(resampled)
+    };
+};
+
+module.exports = {
+    DEFAULTS,
+    analyze
+};
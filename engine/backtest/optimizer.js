@@ -0,0 +1,178 @@
+"use strict";
+
+/**
+ * @file Parameter Optimizer
+ * @description Builds candidate parameter sets from a strategy `schema` and ranks
+ * evaluated candidates by a performance objective. Pure helpers only; the
+ * BacktestManager owns the actual simulation of each candidate.
+ */
+
+const SeededRandom = require('@utils/random');
+
+const NUMERIC_TYPES = ['integer', 'number', 'float'];
+
+/**
+ * Objectives map onto `performanceRaw` keys of a backtest report.
+ * `maxDrawdown` is stored as a negative percentage, so "closer to zero" is better.
+ */
+const OBJECTIVES = {
+    sharpe: { key: 'sharpeRatio', direction: 'max' },
+    roi: { key: 'roiPercent', direction: 'max' },
+    profit: { key: 'netProfit', direction: 'max' },
+    maxDrawdown: { key: 'maxDrawdownPercent', direction: 'max' },
+    winRate: { key: 'winRate', direction: 'max' }
+};
+
+const resolveObjective = (name = 'sharpe') => {
+    const objective = OBJECTIVES[name];
+    if (!objective) {
+        throw new Error(`Unknown objective '${name}'. Use one of: ${Object.keys(OBJECTIVES).join(', ')}`);
+    }
+    return { name, ...objective };
+};
+
+/**
+ * Numeric schema entries with a usable min/max, optionally narrowed by `ranges`.
+ * @param {Object} schema - Strategy schema ({ key: { type, min, max, default } }).
+ * @param {Object} [ranges] - Per-key overrides ({ key: { min, max, step } }).
+ * @returns {Array<{key: string, min: number, max: number, step: number|null, integer: boolean}>}
+ */
+const resolveDimensions = (schema = {}, ranges = {}) => {
+    const dims = [];
+    for (const [key, spec] of Object.entries(schema || {})) {
+        const type = String(spec?.type || '').toLowerCase();
+        if (!NUMERIC_TYPES.includes(type)) continue;
+
+        const override = ranges?.[key] || {};
+        const min = Number(override.min ?? spec.min);
+        const max = Number(override.max ?? spec.max);
+        if (!Number.isFinite(min) || !Number.isFinite(max) || max < min) continue;
+
+        const step = Number(override.step);
+        dims.push({
+            key,
+            min: Math.max(min, Number.isFinite(spec.min) ? spec.min : min),
+            max: Math.min(max, Number.isFinite(spec.max) ? spec.max : max),
+            step: Number.isFinite(step) && step > 0 ? step : null,
+            integer: type === 'integer'
+        });
+    }
+
+    // Restrict to explicitly requested keys when ranges are given
+    const requested = Object.keys(ranges || {});
+    return requested.length > 0 ? dims.filter(d => requested.includes(d.key)) : dims;
+};
+
+const axisValues = (dim, steps) => {
+    const values = [];
+    if (dim.step) {
+        for (let v = dim.min; v <= dim.max + 1e-9; v += dim.step) values.push(v);
+    } else {
+        const count = Math.max(1, Math.floor(steps));
+        const span = dim.max - dim.min;
+        for (let i = 0; i < count; i++) {
+            values.push(count === 1 ? dim.min : dim.min + (span * i) / (count - 1));
+        }
+    }
+    const cast = values.map(v => dim.integer ? Math.round(v) : Number(v.toFixed(8)));
+    return Array.from(new Set(cast));
+};
+
+/**
+ * Cartesian grid over the schema ranges.
+ * @param {Object} schema
+ * @param {Object} [opts]
+ * @param {Object} [opts.ranges] - Per-key { min, max, step } overrides.
+ * @param {number} [opts.steps=5] - Points per axis when no explicit step is given.
+ * @param {number} [opts.maxCombinations=500] - Hard cap to protect the event loop.
+ * @returns {Object[]} Parameter sets.
+ */
+const buildGrid = (schema, { ranges = {}, steps = 5, maxCombinations = 500 } = {}) => {
+    const dims = resolveDimensions(schema, ranges);
+    if (dims.length === 0) return [{}];
+
+    let combos = [{}];
+    for (const dim of dims) {
+        const next = [];
+        for (const combo of combos) {
+            for (const value of axisValues(dim, steps)) {
+                next.push({ ...combo, [dim.key]: value });
+            }
+        }
+        combos = next;
+        if (combos.length > maxCombinations) {
+            throw new Error(`Parameter grid too large (${combos.length} > ${maxCombinations}). Narrow 'ranges' or lower 'steps'.`);
+        }
+    }
+    return combos;
+};
+
+/**
+ * Uniform random samples inside the schema ranges.
+ * @param {Object} schema
+ * @param {Object} [opts]
+ * @param {Object} [opts.ranges] - Per-key { min, max } overrides.
+ * @param {number} [opts.samples=50] - Number of parameter sets to draw.
+ * @param {number|string} [opts.seed] - Seed for reproducible draws.
+ * @returns {Object[]} Unique parameter sets.
+ */
+const sampleRandom = (schema, { ranges = {}, samples = 50, seed } = {}) => {
+    const dims = resolveDimensions(schema, ranges);
+    if (dims.length === 0) return [{}];
+
+    const rng = new SeededRandom(seed);
+    const target = Math.max(1, Math.floor(samples));
+    const seen = new Map();
+
+    // Bounded attempts: small integer spaces may hold fewer unique points than requested
+    for (let attempt = 0; attempt < target * 10 && seen.size < target; attempt++) {
+        const combo = {};
+        for (const dim of dims) {
+            combo[dim.key] = dim.integer
+                ? rng.int(Math.ceil(dim.min), Math.floor(dim.max))
+                : Number(rng.real(dim.min, dim.max).toFixed(8));
+        }
+        const key = JSON.stringify(combo);
+        if (!seen.has(key)) seen.set(key, combo);
+    }
+    return Array.from(seen.values());
+};
+
+/**
+ * Candidate parameter sets for the requested search method.
+ * @param {Object} schema
+ * @param {Object} [opts] - { method: 'grid'|'random', ranges, steps, samples, seed, maxCombinations }
+ */
+const buildCandidates = (schema, opts = {}) => {
+    const method = String(opts.method || 'grid').toLowerCase();
+    if (method === 'grid') return buildGrid(schema, opts);
+    if (method === 'random') return sampleRandom(schema, opts);
+    throw new Error(`Unknown search method '${opts.method}'. Use 'grid' or 'random'`);
+};
+
+/**
+ * Sort evaluated candidates best-first.
+ * @param {Array<{params: Object, performance: Object}>} results
+ * @param {string} objectiveName
+ */
+const rank = (results, objectiveName) => {
+    const { key, direction } = resolveObjective(objectiveName);
+    const worst = direction === 'max' ? -Infinity : Infinity;
+    const valueOf = (r) => {
+        const v = Number(r.performance?.[key]);
+        return Number.isFinite(v) ? v : worst;
+    };
+    return [...results]
+        .map(r => ({ ...r, score: valueOf(r) }))
+        .sort((a, b) => direction === 'max' ? b.score - a.score : a.score - b.score);
+};
+
+module.exports = {
+    OBJECTIVES,
+    resolveObjective,
+    resolveDimensions,
+    buildGrid,
+    sampleRandom,
+    buildCandidates,
+    rank
+};
@@ -0,0 +1,191 @@
+"use strict";
+
+/**
+ * @file Overfitting Diagnostics
+ * @description Judges an optimizer's winner against the number of parameter sets
+ * that were tried:
+ * - Degradation ratios: out-of-sample over in-sample value of each metric.
+ * - Deflated Sharpe ratio (Bailey & López de Prado, 2014): probability that the
+ *   winner's Sharpe beats the best Sharpe expected from `trials` unskilled tries,
+ *   corrected for the skew and kurtosis of its returns.
+ * - Probability of backtest overfitting (CSCV): the in-sample period is cut into
+ *   blocks; for every half/half split, the best candidate on one half is ranked on
+ *   the other. PBO is the share of splits where it lands below the median.
+ *
+ * Sharpe ratios are per trade and not annualized, matching `sharpeRatio` in reports.
+ */
+
+const EULER_GAMMA = 0.5772156649015329;
+
+// CSCV walks every half/half split: C(16, 8) = 12870; each further pair of blocks ~4x that
+const MAX_PBO_BLOCKS = 16;
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7).
+ */
+const normCdf = (x) => {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation).
+ */
+const normInv = (p) => {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) return -normInv(1 - p);
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Out-of-sample / in-sample ratio per metric (1 = no degradation). Returns are
+ * compared per bar so periods of different length line up. For drawdown a ratio
+ * above 1 means a deeper out-of-sample drawdown.
+ * @param {Object} inSample - performanceRaw of the in-sample run.
+ * @param {Object} outOfSample - performanceRaw of the holdout run.
+ * @param {Object} bars - { inSample, outOfSample } bar counts.
+ */
+const degradation = (inSample, outOfSample, bars) => {
+    const ratio = (oos, is) => (Number.isFinite(oos) && Number.isFinite(is) && is !== 0 ? oos / is : null);
+    return {
+        roiPerBar: ratio(outOfSample.roiPercent / bars.outOfSample, inSample.roiPercent / bars.inSample),
+        sharpeRatio: ratio(outOfSample.sharpeRatio, inSample.sharpeRatio),
+        winRate: ratio(outOfSample.winRate, inSample.winRate),
+        maxDrawdownPercent: ratio(outOfSample.maxDrawdownPercent, inSample.maxDrawdownPercent)
+    };
+};
+
+/**
+ * @param {number[]} returns - Per-trade returns of the selected candidate.
+ * @param {number[]} trialSharpes - Sharpe ratio of every candidate tried.
+ * @returns {Object|null} { sharpe, expectedMaxSharpe, trials, observations, skewness, kurtosis, probability }
+ */
+const deflatedSharpe = (returns, trialSharpes) => {
+    const n = returns.length;
+    const sharpes = trialSharpes.filter(Number.isFinite);
+    if (n < 3 || sharpes.length === 0) return null;
+
+    const mu = mean(returns);
+    const std = Math.sqrt(mean(returns.map(r => (r - mu) ** 2)));
+    if (!(std > 1e-12)) return null; // constant returns (rounding leaves a tiny std)
+    const sharpe = mu / std;
+    const skewness = mean(returns.map(r => ((r - mu) / std) ** 3));
+    const kurtosis = mean(returns.map(r => ((r - mu) / std) ** 4));
+
+    // Best Sharpe expected from `trials` draws with zero true skill
+    const trials = sharpes.length;
+    const sharpeMean = mean(sharpes);
+    const sharpeVar = trials > 1 ? sharpes.reduce((a, s) => a + (s - sharpeMean) ** 2, 0) / (trials - 1) : 0;
+    const expectedMaxSharpe = trials > 1
+        ? Math.sqrt(sharpeVar) * ((1 - EULER_GAMMA) * normInv(1 - 1 / trials) + EULER_GAMMA * normInv(1 - 1 / (trials * Math.E)))
+        : 0;
+
+    const denominator = 1 - skewness * sharpe + ((kurtosis - 1) / 4) * sharpe ** 2;
+    const probability = denominator > 0
+        ? normCdf(((sharpe - expectedMaxSharpe) * Math.sqrt(n - 1)) / Math.sqrt(denominator))
+        : null;
+
+    return { sharpe, expectedMaxSharpe, trials, observations: n, skewness, kurtosis, probability };
+};
+
+const combinations = (size, pick) => {
+    const out = [];
+    const walk = (start, chosen) => {
+        if (chosen.length === pick) {
+            out.push(chosen.slice());
+            return;
+        }
+        for (let i = start; i < size; i++) {
+            chosen.push(i);
+            walk(i + 1, chosen);
+            chosen.pop();
+        }
+    };
+    walk(0, []);
+    return out;
+};
+
+/**
+ * Probability of backtest overfitting by combinatorially symmetric cross-validation.
+ * @param {number[][]} blockReturns - Per candidate, summed trade return of each time block
+ *   (an even count up to MAX_PBO_BLOCKS).
+ * @returns {Object|null} { pbo, blocks, splits, medianLogit }
+ */
+const probabilityOfOverfitting = (blockReturns) => {
+    const candidates = blockReturns.length;
+    const blocks = blockReturns[0]?.length || 0;
+    if (candidates < 2 || blocks < 2 || blocks % 2 !== 0) return null;
+    if (blocks > MAX_PBO_BLOCKS) throw new Error(`At most ${MAX_PBO_BLOCKS} blocks for the overfitting probability, got ${blocks}`);
+
+    const score = (candidate, indices) => indices.reduce((a, i) => a + blockReturns[candidate][i], 0);
+    const logits = [];
+
+    for (const train of combinations(blocks, blocks / 2)) {
+        const test = [];
+        for (let i = 0; i < blocks; i++) if (!train.includes(i)) test.push(i);
+
+        let best = 0;
+        for (let c = 1; c < candidates; c++) if (score(c, train) > score(best, train)) best = c;
+
+        // Relative rank of the in-sample winner among all candidates out of sample
+        const bestTest = score(best, test);
+        let below = 0;
+        for (let c = 0; c < candidates; c++) if (score(c, test) < bestTest) below++;
+        const omega = (below + 1) / (candidates + 1);
+        logits.push(Math.log(omega / (1 - omega)));
+    }
+
+    const sorted = logits.slice().sort((a, b) => a - b);
+    return {
+        pbo: logits.filter(l => l <= 0).length / logits.length,
+        blocks,
+        splits: logits.length,
+        medianLogit: sorted[Math.floor(sorted.length / 2)]
+    };
+};
+
+/**
+ * Sum of trade returns per block of [from, to], by exit time.
+ * @param {Object[]} trades
+ * @param {number} from
+ * @param {number} to
+ * @param {number} blocks
+ */
+const blockReturns = (trades, from, to, blocks) => {
+    const sums = new Array(blocks).fill(0);
+    const span = to - from;
+    for (const trade of trades) {
+        const ret = Number(trade.growth) - 1;
+        if (!Number.isFinite(ret)) continue;
+        const idx = span > 0 ? Math.floor(((Number(trade.exitTime) - from) / span) * blocks) : 0;
+        sums[Math.min(blocks - 1, Math.max(0, idx))] += ret;
+    }
+    return sums;
+};
+
+module.exports = {
+    MAX_PBO_BLOCKS,
+    normCdf,
+    normInv,
+    degradation,
+    deflatedSharpe,
+    probabilityOfOverfitting,
+    blockReturns
+};
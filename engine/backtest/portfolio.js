@@ -0,0 +1,333 @@
+"use strict";
+
+/**
+ * @file Portfolio Simulator
+ * @description Multi-symbol bar replay for strategies trading several instruments.
+ * Bars of every symbol are interleaved by timestamp into `strategy.onBar` and all
+ * positions draw on one shared cash balance (1x gross exposure). Fills follow
+ * grademark's convention: a signal raised on a bar fills at the next open of the
+ * symbol it targets.
+ */
+
+const { normalizeSignal, isEntry, isExit } = require('@core/backtest/signal');
+const exits = require('@core/backtest/exits');
+
+/**
+ * Trim every series to the window all symbols cover and merge them into one
+ * time-ordered stream (bars sharing a timestamp keep the symbol order given).
+ * @param {Object<string, Object[]>} seriesBySymbol - Normalized, time-sorted bars per symbol.
+ * @returns {{stream: Object[], from: number, to: number, dropped: number}}
+ */
+const alignSeries = (seriesBySymbol) => {
+    const symbols = Object.keys(seriesBySymbol);
+    for (const symbol of symbols) {
+        if (!seriesBySymbol[symbol]?.length) throw new Error(`No bars loaded for symbol '${symbol}'`);
+    }
+
+    const from = Math.max(...symbols.map(s => seriesBySymbol[s][0].time));
+    const to = Math.min(...symbols.map(s => seriesBySymbol[s][seriesBySymbol[s].length - 1].time));
+    if (from > to) throw new Error(`Series for ${symbols.join(', ')} do not overlap in time`);
+
+    let dropped = 0;
+    const tagged = [];
+    symbols.forEach((symbol, order) => {
+        for (const bar of seriesBySymbol[symbol]) {
+            if (bar.time < from || bar.time > to) {
+                dropped++;
+                continue;
+            }
+            tagged.push({ order, bar: { ...bar, symbol } });
+        }
+    });
+    tagged.sort((a, b) => a.bar.time - b.bar.time || a.order - b.order);
+
+    return { stream: tagged.map(t => t.bar), from, to, dropped };
+};
+
+/**
+ * Replay an aligned stream through the strategy with shared-cash accounting.
+ * While running, the strategy's `executionContext.broker` is a snapshot of this
+ * portfolio, so `sizePosition` sizes against live portfolio equity.
+ *
+ * @param {BaseStrategy} strategy
+ * @param {Object[]} stream - `alignSeries(...).stream`.
+ * @param {Object} [opts] - { initialCapital, costModel, onProgress } plus the exit options of
+ *   `exits.resolveExitRules` (stopLossPercent, takeProfitPercent, trailingStop, breakEven,
+ *   timeStopBars, signalStops).
+ *   `intrabarResolver` (intrabar.createResolver) settles bars that reach both the stop and the target.
+ *   `costModel` (CostModel) charges spread, slippage and commission on each fill and
+ *   carry on close; trades then carry itemized `costs` and net `profit`.
+ *   `onProgress(barsProcessed, tradesClosed)` is called after every timestamp.
+ * @returns {{trades: Object[], equityCurve: Object[], bySymbol: Object, finalEquity: number, rejectedOrders: number}}
+ */
+const simulate = (strategy, stream, opts = {}) => {
+    const initialCapital = Number(opts.initialCapital) || 10000;
+    const rules = exits.resolveExitRules(opts);
+    const atr = exits.createAtrLookup(rules, stream);
+    const costModel = opts.costModel || null;
+    const resolver = opts.intrabarResolver || null;
+
+    let cash = initialCapital;
+    let rejectedOrders = 0;
+    const positions = new Map(); // symbol → open position
+    const pending = new Map();   // symbol → orders queued for the next open
+    const marks = new Map();     // symbol → last close
+    const barCounts = new Map();
+    const trades = [];
+    const equityCurve = [];
+
+    const markValue = (p) => p.quantity * (marks.get(p.symbol) ?? p.entryPrice);
+    const exposure = () => {
+        let gross = 0;
+        for (const p of positions.values()) gross += markValue(p);
+        return gross;
+    };
+    const equity = () => {
+        let eq = cash;
+        for (const p of positions.values()) eq += p.direction === 'long' ? markValue(p) : -markValue(p);
+        return eq;
+    };
+
+    const open = (symbol, order, bar) => {
+        const price = bar.open;
+        const buyingPower = equity() - exposure();
+        const requested = Number.isFinite(order.quantity) && order.quantity > 0 ? order.quantity : 0;
+        const quantity = Math.min(requested, buyingPower / price);
+
+        if (!(quantity > 0)) {
+            rejectedOrders++;
+            strategy.positions?.close(symbol, price); // keep the strategy's view flat
+            return;
+        }
+
+        const long = order.direction === 'long';
+        const entryCost = costModel
+            ? (costModel.halfSpread(price) + costModel.slippage(price)) * quantity + costModel.commission(quantity)
+            : 0;
+        cash += long ? -quantity * price : quantity * price;
+        cash -= entryCost;
+        positions.set(symbol, {
+            symbol,
+            direction: order.direction,
+            quantity,
+            entryTime: bar.time,
+            entryPrice: price,
+            holdingPeriod: 0,
+            entryCost,
+            exit: exits.openLevels(rules, {
+                direction: order.direction,
+                entryPrice: price,
+                stopLoss: order.stopLoss,
+                takeProfit: order.takeProfit,
+                atr: atr?.before(symbol, bar.time)
+            })
+        });
+    };
+
+    const close = (symbol, price, time, exitReason, settledIntrabar = false) => {
+        const p = positions.get(symbol);
+        positions.delete(symbol);
+
+        const long = p.direction === 'long';
+        const costs = costModel
+            ? costModel.itemize({ ...p, exitPrice: price, exitTime: time })
+            : undefined;
+        cash += long ? p.quantity * price : -p.quantity * price;
+        cash -= costs ? costs.total - p.entryCost : 0;
+
+        const notional = p.entryPrice * p.quantity;
+        const profit = (long ? price - p.entryPrice : p.entryPrice - price) * p.quantity - (costs?.total || 0);
+        const growth = 1 + profit / notional;
+
+        trades.push({
+            symbol,
+            direction: p.direction,
+            quantity: p.quantity,
+            entryTime: p.entryTime,
+            entryPrice: p.entryPrice,
+            exitTime: time,
+            exitPrice: price,
+            profit,
+            profitPct: (growth - 1) * 100,
+            growth,
+            holdingPeriod: p.holdingPeriod,
+            exitReason,
+            stopPrice: p.exit.initialStopPrice,
+            profitTarget: p.exit.profitTarget,
+            costs,
+            ...(settledIntrabar ? { intrabar: true } : {})
+        });
+    };
+
+    const fillPending = (bar) => {
+        const queue = pending.get(bar.symbol);
+        if (!queue) return;
+        pending.delete(bar.symbol);
+
+        for (const order of queue) {
+            const held = positions.get(bar.symbol);
+            if (order.type === 'exit') {
+                if (held) close(bar.symbol, bar.open, bar.time, order.reason || 'exit-rule');
+                continue;
+            }
+            if (held?.direction === order.direction) continue;
+            if (held) close(bar.symbol, bar.open, bar.time, 'exit-rule'); // reversal
+            open(bar.symbol, order, bar);
+        }
+    };
+
+    const checkStops = (bar) => {
+        const p = positions.get(bar.symbol);
+        if (!p) return;
+        p.holdingPeriod++;
+
+        const long = p.direction === 'long';
+        const { stopPrice, profitTarget } = p.exit;
+        const stopHit = stopPrice !== undefined && (long ? bar.low <= stopPrice : bar.high >= stopPrice);
+        const targetHit = profitTarget !== undefined && (long ? bar.high >= profitTarget : bar.low <= profitTarget);
+
+        // Both reached: the stop is assumed first unless intrabar data says otherwise
+        const settled = stopHit && targetHit && resolver
+            ? resolver.settle(bar.symbol, bar, { direction: p.direction, stopPrice, profitTarget })
+            : null;
+        // Gaps fill at the open of the (intrabar) bar that crossed the level
+        const fillBar = settled?.fineBar || bar;
+
+        let exit = null;
+        if (stopHit && settled?.first !== 'target') {
+            exit = { price: long ? Math.min(fillBar.open, stopPrice) : Math.max(fillBar.open, stopPrice), reason: p.exit.stopKind };
+        } else if (targetHit) {
+            exit = { price: long ? Math.max(fillBar.open, profitTarget) : Math.min(fillBar.open, profitTarget), reason: 'profit-target' };
+        }
+
+        if (exit) {
+            close(bar.symbol, exit.price, bar.time, exit.reason, !!settled);
+            strategy.positions?.close(bar.symbol, exit.price);
+            return;
+        }
+
+        // Bar close: trailing / break-even levels apply from the next bar, time stops fill at the next open
+        const timeStop = exits.updateOnClose(rules, p.exit, bar, {
+            barsHeld: p.holdingPeriod,
+            atr: atr?.at(bar.symbol, bar.time)
+        });
+        if (timeStop) {
+            queue(bar.symbol, { type: 'exit', reason: timeStop });
+            strategy.positions?.close(bar.symbol, bar.close);
+        }
+    };
+
+    const queue = (symbol, order) => {
+        if (!pending.has(symbol)) pending.set(symbol, []);
+        pending.get(symbol).push(order);
+    };
+
+    const previousContext = strategy.executionContext;
+    strategy.executionContext = {
+        ...(previousContext || {}),
+        broker: {
+            getAccountSnapshot: () => ({ mode: 'BACKTEST', balance: cash, equity: equity() })
+        }
+    };
+
+    try {
+        let i = 0;
+        while (i < stream.length) {
+            const time = stream[i].time;
+
+            for (; i < stream.length && stream[i].time === time; i++) {
+                const bar = stream[i];
+                barCounts.set(bar.symbol, (barCounts.get(bar.symbol) || 0) + 1);
+
+                // 1. Orders raised on earlier bars fill at this open
+                fillPending(bar);
+                marks.set(bar.symbol, bar.close);
+
+                // 2. Intrabar stop-loss / profit-target
+                checkStops(bar);
+
+                // 3. Strategy signal (may target another symbol of the portfolio)
+                const signal = normalizeSignal(strategy.onBar(bar));
+                if (!signal) continue;
+                const target = signal.symbol || bar.symbol;
+
+                if (isEntry(signal) && (signal.side === 'long' || signal.side === 'short')) {
+                    queue(target, {
+                        type: 'enter',
+                        direction: signal.side,
+                        quantity: signal.quantity,
+                        stopLoss: signal.stopLoss,
+                        takeProfit: signal.takeProfit
+                    });
+                } else if (isExit(signal)) {
+                    queue(target, { type: 'exit' });
+                }
+            }
+
+            equityCurve.push({ time, equity: equity() });
+            opts.onProgress?.(i, trades.length);
+        }
+
+        // Mark-to-market close of whatever is still open
+        const lastTime = stream.length ? stream[stream.length - 1].time : undefined;
+        for (const symbol of Array.from(positions.keys())) {
+            close(symbol, marks.get(symbol), lastTime, 'finalize');
+        }
+        // The last point then pays those exit costs as well, so it ends on finalEquity
+        if (equityCurve.length) equityCurve[equityCurve.length - 1].equity = cash;
+    } finally {
+        strategy.executionContext = previousContext;
+    }
+
+    return {
+        trades,
+        equityCurve,
+        bySymbol: summarizeBySymbol(trades, barCounts, initialCapital),
+        finalEquity: cash,
+        rejectedOrders
+    };
+};
+
+/**
+ * Per-symbol trade breakdown; `contributionPercent` is relative to the shared capital.
+ * @param {Object[]} trades - Trades carrying `symbol`, `profit` (currency) and `profitPct`.
+ * @param {Map<string, number>} barCounts - Bars replayed per symbol.
+ * @param {number} initialCapital
+ */
+const summarizeBySymbol = (trades, barCounts, initialCapital) => {
+    const bySymbol = {};
+    for (const symbol of barCounts.keys()) {
+        const own = trades.filter(t => t.symbol === symbol);
+        const wins = own.filter(t => t.profit > 0).length;
+        const netProfit = own.reduce((sum, t) => sum + t.profit, 0);
+        bySymbol[symbol] = {
+            bars: barCounts.get(symbol),
+            totalTrades: own.length,
+            netProfit,
+            contributionPercent: (netProfit / initialCapital) * 100,
+            winRate: own.length > 0 ? (wins / own.length) * 100 : 0,
+            averageTradePercent: own.length > 0 ? own.reduce((sum, t) => sum + t.profitPct, 0) / own.length : 0
+        };
+    }
+    return bySymbol;
+};
+
+/**
+ * Largest peak-to-trough decline of an equity curve, as a negative percentage.
+ */
+const maxDrawdownPercent = (equityCurve) => {
+    let peak = -Infinity;
+    let worst = 0;
+    for (const { equity } of equityCurve) {
+        if (equity > peak) peak = equity;
+        if (peak > 0) worst = Math.min(worst, ((equity - peak) / peak) * 100);
+    }
+    return worst;
+};
+
+module.exports = {
+    alignSeries,
+    simulate,
+    summarizeBySymbol,
+    maxDrawdownPercent
+};
@@ -0,0 +1,255 @@
+"use strict";
+
+/**
+ * @file Market Regimes
+ * @description Labels every replayed bar with a trend regime ('trend' | 'range') and
+ * a volatility regime ('high' | 'low'), then breaks trade results down by the regime
+ * they were opened in.
+ *
+ * - Trend: Wilder ADX above a threshold, or the linear-regression slope of the close
+ *   over a window, measured in ATRs of move across the window.
+ * - Volatility: percentile of ATR (as % of the close) within a trailing window.
+ *
+ * Every indicator only uses bars up to and including the one labeled, and a trade
+ * takes the label of the last bar closed before its entry, so the breakdown matches
+ * what a live filter could have known. Bars still warming up are unlabeled (null).
+ */
+
+const { tradeResults } = require('@core/backtest/analytics');
+
+const DEFAULTS = {
+    trendMethod: 'adx',
+    adxPeriod: 14,
+    adxThreshold: 25,
+    slopePeriod: 20,
+    slopeThreshold: 2,
+    atrPeriod: 14,
+    volatilityWindow: 100,
+    volatilityPercentile: 50
+};
+
+/**
+ * Normalize regime options from a run request (`options.regimes`).
+ * @param {Object} [config]
+ * @param {string} [config.trendMethod='adx'] - 'adx' or 'slope'.
+ * @param {number} [config.adxPeriod=14]
+ * @param {number} [config.adxThreshold=25] - ADX at or above → trend.
+ * @param {number} [config.slopePeriod=20]
+ * @param {number} [config.slopeThreshold=2] - Regression move over the window, in ATRs, at or above → trend.
+ * @param {number} [config.atrPeriod=14]
+ * @param {number} [config.volatilityWindow=100] - Trailing bars the ATR percentile is ranked in.
+ * @param {number} [config.volatilityPercentile=50] - Percentile at or above → high volatility.
+ */
+const resolveConfig = (config = {}) => {
+    const num = (key, min) => Math.max(min, Number(config[key]) || DEFAULTS[key]);
+    return {
+        trendMethod: String(config.trendMethod || DEFAULTS.trendMethod).toLowerCase() === 'slope' ? 'slope' : 'adx',
+        adxPeriod: Math.floor(num('adxPeriod', 2)),
+        adxThreshold: num('adxThreshold', 0),
+        slopePeriod: Math.floor(num('slopePeriod', 3)),
+        slopeThreshold: num('slopeThreshold', 0),
+        atrPeriod: Math.floor(num('atrPeriod', 1)),
+        volatilityWindow: Math.floor(num('volatilityWindow', 10)),
+        volatilityPercentile: Math.min(100, num('volatilityPercentile', 0))
+    };
+};
+
+/**
+ * Wilder smoothing: seeded with the sum of the first `period` values, then
+ * s = s - s / period + x. Returns undefined until seeded.
+ */
+const wilderSum = (period) => {
+    let count = 0;
+    let value = 0;
+    return (x) => {
+        count++;
+        if (count <= period) {
+            value += x;
+            return count === period ? value : undefined;
+        }
+        value = value - value / period + x;
+        return value;
+    };
+};
+
+/**
+ * Trend and volatility labels of one symbol's time-ordered bars.
+ * @returns {Object[]} Per bar: { time, trend, volatility, adx, slopeAtr, atrPercentile }
+ */
+const labelSeries = (bars, cfg) => {
+    const trSum = wilderSum(cfg.adxPeriod);
+    const plusSum = wilderSum(cfg.adxPeriod);
+    const minusSum = wilderSum(cfg.adxPeriod);
+    let dxCount = 0;
+    let dxTotal = 0;
+    let adx;
+
+    let atr;
+    let atrSeed = 0;
+    const atrPcts = [];
+
+    return bars.map((bar, i) => {
+        const prev = bars[i - 1];
+        const tr = prev
+            ? Math.max(bar.high - bar.low, Math.abs(bar.high - prev.close), Math.abs(bar.low - prev.close))
+            : bar.high - bar.low;
+
+        // ATR (Wilder average) and its percentile as % of the close
+        if (i < cfg.atrPeriod) {
+            atrSeed += tr;
+            if (i === cfg.atrPeriod - 1) atr = atrSeed / cfg.atrPeriod;
+        } else {
+            atr = (atr * (cfg.atrPeriod - 1) + tr) / cfg.atrPeriod;
+        }
+        let atrPercentile = null;
+        if (atr !== undefined && bar.close > 0) {
+            const atrPct = atr / bar.close;
+            atrPcts.push(atrPct);
+            if (atrPcts.length > cfg.volatilityWindow) atrPcts.shift();
+            if (atrPcts.length === cfg.volatilityWindow) {
+                atrPercentile = (atrPcts.filter(v => v <= atrPct).length / atrPcts.length) * 100;
+            }
+        }
+
+        // ADX
+        if (prev) {
+            const up = bar.high - prev.high;
+            const down = prev.low - bar.low;
+            const sTr = trSum(tr);
+            const sPlus = plusSum(up > down && up > 0 ? up : 0);
+            const sMinus = minusSum(down > up && down > 0 ? down : 0);
+            if (sTr !== undefined && sTr > 0) {
+                const plusDi = (100 * sPlus) / sTr;
+                const minusDi = (100 * sMinus) / sTr;
+                const diSum = plusDi + minusDi;
+                const dx = diSum > 0 ? (100 * Math.abs(plusDi - minusDi)) / diSum : 0;
+                if (dxCount < cfg.adxPeriod) {
+                    dxCount++;
+                    dxTotal += dx;
+                    if (dxCount === cfg.adxPeriod) adx = dxTotal / cfg.adxPeriod;
+                } else {
+                    adx = (adx * (cfg.adxPeriod - 1) + dx) / cfg.adxPeriod;
+                }
+            }
+        }
+
+        // Least-squares slope of the close over the window, as a move in ATRs
+        let slopeAtr = null;
+        if (i >= cfg.slopePeriod - 1 && atr > 0) {
+            const n = cfg.slopePeriod;
+            const xMean = (n - 1) / 2;
+            let yMean = 0;
+            for (let k = 0; k < n; k++) yMean += bars[i - n + 1 + k].close;
+            yMean /= n;
+            let num = 0, den = 0;
+            for (let k = 0; k < n; k++) {
+                num += (k - xMean) * (bars[i - n + 1 + k].close - yMean);
+                den += (k - xMean) ** 2;
+            }
+            slopeAtr = ((num / den) * (n - 1)) / atr;
+        }
+
+        let trend = null;
+        if (cfg.trendMethod === 'adx' && adx !== undefined) trend = adx >= cfg.adxThreshold ? 'trend' : 'range';
+        if (cfg.trendMethod === 'slope' && slopeAtr !== null) trend = Math.abs(slopeAtr) >= cfg.slopeThreshold ? 'trend' : 'range';
+
+        return {
+            time: bar.time,
+            trend,
+            volatility: atrPercentile === null ? null : atrPercentile >= cfg.volatilityPercentile ? 'high' : 'low',
+            adx: adx ?? null,
+            slopeAtr,
+            atrPercentile
+        };
+    });
+};
+
+/**
+ * Regime labels of replayed bars, per symbol.
+ * @param {Object[]} bars - Time-ordered bars (with `symbol` for multi-symbol streams).
+ * @param {Object} cfg - resolveConfig(...)
+ * @returns {Map<string, Object[]>} symbol ('*' without one) → labels in bar order
+ */
+const labelBars = (bars, cfg) => {
+    const bySymbol = new Map();
+    for (const bar of bars) {
+        const key = bar.symbol || '*';
+        if (!bySymbol.has(key)) bySymbol.set(key, []);
+        bySymbol.get(key).push(bar);
+    }
+    const labels = new Map();
+    for (const [key, series] of bySymbol) labels.set(key, labelSeries(series, cfg));
+    return labels;
+};
+
+const summarize = (rows, barCount, totalBars) => {
+    const wins = rows.filter(r => r.pnl > 0).length;
+    return {
+        trades: rows.length,
+        wins,
+        winRate: rows.length ? (wins / rows.length) * 100 : 0,
+        pnl: rows.reduce((a, r) => a + r.pnl, 0),
+        averageReturnPercent: rows.length ? (rows.reduce((a, r) => a + r.ret, 0) / rows.length) * 100 : 0,
+        bars: barCount,
+        barsPercent: totalBars ? (barCount / totalBars) * 100 : 0
+    };
+};
+
+/**
+ * @param {Object} input
+ * @param {Object[]} input.trades
+ * @param {Object[]} input.bars - The bars the run replayed.
+ * @param {number} input.initialCapital
+ * @param {boolean} [input.compounding=true] - See analytics.compute.
+ * @param {Object} [input.config] - resolveConfig(...) input.
+ * @returns {Object} `regimes` report section: { config, trend, volatility, combined, unlabeledTrades }
+ *   where each breakdown maps a regime to { trades, wins, winRate, pnl, averageReturnPercent, bars, barsPercent }.
+ */
+const breakdown = ({ trades = [], bars = [], initialCapital, compounding = true, config }) => {
+    const cfg = resolveConfig(config);
+    const labels = labelBars(bars, cfg);
+
+    const lastClosedBefore = (series, time) => {
+        let lo = 0, hi = series.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (series[mid].time < time) lo = mid + 1; else hi = mid;
+        }
+        return lo > 0 ? series[lo - 1] : null;
+    };
+
+    const results = tradeResults(trades, initialCapital, compounding);
+    const tagged = trades.map((t, idx) => {
+        const series = labels.get(t.symbol || '*') || labels.get('*') || [];
+        const label = lastClosedBefore(series, Number(t.entryTime));
+        return { ...results[idx], trend: label?.trend ?? null, volatility: label?.volatility ?? null };
+    });
+
+    const allLabels = Array.from(labels.values()).flat();
+    const group = (keyOf, keys) => {
+        const out = {};
+        for (const key of keys) {
+            out[key] = summarize(
+                tagged.filter(r => keyOf(r) === key),
+                allLabels.filter(l => keyOf(l) === key).length,
+                allLabels.length
+            );
+        }
+        return out;
+    };
+    const combinedKey = (r) => (r.trend && r.volatility ? `${r.trend}/${r.volatility}` : null);
+
+    return {
+        config: cfg,
+        trend: group(r => r.trend, ['trend', 'range']),
+        volatility: group(r => r.volatility, ['high', 'low']),
+        combined: group(combinedKey, ['trend/high', 'trend/low', 'range/high', 'range/low']),
+        unlabeledTrades: tagged.filter(r => !combinedKey(r)).length
+    };
+};
+
+module.exports = {
+    resolveConfig,
+    labelBars,
+    breakdown
+};
@@ -0,0 +1,304 @@
+"use strict";
+
+/**
+ * @file Report Export
+ * @description Stored backtest reports rendered for people outside the UI: the trade
+ * log and equity curve as CSV, and a self-contained HTML tear sheet (inline CSS and
+ * SVG charts, no scripts or external assets) that can be mailed or archived as is.
+ */
+
+const MAX_SHEET_TRADES = 1000;
+const CHART_WIDTH = 960;
+const CHART_HEIGHT = 260;
+
+// Trade columns in display order; any other scalar fields follow alphabetically
+const TRADE_COLUMNS = [
+    'symbol', 'direction', 'entryTime', 'entryPrice', 'exitTime', 'exitPrice', 'exitReason',
+    'profit', 'profitPct', 'growth', 'holdingPeriod', 'stopPrice', 'profitTarget', 'riskPct', 'rmultiple'
+];
+
+const isScalar = (v) => v === null || ['string', 'number', 'boolean'].includes(typeof v);
+
+// Epoch ms as ISO 8601; values out of the Date range are written as they are
+const isoTime = (v) => {
+    const date = new Date(Number(v));
+    if (Number.isFinite(date.getTime())) return date.toISOString();
+    return v === undefined ? '' : String(v);
+};
+
+const csvCell = (v) => {
+    if (v === null || v === undefined) return '';
+    const text = String(v);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+    [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))].join('\n') + '\n';
+
+/**
+ * Trade log as CSV. Entry / exit times are ISO 8601 (UTC).
+ * @param {Object} report
+ * @returns {string}
+ */
+const tradesCsv = (report) => {
+    const trades = Array.isArray(report.trades) ? report.trades : [];
+    const keys = new Set();
+    for (const trade of trades) {
+        for (const [key, value] of Object.entries(trade)) if (isScalar(value)) keys.add(key);
+    }
+    const columns = [
+        ...TRADE_COLUMNS.filter(c => keys.has(c)),
+        ...Array.from(keys).filter(k => !TRADE_COLUMNS.includes(k)).sort()
+    ];
+    const rows = trades.map(t => ({ ...t, entryTime: isoTime(t.entryTime), exitTime: isoTime(t.exitTime) }));
+    return toCsv(columns.length ? columns : TRADE_COLUMNS, rows);
+};
+
+/**
+ * Equity points with the running drawdown from the previous peak.
+ */
+const withDrawdown = (equityCurve = []) => {
+    let peak = -Infinity;
+    return equityCurve
+        .map(p => ({ time: Number(p.time), equity: Number(p.equity) }))
+        .filter(p => Number.isFinite(p.time) && Number.isFinite(p.equity))
+        .map((p) => {
+            peak = Math.max(peak, p.equity);
+            return { ...p, drawdownPercent: peak > 0 ? ((p.equity - peak) / peak) * 100 : 0 };
+        });
+};
+
+/**
+ * Equity curve as CSV: ISO time, epoch ms, equity and drawdown %.
+ * @param {Object} report
+ * @returns {string}
+ */
+const equityCsv = (report) => toCsv(
+    ['time', 'timestamp', 'equity', 'drawdownPercent'],
+    withDrawdown(report.equityCurve).map(p => ({ ...p, timestamp: p.time, time: isoTime(p.time) }))
+);
+
+// ─── HTML tear sheet ─────────────────────────────────────────────────────────
+
+const escapeHtml = (v) => String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const fmt = (v, digits = 2) => {
+    if (v === null || v === undefined || v === '') return '--';
+    const n = Number(v);
+    if (!Number.isFinite(n)) return escapeHtml(v);
+    return n.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+};
+
+const tone = (v) => (Number(v) > 0 ? 'pos' : Number(v) < 0 ? 'neg' : '');
+
+const table = (headers, rows) => `
+<table>
+  <thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+  <tbody>${rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody>
+</table>`;
+
+const metricTable = (pairs) => table(['Metric', 'Value'], pairs.map(([label, value]) => [escapeHtml(label), value]));
+
+const section = (title, body) => `<section><h2>${escapeHtml(title)}</h2>${body}</section>`;
+
+/**
+ * Inline SVG line chart. Series share the y axis.
+ * @param {Object[]} series - [{ points: [{ time, value }], color, dashed, label }]
+ * @param {function(number): string} formatY
+ */
+const lineChart = (series, formatY) => {
+    const all = series.flatMap(s => s.points);
+    if (all.length < 2) return '<p class="muted">Not enough points to chart.</p>';
+
+    const pad = { left: 70, right: 12, top: 12, bottom: 24 };
+    const xs = all.map(p => p.time);
+    const ys = all.map(p => p.value);
+    const [x0, x1] = [Math.min(...xs), Math.max(...xs)];
+    let [y0, y1] = [Math.min(...ys), Math.max(...ys)];
+    if (y0 === y1) { y0 -= 1; y1 += 1; }
+    const sx = (x) => pad.left + ((x - x0) / (x1 - x0 || 1)) * (CHART_WIDTH - pad.left - pad.right);
+    const sy = (y) => CHART_HEIGHT - pad.bottom - ((y - y0) / (y1 - y0)) * (CHART_HEIGHT - pad.top - pad.bottom);
+
+    const lines = series.map(s => `<polyline fill="none" stroke="${s.color}" stroke-width="1.6"${s.dashed ? ' stroke-dasharray="5 4"' : ''} points="${
+        s.points.map(p => `${sx(p.time).toFixed(1)},${sy(p.value).toFixed(1)}`).join(' ')
+    }"/>`).join('');
+    const gridY = [y0, (y0 + y1) / 2, y1].map(y => `
+        <line x1="${pad.left}" x2="${CHART_WIDTH - pad.right}" y1="${sy(y).toFixed(1)}" y2="${sy(y).toFixed(1)}" class="grid"/>
+        <text x="${pad.left - 6}" y="${(sy(y) + 4).toFixed(1)}" text-anchor="end">${escapeHtml(formatY(y))}</text>`).join('');
+    const labelsX = `
+        <text x="${pad.left}" y="${CHART_HEIGHT - 6}">${escapeHtml(isoTime(x0).slice(0, 16).replace('T', ' '))}</text>
+        <text x="${CHART_WIDTH - pad.right}" y="${CHART_HEIGHT - 6}" text-anchor="end">${escapeHtml(isoTime(x1).slice(0, 16).replace('T', ' '))}</text>`;
+    const legend = series.length > 1
+        ? `<div class="legend">${series.map(s => `<span><i style="background:${s.color}"></i>${escapeHtml(s.label)}</span>`).join('')}</div>`
+        : '';
+
+    return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img">${gridY}${labelsX}${lines}</svg>${legend}`;
+};
+
+const STYLE = `
+body { font: 13px/1.45 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1e293b; margin: 0; background: #f8fafc; }
+main { max-width: 1040px; margin: 0 auto; padding: 32px 24px 48px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 14px; text-transform: uppercase; letter-spacing: .06em; color: #475569; margin: 0 0 10px; }
+section { background: #fff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 16px; margin-top: 16px; }
+.muted { color: #64748b; }
+.cards { display: grid; grid-template-columns: repeat(6, 1fr); gap: 8px; margin-top: 16px; }
+.card { background: #fff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px 12px; }
+.card b { display: block; font-size: 18px; margin-top: 2px; }
+.cols { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+table { border-collapse: collapse; width: 100%; font-variant-numeric: tabular-nums; }
+th, td { padding: 4px 8px; border-bottom: 1px solid #f1f5f9; text-align: right; white-space: nowrap; }
+th:first-child, td:first-child { text-align: left; }
+th { color: #64748b; font-weight: 600; background: #f8fafc; }
+.pos { color: #047857; } .neg { color: #be123c; }
+svg { width: 100%; height: auto; }
+svg text { font-size: 11px; fill: #64748b; }
+svg .grid { stroke: #e2e8f0; }
+.legend { display: flex; gap: 16px; color: #475569; margin-top: 4px; }
+.legend i { display: inline-block; width: 12px; height: 3px; margin-right: 6px; vertical-align: middle; }
+.scroll { max-height: 560px; overflow: auto; }
+@media print { body { background: #fff; } .scroll { max-height: none; overflow: visible; } }
+`;
+
+/**
+ * Self-contained HTML tear sheet of a stored report.
+ * @param {Object} report - Stored report JSON.
+ * @param {Object} [opts]
+ * @param {string} [opts.id] - Report id (defaults to meta.id).
+ * @param {Object} [opts.analytics] - Analytics section when the report predates it.
+ * @returns {string}
+ */
+const tearSheet = (report, opts = {}) => {
+    const meta = report.meta || report.metadata || {};
+    const perf = report.performanceRaw || {};
+    const analytics = opts.analytics || report.analytics || null;
+    const trades = Array.isArray(report.trades) ? report.trades : [];
+    const equity = withDrawdown(report.equityCurve);
+    const bench = report.benchmark;
+
+    const cards = [
+        ['Net Profit', fmt(perf.netProfit), tone(perf.netProfit)],
+        ['ROI', `${fmt(perf.roiPercent)}%`, tone(perf.roiPercent)],
+        ['Win Rate', `${fmt(perf.winRate, 1)}%`, ''],
+        ['Trades', fmt(perf.totalTrades, 0), ''],
+        ['Max Drawdown', `${fmt(perf.maxDrawdownPercent)}%`, 'neg'],
+        ['Sharpe', fmt(perf.sharpeRatio), '']
+    ].map(([label, value, cls]) => `<div class="card"><span class="muted">${label}</span><b class="${cls}">${value}</b></div>`).join('');
+
+    const equitySeries = bench?.curve?.length > 1
+        ? [
+            { label: 'Strategy', color: '#4f46e5', points: bench.curve.map(p => ({ time: p.time, value: p.strategy })) },
+            { label: `Benchmark (${bench.source === 'dataset' ? bench.symbol : 'buy & hold'})`, color: '#94a3b8', dashed: true, points: bench.curve.map(p => ({ time: p.time, value: p.benchmark })) }
+        ]
+        : [{ label: 'Strategy', color: '#4f46e5', points: equity.map(p => ({ time: p.time, value: p.equity })) }];
+
+    const parts = [
+        section('Equity Curve', lineChart(equitySeries, v => `$${Math.round(v).toLocaleString('en-US')}`)),
+        section('Drawdown', lineChart([{ label: 'Drawdown', color: '#e11d48', points: equity.map(p => ({ time: p.time, value: p.drawdownPercent })) }], v => `${v.toFixed(1)}%`))
+    ];
+
+    const left = [];
+    const right = [];
+    if (analytics) {
+        left.push(section('Risk & Return', metricTable([
+            ['Annualized return', analytics.annualizedReturnPercent === null ? '--' : `${fmt(analytics.annualizedReturnPercent)}%`],
+            ['Sortino ratio', fmt(analytics.sortinoRatio)],
+            ['Calmar ratio', fmt(analytics.calmarRatio)],
+            ['Profit factor', fmt(analytics.profitFactor)],
+            ['Expectancy', fmt(analytics.expectancy)],
+            ['Average win', `${fmt(analytics.averageWin)} (${fmt(analytics.averageWinPercent)}%)`],
+            ['Average loss', `${fmt(analytics.averageLoss)} (${fmt(analytics.averageLossPercent)}%)`],
+            ['Longest win / loss streak', `${fmt(analytics.longestWinStreak, 0)} / ${fmt(analytics.longestLossStreak, 0)}`],
+            ['Exposure', `${fmt(analytics.exposurePercent)}%`],
+            ['Average holding (bars)', fmt(analytics.averageHoldingBars, 1)],
+            ['Average MAE / MFE', `${fmt(analytics.averageMaePercent)}% / ${fmt(analytics.averageMfePercent)}%`]
+        ])));
+        const monthly = analytics.returns?.monthly || [];
+        if (monthly.length > 0) {
+            right.push(section('Monthly Returns', table(
+                ['Month', 'Return', 'Closing equity'],
+                monthly.map(r => [escapeHtml(r.period), `<span class="${tone(r.returnPercent)}">${fmt(r.returnPercent)}%</span>`, fmt(r.closingEquity)])
+            )));
+        }
+    }
+    if (bench) {
+        right.push(section('Benchmark', metricTable([
+            ['Benchmark', escapeHtml(bench.source === 'dataset' ? bench.symbol : `buy & hold ${bench.symbol || ''}`)],
+            ['Benchmark return', `${fmt(bench.returnPercent)}%`],
+            ['Excess return', `<span class="${tone(bench.excessReturnPercent)}">${fmt(bench.excessReturnPercent)}%</span>`],
+            ['Alpha (annualized)', fmt(bench.alphaAnnualized, 4)],
+            ['Beta', fmt(bench.beta)],
+            ['Correlation', fmt(bench.correlation)],
+            ['Information ratio (annualized)', fmt(bench.informationRatioAnnualized)]
+        ])));
+    }
+    if (report.costs?.totals) {
+        right.push(section('Costs', metricTable(
+            Object.entries(report.costs.totals).filter(([, v]) => isScalar(v)).map(([k, v]) => [k, fmt(v)])
+        )));
+    }
+    if (left.length || right.length) parts.push(`<div class="cols"><div>${left.join('')}</div><div>${right.join('')}</div></div>`);
+
+    if (report.regimes?.combined) {
+        const rows = Object.entries(report.regimes.combined).map(([name, r]) => [
+            escapeHtml(name), fmt(r.trades, 0), `${fmt(r.winRate, 1)}%`,
+            `<span class="${tone(r.pnl)}">${fmt(r.pnl)}</span>`, `${fmt(r.barsPercent, 1)}%`
+        ]);
+        parts.push(section('Market Regimes (trend / volatility)', table(['Regime', 'Trades', 'Win rate', 'PnL', 'Time in regime'], rows)));
+    }
+
+    const shown = trades.slice(0, MAX_SHEET_TRADES);
+    parts.push(section(`Trades (${trades.length})`, trades.length === 0
+        ? '<p class="muted">This report was saved without its trade list.</p>'
+        : `<div class="scroll">${table(
+            ['Entry', 'Symbol', 'Dir', 'Entry $', 'Exit', 'Exit $', 'Reason', 'Profit', '%'],
+            shown.map(t => [
+                escapeHtml(isoTime(t.entryTime).slice(0, 19).replace('T', ' ')),
+                escapeHtml(t.symbol || meta.symbol || ''),
+                escapeHtml(String(t.direction || '').toUpperCase()),
+                fmt(t.entryPrice, 4),
+                escapeHtml(isoTime(t.exitTime).slice(0, 19).replace('T', ' ')),
+                fmt(t.exitPrice, 4),
+                escapeHtml(t.exitReason || ''),
+                `<span class="${tone(t.profit)}">${fmt(t.profit)}</span>`,
+                `<span class="${tone(t.profitPct)}">${fmt(t.profitPct)}%</span>`
+            ])
+        )}</div>${trades.length > shown.length ? `<p class="muted">First ${shown.length} trades shown; the CSV export has all of them.</p>` : ''}`));
+
+    const id = opts.id || meta.id || '';
+    const params = Object.entries(meta.params || {}).map(([k, v]) => `${k}=${isScalar(v) ? v : JSON.stringify(v)}`).join(', ');
+    const subtitle = [
+        meta.mode, meta.symbol, meta.timeframe,
+        meta.timestamp && new Date(meta.timestamp).toISOString().slice(0, 16).replace('T', ' ')
+    ].filter(Boolean).join(' · ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(meta.strategyName || meta.strategyId || 'Backtest')} · ${escapeHtml(id)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+  <h1>${escapeHtml(meta.strategyName || meta.strategyId || 'Backtest Report')}</h1>
+  <div class="muted">Report ${escapeHtml(id)}${subtitle ? ` · ${escapeHtml(subtitle)}` : ''}</div>
+  ${params ? `<div class="muted">Params: ${escapeHtml(params)}</div>` : ''}
+  <div class="cards">${cards}</div>
+  ${parts.join('\n')}
+  <p class="muted">Generated ${new Date().toISOString().slice(0, 19).replace('T', ' ')} UTC by CoreX.</p>
+</main>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+    tradesCsv,
+    equityCsv,
+    tearSheet
+};
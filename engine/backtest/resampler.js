@@ -0,0 +1,161 @@
+"use strict";
+
+/**
+ * @file Resampler
+ * @description Aggregates time-sorted bars into a higher timeframe: open of the first
+ * bar, highest high, lowest low, close of the last bar, summed volume. Buckets start
+ * at their open time, like the source bars.
+ *
+ * Alignment: intraday buckets restart every day at the session open (00:00 UTC by
+ * default, or `sessionStart` in the `utcOffset` timezone), so a 45m or 90m timeframe
+ * does not drift across days. Daily buckets start at the session open too; weekly
+ * ones on Monday.
+ */
+
+const { inferTimeframe } = require('@core/backtest/bars');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const WEEK = 7 * DAY;
+const MONDAY_OFFSET = 4 * DAY; // 1970-01-01 was a Thursday
+
+const UNITS = {
+    s: 1000, sec: 1000, second: 1000,
+    m: MINUTE, min: MINUTE, minute: MINUTE,
+    h: 60 * MINUTE, hr: 60 * MINUTE, hour: 60 * MINUTE,
+    d: DAY, day: DAY,
+    w: WEEK, wk: WEEK, week: WEEK
+};
+
+/**
+ * Timeframe label → milliseconds. Accepts '15m', '15min', '4h', '1d', '1w' and the
+ * broker style 'M15', 'H4', 'D1', 'W1'. Months are not supported ('1M' reads as minutes).
+ * @returns {number|null} null when the label cannot be read.
+ */
+const parseTimeframe = (timeframe) => {
+    if (typeof timeframe === 'number') return timeframe > 0 ? timeframe : null;
+    const label = String(timeframe || '').trim().toLowerCase();
+    let match = label.match(/^(\d+)\s*([a-z]+?)s?$/);
+    if (match && UNITS[match[2]]) return Number(match[1]) * UNITS[match[2]] || null;
+    match = label.match(/^([smhdw])(\d*)$/);
+    if (match) return Number(match[2] || 1) * UNITS[match[1]] || null;
+    return null;
+};
+
+/**
+ * Milliseconds → the shortest label (5400000 → '90m', 14400000 → '4h').
+ */
+const formatTimeframe = (ms) => {
+    for (const [unit, size] of [['w', WEEK], ['d', DAY], ['h', 60 * MINUTE], ['m', MINUTE], ['s', 1000]]) {
+        if (ms >= size && ms % size === 0) return `${ms / size}${unit}`;
+    }
+    return `${ms}ms`;
+};
+
+/**
+ * 'HH:MM' session open plus a UTC offset ('+05:30', '-04:00' or minutes) → the session
+ * open as milliseconds after 00:00 UTC, within [0, DAY).
+ */
+const sessionAnchor = (sessionStart, utcOffset) => {
+    let anchor = 0;
+    if (sessionStart) {
+        const match = String(sessionStart).match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) throw new Error(`Invalid sessionStart '${sessionStart}' (expected HH:MM)`);
+        anchor = (Number(match[1]) * 60 + Number(match[2])) * MINUTE;
+    }
+    if (utcOffset !== undefined && utcOffset !== null && utcOffset !== '') {
+        const match = String(utcOffset).match(/^([+-])?(\d{1,2}):(\d{2})$/);
+        const minutes = match
+            ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]))
+            : Number(utcOffset);
+        if (!Number.isFinite(minutes)) throw new Error(`Invalid utcOffset '${utcOffset}'`);
+        anchor -= minutes * MINUTE;
+    }
+    return ((anchor % DAY) + DAY) % DAY;
+};
+
+/**
+ * Open time of the bucket holding `time`.
+ */
+const bucketStart = (time, frameMs, anchor) => {
+    if (frameMs < DAY) {
+        const day = anchor + Math.floor((time - anchor) / DAY) * DAY;
+        return day + Math.floor((time - day) / frameMs) * frameMs;
+    }
+    const origin = anchor + (frameMs % WEEK === 0 ? MONDAY_OFFSET : 0);
+    return origin + Math.floor((time - origin) / frameMs) * frameMs;
+};
+
+/**
+ * @param {Object[]} bars - Time-sorted bars { time, open, high, low, close, volume }.
+ * @param {string|number} timeframe - Target timeframe ('15m', '4h', ...) or milliseconds.
+ * @param {Object} [opts]
+ * @param {string} [opts.sessionStart] - 'HH:MM' the buckets align to (default '00:00').
+ * @param {string|number} [opts.utcOffset] - Timezone of `sessionStart`: '-04:00' or minutes.
+ * @param {boolean} [opts.dropPartial=false] - Drop a first / last bucket the source bars
+ *   do not fully cover (a trailing bucket that is still forming).
+ * @param {string} [opts.sourceTimeframe] - Spacing of `bars`; inferred when omitted.
+ * @param {Function} [opts.bucketStart] - (time, frameMs) → bucket open time, replacing the
+ *   alignment above (e.g. a market calendar's session-aware buckets).
+ * @returns {{bars: Object[], sourceTimeframe: string|null, timeframe: string, partialDropped: number}}
+ * @throws {Error} For an unreadable timeframe or one finer than the source bars.
+ */
+const resample = (bars, timeframe, opts = {}) => {
+    const frameMs = parseTimeframe(timeframe);
+    if (!frameMs) throw new Error(`Unknown timeframe '${timeframe}'`);
+    const label = typeof timeframe === 'number' ? formatTimeframe(frameMs) : String(timeframe);
+
+    const sourceTimeframe = opts.sourceTimeframe || inferTimeframe(bars);
+    const sourceMs = parseTimeframe(sourceTimeframe);
+    if (sourceMs && frameMs < sourceMs) {
+        throw new Error(`Cannot resample ${sourceTimeframe} bars down to ${label}`);
+    }
+
+    const anchor = sessionAnchor(opts.sessionStart, opts.utcOffset);
+    const out = [];
+    let current = null;
+    let lastTime = null;
+    const spans = [];
+
+    for (const bar of bars) {
+        const start = opts.bucketStart ? opts.bucketStart(bar.time, frameMs) : bucketStart(bar.time, frameMs, anchor);
+        if (!current || start !== current.time) {
+            if (current) spans.push({ first: current.firstTime, last: lastTime });
+            current = {
+                time: start,
+                open: bar.open,
+                high: bar.high,
+                low: bar.low,
+                close: bar.close,
+                volume: bar.volume || 0,
+                firstTime: bar.time
+            };
+            out.push(current);
+        } else {
+            current.high = Math.max(current.high, bar.high);
+            current.low = Math.min(current.low, bar.low);
+            current.close = bar.close;
+            current.volume += bar.volume || 0;
+        }
+        lastTime = bar.time;
+    }
+    if (current) spans.push({ first: current.firstTime, last: lastTime });
+
+    let result = out.map(({ firstTime, ...bar }) => bar);
+    let partialDropped = 0;
+    if (opts.dropPartial && sourceMs && result.length > 0) {
+        const covers = (i) => spans[i].first <= result[i].time && spans[i].last + sourceMs >= result[i].time + frameMs;
+        const lastIdx = result.length - 1;
+        const keep = result.map((bar, i) => (i === 0 || i === lastIdx) ? covers(i) : true);
+        partialDropped = keep.filter(k => !k).length;
+        result = result.filter((bar, i) => keep[i]);
+    }
+
+    return { bars: result, sourceTimeframe, timeframe: label, partialDropped };
+};
+
+module.exports = {
+    parseTimeframe,
+    formatTimeframe,
+    resample
+};
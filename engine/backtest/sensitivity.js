@@ -0,0 +1,116 @@
+"use strict";
+
+/**
+ * @file Parameter Sensitivity
+ * @description 2D surface of one performance metric over two swept parameters.
+ * Candidates that differ in other parameters land in the same cell and are
+ * aggregated. Every cell also carries the mean of its neighbours (8-connected), so
+ * a robust plateau (best cell close to its neighbourhood) can be told apart from an
+ * isolated spike (best cell far above it).
+ */
+
+const { OBJECTIVES } = require('@core/backtest/optimizer');
+
+const AGGREGATES = {
+    mean: (values) => values.reduce((a, b) => a + b, 0) / values.length,
+    max: (values) => Math.max(...values),
+    min: (values) => Math.min(...values),
+    median: (values) => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+};
+
+/**
+ * `performanceRaw` key for a metric given either as a key or an objective name.
+ */
+const resolveMetric = (metric = 'sharpeRatio') => OBJECTIVES[metric]?.key || metric;
+
+/**
+ * @param {Object[]} evaluations - [{ params, performance }] from a parameter sweep.
+ * @param {Object} [opts]
+ * @param {string} [opts.x] - Parameter on the x axis (default: first swept parameter).
+ * @param {string} [opts.y] - Parameter on the y axis (default: second swept parameter).
+ * @param {string} [opts.metric='sharpeRatio'] - `performanceRaw` key or objective name.
+ * @param {string} [opts.aggregate='mean'] - mean | max | min | median over the other parameters.
+ * @returns {{x: string, y: string, metric: string, aggregate: string, parameters: string[],
+ *   xValues: number[], yValues: number[], cells: Object[], range: Object, best: Object|null}}
+ */
+const buildSurface = (evaluations, opts = {}) => {
+    const parameters = Array.from(new Set(evaluations.flatMap(e => Object.keys(e.params || {}))));
+    const x = opts.x || parameters[0];
+    const y = opts.y || parameters.find(p => p !== x);
+    const metric = resolveMetric(opts.metric);
+    const aggregate = AGGREGATES[opts.aggregate] ? opts.aggregate : 'mean';
+
+    if (!x || !y) throw new Error('The sweep needs at least two parameters for a surface');
+    if (x === y) throw new Error('x and y must be different parameters');
+    for (const key of [x, y]) {
+        if (!parameters.includes(key)) throw new Error(`Unknown parameter '${key}'. Swept: ${parameters.join(', ')}`);
+    }
+
+    const groups = new Map(); // "x|y" → metric values
+    for (const { params = {}, performance = {} } of evaluations) {
+        const xv = Number(params[x]);
+        const yv = Number(params[y]);
+        const value = Number(performance[metric]);
+        if (!Number.isFinite(xv) || !Number.isFinite(yv) || !Number.isFinite(value)) continue;
+        const key = `${xv}|${yv}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(value);
+    }
+
+    const xValues = Array.from(new Set(Array.from(groups.keys()).map(k => Number(k.split('|')[0])))).sort((a, b) => a - b);
+    const yValues = Array.from(new Set(Array.from(groups.keys()).map(k => Number(k.split('|')[1])))).sort((a, b) => a - b);
+
+    const grid = yValues.map(yv => xValues.map(xv => {
+        const values = groups.get(`${xv}|${yv}`);
+        return values ? { value: AGGREGATES[aggregate](values), count: values.length } : null;
+    }));
+
+    const cells = [];
+    let min = Infinity;
+    let max = -Infinity;
+    let best = null;
+    grid.forEach((row, yi) => row.forEach((cell, xi) => {
+        if (!cell) return;
+        const neighbours = [];
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const n = (dx || dy) ? grid[yi + dy]?.[xi + dx] : null;
+                if (n) neighbours.push(n.value);
+            }
+        }
+        const neighbourMean = neighbours.length ? AGGREGATES.mean(neighbours) : null;
+        const entry = { x: xValues[xi], y: yValues[yi], value: cell.value, count: cell.count, neighbourMean };
+        cells.push(entry);
+        min = Math.min(min, cell.value);
+        max = Math.max(max, cell.value);
+        if (!best || cell.value > best.value) best = entry;
+    }));
+
+    return {
+        x,
+        y,
+        metric,
+        aggregate,
+        parameters,
+        xValues,
+        yValues,
+        cells,
+        range: cells.length ? { min, max } : { min: null, max: null },
+        best: best && {
+            ...best,
+            // Share of the best value lost when stepping to a neighbouring cell
+            neighbourDropPercent: best.neighbourMean !== null && best.value !== 0
+                ? ((best.value - best.neighbourMean) / Math.abs(best.value)) * 100
+                : null
+        }
+    };
+};
+
+module.exports = {
+    buildSurface,
+    resolveMetric
+};
@@ -0,0 +1,46 @@
+"use strict";
+
+/**
+ * @file Signal Normalization
+ * @description Strategies may return `intent/side`, `action/direction` or plain
+ * BUY/SELL shapes. Simulators only ever see the normalized form.
+ */
+
+/**
+ * @param {Object} signal - Raw strategy signal.
+ * @returns {{intent: string, side: string, symbol: string|undefined, price: number, quantity: number,
+ *   stopLoss: number, takeProfit: number, raw: Object}|null} `stopLoss` / `takeProfit` are absolute
+ *   exit prices an entry signal may carry (NaN when absent).
+ */
+const normalizeSignal = (signal) => {
+    if (!signal || typeof signal !== 'object') return null;
+    const intentRaw = signal.intent || signal.action || signal.type;
+    const sideRaw = signal.side || signal.direction || signal.orderSide;
+    const intent = String(intentRaw || '').toUpperCase();
+    let side = String(sideRaw || '').toLowerCase();
+
+    if (!side && (intent === 'BUY' || intent === 'LONG')) side = 'long';
+    if (!side && (intent === 'SELL' || intent === 'SHORT')) side = 'short';
+    if (side === 'buy') side = 'long';
+    if (side === 'sell') side = 'short';
+
+    return {
+        intent,
+        side,
+        symbol: signal.symbol,
+        price: Number(signal.price),
+        quantity: Number(signal.quantity),
+        stopLoss: Number(signal.stopLoss),
+        takeProfit: Number(signal.takeProfit),
+        raw: signal
+    };
+};
+
+const isEntry = (normalized) => !!normalized && (normalized.intent === 'ENTER' || normalized.intent === 'BUY');
+const isExit = (normalized) => !!normalized && (normalized.intent === 'EXIT' || normalized.intent === 'CLOSE');
+
+module.exports = {
+    normalizeSignal,
+    isEntry,
+    isExit
+};
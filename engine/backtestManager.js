@@ -6,6 +6,28 @@ const { v4: uuidv4 } = require('uuid');
 
 const logger = require('@utils/logger');
 const broker = require('@broker/twelvedata');
+const { getPaperBroker } = require('@broker/paperStore');
+const optimizer = require('@core/backtest/optimizer');
+const monteCarlo = require('@core/backtest/monteCarlo');
+const { normalizeSignal, isEntry, isExit } = require('@core/backtest/signal');
+const portfolio = require('@core/backtest/portfolio');
+const eventDriven = require('@core/backtest/eventDriven');
+const { CostModel, summarizeCosts } = require('@core/backtest/costModel');
+const analytics = require('@core/backtest/analytics');
+const exits = require('@core/backtest/exits');
+const intrabar = require('@core/backtest/intrabar');
+const overfitting = require('@core/backtest/overfitting');
+const benchmark = require('@core/backtest/benchmark');
+const sensitivity = require('@core/backtest/sensitivity');
+const regimes = require('@core/backtest/regimes');
+const barParser = require('@core/backtest/bars');
+const dataQuality = require('@core/backtest/dataQuality');
+const resampler = require('@core/backtest/resampler');
+const marketCalendar = require('@utils/calendar');
+
+// Fill simulation of event-driven runs unless `options.brokerConfig` overrides it: every
+// order fills and the seed is fixed, so a rerun gives the same report
+const BACKTEST_FILLS = { fillProbability: 1, seed: 1 };
 
 /**
  * @class BacktestManager
@@ -17,13 +39,16 @@ const broker = require('@broker/twelvedata');
 class BacktestManager {
     constructor() {
         this.storagePath = path.resolve(__dirname, '../data/backtests');
+        this.optimizationsPath = path.resolve(__dirname, '../data/optimizations');
         this._ensureStorageDirectory();
     }
 
     _ensureStorageDirectory() {
-        if (!fs.existsSync(this.storagePath)) {
-            fs.mkdirSync(this.storagePath, { recursive: true });
-            logger.info(`Created backtest results directory → ${this.storagePath}`);
+        for (const dir of [this.storagePath, this.optimizationsPath]) {
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+                logger.info(`Created backtest results directory → ${dir}`);
+            }
         }
     }
 
@@ -31,16 +56,24 @@ class BacktestManager {
      * Execute a complete backtest run
      */
     async run(strategy, options = {}) {
+        if (String(options.engine || '').toLowerCase() === 'event') {
+            return this.runEventDriven(strategy, options);
+        }
+
         const runtimeId = uuidv4().slice(0, 8);
         const startMs = Date.now();
+        options = { ...options, costModel: this._resolveCostModel(options), ...this._loadState(strategy, options) };
 
         logger.info(`🔁 Backtest start [${runtimeId}] - strategy=${strategy?.name || 'unknown'} id=${strategy?.id || 'n/a'}`);
 
         try {
             // 1. Load and Clean Data
             logger.info(`📥 Loading data (file:${!!options.file?.path} symbol:${!!options.symbol})...`);
+            this._reportProgress(options, { stage: 'loading' });
             const bars = await this._loadAndNormalizeData(options);
             logger.info(`📥 Loaded and normalized ${bars.length} bars.`);
+            options.intrabarResolver = this._loadIntrabar(options, bars);
+            options.benchmarkSeries = await this._loadBenchmark(options);
 
             // 2. Create the DataFrame and BAKE it
             // .bake() forces the data into memory so the iterator doesn't return 'undefined'
@@ -52,19 +85,20 @@ class BacktestManager {
             logger.info(`🧾 DataFrame baked → ${df.count()} bars. Starting simulation... ⏱️`);
 
             // 3. Simulation Pass
-            // We pass the baked DataFrame directly
-            const trades = this._runGrademarkSimulation(df, strategy, options);
+            // We pass the baked DataFrame directly, then net the trades of costs
+            const initialCapital = Number(options.initialCapital) || 10000;
+            const total = df.count();
+            const trades = this._applyCosts(this._runGrademarkSimulation(df, strategy, options, (processed, opened) =>
+                this._reportProgress(options, { stage: 'simulating', processed, total, trades: opened })
+            ), initialCapital, options);
             logger.info(`🧪 Simulation finished → ${trades ? trades.length : 0} trades generated.`);
 
             // 4. Analysis Guard
-            const initialCapital = Number(options.initialCapital) || 10000;
             logger.info(`📊 Analyzing results with initial capital = ${initialCapital}`);
-            let stats = { profit: 0, maxDrawdownPct: 0 };
+            this._reportProgress(options, { stage: 'analyzing', trades: trades.length });
+            const stats = this._analyzeTrades(trades, initialCapital);
 
             if (trades && trades.length > 0) {
-                // Wrap trades in a DataFrame to provide the .count() method Grademark needs
-                const tradesDf = new dataForge.DataFrame(trades);
-                stats = analyze(initialCapital, tradesDf.toArray());
                 logger.info(`📈 Analysis complete → profit=${(stats.profit || 0).toFixed(2)} maxDD%=${(stats.maxDrawdownPct || 0).toFixed(2)} sharpe=${(stats.sharpeRatio || 'N/A')}`);
             } else {
                 logger.info('⚠️ No trades to analyze.');
@@ -89,6 +123,503 @@ class BacktestManager {
         }
     }
 
+    /**
+     * Multi-symbol portfolio run.
+     * Loads one bar series per entry of `strategy.symbols`, interleaves them by
+     * timestamp into `onBar` and settles every position against one shared cash
+     * balance. The equity curve is marked to market on every timestamp. Trade
+     * `growth` is per position, so the Monte Carlo pass is not applied here.
+     *
+     * @param {BaseStrategy} strategy
+     * @param {Object} options - Standard run options plus `files` ({ [symbol]: upload });
+     *   symbols without a file are fetched from the broker at `interval`.
+     */
+    async runPortfolio(strategy, options = {}) {
+        if (String(options.engine || '').toLowerCase() === 'event') {
+            return this.runEventDriven(strategy, options);
+        }
+
+        const runtimeId = uuidv4().slice(0, 8);
+        const startMs = Date.now();
+        const symbols = strategy.symbols || [];
+        const initialCapital = Number(options.initialCapital) || 10000;
+        options = { ...options, costModel: this._resolveCostModel(options), ...this._loadState(strategy, options) };
+
+        logger.info(`🔁 Portfolio backtest start [${runtimeId}] - strategy=${strategy?.name || 'unknown'} symbols=${symbols.join(',')}`);
+
+        try {
+            this._reportProgress(options, { stage: 'loading' });
+            const seriesBySymbol = await this._loadSeriesBySymbol(symbols, options);
+            const { stream, from, to, dropped } = portfolio.alignSeries(seriesBySymbol);
+            logger.info(`🧾 Aligned ${symbols.length} series → ${stream.length} bars (${dropped} outside the common window). Starting simulation... ⏱️`);
+            options.intrabarResolver = this._loadIntrabar(options, stream);
+            options.benchmarkSeries = await this._loadBenchmark(options);
+
+            const sim = portfolio.simulate(strategy, stream, {
+                ...options,
+                initialCapital,
+                onProgress: (processed, trades) => this._reportProgress(options, { stage: 'simulating', processed, total: stream.length, trades })
+            });
+            const stats = {
+                profit: sim.finalEquity - initialCapital,
+                maxDrawdownPct: portfolio.maxDrawdownPercent(sim.equityCurve),
+                sharpeRatio: this._computeSharpe(sim.trades)
+            };
+            logger.info(`🧪 Simulation finished → ${sim.trades.length} trades, ${sim.rejectedOrders} orders rejected for lack of buying power.`);
+            this._reportProgress(options, { stage: 'analyzing', trades: sim.trades.length });
+
+            const report = this._buildReport({
+                runtimeId, strategy, startMs, initialCapital, trades: sim.trades, stats, df: null,
+                options: { ...options, symbol: symbols.join(','), monteCarlo: false },
+                equityCurve: sim.equityCurve, bars: stream, compounding: false
+            });
+            report.meta.mode = 'PORTFOLIO';
+            report.meta.symbols = symbols;
+            report.portfolio = {
+                from,
+                to,
+                bars: stream.length,
+                droppedBars: dropped,
+                finalEquity: sim.finalEquity,
+                rejectedOrders: sim.rejectedOrders,
+                combined: report.performanceRaw,
+                bySymbol: sim.bySymbol
+            };
+
+            await this._saveReport(report);
+            logger.info(`✅ Portfolio backtest complete [${runtimeId}] (duration: ${((Date.now() - startMs) / 1000).toFixed(2)}s)`);
+
+            return report;
+
+        } catch (err) {
+            logger.error(`❌ PORTFOLIO BACKTEST FAILED → ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Event-driven run: bars are replayed as ticks through `onTick` → SignalAdapter
+     * (BACKTEST mode) → an isolated PaperBroker, i.e. the code path paper trading
+     * uses. Commission, slippage and margin come from the paper broker settings,
+     * overridable per run via `options.brokerConfig`; the broker charges them on each
+     * fill, so the `options.costs` model is not applied on top. Fill probability and
+     * seed don't follow the live settings (see BACKTEST_FILLS); the seed used is
+     * reported in `execution.seed`. Every symbol of the strategy is replayed (see
+     * `runPortfolio` for data sources).
+     */
+    async runEventDriven(strategy, options = {}) {
+        const runtimeId = uuidv4().slice(0, 8);
+        const startMs = Date.now();
+        const symbols = strategy.symbols || [];
+        const initialCapital = Number(options.initialCapital) || 10000;
+
+        options = { ...options, ...this._loadState(strategy, options) };
+
+        logger.info(`🔁 Event-driven backtest start [${runtimeId}] - strategy=${strategy?.name || 'unknown'} symbols=${symbols.join(',')}`);
+
+        try {
+            this._reportProgress(options, { stage: 'loading' });
+            const seriesBySymbol = await this._loadSeriesBySymbol(symbols, options);
+            const { stream } = portfolio.alignSeries(seriesBySymbol);
+            options = { ...options, benchmarkSeries: await this._loadBenchmark(options) };
+            const brokerConfig = { ...getPaperBroker().config, ...BACKTEST_FILLS, ...(options.brokerConfig || {}) };
+            logger.info(`🧾 Replaying ${stream.length} bars as ticks (commission/share=${brokerConfig.commissionPerShare}, slippage=${brokerConfig.slippageBps}bps, seed=${brokerConfig.seed})... ⏱️`);
+
+            const sim = eventDriven.simulate(strategy, stream, {
+                initialCapital,
+                brokerConfig,
+                onProgress: (processed, trades) => this._reportProgress(options, { stage: 'simulating', processed, total: stream.length, trades })
+            });
+            const stats = {
+                profit: sim.finalEquity - initialCapital,
+                maxDrawdownPct: portfolio.maxDrawdownPercent(sim.equityCurve),
+                sharpeRatio: this._computeSharpe(sim.trades)
+            };
+            logger.info(`🧪 Simulation finished → ${sim.execution.signals} signals, ${sim.execution.fills} fills, ${sim.trades.length} trades, commissions=${sim.execution.commissions.toFixed(2)}`);
+            this._reportProgress(options, { stage: 'analyzing', trades: sim.trades.length });
+
+            const report = this._buildReport({
+                runtimeId, strategy, startMs, initialCapital, trades: sim.trades, stats, df: null,
+                options: { ...options, symbol: symbols.join(','), monteCarlo: false },
+                equityCurve: sim.equityCurve, bars: stream, compounding: false
+            });
+            report.meta.mode = 'EVENT_DRIVEN';
+            report.meta.symbols = symbols;
+            report.execution = { ...sim.execution, finalEquity: sim.finalEquity };
+            if (symbols.length > 1) report.portfolio = { combined: report.performanceRaw, bySymbol: sim.bySymbol };
+
+            await this._saveReport(report);
+            logger.info(`✅ Event-driven backtest complete [${runtimeId}] (duration: ${((Date.now() - startMs) / 1000).toFixed(2)}s)`);
+
+            return report;
+
+        } catch (err) {
+            logger.error(`❌ EVENT-DRIVEN BACKTEST FAILED → ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Walk-forward optimization run.
+     * Splits the bars into rolling in-sample / out-of-sample windows, searches the
+     * strategy `schema` on each in-sample window and scores the winner on the next
+     * unseen window. Out-of-sample trades are stitched into a single equity curve.
+     *
+     * @param {BaseStrategy} strategy - Template instance (a fresh copy is spawned per evaluation).
+     * @param {Object} options - Standard run options plus `walkForward`:
+     *   { inSampleBars, outSampleBars, anchored, objective, method, steps, samples, seed, ranges }
+     */
+    async runWalkForward(strategy, options = {}) {
+        const runtimeId = uuidv4().slice(0, 8);
+        const startMs = Date.now();
+        const wf = options.walkForward || {};
+        const objective = optimizer.resolveObjective(wf.objective || 'sharpe').name;
+        const initialCapital = Number(options.initialCapital) || 10000;
+        options = { ...options, costModel: this._resolveCostModel(options), ...this._loadState(strategy, options) };
+
+        logger.info(`🔁 Walk-forward start [${runtimeId}] - strategy=${strategy?.name || 'unknown'} objective=${objective}`);
+
+        try {
+            this._reportProgress(options, { stage: 'loading' });
+            const bars = await this._loadAndNormalizeData(options);
+            const inSampleBars = Math.floor(Number(wf.inSampleBars) || bars.length * 0.5);
+            const outSampleBars = Math.floor(Number(wf.outSampleBars) || bars.length * 0.125);
+            const anchored = wf.anchored === true || wf.anchored === 'true';
+
+            if (inSampleBars <= (strategy.lookback || 0)) {
+                throw new Error(`In-sample window (${inSampleBars} bars) must exceed strategy lookback (${strategy.lookback})`);
+            }
+            if (outSampleBars < 1 || inSampleBars + outSampleBars > bars.length) {
+                throw new Error(`Not enough data for walk-forward: ${bars.length} bars < ${inSampleBars} in-sample + ${outSampleBars} out-of-sample`);
+            }
+
+            const candidates = optimizer.buildCandidates(strategy.schema, wf);
+            logger.info(`🧭 ${bars.length} bars → IS=${inSampleBars} OOS=${outSampleBars} anchored=${anchored}, ${candidates.length} candidates per window`);
+
+            const windows = [];
+            const oosTrades = [];
+            const totalEvaluations = Math.floor((bars.length - inSampleBars) / outSampleBars) * (candidates.length + 1);
+            let evaluations = 0;
+
+            for (let oosStart = inSampleBars; oosStart + outSampleBars <= bars.length; oosStart += outSampleBars) {
+                const isStart = anchored ? 0 : oosStart - inSampleBars;
+                const oosEnd = oosStart + outSampleBars;
+
+                // 1. Optimize on the in-sample window
+                const evaluated = [];
+                for (const params of candidates) {
+                    await this._checkpoint(options, { stage: 'optimizing', processed: evaluations++, total: totalEvaluations, trades: oosTrades.length });
+                    evaluated.push({
+                        params,
+                        performance: this._evaluateSlice(strategy, bars, isStart, oosStart, params, options, initialCapital).performance
+                    });
+                }
+                const [best] = optimizer.rank(evaluated, objective);
+
+                // 2. Score the winner on the unseen window
+                await this._checkpoint(options, { stage: 'optimizing', processed: evaluations++, total: totalEvaluations, trades: oosTrades.length });
+                const oos = this._evaluateSlice(strategy, bars, oosStart, oosEnd, best.params, options, initialCapital);
+                oosTrades.push(...oos.trades);
+
+                windows.push({
+                    index: windows.length,
+                    inSample: this._describeRange(bars, isStart, oosStart),
+                    outSample: this._describeRange(bars, oosStart, oosEnd),
+                    params: best.params,
+                    inSampleScore: best.score,
+                    inSamplePerformance: best.performance,
+                    outSamplePerformance: oos.performance
+                });
+
+                logger.info(`🪟 Window ${windows.length - 1}: params=${JSON.stringify(best.params)} IS ${objective}=${Number(best.score).toFixed(2)} OOS roi=${oos.performance.roiPercent.toFixed(2)}%`);
+            }
+
+            this._reportProgress(options, { stage: 'analyzing', processed: evaluations, total: totalEvaluations, trades: oosTrades.length });
+            const oosEnd = inSampleBars + windows.length * outSampleBars;
+            const df = new dataForge.DataFrame(bars.slice(inSampleBars, oosEnd)).bake();
+            const stats = this._analyzeTrades(oosTrades, initialCapital);
+
+            const report = this._buildReport({
+                runtimeId, strategy, startMs, initialCapital, trades: oosTrades, stats, df, options
+            });
+            report.meta.mode = 'WALK_FORWARD';
+            report.walkForward = {
+                objective,
+                anchored,
+                inSampleBars,
+                outSampleBars,
+                candidatesPerWindow: candidates.length,
+                windows
+            };
+
+            await this._saveReport(report);
+            logger.info(`✅ Walk-forward complete [${runtimeId}] → ${windows.length} windows, ${oosTrades.length} OOS trades (duration: ${((Date.now() - startMs) / 1000).toFixed(2)}s)`);
+
+            return report;
+
+        } catch (err) {
+            logger.error(`❌ WALK-FORWARD FAILED → ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Parameter search over the strategy `schema`.
+     * Each candidate runs on a fresh strategy instance over the same bars; results are
+     * ranked by `objective` and the top-N parameter sets are persisted so one can be
+     * applied later through `updateParams` / settings persistence.
+     *
+     * @param {BaseStrategy} strategy - Template instance.
+     * @param {Object} options - Standard run options plus `optimize`:
+     *   { method: 'grid'|'random', objective, steps, samples, seed, ranges, topN, holdoutPercent, pboBlocks }
+     *   `holdoutPercent` keeps the last X% of the bars away from the search; the winner is
+     *   then replayed on it and saved as a HOLDOUT report (see `_runHoldout`).
+     */
+    async runOptimization(strategy, options = {}) {
+        const runtimeId = uuidv4().slice(0, 8);
+        const startMs = Date.now();
+        const opt = options.optimize || {};
+        const objective = optimizer.resolveObjective(opt.objective || 'sharpe').name;
+        const method = String(opt.method || 'grid').toLowerCase();
+        const topN = Math.max(1, Number(opt.topN) || 10);
+        const initialCapital = Number(options.initialCapital) || 10000;
+        options = { ...options, costModel: this._resolveCostModel(options), ...this._loadState(strategy, options) };
+
+        logger.info(`🔁 Optimization start [${runtimeId}] - strategy=${strategy?.name || 'unknown'} method=${method} objective=${objective}`);
+
+        try {
+            this._reportProgress(options, { stage: 'loading' });
+            const bars = await this._loadAndNormalizeData(options);
+            const candidates = optimizer.buildCandidates(strategy.schema, { ...opt, method });
+
+            // The search only ever sees bars[0, split)
+            const holdoutPercent = Math.min(90, Math.max(0, Number(opt.holdoutPercent) || 0));
+            const split = holdoutPercent > 0 ? Math.floor(bars.length * (1 - holdoutPercent / 100)) : bars.length;
+            if (split <= (strategy.lookback || 0) || split < 1) {
+                throw new Error(`In-sample window (${split} bars) must exceed strategy lookback (${strategy.lookback}); lower holdoutPercent`);
+            }
+            if (holdoutPercent > 0 && split >= bars.length) {
+                throw new Error(`Holdout of ${holdoutPercent}% leaves no bars out of sample`);
+            }
+            logger.info(`🧭 Evaluating ${candidates.length} candidates on ${split} bars${split < bars.length ? ` (${bars.length - split} held out)` : ''}...`);
+
+            // CSCV blocks for the overfitting probability (even count, bounded: the splits grow combinatorially)
+            const pboBlocks = Math.min(overfitting.MAX_PBO_BLOCKS, Math.max(2, Math.floor((Number(opt.pboBlocks) || 8) / 2) * 2));
+            const total = candidates.length + (split < bars.length ? 2 : 0);
+            const evaluated = [];
+            const blockReturns = [];
+            for (const [idx, params] of candidates.entries()) {
+                await this._checkpoint(options, { stage: 'optimizing', processed: idx, total });
+                const { trades, performance } = this._evaluateSlice(strategy, bars, 0, split, params, options, initialCapital);
+                evaluated.push({ params, performance });
+                blockReturns.push(overfitting.blockReturns(trades, bars[0].time, bars[split - 1].time, pboBlocks));
+            }
+            this._reportProgress(options, { stage: 'analyzing', processed: candidates.length, total });
+            const ranked = optimizer.rank(evaluated, objective);
+
+            const best = ranked[0];
+            const bestTrades = best ? this._evaluateSlice(strategy, bars, 0, split, best.params, options, initialCapital).trades : [];
+            const diagnostics = {
+                trials: evaluated.length,
+                deflatedSharpe: overfitting.deflatedSharpe(
+                    bestTrades.map(t => Number(t.growth) - 1).filter(Number.isFinite),
+                    evaluated.map(e => e.performance.sharpeRatio)
+                ),
+                pbo: overfitting.probabilityOfOverfitting(blockReturns)
+            };
+
+            let holdout;
+            if (best && split < bars.length) {
+                await this._checkpoint(options, { stage: 'optimizing', processed: candidates.length, total });
+                const report = await this._runHoldout(strategy, bars, split, best.params, options, initialCapital, { runtimeId, holdoutPercent, diagnostics });
+                holdout = { reportId: report.meta.id, ...report.holdout };
+                logger.info(`🔒 Holdout → IS roi=${report.holdout.inSample.performance.roiPercent.toFixed(2)}% OOS roi=${report.holdout.outOfSample.performance.roiPercent.toFixed(2)}% (report ${report.meta.id})`);
+            }
+
+            const result = {
+                meta: {
+                    id: runtimeId,
+                    strategyId: strategy.id,
+                    strategyName: strategy.name,
+                    symbol: options.symbol || strategy.symbols?.[0] || "SYMBOL",
+                    timeframe: options.resampled?.[0]?.to || options.interval || strategy.timeframe || "1m",
+                    resampledFrom: options.resampled?.[0]?.from,
+                    timestamp: new Date().toISOString(),
+                    executionTime: `${((Date.now() - startMs) / 1000).toFixed(2)}s`,
+                    bars: bars.length
+                },
+                search: {
+                    method,
+                    objective,
+                    seed: opt.seed ?? null,
+                    steps: method === 'grid' ? Number(opt.steps) || 5 : undefined,
+                    samples: method === 'random' ? Number(opt.samples) || 50 : undefined,
+                    ranges: opt.ranges || null,
+                    evaluated: ranked.length,
+                    holdoutPercent
+                },
+                top: ranked.slice(0, topN).map((r, idx) => ({ rank: idx + 1, ...r })),
+                // Every candidate, for sensitivity surfaces
+                evaluations: evaluated,
+                overfitting: diagnostics,
+                holdout
+            };
+
+            this._saveOptimization(result);
+            logger.info(`✅ Optimization complete [${runtimeId}] → best ${objective}=${Number(ranked[0]?.score).toFixed(4)} params=${JSON.stringify(ranked[0]?.params || {})}`);
+
+            return result;
+
+        } catch (err) {
+            logger.error(`❌ OPTIMIZATION FAILED → ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Replay the optimizer's winner on the held-out tail and save it as a report
+     * whose `holdout` section puts in-sample and out-of-sample results side by side.
+     * @param {Object} context - { runtimeId (optimization run), holdoutPercent, diagnostics }
+     */
+    async _runHoldout(strategy, bars, split, params, options, initialCapital, { runtimeId, holdoutPercent, diagnostics }) {
+        const startMs = Date.now();
+        const inSample = this._evaluateSlice(strategy, bars, 0, split, params, options, initialCapital);
+        const outOfSample = this._evaluateSlice(strategy, bars, split, bars.length, params, options, initialCapital);
+
+        const df = new dataForge.DataFrame(bars.slice(split)).bake();
+        const report = this._buildReport({
+            runtimeId: uuidv4().slice(0, 8),
+            strategy: this._spawnInstance(strategy, params),
+            startMs,
+            initialCapital,
+            trades: outOfSample.trades,
+            stats: this._analyzeTrades(outOfSample.trades, initialCapital),
+            df,
+            options
+        });
+        report.meta.mode = 'HOLDOUT';
+        report.meta.optimizationId = runtimeId;
+        report.holdout = {
+            holdoutPercent,
+            inSample: { ...this._describeRange(bars, 0, split), performance: inSample.performance },
+            outOfSample: { ...this._describeRange(bars, split, bars.length), performance: outOfSample.performance },
+            degradation: overfitting.degradation(inSample.performance, outOfSample.performance, {
+                inSample: split,
+                outOfSample: bars.length - split
+            }),
+            overfitting: diagnostics
+        };
+
+        await this._saveReport(report);
+        return report;
+    }
+
+    /**
+     * Stored optimization run by id, or null when missing.
+     */
+    getOptimization(runId) {
+        const filepath = path.join(this.optimizationsPath, `${path.basename(String(runId))}.json`);
+        if (!fs.existsSync(filepath)) return null;
+        return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    }
+
+    /**
+     * Metric surface over two swept parameters of a stored optimization run, or
+     * null when the run is missing. Runs saved before every evaluation was kept
+     * only have their top-N candidates to draw from.
+     * @param {string} runId
+     * @param {Object} opts - { x, y, metric, aggregate } (see sensitivity.buildSurface)
+     */
+    getSensitivity(runId, opts = {}) {
+        const run = this.getOptimization(runId);
+        if (!run) return null;
+        const evaluations = run.evaluations || run.top || [];
+        return {
+            runId: run.meta.id,
+            strategyId: run.meta.strategyId,
+            objective: run.search?.objective,
+            candidates: evaluations.length,
+            partial: !run.evaluations,
+            ...sensitivity.buildSurface(evaluations, opts)
+        };
+    }
+
+    /**
+     * Stored optimization runs (summaries), newest first, optionally for one strategy.
+     */
+    listOptimizations(strategyId) {
+        if (!fs.existsSync(this.optimizationsPath)) return [];
+        return fs.readdirSync(this.optimizationsPath)
+            .filter(f => f.endsWith('.json'))
+            .map(f => {
+                try {
+                    const data = JSON.parse(fs.readFileSync(path.join(this.optimizationsPath, f), 'utf8'));
+                    return { ...data.meta, search: data.search, best: data.top?.[0] || null };
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(r => r && (!strategyId || r.strategyId === strategyId))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /**
+     * Backtest a fresh strategy copy on bars[start, end), warming it up on the
+     * bars immediately preceding the slice so indicators are primed.
+     */
+    _evaluateSlice(strategy, bars, start, end, params, options, initialCapital) {
+        const instance = this._spawnInstance(strategy, params);
+        const symbol = options.symbol || "SYMBOL";
+        const warmupFrom = Math.max(0, start - (instance.lookback || 0));
+
+        for (const bar of bars.slice(warmupFrom, start)) {
+            instance.dataManager.ingestBar({ ...bar, symbol });
+        }
+
+        const slice = bars.slice(start, end).map(bar => ({ ...bar }));
+        const df = new dataForge.DataFrame(slice).bake();
+        const trades = this._applyCosts(this._runGrademarkSimulation(df, instance, options), initialCapital, options);
+        const stats = this._analyzeTrades(trades, initialCapital);
+
+        return { trades, performance: this._summarize(trades, stats, initialCapital) };
+    }
+
+    /**
+     * Fresh, isolated instance of the same strategy class with `params` applied
+     * on top of the template's current params.
+     */
+    _spawnInstance(strategy, params = {}) {
+        const StrategyClass = strategy.constructor;
+        const instance = new StrategyClass({ id: strategy.id, name: strategy.name });
+        instance.id = strategy.id;
+        instance.name = strategy.name;
+        instance.lookback = strategy.lookback;
+        instance.updateParams?.({ ...(strategy.params || {}), ...params });
+        return instance;
+    }
+
+    _describeRange(bars, start, end) {
+        return {
+            from: Number(bars[start]?.time),
+            to: Number(bars[end - 1]?.time),
+            bars: end - start
+        };
+    }
+
+    /**
+     * One normalized series per symbol: `options.files[symbol]` when uploaded, the
+     * single `options.file` for one-symbol strategies, otherwise a broker fetch.
+     */
+    async _loadSeriesBySymbol(symbols, options) {
+        const seriesBySymbol = {};
+        for (const symbol of symbols) {
+            const file = options.files?.[symbol] || (symbols.length === 1 ? options.file : null) || null;
+            seriesBySymbol[symbol] = await this._loadAndNormalizeData({ ...options, symbol, file });
+            logger.info(`📥 ${symbol} → ${seriesBySymbol[symbol].length} bars`);
+        }
+        return seriesBySymbol;
+    }
+
     async _loadAndNormalizeData(options) {
         let rawRows;
         if (options.file?.path) {
@@ -98,12 +629,201 @@ class BacktestManager {
         } else {
             throw new Error("Missing data source: provide 'file' or 'symbol/interval'");
         }
-        return this._normalizeBars(rawRows);
+        const bars = this._applySessions(this._validateBars(rawRows, options), options);
+        return this._resampleBars(bars, options);
+    }
+
+    /**
+     * Per-run loader state shared by every series of the run (main data, portfolio legs,
+     * benchmark): the findings collected while loading and the targets applied.
+     */
+    _loadState(strategy, options) {
+        return {
+            dataQualityReports: [],
+            resampleTo: this._resampleTarget(strategy, options),
+            resampled: [],
+            calendar: options.calendar || strategy?.calendar || undefined,
+            sessions: options.sessions || strategy?.sessions || undefined,
+            sessionReports: []
+        };
+    }
+
+    /**
+     * Off-session bars under the symbol's market calendar (see utils/calendar), per
+     * `options.sessions` (else the strategy's `sessions`): 'off' (default) leaves the data
+     * alone, 'flag' marks them `offSession: true`, 'skip' drops them; live ticks follow the
+     * same setting in BaseStrategy.onTick. 24/7 markets are not checked. A bar counts as
+     * in session when any session time falls inside it, so daily and hourly bars that
+     * straddle the open are kept.
+     */
+    _applySessions(bars, options) {
+        const mode = String(options.sessions || 'off').toLowerCase();
+        const symbol = options.symbol || '';
+        const calendar = marketCalendar.forSymbol(symbol, options.calendar);
+        if (mode === 'off' || calendar.alwaysOpen || bars.length === 0) return bars;
+
+        const spacing = resampler.parseTimeframe(barParser.inferTimeframe(bars)) || 60 * 1000;
+        const kept = [];
+        const examples = [];
+        let offSession = 0;
+        for (const bar of bars) {
+            const open = marketCalendar.isOpen(symbol, bar.time, options.calendar)
+                || marketCalendar.openMs(symbol, bar.time, bar.time + spacing, options.calendar) > 0;
+            if (!open) {
+                offSession++;
+                if (examples.length < 10) examples.push(bar.time);
+                if (mode === 'skip') continue;
+                bar.offSession = true;
+            }
+            kept.push(bar);
+        }
+
+        options.sessionReports?.push({
+            symbol: options.symbol || null,
+            calendar: calendar.name,
+            timezone: calendar.timezone,
+            mode,
+            bars: bars.length,
+            offSessionBars: offSession,
+            skipped: mode === 'skip' ? offSession : 0,
+            examples
+        });
+        if (offSession > 0) {
+            logger.warn(`🗓️ ${symbol || 'dataset'}: ${offSession} bar(s) outside ${calendar.name} sessions (${mode === 'skip' ? 'skipped' : 'flagged'})`);
+        }
+        return kept;
+    }
+
+    /**
+     * Timeframe the loaded bars are aggregated to: `options.resample` ('4h', or
+     * { timeframe, sessionStart, utcOffset, dropPartial }), else the strategy's own
+     * timeframe. Null when `options.resample` is false.
+     */
+    _resampleTarget(strategy, options) {
+        const raw = options.resample;
+        if (raw === false || raw === 'false' || raw === 'off') return null;
+        const cfg = typeof raw === 'object' && raw !== null ? raw : { timeframe: raw };
+        const timeframe = cfg.timeframe || strategy?.timeframe;
+        if (!timeframe) return null;
+        return { ...cfg, timeframe, explicit: Boolean(cfg.timeframe) };
+    }
+
+    /**
+     * Aggregates bars finer than `options.resampleTo` (see resampler.resample). Data
+     * already at the target is passed through; coarser data only fails the run when the
+     * timeframe was asked for explicitly, otherwise it runs as loaded.
+     */
+    _resampleBars(bars, options) {
+        const target = options.resampleTo;
+        if (!target || bars.length < 2) return bars;
+
+        const label = options.symbol || options.file?.originalname || 'dataset';
+        const sourceTimeframe = barParser.inferTimeframe(bars);
+        const sourceMs = resampler.parseTimeframe(sourceTimeframe);
+        const targetMs = resampler.parseTimeframe(target.timeframe);
+        if (!sourceMs || sourceMs === targetMs) return bars;
+        if (targetMs && sourceMs > targetMs && !target.explicit) {
+            logger.warn(`🕯️ ${label}: ${sourceTimeframe} data is coarser than the strategy timeframe ${target.timeframe}, running as loaded`);
+            return bars;
+        }
+
+        // Session-aware buckets (daily bars at the market's day boundary) unless the
+        // caller aligned the buckets explicitly
+        const calendar = marketCalendar.forSymbol(options.symbol || '', options.calendar);
+        const bucketStart = !calendar.alwaysOpen && !target.sessionStart && target.utcOffset === undefined
+            ? (time, frameMs) => marketCalendar.bucketStart(options.symbol || '', time, frameMs, options.calendar)
+            : undefined;
+
+        let result;
+        try {
+            result = resampler.resample(bars, target.timeframe, { ...target, sourceTimeframe, bucketStart });
+        } catch (err) {
+            err.message = `${label}: ${err.message}`;
+            throw err;
+        }
+        options.resampled?.push({
+            symbol: options.symbol || null,
+            from: sourceTimeframe,
+            to: result.timeframe,
+            barsIn: bars.length,
+            barsOut: result.bars.length,
+            partialDropped: result.partialDropped
+        });
+        logger.info(`🕯️ Resampled ${label} ${sourceTimeframe} → ${result.timeframe} (${bars.length} → ${result.bars.length} bars)`);
+        return result.bars;
+    }
+
+    /**
+     * Data quality pass over loaded rows (see dataQuality.validate). The report is
+     * collected in `options.dataQualityReports` for the run's report; in 'strict'
+     * mode an error-level finding fails the run.
+     */
+    _validateBars(rawRows, options) {
+        const label = options.symbol || options.file?.originalname || 'dataset';
+        let result;
+        try {
+            result = dataQuality.validate(rawRows, options.dataQuality);
+        } catch (err) {
+            err.message = `${label}: ${err.message}`;
+            throw err;
+        }
+        const { bars, report } = result;
+        if (report) {
+            options.dataQualityReports?.push({
+                symbol: options.symbol || null,
+                source: options.file ? (options.file.originalname || 'upload') : 'broker',
+                datasetId: options.file?.datasetId,
+                ...report
+            });
+            if (report.errors + report.warnings > 0) {
+                logger.warn(`🩺 Data quality ${label}: ${report.errors} error(s), ${report.warnings} warning(s) [${report.strictness}]`);
+            }
+        }
+        return bars;
+    }
+
+    /**
+     * Finer-grained data for intrabar fills: `options.intrabarFile` (single-symbol runs)
+     * or `options.intrabarFiles` ({ [symbol]: upload }, portfolio runs). Bar or tick CSVs.
+     * @param {Object[]} coarseBars - The bars the strategy runs on.
+     * @returns {Object|null} intrabar resolver, or null without intrabar data.
+     */
+    _loadIntrabar(options, coarseBars) {
+        const files = options.intrabarFiles && Object.keys(options.intrabarFiles).length > 0
+            ? options.intrabarFiles
+            : (options.intrabarFile?.path ? { '*': options.intrabarFile } : null);
+        if (!files) return null;
+
+        const fineBySymbol = {};
+        for (const [symbol, file] of Object.entries(files)) {
+            if (!file?.path) continue;
+            fineBySymbol[symbol] = this._normalizeBars(this._readCsv(file.path));
+            logger.info(`📥 Intrabar data ${symbol === '*' ? '' : `${symbol} `}→ ${fineBySymbol[symbol].length} rows`);
+        }
+        return intrabar.createResolver(fineBySymbol, coarseBars);
+    }
+
+    /**
+     * Benchmark series other than buy-and-hold of the replayed bars: an uploaded
+     * `options.benchmarkFile`, or `options.benchmarkSymbol` fetched at `interval`.
+     * @returns {Promise<{symbol: string, bars: Object[]}|null>}
+     */
+    async _loadBenchmark(options) {
+        if (options.benchmark === false || options.benchmark === 'false') return null;
+        if (!options.benchmarkFile?.path && !options.benchmarkSymbol) return null;
+
+        const bars = await this._loadAndNormalizeData({
+            ...options,
+            symbol: options.benchmarkSymbol,
+            file: options.benchmarkFile || null
+        });
+        const symbol = options.benchmarkSymbol || options.benchmarkFile?.originalname || 'BENCHMARK';
+        logger.info(`📥 Benchmark ${symbol} → ${bars.length} bars`);
+        return { symbol, bars };
     }
 
     _readCsv(filePath) {
-        const content = fs.readFileSync(filePath, 'utf-8');
-        return dataForge.fromCSV(content).toArray();
+        return barParser.readCsv(filePath);
     }
 
     async _fetchFromBroker(options) {
@@ -115,34 +835,7 @@ class BacktestManager {
     }
 
     _normalizeBars(rawRows) {
-        return rawRows
-            .map((row) => {
-                const rawTime = row.time || row.Time || row.timestamp || row.datetime || row.Date || row.at;
-                let timeMs = NaN;
-
-                if (rawTime) {
-                    const num = Number(rawTime);
-                    // Convert seconds to milliseconds if necessary
-                    timeMs = !isNaN(num) ? (num < 1e11 ? num * 1000 : num) : Date.parse(rawTime);
-                }
-
-                if (isNaN(timeMs)) return null;
-
-                // Strict casting to prevent [object Object] or undefined
-                const bar = {
-                    time: timeMs,
-                    open: parseFloat(row.open || row.Open || 0),
-                    high: parseFloat(row.high || row.High || 0),
-                    low: parseFloat(row.low || row.Low || 0),
-                    close: parseFloat(row.close || row.Close || 0),
-                    volume: parseFloat(row.volume || row.Volume || 0)
-                };
-
-                // Validation: Don't pass bars with 0 price to the strategy
-                return (bar.close > 0) ? bar : null;
-            })
-            .filter(Boolean)
-            .sort((a, b) => a.time - b.time);
+        return barParser.normalizeBars(rawRows);
     }
 
     /**
@@ -154,56 +847,62 @@ class BacktestManager {
  * Standardizes how data flows into the strategy and how signals flow to the adapter.
  * Handles same-bar flip logic by coordinating exitRule and entryRule.
  */
-    _runGrademarkSimulation(df, strategy, options) {
+    _runGrademarkSimulation(df, strategy, options, onProgress) {
         const symbol = options.symbol || "SYMBOL";
+        // Progress (job runs): bar position in the series and positions opened so far
+        const barIndex = onProgress ? new Map(df.toArray().map((bar, idx) => [bar.time, idx + 1])) : null;
+        let opened = 0;
+        const progress = (bar) => onProgress?.(barIndex.get(bar.time), opened);
 
-        const normalizeSignal = (signal) => {
-            if (!signal || typeof signal !== 'object') return null;
-            const intentRaw = signal.intent || signal.action || signal.type;
-            const sideRaw = signal.side || signal.direction || signal.orderSide;
-            const intent = String(intentRaw || '').toUpperCase();
-            let side = String(sideRaw || '').toLowerCase();
-
-            if (!side && (intent === 'BUY' || intent === 'LONG')) side = 'long';
-            if (!side && (intent === 'SELL' || intent === 'SHORT')) side = 'short';
-            if (side === 'buy') side = 'long';
-            if (side === 'sell') side = 'short';
+        // Protective exits: grademark checks `curStopPrice` / `profitTarget` intrabar,
+        // the levels themselves are managed here and synced on every bar close.
+        const rules = exits.resolveExitRules(options);
+        const atr = exits.createAtrLookup(rules, df.toArray());
+        const states = new Map(); // entryTime → exit state
+        let pendingLevels = {};   // stopLoss / takeProfit of the entry signal being filled
+        const syncLevels = (position, state) => {
+            if (state.stopPrice === undefined) delete position.curStopPrice;
+            else position.curStopPrice = state.stopPrice;
+            if (state.profitTarget === undefined) delete position.profitTarget;
+            else position.profitTarget = state.profitTarget;
+        };
 
-            return {
-                intent,
-                side,
-                price: Number(signal.price),
-                raw: signal
-            };
+        const enterWith = (enter, signal, bar) => {
+            opened++;
+            pendingLevels = { stopLoss: signal.stopLoss, takeProfit: signal.takeProfit };
+            enter({
+                direction: signal.side,
+                entryPrice: Number.isFinite(signal.price) ? signal.price : bar.close
+            });
         };
 
-        return backtest({
+        const trades = backtest({
             // 1. ENTRY RULE: Processes new positions and "Flip" completions
             entryRule: (enter, args) => {
                 const bar = args.bar;
                 bar.symbol = symbol;
+                progress(bar);
 
                 // Check if we have a pending flip from an exit that just occurred on this bar
                 if (strategy._flipNext) {
-                    const flipSignal = strategy.applyFlip(symbol);
+                    const flipSignal = normalizeSignal(strategy.applyFlip(symbol));
                     if (flipSignal) {
-                        enter({
-                            direction: flipSignal.side,
-                            entryPrice: flipSignal.price || bar.close
-                        });
+                        enterWith(enter, flipSignal, bar);
                         return;
                     }
                 }
 
+                // A protective exit closed the simulated position: bring the strategy back to flat
+                if (strategy.positions.getState(symbol) !== 'flat') {
+                    strategy.positions.close(symbol, bar.open);
+                }
+
                 // Normal Signal Processing
                 const signal = strategy.onBar(bar);
                 const normalized = normalizeSignal(signal);
 
-                if (normalized && (normalized.intent === 'ENTER' || normalized.intent === 'BUY')) {
-                    enter({
-                        direction: normalized.side,
-                        entryPrice: Number.isFinite(normalized.price) ? normalized.price : bar.close
-                    });
+                if (isEntry(normalized)) {
+                    enterWith(enter, normalized, bar);
                 }
             },
 
@@ -211,17 +910,16 @@ class BacktestManager {
             exitRule: (exit, args) => {
                 const bar = args.bar;
                 bar.symbol = symbol;
+                progress(bar);
 
                 const signal = strategy.onBar(bar);
                 const normalized = normalizeSignal(signal);
 
-                if (!normalized) return;
-
                 const currentSide = args.position.direction;
-                const isExitIntent = normalized.intent === 'EXIT' || normalized.intent === 'CLOSE';
+                const isExitIntent = isExit(normalized);
 
                 // Detection of a Flip (Enter signal for the opposite side)
-                const isFlipIntent = normalized.intent === 'ENTER' &&
+                const isFlipIntent = !!normalized && normalized.intent === 'ENTER' &&
                     normalized.side &&
                     normalized.side !== currentSide;
 
@@ -233,34 +931,118 @@ class BacktestManager {
                     // Manual override: Ensure strategy position manager knows we are flat
                     // so onBar doesn't get confused during the same-bar transition.
                     strategy.positions.close(symbol, bar.close);
+                    return;
+                }
+
+                // Bar close: move the levels grademark checks from the next bar on
+                const state = states.get(args.position.entryTime);
+                if (!state) return;
+                const timeStop = exits.updateOnClose(rules, state, bar, {
+                    barsHeld: args.position.holdingPeriod,
+                    atr: atr?.at(symbol, bar.time)
+                });
+                syncLevels(args.position, state);
+
+                if (timeStop) {
+                    state.exitReason = timeStop;
+                    exit();
+                    strategy.positions.close(symbol, bar.close);
                 }
             },
 
-            stopLoss: ({ direction, entryPrice }) => {
-                const sl = Number(options.stopLossPercent) || 0;
-                if (sl <= 0) return undefined;
-                return direction === 'long' ? entryPrice * (1 - sl / 100) : entryPrice * (1 + sl / 100);
+            // Distances from the fill; Infinity keeps a level grademark never reaches
+            stopLoss: ({ entryPrice, position, bar }) => {
+                const state = exits.openLevels(rules, {
+                    direction: position.direction,
+                    entryPrice,
+                    ...pendingLevels,
+                    atr: atr?.before(symbol, bar.time)
+                });
+                states.set(position.entryTime, state);
+                pendingLevels = {};
+                return state.stopPrice === undefined ? Infinity : Math.abs(entryPrice - state.stopPrice);
             },
 
-            takeProfit: ({ direction, entryPrice }) => {
-                const tp = Number(options.takeProfitPercent) || 0;
-                if (tp <= 0) return undefined;
-                return direction === 'long' ? entryPrice * (1 + tp / 100) : entryPrice * (1 - tp / 100);
+            profitTarget: ({ entryPrice, position }) => {
+                const state = states.get(position.entryTime);
+                return state?.profitTarget === undefined ? Infinity : Math.abs(state.profitTarget - entryPrice);
             }
         }, df);
+
+        // Name the protective exit that fired and drop the placeholder levels
+        const resolved = trades.map((trade) => {
+            const state = states.get(trade.entryTime);
+            if (!state) return trade;
+            let exitReason = trade.exitReason;
+            if (exitReason === 'stop-loss') exitReason = state.stopKind;
+            else if (exitReason === 'exit-rule' && state.exitReason) exitReason = state.exitReason;
+            return {
+                ...trade,
+                exitReason,
+                stopPrice: state.initialStopPrice,
+                profitTarget: state.profitTarget,
+                riskPct: Number.isFinite(trade.riskPct) ? trade.riskPct : undefined,
+                rmultiple: Number.isFinite(trade.riskPct) ? trade.rmultiple : undefined
+            };
+        });
+
+        return options.intrabarResolver
+            ? intrabar.settleTrades(resolved, df.toArray(), options.intrabarResolver, symbol)
+            : resolved;
     }
 
 
 
+    /**
+     * Grademark analysis with metrics it does not compute backfilled.
+     */
+    _analyzeTrades(trades, initialCapital) {
+        if (!trades || trades.length === 0) return { profit: 0, maxDrawdownPct: 0 };
+        const stats = analyze(initialCapital, trades);
+        if (stats.sharpeRatio === undefined) stats.sharpeRatio = this._computeSharpe(trades);
+        return stats;
+    }
+
+    /**
+     * Per-trade Sharpe ratio (mean / stdev of trade returns, not annualized).
+     */
+    _computeSharpe(trades) {
+        const returns = trades.map(t => Number(t.growth) - 1).filter(Number.isFinite);
+        if (returns.length < 2) return undefined;
+        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+        const variance = returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+        const std = Math.sqrt(variance);
+        return std > 0 ? mean / std : undefined;
+    }
+
+    /**
+     * Numeric performance block (the shape stored as `performanceRaw`).
+     */
+    _summarize(trades, stats, initialCapital) {
+        const wins = trades.filter(t => (t.profit || 0) > 0).length;
+        return {
+            netProfit: Number(stats.profit || 0),
+            roiPercent: Number(((stats.profit || 0) / initialCapital) * 100),
+            maxDrawdownPercent: Number(stats.maxDrawdownPct || 0),
+            totalTrades: Number(trades.length || 0),
+            winRate: trades.length > 0 ? Number((wins / trades.length) * 100) : 0,
+            sharpeRatio: Number(stats.sharpeRatio || 0)
+        };
+    }
+
     // Then inside _buildReport function:
-    _buildReport({ runtimeId, strategy, startMs, initialCapital, trades, stats, df, options }) {
+    /**
+     * Simulators that mark to market (portfolio, event-driven) pass their own
+     * `equityCurve`, the replayed `bars` and `compounding: false` (currency PnL).
+     */
+    _buildReport({ runtimeId, strategy, startMs, initialCapital, trades, stats, df, options, equityCurve: markedCurve, bars, compounding = true }) {
         const duration = ((Date.now() - startMs) / 1000).toFixed(2);
         const wins = trades.filter(t => (t.profit || 0) > 0).length;
 
         // ────────────────────────────────────────────────
         // NEW: Compute equity curve (time + equity points)
-        let equityCurve = [];
-        if (trades.length > 0 && df) {
+        let equityCurve = markedCurve || [];
+        if (!markedCurve && trades.length > 0 && df) {
             try {
                 const curvePoints = computeEquityCurve(initialCapital, trades);
 
@@ -271,7 +1053,7 @@ class BacktestManager {
                     if (idx === 0) {
                         return {
                             time: Number(df.first().time),   // start of data
-                            equity: Number(point.equity)
+                            equity: Number(point)
                         };
                     }
 
@@ -279,7 +1061,7 @@ class BacktestManager {
                     const trade = trades[idx - 1]; // because point 1 = after trade 1
                     return {
                         time: Number(trade?.exitTime || df.last().time),
-                        equity: Number(point.equity)
+                        equity: Number(point)
                     };
                 });
             } catch (err) {
@@ -295,15 +1077,20 @@ class BacktestManager {
             }];
         }
 
+        const replayed = bars || (df ? df.toArray() : []);
+
         return {
             meta: {
                 id: runtimeId,
                 strategyId: strategy.id,
                 strategyName: strategy.name,
                 symbol: options.symbol || strategy.symbols?.[0] || "SYMBOL",
-                timeframe: options.interval || strategy.timeframe || "1m",
+                timeframe: options.resampled?.[0]?.to || options.interval || strategy.timeframe || "1m",
+                resampledFrom: options.resampled?.[0]?.from,
                 timestamp: new Date().toISOString(),
-                executionTime: `${duration}s`
+                executionTime: `${duration}s`,
+                datasetId: options.datasetId,
+                params: { ...(strategy.params || {}) }
             },
             performance: {
                 netProfit: stats.profit?.toFixed(2) ?? "0.00",
@@ -313,23 +1100,184 @@ class BacktestManager {
                 winRate: trades.length > 0 ? ((wins / trades.length) * 100).toFixed(2) : "0.00",
                 sharpeRatio: stats.sharpeRatio?.toFixed(2) ?? "N/A"
             },
-            performanceRaw: {
-                netProfit: Number(stats.profit || 0),
-                roiPercent: Number(((stats.profit || 0) / initialCapital) * 100),
-                maxDrawdownPercent: Number(stats.maxDrawdownPct || 0),
-                totalTrades: Number(trades.length || 0),
-                winRate: trades.length > 0 ? Number((wins / trades.length) * 100) : 0,
-                sharpeRatio: Number(stats.sharpeRatio || 0)
-            },
+            performanceRaw: this._summarize(trades, stats, initialCapital),
             trades: options.includeTrades ? trades : [],
-            equityCurve   // ← NEW FIELD
+            equityCurve,   // ← NEW FIELD
+            robustness: this._buildRobustness(trades, initialCapital, options),
+            costs: this._buildCostSection(trades, options),
+            intrabar: this._buildIntrabarSection(trades, options),
+            analytics: analytics.compute({
+                trades,
+                equityCurve,
+                initialCapital,
+                bars: replayed,
+                compounding
+            }),
+            benchmark: this._buildBenchmarkSection(equityCurve, replayed, initialCapital, options),
+            regimes: this._buildRegimeSection(trades, replayed, initialCapital, compounding, options),
+            dataQuality: this._buildDataQualitySection(options),
+            sessions: this._buildSessionSection(options)
+        };
+    }
+
+    /**
+     * Cost model for a run, off unless asked for: a caller-supplied `options.costModel`,
+     * or with `options.costs` true / { spread, financingRatePct, borrowRatePct, ... } the
+     * paper broker's commission/slippage overlaid with those fields. The applied config
+     * is reported in `costs.model`.
+     */
+    _resolveCostModel(options) {
+        if (typeof options.costModel?.applyToTrades === 'function') return options.costModel;
+        const costs = options.costs === 'true' ? true : options.costs;
+        if (costs !== true && (typeof costs !== 'object' || costs === null)) return null;
+        return new CostModel({ ...getPaperBroker().config, ...(costs === true ? {} : costs) });
+    }
+
+    _applyCosts(trades, initialCapital, options) {
+        if (!trades) return [];
+        return options.costModel ? options.costModel.applyToTrades(trades, initialCapital) : trades;
+    }
+
+    _buildCostSection(trades, options) {
+        if (!options.costModel) return undefined;
+        return {
+            model: options.costModel.config || null,
+            totals: summarizeCosts(trades)
         };
     }
 
+    /**
+     * Strategy vs. buy-and-hold of the replayed bars, or vs. `options.benchmarkSeries`
+     * trimmed to the same period. Disabled with `options.benchmark === false`.
+     */
+    _buildBenchmarkSection(equityCurve, bars, initialCapital, options) {
+        if (options.benchmark === false || options.benchmark === 'false' || bars.length === 0) return undefined;
+        const series = options.benchmarkSeries;
+        const from = bars[0].time;
+        const to = bars[bars.length - 1].time;
+        const benchmarkBars = series ? series.bars.filter(bar => bar.time >= from && bar.time <= to) : bars;
+
+        try {
+            const result = benchmark.compare({
+                equityCurve,
+                benchmarkCurve: benchmark.buyAndHoldCurve(benchmarkBars, initialCapital),
+                initialCapital
+            });
+            if (!result) return undefined;
+            const symbols = Array.from(new Set(bars.map(bar => bar.symbol).filter(Boolean)));
+            return {
+                source: series ? 'dataset' : 'buy-and-hold',
+                symbol: series ? series.symbol : (symbols.join(',') || options.symbol || null),
+                ...result
+            };
+        } catch (err) {
+            logger.warn(`Benchmark comparison failed: ${err.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Trade results per market regime (trend/range, high/low volatility) labeled on
+     * the replayed bars. `options.regimes` is false to disable or a config object
+     * (see regimes.resolveConfig).
+     */
+    _buildRegimeSection(trades, bars, initialCapital, compounding, options) {
+        if (options.regimes === false || options.regimes === 'false' || bars.length === 0) return undefined;
+        try {
+            return regimes.breakdown({
+                trades,
+                bars,
+                initialCapital,
+                compounding,
+                config: typeof options.regimes === 'object' && options.regimes !== null ? options.regimes : {}
+            });
+        } catch (err) {
+            logger.warn(`Regime breakdown failed: ${err.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Off-session bars per series, for markets with trading hours.
+     */
+    _buildSessionSection(options) {
+        const datasets = options.sessionReports || [];
+        if (datasets.length === 0) return undefined;
+        return {
+            offSessionBars: datasets.reduce((n, d) => n + d.offSessionBars, 0),
+            datasets
+        };
+    }
+
+    /**
+     * Data quality findings of every series the run loaded (datasets and benchmark).
+     */
+    _buildDataQualitySection(options) {
+        const datasets = options.dataQualityReports || [];
+        if (datasets.length === 0) return undefined;
+        return {
+            passed: datasets.every(d => d.passed),
+            errors: datasets.reduce((n, d) => n + d.errors, 0),
+            warnings: datasets.reduce((n, d) => n + d.warnings, 0),
+            datasets
+        };
+    }
+
+    /**
+     * How the intrabar data settled bars that reached both the stop and the target,
+     * and what it does not cover (`limitation`).
+     */
+    _buildIntrabarSection(trades, options) {
+        if (!options.intrabarResolver) return undefined;
+        return {
+            ...options.intrabarResolver.summary(),
+            settledTrades: trades.filter(t => t.intrabar).length,
+            limitation: intrabar.LIMITATION
+        };
+    }
+
+    /**
+     * Optional Monte Carlo pass (`options.monteCarlo` = true or { iterations, seed, ruinThresholdPct }).
+     */
+    _buildRobustness(trades, initialCapital, options) {
+        if (!options.monteCarlo) return undefined;
+        const cfg = typeof options.monteCarlo === 'object' ? options.monteCarlo : {};
+        try {
+            return monteCarlo.analyze(trades, initialCapital, cfg);
+        } catch (err) {
+            logger.warn(`Monte Carlo pass failed: ${err.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Progress checkpoint for job runs (`options.onProgress`, see BacktestJobManager);
+     * a no-op for direct calls. The callback throws to abort a cancelled run.
+     * @param {Object} options
+     * @param {Object} update - { stage, processed, total, trades }
+     */
+    _reportProgress(options, update) {
+        options.onProgress?.(update);
+    }
+
+    /**
+     * Progress checkpoint that also yields to the event loop, so status and cancel
+     * requests are served between evaluations of a long search.
+     */
+    async _checkpoint(options, update) {
+        this._reportProgress(options, update);
+        if (options.onProgress) await new Promise(resolve => setImmediate(resolve));
+    }
+
     async _saveReport(report) {
         const filepath = path.join(this.storagePath, `${report.meta.id}.json`);
         fs.writeFileSync(filepath, JSON.stringify(report, null, 2));
     }
+
+    _saveOptimization(result) {
+        const filepath = path.join(this.optimizationsPath, `${result.meta.id}.json`);
+        fs.writeFileSync(filepath, JSON.stringify(result, null, 2));
+    }
 }
 
 module.exports = new BacktestManager();
@@ -9,6 +9,7 @@ const path = require("path");
 const fs = require("fs");
 const logger = require("@utils/logger");
 const stateManager = require("@utils/stateController");
+const marketCalendar = require("@utils/calendar");
 
 const BANNER = `
 \x1b[36m
@@ -96,7 +97,10 @@ class CoreXEngine {
                 throw new Error("Warmup phase failed: No data returned from broker");
             }
 
-            // 6. Finalize Activation
+            // 6. Hand back positions the broker still holds for this strategy (restart)
+            this._relinkPositions(strategy);
+
+            // 7. Finalize Activation
             stateManager.commit(id, "ACTIVE", {
                 reason: "Handshake complete, strategy is now live"
             });
@@ -126,8 +130,9 @@ class CoreXEngine {
                 const { getPaperBroker } = require("@broker/paperStore");
                 brokerInstance = getPaperBroker();
 
+                // Tick volume feeds the broker's per-update fill limit (maxVolumeFraction)
                 bus.on(EVENTS.MARKET.TICK, (tick) => {
-                    brokerInstance?.updatePrice?.(tick.symbol, tick.price);
+                    brokerInstance?.updatePrice?.(tick.symbol, tick.price, tick.volume);
                 });
             }
             // Future: else if (mode === "LIVE") { ... }
@@ -139,6 +144,24 @@ class CoreXEngine {
         }
 
         strategy.executionContext = this.executionContexts.get(mode);
+        strategy.executionContext.adapter.attach(strategy);
+    }
+
+    /**
+     * Positions the broker kept for the strategy (e.g. restored after a restart) replace
+     * whatever the warmup replay left in the strategy's own position state.
+     */
+    _relinkPositions(strategy) {
+        const broker = strategy.executionContext?.broker;
+        if (typeof broker?.getStrategyPositions !== "function" || !strategy.positions) return;
+
+        const id = strategy.id || strategy.name;
+        for (const pos of broker.getStrategyPositions(id)) {
+            if (!strategy.symbols.includes(pos.symbol)) continue;
+            strategy.positions.close(pos.symbol, pos.avgEntryPrice);
+            strategy.positions.open(pos.symbol, pos.side, pos.quantity, pos.avgEntryPrice);
+            logger.info(`🔗 [${id}] Re-linked ${pos.side} ${pos.quantity} ${pos.symbol} @ ${pos.avgEntryPrice}`);
+        }
     }
 
     safeDistribute(data) {
@@ -191,7 +214,8 @@ class CoreXEngine {
                     const cached = JSON.parse(fs.readFileSync(cacheFile, "utf-8"));
                     if (Array.isArray(cached) && cached.length > 0) {
                         const lastTs = cached[cached.length - 1].time;
-                        const deltaMs = Date.now() - lastTs;
+                        // Session time only, so a cache left over the weekend is not refetched in full
+                        const deltaMs = marketCalendar.openMs(sym, lastTs, Date.now(), strategy.calendar);
                         const tfMs = this._timeframeToMs(strategy.timeframe);
 
                         if (deltaMs < tfMs * 3) {
@@ -268,6 +292,7 @@ class CoreXEngine {
         stateManager.commit(strategyId, "STOPPING", { reason: "Manual unregister" });
 
         const strategy = entry.instance;
+        strategy.executionContext?.adapter?.detach(strategy.id || strategy.name);
 
         strategy.symbols?.forEach(symbol => {
             const subs = this.subscriptions.get(symbol);
@@ -0,0 +1,245 @@
+"use strict";
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('@utils/logger');
+const broadcaster = require('@core/services/broadcaster');
+
+const STATUS = Object.freeze({
+    QUEUED: 'QUEUED',
+    RUNNING: 'RUNNING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED',
+    CANCELLED: 'CANCELLED'
+});
+
+const FINISHED = new Set([STATUS.COMPLETED, STATUS.FAILED, STATUS.CANCELLED]);
+
+/**
+ * Runs backtest tasks as jobs with a status, progress and cancellation.
+ *
+ * Jobs run in-process on the event loop: a task checks for cancellation each time it
+ * reports progress, so a running job stops at its next checkpoint. Simulation passes
+ * are synchronous, which means a cancel sent during a single pass lands once that pass
+ * yields (optimization and walk-forward yield between evaluations).
+ *
+ * WS messages: `BACKTEST_JOB` on every status change, `BACKTEST_PROGRESS` while running.
+ */
+class BacktestJobManager {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.concurrency] - Jobs running at once (env BACKTEST_MAX_CONCURRENT, default 2).
+     * @param {number} [options.retain=50] - Finished jobs kept in memory.
+     */
+    constructor(options = {}) {
+        this.jobs = new Map(); // id → job
+        this.queue = [];       // ids waiting for a slot
+        this.running = 0;
+        this.concurrency = Math.max(1, Number(options.concurrency || process.env.BACKTEST_MAX_CONCURRENT) || 2);
+        this.retain = options.retain || 50;
+        this.PROGRESS_INTERVAL_MS = 250; // Throttle for BACKTEST_PROGRESS broadcasts
+    }
+
+    /**
+     * Queue a task. It is started as soon as a slot is free.
+     * @param {object} descriptor - { strategyId, kind }
+     * @param {function(object): Promise<object>} task - Receives { onProgress }; resolves to the report.
+     * @param {function} [onSettled] - Called once the job leaves the queue for good (e.g. upload cleanup).
+     * @returns {object} Public job view.
+     */
+    submit({ strategyId, kind }, task, onSettled) {
+        const job = {
+            id: uuidv4().slice(0, 8),
+            strategyId,
+            kind,
+            status: STATUS.QUEUED,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            cancelRequested: false,
+            progress: null,
+            reportId: null,
+            error: null,
+            result: null,
+            _task: task,
+            _onSettled: onSettled,
+            _lastBroadcast: 0
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job.id);
+        logger.info(`🗂️ Backtest job queued [${job.id}] - ${kind} strategy=${strategyId} (running ${this.running}/${this.concurrency})`);
+
+        this._announce(job);
+        this._drain();
+        return this._view(job);
+    }
+
+    /**
+     * Cancel a queued job immediately, or flag a running one to stop at its next checkpoint.
+     * @returns {object|null} Public job view, or null for an unknown id.
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (FINISHED.has(job.status)) return this._view(job);
+
+        if (job.status === STATUS.QUEUED) {
+            this.queue = this.queue.filter(queuedId => queuedId !== id);
+            this._finish(job, STATUS.CANCELLED);
+            return this._view(job);
+        }
+
+        job.cancelRequested = true;
+        logger.info(`🛑 Cancel requested for backtest job [${id}]`);
+        this._announce(job);
+        return this._view(job);
+    }
+
+    /**
+     * @param {string} id
+     * @param {object} [opts] - { withResult } includes the report of completed jobs.
+     */
+    get(id, { withResult = false } = {}) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        const view = this._view(job);
+        if (withResult && job.status === STATUS.COMPLETED) view.result = job.result;
+        return view;
+    }
+
+    /**
+     * Jobs newest first, optionally filtered by status and/or strategy.
+     */
+    list({ status, strategyId } = {}) {
+        return Array.from(this.jobs.values())
+            .filter(job => (!status || job.status === String(status).toUpperCase()) && (!strategyId || job.strategyId === strategyId))
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(job => this._view(job));
+    }
+
+    setConcurrency(limit) {
+        this.concurrency = Math.max(1, Math.floor(Number(limit)) || 1);
+        this._drain();
+    }
+
+    _drain() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const job = this.jobs.get(this.queue.shift());
+            if (job) this._start(job);
+        }
+    }
+
+    async _start(job) {
+        this.running++;
+        job.status = STATUS.RUNNING;
+        job.startedAt = Date.now();
+        this._announce(job);
+
+        try {
+            const result = await job._task({ onProgress: (update) => this._progress(job, update) });
+            job.result = result;
+            job.reportId = result?.meta?.id || null;
+            this._finish(job, STATUS.COMPLETED);
+        } catch (err) {
+            if (err.code === 'JOB_CANCELLED') {
+                this._finish(job, STATUS.CANCELLED);
+            } else {
+                job.error = err.message;
+                this._finish(job, STATUS.FAILED);
+            }
+        } finally {
+            this.running--;
+            this._drain();
+        }
+    }
+
+    /**
+     * Progress checkpoint handed to the task. Throws once the job is cancelled.
+     * @param {object} update - { stage, processed, total, trades }
+     */
+    _progress(job, update) {
+        if (job.cancelRequested) {
+            const err = new Error(`Backtest job ${job.id} cancelled`);
+            err.code = 'JOB_CANCELLED';
+            throw err;
+        }
+
+        const now = Date.now();
+        const previous = job.progress;
+        const stageChanged = !previous || previous.stage !== update.stage;
+        const stageStartedAt = stageChanged ? now : previous.stageStartedAt;
+        const processed = Number(update.processed) || 0;
+        const total = Number(update.total) || 0;
+        const remaining = Math.max(0, total - processed);
+
+        job.progress = {
+            stage: update.stage,
+            processed,
+            total,
+            percent: total > 0 ? Math.min(100, (processed / total) * 100) : null,
+            trades: update.trades ?? previous?.trades ?? 0,
+            etaMs: processed > 0 && total > 0 ? Math.round(((now - stageStartedAt) / processed) * remaining) : null,
+            elapsedMs: now - job.startedAt,
+            stageStartedAt
+        };
+
+        if (stageChanged || remaining === 0 || now - job._lastBroadcast >= this.PROGRESS_INTERVAL_MS) {
+            job._lastBroadcast = now;
+            broadcaster.transmit('BACKTEST_PROGRESS', this._view(job));
+        }
+    }
+
+    _finish(job, status) {
+        job.status = status;
+        job.finishedAt = Date.now();
+        job._task = null;
+
+        const duration = job.startedAt ? ` (duration: ${((job.finishedAt - job.startedAt) / 1000).toFixed(2)}s)` : '';
+        if (status === STATUS.FAILED) logger.error(`❌ Backtest job failed [${job.id}] → ${job.error}`);
+        else logger.info(`🗂️ Backtest job ${status.toLowerCase()} [${job.id}]${duration}`);
+
+        try {
+            job._onSettled?.();
+        } catch (err) {
+            logger.warn(`Backtest job [${job.id}] cleanup failed: ${err.message}`);
+        }
+        job._onSettled = null;
+
+        this._announce(job);
+        this._prune();
+    }
+
+    _prune() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => FINISHED.has(job.status))
+            .sort((a, b) => b.finishedAt - a.finishedAt);
+        for (const job of finished.slice(this.retain)) this.jobs.delete(job.id);
+    }
+
+    _announce(job) {
+        broadcaster.transmit('BACKTEST_JOB', this._view(job));
+    }
+
+    _view(job) {
+        let progress = null;
+        if (job.progress) {
+            const { stageStartedAt, ...rest } = job.progress;
+            progress = rest;
+        }
+        return {
+            id: job.id,
+            strategyId: job.strategyId,
+            kind: job.kind,
+            status: job.status,
+            cancelRequested: job.cancelRequested,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            progress,
+            reportId: job.reportId,
+            error: job.error
+        };
+    }
+}
+
+module.exports = new BacktestJobManager();
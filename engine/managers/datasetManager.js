@@ -0,0 +1,155 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('@utils/logger');
+const barParser = require('@core/backtest/bars');
+
+/**
+ * Registry of uploaded bar / tick CSVs, stored once per content hash.
+ *
+ * Files live in `data/datasets/<id>.csv` (id = first 16 hex chars of the SHA-256 of
+ * the content) and their metadata in `data/datasets/index.json`. Registering a file
+ * whose content is already stored returns the existing entry, so uploading the same
+ * CSV again costs no extra disk and keeps one id.
+ */
+class DatasetManager {
+    constructor() {
+        this.dir = path.join(process.cwd(), 'data', 'datasets');
+        this.indexPath = path.join(this.dir, 'index.json');
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        this.datasets = this._loadIndex(); // id → metadata
+    }
+
+    /**
+     * Store an uploaded file (or find its existing copy) and describe it.
+     * @param {object} file - Multer file ({ path, originalname }).
+     * @param {object} [info] - { name, symbol, timeframe }; detected values fill the gaps.
+     * @returns {object} Metadata, with `duplicate: true` when the content was already stored.
+     */
+    register(file, info = {}) {
+        const content = fs.readFileSync(file.path);
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        const id = hash.slice(0, 16);
+
+        const existing = this.datasets.get(id);
+        if (existing) {
+            existing.lastUsedAt = new Date().toISOString();
+            if (!existing.symbol && info.symbol) existing.symbol = info.symbol;
+            this._saveIndex();
+            return { ...existing, duplicate: true };
+        }
+
+        const rows = barParser.readCsv(file.path);
+        if (rows.length === 0) throw new Error('Dataset is empty or not a CSV');
+        const bars = barParser.normalizeBars(rows);
+        if (bars.length === 0) throw new Error('No rows with a recognizable time and price');
+
+        const columns = barParser.detectColumns(Object.keys(rows[0]));
+        const symbolColumn = columns.symbol ? rows.find(r => r[columns.symbol])?.[columns.symbol] : undefined;
+
+        fs.writeFileSync(this.filePath(id), content);
+        const meta = {
+            id,
+            hash,
+            name: info.name || file.originalname || id,
+            originalName: file.originalname || null,
+            symbol: info.symbol || symbolColumn || null,
+            timeframe: info.timeframe || barParser.inferTimeframe(bars),
+            kind: columns.open || columns.close ? 'bars' : 'ticks',
+            from: bars[0].time,
+            to: bars[bars.length - 1].time,
+            bars: bars.length,
+            rows: rows.length,
+            columns,
+            size: content.length,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: new Date().toISOString()
+        };
+
+        this.datasets.set(id, meta);
+        this._saveIndex();
+        logger.info(`🗃️ Dataset registered [${id}] ${meta.name} - ${meta.symbol || '?'} ${meta.timeframe || '?'} (${meta.bars} bars)`);
+        return { ...meta };
+    }
+
+    /**
+     * Datasets, newest first, optionally filtered by symbol / timeframe.
+     */
+    list({ symbol, timeframe } = {}) {
+        return Array.from(this.datasets.values())
+            .filter(d => (!symbol || d.symbol === symbol) && (!timeframe || d.timeframe === timeframe))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(d => ({ ...d }));
+    }
+
+    get(id) {
+        const meta = this.datasets.get(String(id));
+        return meta ? { ...meta } : null;
+    }
+
+    /**
+     * Change the editable fields (name, symbol, timeframe) of a dataset.
+     * @returns {object|null} Updated metadata, or null for an unknown id.
+     */
+    update(id, changes = {}) {
+        const meta = this.datasets.get(String(id));
+        if (!meta) return null;
+        for (const key of ['name', 'symbol', 'timeframe']) {
+            if (typeof changes[key] === 'string' && changes[key].trim()) meta[key] = changes[key].trim();
+        }
+        this._saveIndex();
+        return { ...meta };
+    }
+
+    /**
+     * Delete a dataset and its file.
+     * @returns {boolean} false for an unknown id.
+     */
+    remove(id) {
+        const meta = this.datasets.get(String(id));
+        if (!meta) return false;
+        const filepath = this.filePath(meta.id);
+        if (fs.existsSync(filepath)) fs.unlinkSync(filepath);
+        this.datasets.delete(meta.id);
+        this._saveIndex();
+        logger.info(`🗑️ Dataset deleted [${meta.id}] ${meta.name}`);
+        return true;
+    }
+
+    /**
+     * Multer-shaped file object for a stored dataset, usable wherever an upload is
+     * accepted (`options.file`, `options.files[symbol]`, ...). Null for an unknown id.
+     */
+    resolveFile(id) {
+        const meta = this.datasets.get(String(id));
+        if (!meta || !fs.existsSync(this.filePath(meta.id))) return null;
+        meta.lastUsedAt = new Date().toISOString();
+        this._saveIndex();
+        return { path: this.filePath(meta.id), originalname: meta.name, datasetId: meta.id };
+    }
+
+    filePath(id) {
+        return path.join(this.dir, `${path.basename(String(id))}.csv`);
+    }
+
+    _loadIndex() {
+        try {
+            if (!fs.existsSync(this.indexPath)) return new Map();
+            const list = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+            return new Map(list.map(d => [d.id, d]));
+        } catch (err) {
+            logger.error(`Dataset index unreadable, starting empty: ${err.message}`);
+            return new Map();
+        }
+    }
+
+    _saveIndex() {
+        const tmp = `${this.indexPath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(Array.from(this.datasets.values()), null, 2));
+        fs.renameSync(tmp, this.indexPath);
+    }
+}
+
+module.exports = new DatasetManager();
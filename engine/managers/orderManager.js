@@ -0,0 +1,147 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { bus, EVENTS } = require('@events/bus');
+const logger = require('@utils/logger');
+const broadcaster = require('@core/services/broadcaster');
+const { isOpen } = require('@broker/orders');
+
+/**
+ * Order history of the live / paper brokers.
+ *
+ * Follows the broker's ORDER.UPDATE and ORDER.FILLED events on the bus (isolated
+ * backtest brokers stay off it), so every order is tracked through
+ * NEW → ACCEPTED → PARTIALLY_FILLED → FILLED, or CANCELLED / REJECTED with the reason.
+ * Each record keeps its `history` ([{ status, at, reason }]) and `fills`.
+ *
+ * Records are saved to `data/orders/orders.json` shortly after they change; the newest
+ * `retain` orders are kept. WS message: `ORDER_UPDATE` with the record on every change.
+ */
+class OrderManager {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.retain=5000] - Orders kept, newest first; open ones are never dropped.
+     */
+    constructor(options = {}) {
+        this.dir = path.join(process.cwd(), 'data', 'orders');
+        this.filePath = path.join(this.dir, 'orders.json');
+        this.retain = options.retain || 5000;
+        this.SAVE_DELAY_MS = 500; // Coalesces the burst of events of one fill into one write
+        this._saveTimer = null;
+
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        this.orders = this._load(); // id → record
+
+        bus.on(EVENTS.ORDER.UPDATE, (order) => this._onUpdate(order));
+        bus.on(EVENTS.ORDER.FILLED, (fill) => this._onFill(fill));
+    }
+
+    /**
+     * Orders, newest first.
+     * @param {object} [filter] - { strategyId, symbol, status, from, to (epoch ms, on
+     *   createdAt), limit }
+     */
+    list({ strategyId, symbol, status, from, to, limit } = {}) {
+        const wanted = status ? String(status).toUpperCase() : null;
+        const result = Array.from(this.orders.values())
+            .filter(o => (!strategyId || o.strategyId === strategyId)
+                && (!symbol || o.symbol === symbol)
+                && (!wanted || o.status === wanted)
+                && (from == null || o.createdAt >= from)
+                && (to == null || o.createdAt <= to))
+            .sort((a, b) => b.createdAt - a.createdAt);
+        return (limit > 0 ? result.slice(0, limit) : result).map(o => this._view(o));
+    }
+
+    get(id) {
+        const order = this.orders.get(String(id));
+        return order ? this._view(order) : null;
+    }
+
+    /**
+     * Write pending changes now (e.g. before shutdown).
+     */
+    flush() {
+        if (this._saveTimer) clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        this._prune();
+        this._save();
+    }
+
+    _onUpdate(order) {
+        if (!order?.id) return;
+        let record = this.orders.get(order.id);
+        if (!record) {
+            record = { history: [], fills: [] };
+            this.orders.set(order.id, record);
+        }
+        const previous = record.status;
+        Object.assign(record, order);
+        if (record.status !== previous) {
+            record.history.push({ status: record.status, at: order.updatedAt || Date.now(), reason: order.reason || null });
+        }
+        this._changed(record);
+    }
+
+    _onFill(fill) {
+        const record = fill?.orderId && this.orders.get(fill.orderId);
+        if (!record) return;
+        record.fills.push({ quantity: fill.quantity, price: fill.price, commission: fill.commission, at: fill.timestamp });
+        this._changed(record);
+    }
+
+    _changed(record) {
+        broadcaster.transmit('ORDER_UPDATE', this._view(record));
+        this._scheduleSave();
+    }
+
+    _scheduleSave() {
+        if (this._saveTimer) return;
+        this._saveTimer = setTimeout(() => {
+            this._saveTimer = null;
+            this._prune();
+            this._save();
+        }, this.SAVE_DELAY_MS);
+        if (this._saveTimer.unref) this._saveTimer.unref();
+    }
+
+    _prune() {
+        let excess = this.orders.size - this.retain;
+        if (excess <= 0) return;
+        const finished = Array.from(this.orders.values())
+            .filter(o => !isOpen(o))
+            .sort((a, b) => a.createdAt - b.createdAt);
+        for (const order of finished) {
+            if (excess-- <= 0) break;
+            this.orders.delete(order.id);
+        }
+    }
+
+    _view(record) {
+        return { ...record, history: [...record.history], fills: [...record.fills] };
+    }
+
+    _load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return new Map();
+            const list = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return new Map(list.map(o => [o.id, o]));
+        } catch (err) {
+            logger.error(`Order history unreadable, starting empty: ${err.message}`);
+            return new Map();
+        }
+    }
+
+    _save() {
+        try {
+            const tmp = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(Array.from(this.orders.values())));
+            fs.renameSync(tmp, this.filePath);
+        } catch (err) {
+            logger.error(`Order history not saved: ${err.message}`);
+        }
+    }
+}
+
+module.exports = new OrderManager();
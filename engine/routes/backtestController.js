@@ -5,7 +5,9 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const backtestManager = require("@core/backtestManager");
+const backtestJobs = require("@core/managers/backtestJobManager");
 const loader = require("@core/strategyLoader");
+const datasetManager = require("@core/managers/datasetManager");
 
 // Standardize Paths
 const DATA_DIR = path.join(process.cwd(), 'data');
@@ -46,67 +48,464 @@ router.get("/", (req, res) => {
 });
 
 /**
- * @route POST /api/backtest/:id
- * @desc Triggered by "Run" Tab for Backtest mode
+ * Fresh strategy instance for a backtest run, isolated from the live registry
+ * instance, with any `params` payload (JSON string) applied.
  */
-router.post("/:id", upload.single('dataset'), async (req, res) => {
+const createIsolatedInstance = (id, entry, rawParams) => {
+    let instance = entry.instance;
     try {
-        const entry = loader.registry.get(req.params.id);
-        if (!entry) return res.status(404).json({ success: false, error: "STRATEGY_NOT_FOUND" });
+        // Isolate backtest params from live instance
+        try {
+            const resolved = require.resolve(entry.filePath);
+            if (require.cache[resolved]) delete require.cache[resolved];
+            const baseResolved = require.resolve('@utils/BaseStrategy');
+            if (require.cache[baseResolved]) delete require.cache[baseResolved];
+        } catch (e) { /* ignore */ }
 
-        const options = {
-            file: req.file || null, // Pass multer file object (has .path)
-            symbol: req.body.symbol || 'BTC/USD',
-            interval: req.body.interval || '1m',
-            initialCapital: parseFloat(req.body.initialCapital) || 10000,
-            includeTrades: req.body.includeTrades === 'true',
-            outputsize: parseInt(req.body.outputsize) || 1000
-        };
+        const StrategyClass = require(entry.filePath);
+        instance = typeof StrategyClass === 'function'
+            ? new StrategyClass({ name: id, id })
+            : StrategyClass;
+        instance.id = id;
+        instance.name = id;
+    } catch (e) {
+        // Fallback to existing instance if instantiation fails
+        instance = entry.instance;
+    }
 
-        let instance = entry.instance;
+    if (rawParams) {
         try {
-            // Isolate backtest params from live instance
-            try {
-                const resolved = require.resolve(entry.filePath);
-                if (require.cache[resolved]) delete require.cache[resolved];
-                const baseResolved = require.resolve('@utils/BaseStrategy');
-                if (require.cache[baseResolved]) delete require.cache[baseResolved];
-            } catch (e) { /* ignore */ }
-
-            const StrategyClass = require(entry.filePath);
-            instance = typeof StrategyClass === 'function'
-                ? new StrategyClass({ name: entry.id, id: entry.id })
-                : StrategyClass;
-            instance.id = entry.id;
-            instance.name = entry.id;
+            const parsed = JSON.parse(rawParams);
+            instance.updateParams?.(parsed);
         } catch (e) {
-            // Fallback to existing instance if instantiation fails
-            instance = entry.instance;
+            // ignore invalid params payload
         }
+    }
+
+    return instance;
+};
+
+// Multipart fields arrive as strings; objects are sent JSON-encoded
+const parseJsonField = (raw) => {
+    if (!raw) return undefined;
+    if (typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return undefined;
+    }
+};
 
-        const rawParams = req.body.params;
-        if (rawParams) {
-            try {
-                const parsed = JSON.parse(rawParams);
-                instance.updateParams?.(parsed);
-            } catch (e) {
-                // ignore invalid params payload
-            }
+const buildRunOptions = (req) => ({
+    file: req.file || null, // Pass multer file object (has .path)
+    datasetId: req.file?.datasetId, // Registry id of the dataset, recorded in the report
+    intrabarFile: req.intrabarFiles?.[0] || null, // Finer bars or ticks settling stop / target order
+    benchmark: req.body.benchmark !== 'false', // Buy-and-hold comparison unless disabled
+    benchmarkSymbol: req.body.benchmarkSymbol || undefined, // Fetched at `interval` when no benchmarkDataset
+    benchmarkFile: req.benchmarkFiles?.[0] || null,
+    regimes: parseJsonField(req.body.regimes), // false, or { trendMethod: 'adx'|'slope', adxThreshold, volatilityPercentile, ... }
+    dataQuality: parseJsonField(req.body.dataQuality) || req.body.dataQuality, // 'report' | 'repair' | 'strict' | 'off', or { strictness, spikeSigma, zeroVolumeRun }
+    resample: parseJsonField(req.body.resample) ?? req.body.resample, // 'false', a timeframe ('4h'), or { timeframe, sessionStart, utcOffset, dropPartial }; defaults to the strategy timeframe
+    sessions: req.body.sessions || undefined, // 'off' (default) | 'flag' | 'skip' for bars outside market hours
+    calendar: req.body.calendar || undefined, // Market calendar name ('crypto' | 'fx' | 'us_equity'); guessed from the symbol when omitted
+    symbol: req.body.symbol || 'BTC/USD',
+    interval: req.body.interval || '1m',
+    initialCapital: parseFloat(req.body.initialCapital) || 10000,
+    includeTrades: req.body.includeTrades === 'true',
+    outputsize: parseInt(req.body.outputsize) || 1000,
+    monteCarlo: parseJsonField(req.body.monteCarlo), // true or { iterations, seed, ruinThresholdPct }
+    engine: req.body.engine || 'grademark', // 'event' replays ticks through SignalAdapter → PaperBroker
+    brokerConfig: parseJsonField(req.body.brokerConfig),
+    costs: parseJsonField(req.body.costs), // off by default; true, or { spread: { type, value }, financingRatePct, borrowRatePct, ... }
+    // Protective exits (see engine/backtest/exits.js)
+    stopLossPercent: parseFloat(req.body.stopLossPercent) || undefined,
+    takeProfitPercent: parseFloat(req.body.takeProfitPercent) || undefined,
+    trailingStop: parseJsonField(req.body.trailingStop), // percent, or { type: 'percent'|'atr', value, atrPeriod }
+    breakEven: parseJsonField(req.body.breakEven), // trigger percent, or { triggerPercent, offsetPercent }
+    timeStopBars: parseInt(req.body.timeStopBars) || undefined,
+    signalStops: req.body.signalStops !== 'false' && req.body.signalStops !== false
+});
+
+// Shared search-space fields for optimize / walk-forward requests
+const parseSearchFields = (body) => ({
+    method: body.method || 'grid',
+    steps: parseInt(body.steps) || 5,
+    samples: parseInt(body.samples) || 50,
+    seed: body.seed !== undefined && body.seed !== '' ? body.seed : undefined,
+    ranges: parseJsonField(body.ranges)
+});
+
+const buildPortfolioOptions = (req) => {
+    const options = buildRunOptions(req);
+    const fileSymbols = parseJsonField(req.body.symbols) || [];
+    options.files = {};
+    (req.files || []).forEach((file, idx) => {
+        if (fileSymbols[idx]) options.files[fileSymbols[idx]] = file;
+    });
+    Object.assign(options.files, req.datasetFiles || {});
+    // Intrabar files name their symbols the same way (defaults to the dataset order)
+    const intrabarSymbols = parseJsonField(req.body.intrabarSymbols) || fileSymbols;
+    options.intrabarFile = null;
+    options.intrabarFiles = {};
+    (req.intrabarFiles || []).forEach((file, idx) => {
+        if (intrabarSymbols[idx]) options.intrabarFiles[intrabarSymbols[idx]] = file;
+    });
+    return options;
+};
+
+const buildWalkForwardOptions = (req) => ({
+    ...buildRunOptions(req),
+    walkForward: {
+        inSampleBars: parseInt(req.body.inSampleBars) || undefined,
+        outSampleBars: parseInt(req.body.outSampleBars) || undefined,
+        anchored: req.body.anchored === 'true' || req.body.anchored === true,
+        objective: req.body.objective || 'sharpe',
+        ...parseSearchFields(req.body)
+    }
+});
+
+const buildOptimizeOptions = (req) => ({
+    ...buildRunOptions(req),
+    optimize: {
+        objective: req.body.objective || 'sharpe',
+        topN: parseInt(req.body.topN) || 10,
+        holdoutPercent: parseFloat(req.body.holdoutPercent) || 0, // last X% kept away from the search
+        pboBlocks: parseInt(req.body.pboBlocks) || undefined,
+        ...parseSearchFields(req.body)
+    }
+});
+
+// Run kinds accepted by the job queue: option builder + manager entry point
+const JOB_KINDS = {
+    backtest: { buildOptions: buildRunOptions, run: (instance, options) => backtestManager.run(instance, options) },
+    portfolio: { buildOptions: buildPortfolioOptions, run: (instance, options) => backtestManager.runPortfolio(instance, options) },
+    'walk-forward': { buildOptions: buildWalkForwardOptions, run: (instance, options) => backtestManager.runWalkForward(instance, options) },
+    optimize: { buildOptions: buildOptimizeOptions, run: (instance, options) => backtestManager.runOptimization(instance, options) }
+};
+
+// upload.any() collects every file field; split them back into
+// dataset (single), datasets (portfolio), intrabar and benchmarkDataset uploads
+const splitUploads = (req) => {
+    const uploaded = Array.isArray(req.files) ? req.files : [];
+    req.file = req.file || uploaded.find(f => f.fieldname === 'dataset') || null;
+    req.files = uploaded.filter(f => f.fieldname === 'datasets');
+    req.intrabarFiles = uploaded.filter(f => f.fieldname === 'intrabar');
+    req.benchmarkFiles = uploaded.filter(f => f.fieldname === 'benchmarkDataset');
+    req.uploads = [...new Set([req.file, ...uploaded].filter(Boolean))];
+};
+
+// Uploaded datasets go into the registry (deduplicated by content) and runs read the
+// registry copy; `datasetId`, `datasetIds` ({ symbol: id }, portfolio), `intrabarDatasetId`
+// and `benchmarkDatasetId` reference stored datasets instead of uploading.
+// Returns the first unknown dataset id, or null.
+const resolveDatasets = (req) => {
+    req.uploads = req.uploads || [req.file].filter(Boolean);
+    const stored = (file, symbol) => {
+        try {
+            return datasetManager.resolveFile(datasetManager.register(file, { symbol }).id) || file;
+        } catch (err) {
+            return file; // not a readable bar CSV: let the run report it
         }
+    };
+
+    const fileSymbols = parseJsonField(req.body.symbols) || [];
+    if (req.file) req.file = stored(req.file, req.body.symbol);
+    if (Array.isArray(req.files)) req.files = req.files.map((file, idx) => stored(file, fileSymbols[idx]));
+
+    const byId = (id) => datasetManager.resolveFile(id);
+    if (!req.file && req.body.datasetId) {
+        req.file = byId(req.body.datasetId);
+        if (!req.file) return req.body.datasetId;
+    }
+    req.datasetFiles = {};
+    for (const [symbol, id] of Object.entries(parseJsonField(req.body.datasetIds) || {})) {
+        req.datasetFiles[symbol] = byId(id);
+        if (!req.datasetFiles[symbol]) return id;
+    }
+    for (const [field, list] of [['intrabarDatasetId', 'intrabarFiles'], ['benchmarkDatasetId', 'benchmarkFiles']]) {
+        if (!req.body[field] || req[list]?.length) continue;
+        const file = byId(req.body[field]);
+        if (!file) return req.body[field];
+        req[list] = [file];
+    }
+    return null;
+};
+
+const datasetNotFound = (req, res, id) => {
+    cleanupUpload(req);
+    res.status(404).json({ success: false, error: "DATASET_NOT_FOUND", message: `Unknown dataset '${id}'` });
+};
+
+// CLEANUP: If a file was uploaded, delete it after processing to prevent bloat
+const cleanupUpload = (req) => {
+    const uploaded = req.uploads || [req.file, ...(Array.isArray(req.files) ? req.files : [])].filter(Boolean);
+    for (const file of uploaded) {
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    }
+};
+
+/**
+ * @route POST /api/backtest/:id
+ * @desc Triggered by "Run" Tab for Backtest mode
+ * @body engine ('grademark' | 'event'), brokerConfig (JSON, event engine only);
+ *       files: dataset (or datasetId of a registered dataset), optional intrabar (finer bars or
+ *       ticks of the same symbol, or intrabarDatasetId);
+ *       benchmark ('false' disables), benchmarkSymbol, benchmarkDataset (file) or benchmarkDatasetId instead of buy-and-hold;
+ *       regimes ('false' disables, or JSON config of the trend / volatility breakdown);
+ *       dataQuality ('report' (default) | 'repair' | 'strict' | 'off', or JSON { strictness, spikeSigma, zeroVolumeRun });
+ *       resample (target timeframe, default the strategy's; 'false' runs the data as loaded, or JSON { timeframe, sessionStart, utcOffset, dropPartial });
+ *       sessions ('off' (default) | 'flag' | 'skip' bars outside market hours), calendar ('crypto' | 'fx' | 'us_equity')
+ */
+router.post("/:id", upload.any(), async (req, res) => {
+    splitUploads(req);
+    const missingDataset = resolveDatasets(req);
+    if (missingDataset) return datasetNotFound(req, res, missingDataset);
+    try {
+        const entry = loader.registry.get(req.params.id);
+        if (!entry) return res.status(404).json({ success: false, error: "STRATEGY_NOT_FOUND" });
+
+        const options = buildRunOptions(req);
+        const instance = createIsolatedInstance(req.params.id, entry, req.body.params);
 
         const result = await backtestManager.run(instance, options);
+        cleanupUpload(req);
 
-        // CLEANUP: If a file was uploaded, delete it after processing to prevent bloat
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-        }
+        res.json({ success: true, payload: result });
+    } catch (err) {
+        cleanupUpload(req);
+        res.status(500).json({ success: false, error: "SIMULATION_FAILED", message: err.message });
+    }
+});
+
+/**
+ * @route POST /api/backtest/:id/portfolio
+ * @desc Multi-symbol backtest over every symbol in `strategy.symbols` with shared cash
+ * @body datasets (files) + symbols (JSON array naming the symbol of each file, in order);
+ *       datasetIds (JSON { symbol: datasetId }) for registered datasets;
+ *       symbols without a file are fetched from the broker at `interval`;
+ *       optional intrabar (files) + intrabarSymbols (JSON array, defaults to symbols)
+ */
+router.post("/:id/portfolio", upload.any(), async (req, res) => {
+    splitUploads(req);
+    const missingDataset = resolveDatasets(req);
+    if (missingDataset) return datasetNotFound(req, res, missingDataset);
+    try {
+        const entry = loader.registry.get(req.params.id);
+        if (!entry) return res.status(404).json({ success: false, error: "STRATEGY_NOT_FOUND" });
+
+        const options = buildPortfolioOptions(req);
+        const instance = createIsolatedInstance(req.params.id, entry, req.body.params);
+
+        const result = await backtestManager.runPortfolio(instance, options);
+        cleanupUpload(req);
 
         res.json({ success: true, payload: result });
     } catch (err) {
+        cleanupUpload(req);
         res.status(500).json({ success: false, error: "SIMULATION_FAILED", message: err.message });
     }
 });
 
+/**
+ * @route POST /api/backtest/:id/jobs
+ * @desc Queue a backtest as a job and return immediately (202) with its id.
+ *       Progress is pushed over WS as BACKTEST_PROGRESS, status changes as BACKTEST_JOB.
+ * @body kind ('backtest' | 'portfolio' | 'walk-forward' | 'optimize', default 'backtest')
+ *       plus the fields of the matching synchronous route; files: dataset or datasets, intrabar, benchmarkDataset
+ */
+router.post("/:id/jobs", upload.any(), (req, res) => {
+    splitUploads(req);
+    const discardUploads = () => cleanupUpload(req);
+    const missingDataset = resolveDatasets(req);
+    if (missingDataset) return datasetNotFound(req, res, missingDataset);
+
+    try {
+        const entry = loader.registry.get(req.params.id);
+        if (!entry) {
+            discardUploads();
+            return res.status(404).json({ success: false, error: "STRATEGY_NOT_FOUND" });
+        }
+
+        const kind = req.body.kind || 'backtest';
+        const handler = JOB_KINDS[kind];
+        if (!handler) {
+            discardUploads();
+            return res.status(400).json({ success: false, error: "INVALID_JOB_KIND", message: `Expected one of: ${Object.keys(JOB_KINDS).join(', ')}` });
+        }
+
+        const options = handler.buildOptions(req);
+        const instance = createIsolatedInstance(req.params.id, entry, req.body.params);
+
+        // Uploads are removed once the job settles (completed, failed or cancelled)
+        const job = backtestJobs.submit(
+            { strategyId: req.params.id, kind },
+            ({ onProgress }) => handler.run(instance, { ...options, onProgress }),
+            discardUploads
+        );
+
+        res.status(202).json({ success: true, payload: job });
+    } catch (err) {
+        discardUploads();
+        res.status(500).json({ success: false, error: "JOB_SUBMIT_FAILED", message: err.message });
+    }
+});
+
+/**
+ * @route POST /api/backtest/:id/walk-forward
+ * @desc Walk-forward optimization over the strategy schema
+ * @body inSampleBars, outSampleBars, anchored, objective, method, steps, samples, seed, ranges (JSON)
+ */
+router.post("/:id/walk-forward", upload.single('dataset'), async (req, res) => {
+    const missingDataset = resolveDatasets(req);
+    if (missingDataset) return datasetNotFound(req, res, missingDataset);
+    try {
+        const entry = loader.registry.get(req.params.id);
+        if (!entry) return res.status(404).json({ success: false, error: "STRATEGY_NOT_FOUND" });
+
+        const options = buildWalkForwardOptions(req);
+        const instance = createIsolatedInstance(req.params.id, entry, req.body.params);
+
+        const result = await backtestManager.runWalkForward(instance, options);
+        cleanupUpload(req);
+
+        res.json({ success: true, payload: result });
+    } catch (err) {
+        cleanupUpload(req);
+        res.status(500).json({ success: false, error: "WALK_FORWARD_FAILED", message: err.message });
+    }
+});
+
+/**
+ * @route POST /api/backtest/:id/optimize
+ * @desc Grid / random parameter search ranked by an objective
+ * @body method, objective, steps, samples, seed, topN, ranges (JSON),
+ *       holdoutPercent (last X% replayed as a HOLDOUT report), pboBlocks (even, at most 16)
+ */
+router.post("/:id/optimize", upload.single('dataset'), async (req, res) => {
+    const missingDataset = resolveDatasets(req);
+    if (missingDataset) return datasetNotFound(req, res, missingDataset);
+    try {
+        const entry = loader.registry.get(req.params.id);
+        if (!entry) return res.status(404).json({ success: false, error: "STRATEGY_NOT_FOUND" });
+
+        const options = buildOptimizeOptions(req);
+        const instance = createIsolatedInstance(req.params.id, entry, req.body.params);
+
+        const result = await backtestManager.runOptimization(instance, options);
+        cleanupUpload(req);
+
+        res.json({ success: true, payload: result });
+    } catch (err) {
+        cleanupUpload(req);
+        res.status(500).json({ success: false, error: "OPTIMIZATION_FAILED", message: err.message });
+    }
+});
+
+/**
+ * @route GET /api/backtest/:id/optimizations
+ * @desc Stored optimization runs for a strategy (newest first)
+ */
+router.get("/:id/optimizations", (req, res) => {
+    try {
+        res.json({ success: true, payload: backtestManager.listOptimizations(req.params.id) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: "LIST_FAILED", message: err.message });
+    }
+});
+
+/**
+ * @route POST /api/backtest/:id/optimizations/:runId/apply
+ * @desc Apply one of the stored top-N param sets to the strategy and persist it
+ * @body rank (1-based, defaults to the best set)
+ */
+router.post("/:id/optimizations/:runId/apply", (req, res) => {
+    const { id, runId } = req.params;
+    const entry = loader.registry.get(id);
+    if (!entry) return res.status(404).json({ success: false, error: "STRATEGY_NOT_FOUND" });
+
+    let run;
+    try {
+        run = backtestManager.getOptimization(runId);
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "READ_FAILED" });
+    }
+    if (!run || run.meta?.strategyId !== id) {
+        return res.status(404).json({ success: false, error: "OPTIMIZATION_NOT_FOUND" });
+    }
+
+    const rank = parseInt(req.body?.rank) || 1;
+    const candidate = (run.top || []).find(r => r.rank === rank);
+    if (!candidate) return res.status(400).json({ success: false, error: "INVALID_RANK" });
+
+    entry.instance.updateParams?.(candidate.params);
+    loader._saveParams(id, { ...(loader._loadParams(id) || {}), ...candidate.params });
+
+    res.json({
+        success: true,
+        payload: entry.instance.params || {},
+        message: `Applied rank #${rank} from optimization ${runId}.`
+    });
+});
+
+/**
+ * @route GET /api/backtest/:id/optimizations/:runId/sensitivity
+ * @desc Heatmap of one metric over two swept parameters of a stored optimization run
+ * @query x, y (parameter names; default the first two swept), metric (performanceRaw key
+ *   or objective name, default sharpeRatio), aggregate (mean | max | min | median over
+ *   the remaining parameters, default mean)
+ */
+router.get("/:id/optimizations/:runId/sensitivity", (req, res) => {
+    const { id, runId } = req.params;
+    let surface;
+    try {
+        surface = backtestManager.getSensitivity(runId, {
+            x: req.query.x,
+            y: req.query.y,
+            metric: req.query.metric,
+            aggregate: req.query.aggregate
+        });
+    } catch (err) {
+        return res.status(400).json({ success: false, error: "INVALID_SURFACE", message: err.message });
+    }
+    if (!surface || surface.strategyId !== id) {
+        return res.status(404).json({ success: false, error: "OPTIMIZATION_NOT_FOUND" });
+    }
+    res.json({ success: true, payload: surface });
+});
+
+/**
+ * @route GET /api/backtest/jobs
+ * @desc Backtest jobs, newest first
+ * @query status (QUEUED | RUNNING | COMPLETED | FAILED | CANCELLED), strategyId
+ */
+router.get("/jobs", (req, res) => {
+    const jobs = backtestJobs.list({ status: req.query.status, strategyId: req.query.strategyId });
+    res.json({ success: true, payload: jobs });
+});
+
+/**
+ * @route GET /api/backtest/jobs/:jobId
+ * @desc Job status and progress; completed jobs include the report as `result`
+ */
+router.get("/jobs/:jobId", (req, res) => {
+    const job = backtestJobs.get(req.params.jobId, { withResult: true });
+    if (!job) return res.status(404).json({ success: false, error: "JOB_NOT_FOUND" });
+    res.json({ success: true, payload: job });
+});
+
+/**
+ * @route POST /api/backtest/jobs/:jobId/cancel
+ * @desc Cancel a queued job, or stop a running one at its next progress checkpoint
+ */
+router.post("/jobs/:jobId/cancel", (req, res) => {
+    const job = backtestJobs.cancel(req.params.jobId);
+    if (!job) return res.status(404).json({ success: false, error: "JOB_NOT_FOUND" });
+    if (['COMPLETED', 'FAILED'].includes(job.status)) {
+        return res.status(409).json({ success: false, error: "JOB_FINISHED", payload: job });
+    }
+    res.json({ success: true, payload: job });
+});
+
 /**
  * @route GET /api/backtest/:reportId
  * @desc Fetch report data for the "Data" Tab charts
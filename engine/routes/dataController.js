@@ -5,9 +5,36 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const logger = require('@utils/logger');
+const analytics = require('@core/backtest/analytics');
+const { compareReports } = require('@core/backtest/compare');
+const reportExport = require('@core/backtest/reportExport');
 
 const BACKTEST_DIR = path.join(process.cwd(), 'data', 'backtests');
 
+// Report ids are accepted with or without the '.json' suffix
+const reportPath = (id) => path.join(BACKTEST_DIR, `${path.basename(String(id)).replace(/\.json$/, '')}.json`);
+
+const readReport = (id) => {
+    const filePath = reportPath(id);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+/**
+ * Stored `analytics` section, or one rebuilt from the saved trades / equity curve
+ * for reports written before analytics existed (no MAE/MFE without bars).
+ */
+const resolveAnalytics = (report) => {
+    if (report.analytics) return report.analytics;
+    if (!Array.isArray(report.trades) || report.trades.length === 0) return null;
+    return analytics.compute({
+        trades: report.trades,
+        equityCurve: report.equityCurve || [],
+        initialCapital: Number(report.equityCurve?.[0]?.equity) || 10000,
+        compounding: !['PORTFOLIO', 'EVENT_DRIVEN'].includes(report.meta?.mode)
+    });
+};
+
 /**
  * DATA DOMAIN
  * Handles Tab 5: Data (Reports, Summaries, and Cache)
@@ -23,7 +50,7 @@ router.get('/reports', (req, res) => {
             .map(f => {
                 const stats = fs.statSync(path.join(BACKTEST_DIR, f));
                 return {
-                    id: f,
+                    id: f.replace('.json', ''),
                     name: f.replace('.json', ''),
                     timestamp: stats.mtime,
                     size: stats.size
@@ -37,22 +64,40 @@ router.get('/reports', (req, res) => {
     }
 });
 
-// 2. GET SPECIFIC REPORT SUMMARY (For UI Charts)
-router.get('/reports/:id', (req, res) => {
-    const filePath = path.join(BACKTEST_DIR, req.params.id);
-    
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ success: false, error: "Report not found" });
+// 2a. COMPARE REPORTS (declared before '/reports/:id' so 'compare' is not read as an id)
+// ?ids=a,b,c — the first id is the baseline for metric deltas; &maxPoints caps the aligned axis
+router.get('/reports/compare', (req, res) => {
+    try {
+        const ids = Array.from(new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean)));
+        if (ids.length < 2) return res.status(400).json({ success: false, error: "Provide at least two report ids (?ids=a,b)" });
+
+        const reports = [];
+        const missing = [];
+        for (const id of ids) {
+            const report = readReport(id);
+            if (report) reports.push({ ...report, id: id.replace(/\.json$/, '') });
+            else missing.push(id);
+        }
+        if (missing.length > 0) return res.status(404).json({ success: false, error: `Report not found: ${missing.join(', ')}` });
+
+        const maxPoints = parseInt(req.query.maxPoints) || undefined;
+        res.json({ success: true, payload: compareReports(reports, { maxPoints }) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: "Failed to compare reports" });
     }
+});
 
+// 2. GET SPECIFIC REPORT SUMMARY (For UI Charts)
+router.get('/reports/:id', (req, res) => {
     try {
-        const rawData = fs.readFileSync(filePath, 'utf8');
-        const report = JSON.parse(rawData);
+        const report = readReport(req.params.id);
+        if (!report) return res.status(404).json({ success: false, error: "Report not found" });
 
         // Standardize the response so the UI always knows where to find "Equity"
         const response = {
-            metadata: report.metadata || {},
-            summary: report.summary || { totalTrades: 0, netProfit: 0 },
+            metadata: report.meta || report.metadata || {},
+            summary: report.performanceRaw || report.summary || { totalTrades: 0, netProfit: 0 },
+            analytics: resolveAnalytics(report),
             equityCurve: report.equityCurve || [],
             trades: report.trades || []
         };
@@ -63,6 +108,51 @@ router.get('/reports/:id', (req, res) => {
     }
 });
 
+// 2b. GET REPORT ANALYTICS (Sortino, Calmar, streaks, MAE/MFE, period returns)
+router.get('/reports/:id/analytics', (req, res) => {
+    try {
+        const report = readReport(req.params.id);
+        if (!report) return res.status(404).json({ success: false, error: "Report not found" });
+
+        const section = resolveAnalytics(report);
+        if (!section) return res.status(404).json({ success: false, error: "No analytics available for this report" });
+
+        res.json({ success: true, payload: section });
+    } catch (err) {
+        res.status(500).json({ success: false, error: "Failed to parse report data" });
+    }
+});
+
+// 2c. EXPORT REPORT (for sharing outside the UI)
+// ?format=csv&table=trades|equity (default trades) → CSV download; ?format=html → standalone tear sheet
+router.get('/reports/:id/export', (req, res) => {
+    try {
+        const report = readReport(req.params.id);
+        if (!report) return res.status(404).json({ success: false, error: "Report not found" });
+
+        const id = path.basename(String(req.params.id)).replace(/\.json$/, '');
+        const format = String(req.query.format || '').toLowerCase();
+
+        if (format === 'csv') {
+            const table = String(req.query.table || 'trades').toLowerCase();
+            if (!['trades', 'equity'].includes(table)) {
+                return res.status(400).json({ success: false, error: "Unknown table. Use trades or equity" });
+            }
+            const body = table === 'trades' ? reportExport.tradesCsv(report) : reportExport.equityCsv(report);
+            res.attachment(`${id}-${table}.csv`);
+            return res.send(body);
+        }
+        if (format === 'html') {
+            res.attachment(`${id}.html`);
+            return res.send(reportExport.tearSheet(report, { id, analytics: resolveAnalytics(report) }));
+        }
+        res.status(400).json({ success: false, error: "Unsupported format. Use csv or html" });
+    } catch (err) {
+        logger.error(`Report export failed: ${err.message}`);
+        res.status(500).json({ success: false, error: "Failed to export report" });
+    }
+});
+
 // 3. WIPE CACHE (The "System Standard" Maintenance)
 router.delete('/cache', (req, res) => {
     const cacheDir = path.join(process.cwd(), 'data', 'cache');
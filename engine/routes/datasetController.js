@@ -0,0 +1,121 @@
+"use strict";
+
+const router = require("express").Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const datasetManager = require("@core/managers/datasetManager");
+const barParser = require("@core/backtest/bars");
+const resampler = require("@core/backtest/resampler");
+
+const UPLOADS_DIR = path.join(process.cwd(), 'data', 'uploads');
+if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+
+// Uploads land here first and are moved into the registry by content hash
+const upload = multer({ dest: UPLOADS_DIR });
+
+/**
+ * @route GET /api/data/datasets
+ * @desc Registered datasets, newest first
+ * @query symbol, timeframe
+ */
+router.get("/datasets", (req, res) => {
+    res.json({ success: true, payload: datasetManager.list({ symbol: req.query.symbol, timeframe: req.query.timeframe }) });
+});
+
+/**
+ * @route POST /api/data/datasets
+ * @desc Register a CSV (bars or ticks). Re-uploading stored content returns the existing entry.
+ * @body dataset (file), name, symbol, timeframe (detected from the bar spacing when omitted)
+ */
+router.post("/datasets", upload.single('dataset'), (req, res) => {
+    if (!req.file) return res.status(400).json({ success: false, error: "MISSING_FILE", message: "Attach the CSV as 'dataset'" });
+    try {
+        const meta = datasetManager.register(req.file, {
+            name: req.body.name,
+            symbol: req.body.symbol,
+            timeframe: req.body.timeframe
+        });
+        res.status(meta.duplicate ? 200 : 201).json({ success: true, payload: meta });
+    } catch (err) {
+        res.status(400).json({ success: false, error: "INVALID_DATASET", message: err.message });
+    } finally {
+        if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    }
+});
+
+/**
+ * @route GET /api/data/datasets/:datasetId
+ */
+router.get("/datasets/:datasetId", (req, res) => {
+    const meta = datasetManager.get(req.params.datasetId);
+    if (!meta) return res.status(404).json({ success: false, error: "DATASET_NOT_FOUND" });
+    res.json({ success: true, payload: meta });
+});
+
+/**
+ * @route PATCH /api/data/datasets/:datasetId
+ * @desc Rename a dataset or correct its symbol / timeframe
+ * @body name, symbol, timeframe
+ */
+router.patch("/datasets/:datasetId", (req, res) => {
+    const meta = datasetManager.update(req.params.datasetId, req.body || {});
+    if (!meta) return res.status(404).json({ success: false, error: "DATASET_NOT_FOUND" });
+    res.json({ success: true, payload: meta });
+});
+
+/**
+ * @route DELETE /api/data/datasets/:datasetId
+ */
+router.delete("/datasets/:datasetId", (req, res) => {
+    if (!datasetManager.remove(req.params.datasetId)) {
+        return res.status(404).json({ success: false, error: "DATASET_NOT_FOUND" });
+    }
+    res.json({ success: true, message: `Dataset ${req.params.datasetId} deleted.` });
+});
+
+/**
+ * @route POST /api/data/resample
+ * @desc Aggregate a CSV or a registered dataset to a higher timeframe and return the bars
+ * @body dataset (file) or datasetId, timeframe ('15m', '4h', ...), sessionStart ('HH:MM'),
+ *       utcOffset ('-04:00' or minutes), dropPartial ('true' drops incomplete edge buckets)
+ */
+router.post("/resample", upload.single('dataset'), (req, res) => {
+    try {
+        const body = req.body || {};
+        let file = req.file;
+        if (!file && body.datasetId) {
+            file = datasetManager.resolveFile(body.datasetId);
+            if (!file) return res.status(404).json({ success: false, error: "DATASET_NOT_FOUND" });
+        }
+        if (!file) return res.status(400).json({ success: false, error: "MISSING_FILE", message: "Attach the CSV as 'dataset' or pass a datasetId" });
+        if (!resampler.parseTimeframe(body.timeframe)) {
+            return res.status(400).json({ success: false, error: "INVALID_TIMEFRAME", message: `Unknown timeframe '${body.timeframe || ''}'` });
+        }
+
+        const bars = barParser.normalizeBars(barParser.readCsv(file.path));
+        const result = resampler.resample(bars, body.timeframe, {
+            sessionStart: body.sessionStart,
+            utcOffset: body.utcOffset,
+            dropPartial: body.dropPartial === true || body.dropPartial === 'true'
+        });
+        res.json({
+            success: true,
+            payload: {
+                datasetId: file.datasetId,
+                sourceTimeframe: result.sourceTimeframe,
+                timeframe: result.timeframe,
+                sourceBars: bars.length,
+                partialDropped: result.partialDropped,
+                count: result.bars.length,
+                bars: result.bars
+            }
+        });
+    } catch (err) {
+        res.status(400).json({ success: false, error: "INVALID_RESAMPLE", message: err.message });
+    } finally {
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    }
+});
+
+module.exports = router;
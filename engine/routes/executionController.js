@@ -4,6 +4,7 @@ const express = require('express');
 const router = express.Router();
 const loader = require('@core/strategyLoader'); // Import the Loader directly
 const stateManager = require('@utils/stateController');
+const orderManager = require('@core/managers/orderManager');
 const logger = require('@utils/logger');
 
 /**
@@ -131,4 +132,44 @@ router.post('/params/:id/reset', (req, res) => {
     return res.json({ success: true, payload: entry.instance.params || {}, message: "Defaults restored and persisted." });
 });
 
+// Query date: epoch ms or anything Date can parse (ISO). undefined when absent.
+const parseDate = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : NaN;
+};
+
+/**
+ * @route GET /api/run/orders
+ * @desc Paper / live order history, newest first, with status history and fills
+ * @query strategyId, symbol, status (NEW | ACCEPTED | PARTIALLY_FILLED | FILLED | CANCELLED | REJECTED),
+ *   from / to (ISO date or epoch ms, on creation time), limit
+ */
+router.get('/orders', (req, res) => {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ success: false, error: "INVALID_DATE", message: "from / to must be ISO dates or epoch milliseconds" });
+    }
+    const orders = orderManager.list({
+        strategyId: req.query.strategyId,
+        symbol: req.query.symbol,
+        status: req.query.status,
+        from,
+        to,
+        limit: parseInt(req.query.limit) || undefined
+    });
+    res.json({ success: true, payload: orders });
+});
+
+/**
+ * @route GET /api/run/orders/:orderId
+ * @desc One order with its status history and fills
+ */
+router.get('/orders/:orderId', (req, res) => {
+    const order = orderManager.get(req.params.orderId);
+    if (!order) return res.status(404).json({ success: false, error: "ORDER_NOT_FOUND" });
+    res.json({ success: true, payload: order });
+});
+
 module.exports = router;
@@ -102,6 +102,8 @@ router.patch('/account/:mode/settings', (req, res) => {
             if (next.commissionMin != null) next.commissionMin = Number(next.commissionMin);
             if (next.slippageBps != null) next.slippageBps = Number(next.slippageBps);
             if (next.fillProbability != null) next.fillProbability = Number(next.fillProbability);
+            if (next.latencyMs != null) next.latencyMs = Number(next.latencyMs);
+            if (next.maxVolumeFraction != null) next.maxVolumeFraction = Number(next.maxVolumeFraction);
             broker.updateConfig(next);
         }
         if (cash != null) {
@@ -131,6 +133,8 @@ router.patch('/account/settings', (req, res) => {
             if (next.commissionMin != null) next.commissionMin = Number(next.commissionMin);
             if (next.slippageBps != null) next.slippageBps = Number(next.slippageBps);
             if (next.fillProbability != null) next.fillProbability = Number(next.fillProbability);
+            if (next.latencyMs != null) next.latencyMs = Number(next.latencyMs);
+            if (next.maxVolumeFraction != null) next.maxVolumeFraction = Number(next.maxVolumeFraction);
             broker.updateConfig(next);
         }
         if (cash != null) {
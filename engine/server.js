@@ -11,7 +11,8 @@ const strategyRoutes = require("@core/routes/strategyController");
 const executionRoutes = require("@core/routes/executionController");
 const backtestRoutes = require("@core/routes/backtestController"); // Your multer-based script
 const systemRoutes = require("@core/routes/systemController");
-// Note: If you have a separate dataController for cache/logs, add it here
+const dataRoutes = require("@core/routes/dataController");         // Reports, analytics & cache
+const datasetRoutes = require("@core/routes/datasetController");   // Uploaded CSV registry
 
 // 2. Services
 const broadcaster = require("@core/services/broadcaster");
@@ -47,6 +48,8 @@ app.use("/api/strategies", authGuard, strategyRoutes);  // Tab 2: CRUD
 app.use("/api/run",        authGuard, executionRoutes); // Tab 3: Execution/Live/Paper
 app.use("/api/backtest",   authGuard, backtestRoutes);  // Tab 5: Simulation
 app.use("/api/system",     authGuard, systemRoutes);    // Tab 1 & 6: Home/Settings
+app.use("/api/system",     authGuard, dataRoutes);      // Tab 5: Reports & cache
+app.use("/api/data",       authGuard, datasetRoutes);   // Tab 5: Datasets
 
 // Health check (Public)
 app.get("/ping", (req, res) => res.send("PONG"));
@@ -15,10 +15,30 @@ class SignalAdapter {
         
         // Internal state to prevent signal collision
         this.processing = new Set(); 
+
+        // Strategies whose position state follows the broker's fills (see attach)
+        this.strategies = new Map();
+        if (typeof this.broker?.on === 'function') {
+            this.broker.on(EVENTS.ORDER.FILLED, (fill) => this._onBrokerFill(fill));
+        }
         
         logger.info(`[ARCH] SignalAdapter standardized for mode: ${this.mode}`);
     }
 
+    /**
+     * Keeps `strategy.positions` in step with the broker. Fills the strategy did not
+     * signal itself (bracket stop loss / take profit legs, OCO orders) would otherwise
+     * leave it managing a position the broker has already closed.
+     */
+    attach(strategy) {
+        if (!strategy?.positions) return;
+        this.strategies.set(strategy.id || strategy.name, strategy);
+    }
+
+    detach(strategyId) {
+        this.strategies.delete(strategyId);
+    }
+
     /**
      * Binds Grademark context for backtesting
      */
@@ -75,19 +95,98 @@ class SignalAdapter {
 
     // --- Execution Logic Blocks ---
 
+    /**
+     * Grademark rule context when bound, otherwise the simulated broker
+     * (event-driven backtests run the same broker calls as PAPER).
+     */
     _execBacktest(s) {
-        if (!this.btContext) return;
+        if (!this.btContext) return this._execPaper(s);
         if (s.intent === "ENTER") {
             return this.btContext.enter({ direction: s.side });
         }
         return this.btContext.exit();
     }
 
+    /**
+     * Market signals buy / sell / close at once. Signals carrying an `orderType`
+     * ('LIMIT' | 'STOP' | 'STOP_LIMIT' | 'MIT', with `limitPrice`, `stopPrice`,
+     * `timeInForce`) go to the broker's pending order book instead; an EXIT order
+     * covers the whole open position. Entries with `stopLoss` / `takeProfit` are placed
+     * as brackets the broker enforces.
+     *
+     * The entry helpers book the position in `strategy.positions` as they signal; for an
+     * attached strategy that is undone when the order is rejected (e.g. NO_FILL) and
+     * deferred while it is still working (a resting LIMIT / STOP, latency), until the
+     * fill arrives. Strategies that keep signalling while an entry rests can check
+     * `broker.getOrders({ strategyId, open: true })`.
+     */
     _execPaper(s) {
         if (!this.broker) return;
+        const result = this._sendPaper(s);
+        const strategy = this.strategies.get(s.strategyId);
+        if (strategy) this._syncPosition(strategy, s.symbol, s.price);
+        return result;
+    }
+
+    _sendPaper(s) {
+        const orderType = String(s.orderType || 'MARKET').toUpperCase();
+        const bracket = s.intent === "ENTER" && (s.stopLoss != null || s.takeProfit != null);
+        if ((orderType !== 'MARKET' || bracket) && typeof this.broker.placeOrder === 'function') {
+            return this._placePaperOrder(s, orderType);
+        }
+        const tag = { strategyId: s.strategyId };
         return s.intent === "ENTER"
-            ? (s.side === "long" ? this.broker.buy(s.symbol, s.quantity) : this.broker.sell(s.symbol, s.quantity))
-            : this.broker.closePosition(s.symbol);
+            ? (s.side === "long" ? this.broker.buy(s.symbol, s.quantity, tag) : this.broker.sell(s.symbol, s.quantity, tag))
+            : this.broker.closePosition(s.symbol, tag);
+    }
+
+    _placePaperOrder(s, type) {
+        let side = s.side === "long" ? "BUY" : "SELL";
+        let quantity = s.quantity;
+        if (s.intent !== "ENTER") {
+            const pos = this.broker.positions?.get(s.symbol);
+            if (!pos) return { status: 'REJECTED', reason: 'NO_POSITION' };
+            side = pos.side === "short" ? "BUY" : "SELL";
+            quantity = pos.quantity;
+        }
+        return this.broker.placeOrder({
+            symbol: s.symbol,
+            side,
+            quantity,
+            type,
+            limitPrice: s.limitPrice ?? (type === 'LIMIT' ? s.price : undefined),
+            stopPrice: s.stopPrice,
+            timeInForce: s.timeInForce,
+            stopLoss: s.intent === "ENTER" ? s.stopLoss : undefined,
+            takeProfit: s.intent === "ENTER" ? s.takeProfit : undefined,
+            reduceOnly: s.intent !== "ENTER",
+            strategyId: s.strategyId,
+            meta: s.meta
+        });
+    }
+
+    _onBrokerFill(fill) {
+        const strategy = this.strategies.get(fill.strategyId);
+        if (strategy) this._syncPosition(strategy, fill.symbol, fill.price);
+    }
+
+    /**
+     * Mirrors the broker's position in `symbol` into the strategy: flat when the broker
+     * holds none, otherwise its side, quantity and average entry. A position netted into
+     * another strategy's is left alone.
+     */
+    _syncPosition(strategy, symbol, price) {
+        const id = strategy.id || strategy.name;
+        const held = this.broker.positions?.get(symbol);
+        const own = strategy.positions.get(symbol);
+        if (!held) {
+            if (own) strategy.positions.close(symbol, price);
+            return;
+        }
+        if (held.strategyId !== id) return;
+        if (own && own.side === held.side && own.quantity === held.quantity) return;
+        strategy.positions.close(symbol, held.avgEntryPrice);
+        strategy.positions.open(symbol, held.side, held.quantity, held.avgEntryPrice);
     }
 
     async _execLive(s) {
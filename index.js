@@ -8,6 +8,7 @@ require("dotenv").config();
 // 3. Load the engine
 const engine = require("@core/core/engine");
 const server = require("@core/server");
+const orderManager = require("@core/managers/orderManager");
 const logger = require("@utils/logger");
 
 async function bootstrap() {
@@ -24,5 +25,6 @@ bootstrap();
 
 process.on("SIGINT", async () => {
     await engine.stop();
+    orderManager.flush(); // order history is written on a short delay
     process.exit();
 });
\ No newline at end of file
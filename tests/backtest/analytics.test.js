@@ -0,0 +1,125 @@
+"use strict";
+
+const analytics = require('@core/backtest/analytics');
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 0, 1);
+
+const trade = (profit, entryDay, exitDay) => ({
+    profit,
+    growth: 1 + profit / 1000,
+    entryTime: T0 + entryDay * DAY,
+    exitTime: T0 + exitDay * DAY,
+    holdingPeriod: exitDay - entryDay
+});
+
+describe('tradeResults', () => {
+    const trades = [{ growth: 1.1, profit: 5 }, { growth: 0.9, profit: -5 }];
+
+    test('compounding rebuilds PnL from growth along the equity path', () => {
+        const [first, second] = analytics.tradeResults(trades, 1000, true);
+        expect(first.pnl).toBeCloseTo(100);
+        expect(second.pnl).toBeCloseTo(-110);
+        expect(second.ret).toBeCloseTo(-0.1);
+    });
+
+    test('without compounding the trade profit is already currency', () => {
+        expect(analytics.tradeResults(trades, 1000, false).map(r => r.pnl)).toEqual([5, -5]);
+    });
+});
+
+describe('compute', () => {
+    const trades = [
+        trade(100, 0, 30),
+        trade(-50, 40, 60),
+        trade(-20, 50, 80),
+        trade(200, 100, 200)
+    ];
+    const equityCurve = [
+        { time: T0, equity: 10000 },
+        { time: T0 + 90 * DAY, equity: 11000 },
+        { time: T0 + 200 * DAY, equity: 9900 },
+        { time: T0 + 365 * DAY, equity: 12100 }
+    ];
+    const result = analytics.compute({ trades, equityCurve, initialCapital: 10000, compounding: false });
+
+    test('trade statistics', () => {
+        expect(result).toMatchObject({
+            grossProfit: 300,
+            grossLoss: 70,
+            expectancy: 57.5,
+            averageWin: 150,
+            averageLoss: -35,
+            longestWinStreak: 1,
+            longestLossStreak: 2,
+            averageHoldingBars: 45
+        });
+        expect(result.profitFactor).toBeCloseTo(300 / 70);
+    });
+
+    test('annualized return and Calmar over the tested span', () => {
+        expect(result.annualizedReturnPercent).toBeCloseTo(21);
+        expect(result.calmarRatio).toBeCloseTo(21 / 10);
+    });
+
+    test('annualized return and Calmar are null over spans too short to annualize', () => {
+        const week = analytics.compute({
+            trades: [trade(50, 0, 2)],
+            equityCurve: [{ time: T0, equity: 10000 }, { time: T0 + 3 * DAY, equity: 9000 }, { time: T0 + 7 * DAY, equity: 10050 }],
+            initialCapital: 10000,
+            compounding: false
+        });
+        expect(week).toMatchObject({ annualizedReturnPercent: null, calmarRatio: null });
+
+        const single = analytics.compute({
+            trades: [],
+            equityCurve: [{ time: T0 + 365 * DAY, equity: 10500 }],
+            initialCapital: 10000,
+            bars: [{ time: T0 }],
+            compounding: false
+        });
+        expect(single.annualizedReturnPercent).toBeNull();
+    });
+
+    test('exposure merges overlapping trades', () => {
+        // Held on days 0-30, 40-80 and 100-200 of 365
+        expect(result.exposurePercent).toBeCloseTo((170 / 365) * 100);
+    });
+
+    test('period returns chain from one period close to the next', () => {
+        expect(result.returns.yearly).toEqual([
+            { period: '2025', returnPercent: expect.closeTo(-1, 9), closingEquity: 9900 },
+            { period: '2026', returnPercent: expect.closeTo(((12100 - 9900) / 9900) * 100, 9), closingEquity: 12100 }
+        ]);
+        expect(result.returns.monthly.map(r => r.period)).toEqual(['2025-01', '2025-04', '2025-07', '2026-01']);
+    });
+
+    test('excursions need the replayed bars', () => {
+        expect(result.excursions).toEqual([]);
+        expect(result.averageMaePercent).toBeNull();
+
+        const bars = [
+            { time: T0, high: 10.5, low: 9.5 },
+            { time: T0 + DAY, high: 12, low: 9 },
+            { time: T0 + 2 * DAY, high: 13, low: 11 }
+        ];
+        const [excursion] = analytics.compute({
+            trades: [{ direction: 'long', entryTime: T0 + DAY, exitTime: T0 + DAY, entryPrice: 10 }],
+            equityCurve,
+            initialCapital: 10000,
+            bars,
+            compounding: false
+        }).excursions;
+        expect(excursion).toMatchObject({ maePercent: -10, mfePercent: 20 });
+    });
+
+    test('ratios without losses or drawdown are null', () => {
+        const flat = analytics.compute({
+            trades: [trade(10, 0, 1)],
+            equityCurve: [{ time: T0, equity: 10000 }, { time: T0 + 365 * DAY, equity: 10010 }],
+            initialCapital: 10000,
+            compounding: false
+        });
+        expect(flat).toMatchObject({ sortinoRatio: null, calmarRatio: null, profitFactor: null });
+    });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+const benchmark = require('@core/backtest/benchmark');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('buyAndHoldCurve', () => {
+    test('splits the capital equally and waits for every symbol at a timestamp', () => {
+        const curve = benchmark.buyAndHoldCurve([
+            { symbol: 'A', time: 0, close: 10 },
+            { symbol: 'B', time: 0, close: 50 },
+            { symbol: 'A', time: DAY, close: 20 },
+            { symbol: 'B', time: DAY, close: 25 }
+        ], 1000);
+        expect(curve).toEqual([{ time: 0, equity: 1000 }, { time: DAY, equity: 1000 + 500 - 250 }]);
+    });
+
+    test('symbols that have not printed yet stay in cash', () => {
+        const curve = benchmark.buyAndHoldCurve([
+            { symbol: 'A', time: 0, close: 10 },
+            { symbol: 'A', time: DAY, close: 11 },
+            { symbol: 'B', time: DAY, close: 5 }
+        ], 1000);
+        expect(curve.map(p => p.equity)).toEqual([1000, 1050]);
+    });
+});
+
+describe('compare', () => {
+    const benchmarkCurve = [100, 110, 99, 120].map((equity, i) => ({ time: i * DAY, equity }));
+
+    test('a strategy that tracks the benchmark has beta 1 and no alpha', () => {
+        const equityCurve = benchmarkCurve.map(p => ({ time: p.time, equity: p.equity * 100 }));
+        const result = benchmark.compare({ equityCurve, benchmarkCurve, initialCapital: 10000 });
+        expect(result.beta).toBeCloseTo(1);
+        expect(result.alpha).toBeCloseTo(0);
+        expect(result.correlation).toBeCloseTo(1);
+        expect(result.excessReturnPercent).toBeCloseTo(0);
+        expect(result.informationRatio).toBeNull();
+        expect(result).toMatchObject({ returnPercent: expect.closeTo(20, 9), periods: 3 });
+        expect(result.maxDrawdownPercent).toBeCloseTo(-10);
+    });
+
+    test('the strategy carries its last equity forward on the benchmark clock', () => {
+        const equityCurve = [{ time: 0, equity: 10000 }, { time: 2 * DAY, equity: 10500 }];
+        const result = benchmark.compare({ equityCurve, benchmarkCurve, initialCapital: 10000 });
+        expect(result.curve.map(r => r.strategy)).toEqual([10000, 10000, 10500, 10500]);
+        expect(result.excessReturnPercent).toBeCloseTo(5 - 20);
+        expect(result.alphaAnnualized).toBeCloseTo(result.alpha * 365);
+    });
+
+    test('too little overlap gives no comparison', () => {
+        const equityCurve = [{ time: 3 * DAY, equity: 10000 }];
+        expect(benchmark.compare({ equityCurve, benchmarkCurve, initialCapital: 10000 })).toBeNull();
+        expect(benchmark.compare({ equityCurve: [], benchmarkCurve, initialCapital: 10000 })).toBeNull();
+    });
+});
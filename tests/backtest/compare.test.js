@@ -0,0 +1,57 @@
+"use strict";
+
+const compare = require('@core/backtest/compare');
+
+describe('thin', () => {
+    test('keeps the first and last point and spaces the rest evenly', () => {
+        const times = Array.from({ length: 11 }, (_, i) => i);
+        expect(compare.thin(times, 3)).toEqual([0, 5, 10]);
+        expect(compare.thin(times, 20)).toBe(times);
+    });
+});
+
+describe('alignEquityCurves', () => {
+    test('carries each curve forward on the shared axis and is null before it starts', () => {
+        const { equity, drawdown } = compare.alignEquityCurves({
+            a: [{ time: 1, equity: 100 }, { time: 3, equity: 80 }],
+            b: [{ time: 2, equity: 50 }, { time: 4, equity: 60 }]
+        });
+        expect(equity).toEqual([
+            { time: 1, a: 100, b: null },
+            { time: 2, a: 100, b: 50 },
+            { time: 3, a: 80, b: 50 },
+            { time: 4, a: 80, b: 60 }
+        ]);
+        expect(drawdown.map(r => r.a)).toEqual([0, 0, -20, -20]);
+        expect(drawdown.map(r => r.b)).toEqual([null, 0, 0, 0]);
+    });
+
+    test('the drawdown peak includes points thinned out of the axis', () => {
+        const curve = [100, 150, 120, 90, 95].map((value, time) => ({ time, equity: value }));
+        const { drawdown } = compare.alignEquityCurves({ a: curve }, 3);
+        expect(drawdown.map(r => r.time)).toEqual([0, 2, 4]);
+        expect(drawdown[1].a).toBeCloseTo(-20);
+        expect(drawdown[2].a).toBeCloseTo((95 - 150) / 150 * 100);
+    });
+});
+
+describe('compareReports', () => {
+    const reports = [
+        { id: 'base', meta: { strategyName: 'ema', params: { fast: 10, slow: 30 } }, performanceRaw: { netProfit: 200, sharpeRatio: 0 }, equityCurve: [] },
+        { id: 'next', meta: { strategyName: 'ema', params: { fast: 12, slow: 30 } }, performanceRaw: { netProfit: 300, sharpeRatio: 0.4, trades: 7 }, equityCurve: [] }
+    ];
+
+    test('metric deltas are taken against the first report', () => {
+        const { baseline, metrics } = compare.compareReports(reports);
+        expect(baseline).toBe('base');
+        const byMetric = Object.fromEntries(metrics.map(m => [m.metric, m]));
+        expect(byMetric.netProfit.deltas.next).toEqual({ absolute: 100, percent: 50 });
+        expect(byMetric.sharpeRatio.deltas.next).toEqual({ absolute: 0.4, percent: null });
+        expect(byMetric.trades.values).toEqual({ base: null, next: 7 });
+        expect(byMetric.trades.deltas.next).toEqual({ absolute: null, percent: null });
+    });
+
+    test('only parameters that differ are listed', () => {
+        expect(compare.compareReports(reports).paramDiff).toEqual({ fast: { base: 10, next: 12 } });
+    });
+});
@@ -0,0 +1,80 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('@broker/paperStore', () => ({
+    getPaperBroker: () => ({ config: { commissionPerShare: 0.01, commissionMin: 1, slippageBps: 5, marginRequirement: 1 } })
+}));
+
+const { CostModel, summarizeCosts } = require('@core/backtest/costModel');
+const backtestManager = require('@core/backtestManager');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('CostModel', () => {
+    test('fills pay half the spread plus slippage against the side', () => {
+        const model = new CostModel({ spread: 0.2, slippageBps: 10 });
+        expect(model.fillPrice(100, 'buy')).toBeCloseTo(100.2);
+        expect(model.fillPrice(100, 'sell')).toBeCloseTo(99.8);
+
+        const percent = new CostModel({ spread: { type: 'percent', value: 1 } });
+        expect(percent.fillPrice(200, 'buy')).toBeCloseTo(201);
+    });
+
+    test('commission is per share with a minimum, and free when unset', () => {
+        const model = new CostModel({ commissionPerShare: 0.01, commissionMin: 1 });
+        expect(model.commission(10)).toBe(1);
+        expect(model.commission(500)).toBeCloseTo(5);
+        expect(new CostModel().commission(500)).toBe(0);
+    });
+
+    test('carry charges longs financing and shorts borrow per UTC midnight crossed', () => {
+        const model = new CostModel({ financingRatePct: 36.5, borrowRatePct: 73 });
+        const entry = Date.UTC(2026, 0, 5, 15);
+        const exit = entry + 2 * DAY_MS;
+        expect(model.carry('long', 1000, entry, exit)).toEqual({ financing: 2, borrow: 0 });
+        expect(model.carry('short', 1000, entry, exit)).toEqual({ financing: 0, borrow: 4 });
+        expect(model.carry('long', 1000, entry, entry + 60000)).toEqual({ financing: 0, borrow: 0 });
+    });
+
+    test('applyToTrades nets costs out of growth and compounds equity', () => {
+        const trades = [
+            { direction: 'long', entryPrice: 100, exitPrice: 110, entryTime: 0, exitTime: 1, growth: 1.1 },
+            { direction: 'short', entryPrice: 50, exitPrice: 45, entryTime: 2, exitTime: 3, growth: 50 / 45 }
+        ];
+        const free = new CostModel().applyToTrades(trades, 1000);
+        expect(free[0].growth).toBeCloseTo(1.1);
+        expect(free[0].quantity).toBeCloseTo(10);
+        expect(free[1].quantity).toBeCloseTo(22); // 1100 equity / 50
+
+        const costly = new CostModel({ commissionPerShare: 0, commissionMin: 5 }).applyToTrades(trades, 1000);
+        expect(costly[0].costs.commission).toBe(10);
+        expect(costly[0].growth).toBeCloseTo(1 + (100 - 10) / 1000);
+        expect(costly[0].grossGrowth).toBe(1.1);
+    });
+
+    test('summarizeCosts totals itemized trades', () => {
+        const model = new CostModel({ commissionMin: 1, slippageBps: 100 });
+        const trades = model.applyToTrades([
+            { direction: 'long', entryPrice: 100, exitPrice: 100, entryTime: 0, exitTime: 1, growth: 1, quantity: 1 },
+            { direction: 'long', entryPrice: 100, exitPrice: 100, entryTime: 0, exitTime: 1, growth: 1, quantity: 1 }
+        ], 1000);
+        const totals = summarizeCosts(trades);
+        expect(totals.commission).toBe(4);
+        expect(totals.slippage).toBeCloseTo(4);
+        expect(totals.total).toBeCloseTo(8);
+        expect(summarizeCosts([{ growth: 1 }])).toBeNull();
+    });
+});
+
+describe('backtest runs', () => {
+    test('apply costs only when asked for, on top of the paper broker settings', () => {
+        expect(backtestManager._resolveCostModel({})).toBeNull();
+        expect(backtestManager._resolveCostModel({ costs: false })).toBeNull();
+        expect(backtestManager._resolveCostModel({ costs: 'true' }).config).toMatchObject({ commissionMin: 1, slippageBps: 5 });
+        expect(backtestManager._resolveCostModel({ costs: { slippageBps: 0, financingRatePct: 5 } }).config)
+            .toMatchObject({ commissionMin: 1, slippageBps: 0, financingRatePct: 5 });
+
+        const model = new CostModel({ commissionMin: 2 });
+        expect(backtestManager._resolveCostModel({ costModel: model })).toBe(model);
+    });
+});
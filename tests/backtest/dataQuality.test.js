@@ -0,0 +1,99 @@
+"use strict";
+
+const dataQuality = require('@core/backtest/dataQuality');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5, 14);
+
+const row = (i, close, extra = {}) => ({
+    time: String(T0 + i * MINUTE),
+    open: String(close),
+    high: String(close + 0.5),
+    low: String(close - 0.5),
+    close: String(close),
+    volume: '100',
+    ...extra
+});
+
+// Gently wandering closes so the spike detector has a spread to measure against
+const clean = () => Array.from({ length: 30 }, (_, i) => row(i, 100 + Math.sin(i) * 0.5));
+
+describe('resolveConfig', () => {
+    test('accepts a strictness string or an object and falls back to report', () => {
+        expect(dataQuality.resolveConfig('STRICT')).toMatchObject({ strictness: 'strict', spikeSigma: 10, zeroVolumeRun: 10 });
+        expect(dataQuality.resolveConfig({ strictness: 'loose', spikeSigma: -1 })).toMatchObject({ strictness: 'report', spikeSigma: 10 });
+    });
+});
+
+describe('validate', () => {
+    test('clean data passes with nothing to report', () => {
+        const { bars, report } = dataQuality.validate(clean());
+        expect(bars).toHaveLength(30);
+        expect(report).toMatchObject({ passed: true, errors: 0, warnings: 0, order: 'ascending', spacingMs: MINUTE });
+    });
+
+    test('reports unreadable rows, duplicates and OHLC problems without changing the bars', () => {
+        const rows = clean();
+        rows.push({ time: 'not a time', close: '1' }, { ...rows[5], volume: '200' });
+        rows[8] = row(8, 100, { high: '99' });
+
+        const { bars, report } = dataQuality.validate(rows);
+        expect(report.issues.invalidRows).toMatchObject({ count: 1, examples: [{ row: 31, reason: 'invalid-time' }] });
+        expect(report.issues.duplicates.count).toBe(1);
+        expect(report.issues.ohlc.examples).toEqual([
+            { time: T0 + 8 * MINUTE, problems: ['high<low', 'open-outside-range', 'close-outside-range'] }
+        ]);
+        expect(report.passed).toBe(false);
+        expect(bars).toHaveLength(31);
+    });
+
+    test('repair keeps the last duplicate, widens ranges and drops isolated spikes', () => {
+        const rows = clean();
+        rows[8] = row(8, 100, { high: '99' });
+        rows[15] = row(15, 180);
+        rows.push({ ...rows[5], volume: '200' });
+
+        const { bars, report } = dataQuality.validate(rows, 'repair');
+        expect(report.issues.spikes.count).toBe(1);
+        expect(report.repaired).toEqual({ duplicatesRemoved: 1, ohlcFixed: 1, spikesRemoved: 1 });
+        expect(bars).toHaveLength(29);
+        expect(bars.find(b => b.time === T0 + 5 * MINUTE).volume).toBe(200);
+        expect(bars.find(b => b.time === T0 + 8 * MINUTE).high).toBe(100);
+        expect(bars.some(b => b.close === 180)).toBe(false);
+    });
+
+    test('gaps, zero-volume runs and one-way jumps are warnings', () => {
+        const rows = clean().filter((r, i) => i < 10 || i > 12)
+            .map((r, i) => (i >= 14 && i < 17 ? { ...r, volume: '0' } : r))
+            .map((r, i) => (i >= 20 ? { ...r, close: String(Number(r.close) * 1.5), open: String(Number(r.open) * 1.5), high: String(Number(r.high) * 1.5), low: String(Number(r.low) * 1.5) } : r));
+
+        const { report } = dataQuality.validate(rows, { zeroVolumeRun: 3 });
+        expect(report.issues.gaps).toMatchObject({ count: 1, largestMs: 4 * MINUTE, examples: [{ missingBars: 3 }] });
+        expect(report.issues.zeroVolumeRuns).toMatchObject({ count: 1, longest: 3 });
+        expect(report.issues.jumps.count).toBe(1);
+        expect(report).toMatchObject({ errors: 0, warnings: 3, passed: true });
+    });
+
+    test('files written newest first are read in reverse, not flagged row by row', () => {
+        const { bars, report } = dataQuality.validate(clean().reverse());
+        expect(report).toMatchObject({ order: 'descending', passed: true });
+        expect(bars[0].time).toBe(T0);
+    });
+
+    test('strict mode fails on errors and carries the report', () => {
+        const rows = clean();
+        rows.splice(4, 0, rows[3]);
+        let error;
+        try {
+            dataQuality.validate(rows, 'strict');
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).toBe('Data quality check failed: 1 duplicates');
+        expect(error.dataQuality.issues.duplicates.count).toBe(1);
+    });
+
+    test('off skips the pass', () => {
+        expect(dataQuality.validate(clean(), 'off')).toMatchObject({ report: null, bars: expect.any(Array) });
+    });
+});
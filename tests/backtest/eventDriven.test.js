@@ -0,0 +1,132 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const dataForge = require('data-forge');
+const eventDriven = require('@core/backtest/eventDriven');
+const backtestManager = require('@core/backtestManager');
+const BaseStrategy = require('@utils/BaseStrategy');
+const { StrategyPositionManager } = require('@utils/strategy');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5, 14);
+const SYMBOL = 'ETH/USD';
+
+const FRICTIONLESS = { commissionPerShare: 0, commissionMin: 0, slippageBps: 0, fillProbability: 1 };
+
+const bar = (i, open, close) => ({
+    symbol: SYMBOL,
+    time: T0 + i * MINUTE,
+    open,
+    high: Math.max(open, close) + 1,
+    low: Math.min(open, close) - 1,
+    close,
+    volume: 500
+});
+
+// Emits scripted signals on the opening tick of the given bars
+const scripted = (script) => ({
+    id: 'scripted',
+    onTick(tick) {
+        const i = (tick.time - T0) / MINUTE;
+        const signal = Number.isInteger(i) ? script[i] : null;
+        return signal ? { strategyId: 'scripted', symbol: tick.symbol, ...signal } : null;
+    }
+});
+
+describe('barToTicks', () => {
+    test('bullish bars visit the low first, bearish bars the high', () => {
+        expect(eventDriven.barToTicks(bar(0, 10, 12), MINUTE).map(t => t.price)).toEqual([10, 9, 13, 12]);
+        expect(eventDriven.barToTicks(bar(0, 12, 10), MINUTE).map(t => t.price)).toEqual([12, 13, 9, 10]);
+    });
+
+    test('ticks are spread over the bar and the closing tick carries the volume', () => {
+        const ticks = eventDriven.barToTicks(bar(0, 10, 12), MINUTE);
+        expect(ticks.map(t => t.time - T0)).toEqual([0, 15000, 30000, 45000]);
+        expect(ticks.map(t => t.volume)).toEqual([0, 0, 0, 500]);
+    });
+});
+
+describe('simulate', () => {
+    const stream = [bar(0, 100, 101), bar(1, 101, 103), bar(2, 103, 106), bar(3, 106, 104)];
+
+    test('signals go through the paper broker and fills become trades', () => {
+        const strategy = scripted({
+            1: { intent: 'ENTER', side: 'long', quantity: 2 },
+            3: { intent: 'EXIT' }
+        });
+        const result = eventDriven.simulate(strategy, stream, { initialCapital: 10000, brokerConfig: FRICTIONLESS });
+
+        expect(result.trades).toEqual([expect.objectContaining({
+            direction: 'long',
+            quantity: 2,
+            entryPrice: 101,
+            exitPrice: 106,
+            profit: 10,
+            exitReason: 'exit-rule'
+        })]);
+        expect(result.finalEquity).toBeCloseTo(10010);
+        expect(result.execution).toMatchObject({ signals: 2, fills: 2, rejectedOrders: 0, ticksPerBar: 4 });
+        expect(result.equityCurve).toHaveLength(4);
+    });
+
+    test('positions still open at the end are closed at the last price', () => {
+        const strategy = scripted({ 0: { intent: 'ENTER', side: 'short', quantity: 1 } });
+        const result = eventDriven.simulate(strategy, stream, { initialCapital: 10000, brokerConfig: FRICTIONLESS });
+
+        expect(result.trades).toEqual([expect.objectContaining({ direction: 'short', exitPrice: 104, exitReason: 'finalize' })]);
+        expect(result.finalEquity).toBeCloseTo(10000 - 4);
+    });
+
+    test('commissions are charged on both fills', () => {
+        const strategy = scripted({
+            1: { intent: 'ENTER', side: 'long', quantity: 2 },
+            3: { intent: 'EXIT' }
+        });
+        const result = eventDriven.simulate(strategy, stream, {
+            initialCapital: 10000,
+            brokerConfig: { ...FRICTIONLESS, commissionMin: 1 }
+        });
+        expect(result.trades[0]).toMatchObject({ commission: 2, profit: 8 });
+        expect(result.execution.commissions).toBe(2);
+    });
+
+    test('a bracket stop loss also flattens the strategy position', () => {
+        const strategy = scripted({ 1: { intent: 'ENTER', side: 'long', quantity: 1, stopLoss: 100.5 } });
+        strategy.positions = new StrategyPositionManager();
+        strategy.positions.open(SYMBOL, 'long', 1, 101); // as the entry helpers do
+        const result = eventDriven.simulate(strategy, stream, { initialCapital: 10000, brokerConfig: FRICTIONLESS });
+
+        expect(result.trades).toEqual([expect.objectContaining({ exitPrice: 100, exitReason: 'stop-loss' })]);
+        expect(strategy.positions.getState(SYMBOL)).toBe('flat');
+    });
+
+    test('the strategy context is restored afterwards', () => {
+        const strategy = scripted({});
+        strategy.executionContext = { mode: 'PAPER' };
+        eventDriven.simulate(strategy, stream, { brokerConfig: FRICTIONLESS });
+        expect(strategy.executionContext).toEqual({ mode: 'PAPER' });
+    });
+});
+
+describe('flip strategies', () => {
+    // Reverses every third closed candle
+    class Flipper extends BaseStrategy {
+        next() {
+            if (this.series(SYMBOL).length % 3 !== 0) return null;
+            return this.pos('long') ? this.flipToShort({ quantity: 1 }) : this.flipToLong({ quantity: 1 });
+        }
+    }
+    const flipper = () => new Flipper({ id: 'flipper', symbols: [SYMBOL], timeframe: '1m', lookback: 10 });
+    const stream = Array.from({ length: 30 }, (_, i) => bar(i, 100 + (i % 5), 101 + (i % 5)));
+
+    test('re-enter on the opposite side in both engines', () => {
+        const df = new dataForge.DataFrame(stream).bake();
+        const grademark = backtestManager._runGrademarkSimulation(df, flipper(), { symbol: SYMBOL });
+        const event = eventDriven.simulate(flipper(), stream, { brokerConfig: FRICTIONLESS });
+
+        const directions = grademark.map(t => t.direction);
+        expect(directions.slice(0, 4)).toEqual(['long', 'short', 'long', 'short']);
+        expect(event.trades.map(t => t.direction).slice(0, directions.length)).toEqual(directions);
+    });
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+const exits = require('@core/backtest/exits');
+
+const bar = (high, low, close = (high + low) / 2) => ({ time: 0, open: close, high, low, close });
+
+describe('resolveExitRules', () => {
+    test('defaults to no protective exits', () => {
+        expect(exits.resolveExitRules()).toEqual({
+            stopLossPercent: 0,
+            takeProfitPercent: 0,
+            trailingStop: null,
+            breakEven: null,
+            timeStopBars: 0,
+            signalStops: true
+        });
+    });
+
+    test('accepts shorthand numbers for the trailing stop and break-even', () => {
+        const rules = exits.resolveExitRules({ trailingStop: 2, breakEven: 1.5, signalStops: 'false' });
+        expect(rules.trailingStop).toEqual({ type: 'percent', value: 2, atrPeriod: 14 });
+        expect(rules.breakEven).toEqual({ triggerPercent: 1.5, offsetPercent: 0 });
+        expect(rules.signalStops).toBe(false);
+    });
+});
+
+describe('openLevels', () => {
+    test('percent stop and target around the fill', () => {
+        const rules = exits.resolveExitRules({ stopLossPercent: 5, takeProfitPercent: 10 });
+        const long = exits.openLevels(rules, { direction: 'long', entryPrice: 100 });
+        expect(long.stopPrice).toBeCloseTo(95);
+        expect(long.profitTarget).toBeCloseTo(110);
+        const short = exits.openLevels(rules, { direction: 'short', entryPrice: 100 });
+        expect(short.stopPrice).toBeCloseTo(105);
+        expect(short.profitTarget).toBeCloseTo(90);
+    });
+
+    test('signal levels win, unless on the wrong side of the fill', () => {
+        const rules = exits.resolveExitRules({ stopLossPercent: 5 });
+        expect(exits.openLevels(rules, { direction: 'long', entryPrice: 100, stopLoss: 97, takeProfit: 120 }))
+            .toMatchObject({ stopPrice: 97, profitTarget: 120 });
+        expect(exits.openLevels(rules, { direction: 'long', entryPrice: 100, stopLoss: 101, takeProfit: 90 }))
+            .toMatchObject({ stopPrice: 95, profitTarget: undefined });
+    });
+
+    test('a tighter trailing stop replaces the fixed stop', () => {
+        const rules = exits.resolveExitRules({ stopLossPercent: 5, trailingStop: 2 });
+        const state = exits.openLevels(rules, { direction: 'long', entryPrice: 100 });
+        expect(state.stopPrice).toBeCloseTo(98);
+        expect(state.stopKind).toBe('trailing-stop');
+    });
+});
+
+describe('updateOnClose', () => {
+    test('the trailing stop only ratchets in the trade direction', () => {
+        const rules = exits.resolveExitRules({ trailingStop: 10 });
+        const state = exits.openLevels(rules, { direction: 'long', entryPrice: 100 });
+        exits.updateOnClose(rules, state, bar(120, 110), { barsHeld: 1 });
+        expect(state.stopPrice).toBeCloseTo(108);
+        exits.updateOnClose(rules, state, bar(105, 95), { barsHeld: 2 });
+        expect(state.stopPrice).toBeCloseTo(108);
+    });
+
+    test('break-even moves the stop to the entry plus offset once triggered', () => {
+        const rules = exits.resolveExitRules({ stopLossPercent: 5, breakEven: { triggerPercent: 3, offsetPercent: 0.5 } });
+        const state = exits.openLevels(rules, { direction: 'short', entryPrice: 100 });
+        exits.updateOnClose(rules, state, bar(100, 98), { barsHeld: 1 });
+        expect(state.stopPrice).toBeCloseTo(105);
+        exits.updateOnClose(rules, state, bar(99, 96), { barsHeld: 2 });
+        expect(state.stopPrice).toBeCloseTo(99.5);
+        expect(state.stopKind).toBe('break-even');
+    });
+
+    test('the time stop fires after timeStopBars bars', () => {
+        const rules = exits.resolveExitRules({ timeStopBars: 3 });
+        const state = exits.openLevels(rules, { direction: 'long', entryPrice: 100 });
+        expect(exits.updateOnClose(rules, state, bar(101, 99), { barsHeld: 2 })).toBeNull();
+        expect(exits.updateOnClose(rules, state, bar(101, 99), { barsHeld: 3 })).toBe('time-stop');
+    });
+});
+
+describe('createAtrLookup', () => {
+    test('is only built for ATR trailing stops', () => {
+        expect(exits.createAtrLookup(exits.resolveExitRules({ trailingStop: 2 }), [])).toBeNull();
+    });
+
+    test('Wilder ATR by time, inclusive or strictly before', () => {
+        const rules = exits.resolveExitRules({ trailingStop: { type: 'atr', value: 2, atrPeriod: 2 } });
+        const bars = [
+            { time: 1, high: 11, low: 9, close: 10 },
+            { time: 2, high: 12, low: 10, close: 11 },
+            { time: 3, high: 15, low: 11, close: 14 }
+        ];
+        const atr = exits.createAtrLookup(rules, bars);
+        expect(atr.at(undefined, 1)).toBeUndefined();
+        expect(atr.at(undefined, 2)).toBeCloseTo(2);
+        expect(atr.at(undefined, 3)).toBeCloseTo(3);
+        expect(atr.before(undefined, 3)).toBeCloseTo(2);
+    });
+});
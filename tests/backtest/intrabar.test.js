@@ -0,0 +1,72 @@
+"use strict";
+
+const intrabar = require('@core/backtest/intrabar');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const coarse = [
+    { time: 0, open: 100, high: 106, low: 94, close: 101 },
+    { time: HOUR, open: 101, high: 102, low: 100, close: 101 }
+];
+
+const fine = (prices) => prices.map(([low, high], i) => ({ time: i * 10 * MINUTE, open: low, high, low, close: high }));
+
+describe('barWindows', () => {
+    test('each bar ends at the next open, the last one reuses the spacing', () => {
+        const ends = intrabar.barWindows(coarse).get('*');
+        expect(Array.from(ends.entries())).toEqual([[0, HOUR], [HOUR, 2 * HOUR]]);
+    });
+});
+
+describe('createResolver', () => {
+    const levels = { direction: 'long', stopPrice: 95, profitTarget: 105 };
+
+    test('the first fine bar reaching a level settles the coarse bar', () => {
+        const resolver = intrabar.createResolver({ '*': fine([[99, 101], [100, 105.5], [94, 96]]) }, coarse);
+        expect(resolver.settle('*', coarse[0], levels)).toMatchObject({ first: 'target', fineBar: { time: 10 * MINUTE } });
+        expect(resolver.summary()).toMatchObject({ ambiguous: 1, settled: 1, targetFirst: 1, unresolved: 0, fineBars: 3 });
+    });
+
+    test('a fine bar reaching both levels leaves the stop-first assumption', () => {
+        const resolver = intrabar.createResolver({ '*': fine([[94, 106]]) }, coarse);
+        expect(resolver.settle('*', coarse[0], levels)).toBeNull();
+        expect(resolver.summary()).toMatchObject({ ambiguous: 1, unresolved: 1 });
+    });
+
+    test('fine data outside the bar window is ignored', () => {
+        const resolver = intrabar.createResolver({ '*': [{ time: HOUR, open: 106, high: 106, low: 106, close: 106 }] }, coarse);
+        expect(resolver.firstTouch('*', coarse[0], levels)).toBeNull();
+    });
+});
+
+describe('settleTrades', () => {
+    const trade = {
+        direction: 'long',
+        entryPrice: 100,
+        exitTime: 0,
+        exitPrice: 95,
+        exitReason: 'stop-loss',
+        profitTarget: 105,
+        profit: -5,
+        riskPct: 5
+    };
+
+    test('a stop exit switches to the target when the target was touched first', () => {
+        const resolver = intrabar.createResolver({ '*': fine([[100, 105.5], [94, 96]]) }, coarse);
+        const [settled] = intrabar.settleTrades([trade], coarse, resolver, '*');
+        expect(settled).toMatchObject({ exitPrice: 105, exitReason: 'profit-target', profit: 5, rmultiple: 1, intrabar: true });
+        expect(settled.growth).toBeCloseTo(1.05);
+    });
+
+    test('a confirmed stop is only marked as settled', () => {
+        const resolver = intrabar.createResolver({ '*': fine([[94, 96], [100, 105.5]]) }, coarse);
+        expect(intrabar.settleTrades([trade], coarse, resolver, '*')).toEqual([{ ...trade, intrabar: true }]);
+    });
+
+    test('other exits are left alone', () => {
+        const resolver = intrabar.createResolver({ '*': fine([[100, 105.5]]) }, coarse);
+        const exit = { ...trade, exitReason: 'exit-rule' };
+        expect(intrabar.settleTrades([exit], coarse, resolver, '*')).toEqual([exit]);
+    });
+});
@@ -0,0 +1,32 @@
+"use strict";
+
+const monteCarlo = require('@core/backtest/monteCarlo');
+
+const trades = [1.1, 0.9, 1.05, 0.8, 1.2, 0.97, 1.03].map(growth => ({ growth }));
+
+describe('Monte Carlo robustness', () => {
+    test('the same seed gives the same bands', () => {
+        const a = monteCarlo.analyze(trades, 1000, { iterations: 200, seed: 5 });
+        expect(monteCarlo.analyze(trades, 1000, { iterations: 200, seed: 5 })).toEqual(a);
+        expect(a).toMatchObject({ iterations: 200, seed: 5, trades: 7 });
+    });
+
+    test('only the bootstrap reports final equity: shuffles all end on the same equity', () => {
+        const result = monteCarlo.analyze(trades, 1000, { iterations: 200, seed: 5 });
+        expect(result.shuffle).not.toHaveProperty('finalEquity');
+        expect(result.shuffle.maxDrawdownPercent.p5).toBeLessThan(result.shuffle.maxDrawdownPercent.p95);
+        expect(result.bootstrap.finalEquity.p5).toBeLessThan(result.bootstrap.finalEquity.p95);
+    });
+
+    test('ruin counts paths falling below the threshold', () => {
+        const losing = [0.6, 0.6, 1.5].map(growth => ({ growth }));
+        const result = monteCarlo.analyze(losing, 1000, { iterations: 100, seed: 1, ruinThresholdPct: 50 });
+        expect(result.shuffle.riskOfRuin).toBeGreaterThan(0);
+        expect(result.shuffle.riskOfRuin).toBeLessThan(1);
+    });
+
+    test('nothing to resample without trade growth', () => {
+        expect(monteCarlo.analyze([], 1000)).toBeNull();
+        expect(monteCarlo.analyze([{ growth: 'x' }], 1000)).toBeNull();
+    });
+});
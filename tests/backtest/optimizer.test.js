@@ -0,0 +1,79 @@
+"use strict";
+
+const optimizer = require('@core/backtest/optimizer');
+
+const schema = {
+    fast: { type: 'integer', min: 5, max: 15, default: 10 },
+    slow: { type: 'integer', min: 20, max: 40, default: 30 },
+    width: { type: 'number', min: 0.5, max: 2.5, default: 1 },
+    label: { type: 'string', default: 'x' }
+};
+
+describe('buildGrid', () => {
+    test('spans every numeric axis with `steps` points and skips other types', () => {
+        const grid = optimizer.buildGrid(schema, { steps: 3 });
+        expect(grid).toHaveLength(27);
+        expect(new Set(grid.map(p => p.fast))).toEqual(new Set([5, 10, 15]));
+        expect(new Set(grid.map(p => p.width))).toEqual(new Set([0.5, 1.5, 2.5]));
+        expect(grid.every(p => !('label' in p))).toBe(true);
+    });
+
+    test('ranges narrow the search to the given keys, clamped to the schema', () => {
+        const grid = optimizer.buildGrid(schema, { ranges: { fast: { min: 0, max: 9, step: 2 } } });
+        expect(grid).toEqual([{ fast: 5 }, { fast: 7 }, { fast: 9 }]);
+    });
+
+    test('rejects grids above maxCombinations', () => {
+        expect(() => optimizer.buildGrid(schema, { steps: 10, maxCombinations: 100 })).toThrow(/too large/);
+    });
+
+    test('a schema without numeric parameters yields the defaults only', () => {
+        expect(optimizer.buildGrid({ label: { type: 'string' } })).toEqual([{}]);
+    });
+});
+
+describe('sampleRandom', () => {
+    test('the same seed draws the same parameter sets', () => {
+        const a = optimizer.sampleRandom(schema, { samples: 20, seed: 42 });
+        const b = optimizer.sampleRandom(schema, { samples: 20, seed: 42 });
+        const c = optimizer.sampleRandom(schema, { samples: 20, seed: 43 });
+        expect(a).toEqual(b);
+        expect(a).not.toEqual(c);
+    });
+
+    test('draws unique sets inside the ranges, integers rounded', () => {
+        const sets = optimizer.sampleRandom(schema, { samples: 30, seed: 'abc' });
+        expect(sets).toHaveLength(30);
+        expect(new Set(sets.map(p => JSON.stringify(p))).size).toBe(30);
+        for (const p of sets) {
+            expect(Number.isInteger(p.fast)).toBe(true);
+            expect(p.fast).toBeGreaterThanOrEqual(5);
+            expect(p.fast).toBeLessThanOrEqual(15);
+            expect(p.width).toBeGreaterThanOrEqual(0.5);
+            expect(p.width).toBeLessThan(2.5);
+        }
+    });
+
+    test('stops at the size of a small integer space', () => {
+        const sets = optimizer.sampleRandom(schema, { ranges: { fast: { min: 5, max: 7 } }, samples: 10, seed: 1 });
+        expect(sets.map(p => p.fast).sort()).toEqual([5, 6, 7]);
+    });
+});
+
+describe('buildCandidates / rank', () => {
+    test('dispatches on the method', () => {
+        expect(optimizer.buildCandidates(schema, { method: 'grid', steps: 2 })).toHaveLength(8);
+        expect(optimizer.buildCandidates(schema, { method: 'random', samples: 5, seed: 7 })).toHaveLength(5);
+        expect(() => optimizer.buildCandidates(schema, { method: 'genetic' })).toThrow(/Unknown search method/);
+    });
+
+    test('ranks best-first by the objective, unusable scores last', () => {
+        const ranked = optimizer.rank([
+            { params: { a: 1 }, performance: { sharpeRatio: 0.5 } },
+            { params: { a: 2 }, performance: { sharpeRatio: 'n/a' } },
+            { params: { a: 3 }, performance: { sharpeRatio: 1.2 } }
+        ], 'sharpe');
+        expect(ranked.map(r => r.params.a)).toEqual([3, 1, 2]);
+        expect(() => optimizer.rank([], 'sortino')).toThrow(/Unknown objective/);
+    });
+});
@@ -0,0 +1,86 @@
+"use strict";
+
+const overfitting = require('@core/backtest/overfitting');
+
+describe('normal distribution helpers', () => {
+    test('normInv inverts normCdf', () => {
+        expect(overfitting.normCdf(0)).toBeCloseTo(0.5, 6);
+        expect(overfitting.normCdf(1.96)).toBeCloseTo(0.975, 3);
+        for (const x of [-2.5, -0.3, 0.8, 2.2]) {
+            expect(overfitting.normInv(overfitting.normCdf(x))).toBeCloseTo(x, 4);
+        }
+    });
+});
+
+describe('degradation', () => {
+    test('compares returns per bar and the other metrics as ratios', () => {
+        const result = overfitting.degradation(
+            { roiPercent: 20, sharpeRatio: 2, winRate: 60, maxDrawdownPercent: -10 },
+            { roiPercent: 5, sharpeRatio: 1, winRate: 0, maxDrawdownPercent: -15 },
+            { inSample: 200, outOfSample: 50 }
+        );
+        expect(result).toEqual({ roiPerBar: 1, sharpeRatio: 0.5, winRate: 0, maxDrawdownPercent: 1.5 });
+    });
+});
+
+describe('deflatedSharpe', () => {
+    test('more trials raise the bar a winner has to clear', () => {
+        const returns = [0.02, -0.01, 0.03, 0.01, -0.005, 0.025, 0.015, -0.01];
+        const few = overfitting.deflatedSharpe(returns, [0.1, 0.5]);
+        const many = overfitting.deflatedSharpe(returns, Array.from({ length: 200 }, (_, i) => (i % 20) / 20));
+        expect(many.expectedMaxSharpe).toBeGreaterThan(few.expectedMaxSharpe);
+        expect(many.probability).toBeLessThan(few.probability);
+    });
+
+    test('needs three returns with some dispersion', () => {
+        expect(overfitting.deflatedSharpe([0.1, 0.2], [1])).toBeNull();
+        expect(overfitting.deflatedSharpe([0.1, 0.1, 0.1], [1])).toBeNull();
+    });
+});
+
+describe('probabilityOfOverfitting', () => {
+    test('a candidate best in every block is never overfit', () => {
+        const result = overfitting.probabilityOfOverfitting([
+            [1, 1, 1, 1],
+            [0, 0, 0, 0],
+            [-1, -1, -1, -1]
+        ]);
+        expect(result.pbo).toBe(0);
+        expect(result.blocks).toBe(4);
+        expect(result.splits).toBe(6);
+    });
+
+    test('a winner that only shines in-sample is overfit', () => {
+        // Whatever half wins in-sample, that candidate is the worst on the other half
+        const result = overfitting.probabilityOfOverfitting([
+            [5, 5, -5, -5],
+            [-5, -5, 5, 5],
+            [0, 0, 0, 0]
+        ]);
+        expect(result.pbo).toBeGreaterThan(0.5);
+    });
+
+    test('needs two candidates and an even block count within the limit', () => {
+        expect(overfitting.probabilityOfOverfitting([[1, 2]])).toBeNull();
+        expect(overfitting.probabilityOfOverfitting([[1, 2, 3], [3, 2, 1]])).toBeNull();
+        const blocks = overfitting.MAX_PBO_BLOCKS + 2;
+        expect(() => overfitting.probabilityOfOverfitting([new Array(blocks).fill(0), new Array(blocks).fill(1)]))
+            .toThrow(/At most 16 blocks/);
+    });
+});
+
+describe('blockReturns', () => {
+    test('sums trade returns into time blocks by exit time', () => {
+        const trades = [
+            { exitTime: 0, growth: 1.1 },
+            { exitTime: 24, growth: 0.95 },
+            { exitTime: 99, growth: 1.02 },
+            { exitTime: 100, growth: 1.03 },
+            { exitTime: 50, growth: 'bad' }
+        ];
+        const sums = overfitting.blockReturns(trades, 0, 100, 4);
+        expect(sums[0]).toBeCloseTo(0.05);
+        expect(sums[1]).toBe(0);
+        expect(sums[3]).toBeCloseTo(0.05);
+    });
+});
@@ -0,0 +1,116 @@
+"use strict";
+
+const portfolio = require('@core/backtest/portfolio');
+const { CostModel } = require('@core/backtest/costModel');
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5);
+
+const bar = (day, open, close = open) => ({
+    time: T0 + day * DAY,
+    open,
+    high: Math.max(open, close),
+    low: Math.min(open, close),
+    close,
+    volume: 1000
+});
+
+// Replays scripted signals: { [symbol]: { [day]: signal } }
+const scripted = (script) => ({
+    onBar: (b) => script[b.symbol]?.[(b.time - T0) / DAY] || null
+});
+
+describe('alignSeries', () => {
+    test('trims every symbol to the common window and interleaves by time', () => {
+        const { stream, from, to, dropped } = portfolio.alignSeries({
+            AAA: [bar(0, 1), bar(1, 1), bar(2, 1), bar(3, 1)],
+            BBB: [bar(1, 2), bar(2, 2), bar(3, 2), bar(4, 2)]
+        });
+        expect([from, to]).toEqual([T0 + DAY, T0 + 3 * DAY]);
+        expect(dropped).toBe(2);
+        expect(stream.map(b => b.symbol)).toEqual(['AAA', 'BBB', 'AAA', 'BBB', 'AAA', 'BBB']);
+    });
+
+    test('symbols without bars or without overlap are refused', () => {
+        expect(() => portfolio.alignSeries({ AAA: [bar(0, 1)], BBB: [] })).toThrow(/No bars loaded for symbol 'BBB'/);
+        expect(() => portfolio.alignSeries({ AAA: [bar(0, 1)], BBB: [bar(5, 1)] })).toThrow(/do not overlap/);
+    });
+});
+
+describe('simulate', () => {
+    test('signals fill at the next open of the symbol they target', () => {
+        const { stream } = portfolio.alignSeries({
+            AAA: [bar(0, 100), bar(1, 101), bar(2, 104), bar(3, 108), bar(4, 110)]
+        });
+        const strategy = scripted({
+            AAA: { 0: { intent: 'ENTER', side: 'long', quantity: 10 }, 2: { intent: 'EXIT' } }
+        });
+
+        const result = portfolio.simulate(strategy, stream, { initialCapital: 10000 });
+        expect(result.trades).toHaveLength(1);
+        expect(result.trades[0]).toMatchObject({
+            symbol: 'AAA',
+            direction: 'long',
+            quantity: 10,
+            entryPrice: 101,
+            exitPrice: 108,
+            profit: 70,
+            exitReason: 'exit-rule'
+        });
+        expect(result.finalEquity).toBe(10070);
+        expect(result.bySymbol.AAA).toMatchObject({ bars: 5, totalTrades: 1, netProfit: 70 });
+    });
+
+    test('all symbols share one cash balance', () => {
+        const { stream } = portfolio.alignSeries({
+            AAA: [bar(0, 100), bar(1, 100), bar(2, 100)],
+            BBB: [bar(0, 100), bar(1, 100), bar(2, 100)]
+        });
+        const strategy = scripted({
+            AAA: { 0: { intent: 'ENTER', side: 'long', quantity: 80 } },
+            BBB: { 0: { intent: 'ENTER', side: 'long', quantity: 50 } }
+        });
+
+        const result = portfolio.simulate(strategy, stream, { initialCapital: 10000 });
+        const bySymbol = Object.fromEntries(result.trades.map(t => [t.symbol, t]));
+        expect(bySymbol.AAA).toMatchObject({ quantity: 80, exitReason: 'finalize' });
+        expect(bySymbol.BBB.quantity).toBeCloseTo(20);
+        expect(result.rejectedOrders).toBe(0);
+    });
+
+    test('an entry without buying power left is rejected', () => {
+        const { stream } = portfolio.alignSeries({
+            AAA: [bar(0, 100), bar(1, 100), bar(2, 100)],
+            BBB: [bar(0, 100), bar(1, 100), bar(2, 100)]
+        });
+        const strategy = scripted({
+            AAA: { 0: { intent: 'ENTER', side: 'long', quantity: 100 } },
+            BBB: { 0: { intent: 'ENTER', side: 'short', quantity: 10 } }
+        });
+
+        const result = portfolio.simulate(strategy, stream, { initialCapital: 10000 });
+        expect(result.rejectedOrders).toBe(1);
+        expect(result.trades.map(t => t.symbol)).toEqual(['AAA']);
+    });
+
+    test('the equity curve ends on the final equity, exit costs included', () => {
+        const { stream } = portfolio.alignSeries({ AAA: [bar(0, 100), bar(1, 101), bar(2, 102)] });
+        const strategy = scripted({ AAA: { 0: { intent: 'ENTER', side: 'long', quantity: 10 } } });
+
+        const result = portfolio.simulate(strategy, stream, {
+            initialCapital: 10000,
+            costModel: new CostModel({ commissionPerShare: 0.5 })
+        });
+        expect(result.finalEquity).toBe(10000 + 10 - 10);
+        expect(result.equityCurve).toHaveLength(3);
+        expect(result.equityCurve[2].equity).toBe(result.finalEquity);
+    });
+});
+
+describe('maxDrawdownPercent', () => {
+    test('measures the deepest fall from a running peak', () => {
+        const curve = [100, 120, 90, 130, 117].map(equity => ({ equity }));
+        expect(portfolio.maxDrawdownPercent(curve)).toBeCloseTo(-25);
+        expect(portfolio.maxDrawdownPercent([{ equity: 100 }, { equity: 110 }])).toBe(0);
+    });
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+const regimes = require('@core/backtest/regimes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 40 bars climbing one point a day, then 40 bars swinging around 140
+const bars = [
+    ...Array.from({ length: 40 }, (_, i) => 100 + i),
+    ...Array.from({ length: 40 }, (_, i) => 140 + (i % 2 ? 1 : -1))
+].map((close, i) => ({ time: i * DAY, open: close, high: close + 0.5, low: close - 0.5, close }));
+
+const config = { adxPeriod: 5, atrPeriod: 5, volatilityWindow: 10 };
+
+describe('resolveConfig', () => {
+    test('fills defaults and clamps out-of-range values', () => {
+        expect(regimes.resolveConfig()).toMatchObject({ trendMethod: 'adx', adxPeriod: 14, volatilityWindow: 100 });
+        expect(regimes.resolveConfig({ trendMethod: 'SLOPE', adxPeriod: 1, volatilityPercentile: 150 }))
+            .toMatchObject({ trendMethod: 'slope', adxPeriod: 2, volatilityPercentile: 100 });
+    });
+});
+
+describe('labelBars', () => {
+    const labels = regimes.labelBars(bars, regimes.resolveConfig(config)).get('*');
+
+    test('bars still warming up are unlabeled', () => {
+        expect(labels[0]).toMatchObject({ trend: null, volatility: null, adx: null });
+        expect(labels[20].trend).not.toBeNull();
+    });
+
+    test('ADX separates the climb from the chop', () => {
+        expect(labels[35].trend).toBe('trend');
+        expect(labels[75].trend).toBe('range');
+    });
+
+    test('the slope method measures the move in ATRs', () => {
+        const bySlope = regimes.labelBars(bars, regimes.resolveConfig({ ...config, trendMethod: 'slope', slopePeriod: 10 })).get('*');
+        expect(bySlope[35].slopeAtr).toBeGreaterThan(2);
+        expect(bySlope[35].trend).toBe('trend');
+        expect(bySlope[75].trend).toBe('range');
+    });
+});
+
+describe('breakdown', () => {
+    test('trades take the label of the last bar closed before their entry', () => {
+        const trades = [
+            { entryTime: 36 * DAY, growth: 1.1, profit: 10 },
+            { entryTime: 76 * DAY, growth: 0.95, profit: -5 },
+            { entryTime: 0, growth: 1, profit: 0 }
+        ];
+        const result = regimes.breakdown({ trades, bars, initialCapital: 1000, compounding: false, config });
+
+        expect(result.trend.trend).toMatchObject({ trades: 1, wins: 1, pnl: 10 });
+        expect(result.trend.range).toMatchObject({ trades: 1, wins: 0, pnl: -5 });
+        expect(result.unlabeledTrades).toBe(1);
+        const barShares = ['trend', 'range'].map(key => result.trend[key].barsPercent);
+        expect(barShares.reduce((a, b) => a + b, 0)).toBeLessThan(100);
+    });
+});
@@ -0,0 +1,63 @@
+"use strict";
+
+const reportExport = require('@core/backtest/reportExport');
+
+const T0 = Date.UTC(2026, 0, 2);
+const DAY = 24 * 60 * 60 * 1000;
+
+const stored = {
+    meta: { strategyName: '<ema> crossover', symbol: 'BTC/USD' },
+    performanceRaw: { netProfit: 150, totalTrades: 2 },
+    trades: [
+        { direction: 'long', entryTime: T0, exitTime: T0 + DAY, entryPrice: 10, exitPrice: 11, profit: 100, note: 'a, b', costs: { total: 1 } },
+        { direction: 'short', entryTime: T0 + 2 * DAY, exitTime: T0 + 3 * DAY, entryPrice: 11, exitPrice: 10.5, profit: 50, bars: 3 }
+    ],
+    equityCurve: [{ time: T0, equity: 1000 }, { time: T0 + DAY, equity: 1100 }, { time: T0 + 3 * DAY, equity: 1045 }]
+};
+
+describe('CSV export', () => {
+    test('trades list the known columns first, other scalar fields after in name order', () => {
+        const lines = reportExport.tradesCsv(stored).trim().split('\n');
+        expect(lines[0]).toBe('direction,entryTime,entryPrice,exitTime,exitPrice,profit,bars,note');
+        expect(lines[1]).toBe('long,2026-01-02T00:00:00.000Z,10,2026-01-03T00:00:00.000Z,11,100,,"a, b"');
+    });
+
+    test('the equity curve carries the drawdown from the running peak', () => {
+        const lines = reportExport.equityCsv(stored).trim().split('\n');
+        expect(lines[0]).toBe('time,timestamp,equity,drawdownPercent');
+        expect(lines[3]).toBe(`2026-01-05T00:00:00.000Z,${T0 + 3 * DAY},1045,-5`);
+    });
+});
+
+describe('tear sheet', () => {
+    test('is a standalone page with the report values escaped', () => {
+        const html = reportExport.tearSheet(stored);
+        expect(html).toContain('<!DOCTYPE html>');
+        expect(html).toContain('&lt;ema&gt; crossover');
+        expect(html).not.toContain('<ema>');
+        expect(html).toContain('<svg');
+    });
+});
+
+describe('out-of-range times', () => {
+    const report = {
+        meta: { strategyName: 'ema_crossover' },
+        performance: {},
+        trades: [
+            { direction: 'long', entryTime: T0, exitTime: T0 + DAY, entryPrice: 10, exitPrice: 11, profit: 1 },
+            { direction: 'short', entryTime: 9e20, exitTime: undefined, entryPrice: 11, exitPrice: 10, profit: 1 }
+        ],
+        equityCurve: [{ time: T0, equity: 100 }, { time: 9e20, equity: 101 }]
+    };
+
+    test('trade times are written as ISO 8601, out-of-range ones as they are', () => {
+        const lines = reportExport.tradesCsv(report).trim().split('\n');
+        expect(lines[1]).toContain('2026-01-02T00:00:00.000Z,');
+        expect(lines[2]).toContain('900000000000000000000');
+    });
+
+    test('the equity curve and tear sheet survive out-of-range times', () => {
+        expect(reportExport.equityCsv(report)).toContain('2026-01-02T00:00:00.000Z');
+        expect(reportExport.tearSheet(report)).toContain('<!DOCTYPE html>');
+    });
+});
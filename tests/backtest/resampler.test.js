@@ -0,0 +1,69 @@
+"use strict";
+
+const resampler = require('@core/backtest/resampler');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MONDAY = Date.UTC(2026, 0, 5);
+
+const minuteBars = (from, count) => Array.from({ length: count }, (_, i) => ({
+    time: from + i * 15 * MINUTE,
+    open: 100 + i,
+    high: 101 + i,
+    low: 99 + i,
+    close: 100.5 + i,
+    volume: 10
+}));
+
+describe('parseTimeframe / formatTimeframe', () => {
+    test('reads both label styles', () => {
+        expect(resampler.parseTimeframe('15m')).toBe(15 * MINUTE);
+        expect(resampler.parseTimeframe('4hours')).toBe(4 * HOUR);
+        expect(resampler.parseTimeframe('H4')).toBe(4 * HOUR);
+        expect(resampler.parseTimeframe('D')).toBe(DAY);
+        expect(resampler.parseTimeframe('1 fortnight')).toBeNull();
+        expect(resampler.formatTimeframe(90 * MINUTE)).toBe('90m');
+        expect(resampler.formatTimeframe(7 * DAY)).toBe('1w');
+    });
+});
+
+describe('resample', () => {
+    test('builds OHLCV buckets that open at their start', () => {
+        const { bars, sourceTimeframe, timeframe } = resampler.resample(minuteBars(MONDAY, 8), '1h');
+        expect([sourceTimeframe, timeframe]).toEqual(['15m', '1h']);
+        expect(bars).toEqual([
+            { time: MONDAY, open: 100, high: 104, low: 99, close: 103.5, volume: 40 },
+            { time: MONDAY + HOUR, open: 104, high: 108, low: 103, close: 107.5, volume: 40 }
+        ]);
+    });
+
+    test('intraday buckets restart at every session open', () => {
+        const { bars } = resampler.resample(minuteBars(MONDAY, 96 * 2), '100m');
+        const secondDay = bars.filter(b => b.time >= MONDAY + DAY);
+        expect(secondDay[0].time).toBe(MONDAY + DAY);
+        expect(bars.find(b => b.time === MONDAY + DAY - 40 * MINUTE).volume).toBe(20);
+    });
+
+    test('sessionStart and utcOffset move the anchor', () => {
+        const { bars } = resampler.resample(minuteBars(MONDAY, 96), '1d', { sessionStart: '17:00', utcOffset: '-05:00' });
+        expect(bars.map(b => b.time)).toEqual([MONDAY - 2 * HOUR, MONDAY + 22 * HOUR]);
+    });
+
+    test('weekly buckets start on Monday', () => {
+        const daily = Array.from({ length: 10 }, (_, i) => ({ time: MONDAY + (i - 2) * DAY, open: 1, high: 1, low: 1, close: 1, volume: 1 }));
+        expect(resampler.resample(daily, '1w').bars.map(b => b.time)).toEqual([MONDAY - 7 * DAY, MONDAY, MONDAY + 7 * DAY]);
+    });
+
+    test('dropPartial removes buckets the source does not cover', () => {
+        const { bars, partialDropped } = resampler.resample(minuteBars(MONDAY + 30 * MINUTE, 8), '1h', { dropPartial: true });
+        expect(partialDropped).toBe(2);
+        expect(bars.map(b => b.time)).toEqual([MONDAY + HOUR]);
+    });
+
+    test('refuses unknown timeframes and finer targets than the source', () => {
+        expect(() => resampler.resample(minuteBars(MONDAY, 4), 'soon')).toThrow(/Unknown timeframe/);
+        expect(() => resampler.resample(minuteBars(MONDAY, 4), '5m')).toThrow('Cannot resample 15m bars down to 5m');
+        expect(() => resampler.resample(minuteBars(MONDAY, 4), '1h', { sessionStart: '9am' })).toThrow(/Invalid sessionStart/);
+    });
+});
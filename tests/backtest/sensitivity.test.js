@@ -0,0 +1,45 @@
+"use strict";
+
+const sensitivity = require('@core/backtest/sensitivity');
+
+// fast × slow sweep with a third parameter aggregated away
+const evaluations = [];
+for (const fast of [5, 10, 15]) {
+    for (const slow of [20, 30]) {
+        for (const width of [1, 2]) {
+            evaluations.push({
+                params: { fast, slow, width },
+                performance: { sharpeRatio: fast === 10 && slow === 30 ? 2 + width : width / 10, netProfit: fast }
+            });
+        }
+    }
+}
+
+describe('buildSurface', () => {
+    test('aggregates the other parameters into one cell per x / y pair', () => {
+        const surface = sensitivity.buildSurface(evaluations);
+        expect(surface).toMatchObject({ x: 'fast', y: 'slow', metric: 'sharpeRatio', aggregate: 'mean' });
+        expect(surface.xValues).toEqual([5, 10, 15]);
+        expect(surface.yValues).toEqual([20, 30]);
+        expect(surface.cells).toHaveLength(6);
+        expect(surface.cells.find(c => c.x === 5 && c.y === 20)).toMatchObject({ value: expect.closeTo(0.15, 9), count: 2 });
+    });
+
+    test('the best cell reports how far its neighbours fall behind', () => {
+        const { best, range } = sensitivity.buildSurface(evaluations, { aggregate: 'max' });
+        expect(best).toMatchObject({ x: 10, y: 30, value: 4, neighbourMean: 0.2 });
+        expect(best.neighbourDropPercent).toBeCloseTo(95);
+        expect(range).toEqual({ min: 0.2, max: 4 });
+    });
+
+    test('metrics can be named by objective', () => {
+        expect(sensitivity.resolveMetric('sharpe')).toBe('sharpeRatio');
+        expect(sensitivity.buildSurface(evaluations, { x: 'width', y: 'fast', metric: 'netProfit' }).best).toMatchObject({ value: 15 });
+    });
+
+    test('axes must be two different swept parameters', () => {
+        expect(() => sensitivity.buildSurface(evaluations, { x: 'fast', y: 'fast' })).toThrow(/different/);
+        expect(() => sensitivity.buildSurface(evaluations, { x: 'depth' })).toThrow(/Unknown parameter 'depth'/);
+        expect(() => sensitivity.buildSurface([{ params: { fast: 1 }, performance: {} }])).toThrow(/at least two parameters/);
+    });
+});
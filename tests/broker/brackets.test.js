@@ -0,0 +1,74 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { EVENTS } = require('@events/bus');
+const createBroker = require('../helpers/createBroker');
+
+const SYMBOL = 'BTC/USD';
+
+const status = (broker, id) => broker.getOrders().find(o => o.id === id);
+
+describe('OCO and brackets', () => {
+    test('the first order of an OCO group to fill cancels the others', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        const [below, above] = broker.placeOco([
+            { symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'LIMIT', limitPrice: 95 },
+            { symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'STOP', stopPrice: 105 }
+        ]);
+        broker.updatePrice(SYMBOL, 106);
+        expect(status(broker, above.id).status).toBe('FILLED');
+        expect(status(broker, below.id)).toMatchObject({ status: 'CANCELLED', reason: 'OCO', cancelledBy: above.id });
+    });
+
+    test('a filled bracket entry places reduce-only stop loss and take profit legs', () => {
+        const broker = createBroker();
+        const fills = [];
+        broker.on(EVENTS.ORDER.FILLED, (fill) => fills.push(fill));
+        broker.updatePrice(SYMBOL, 100);
+        const entry = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 2, type: 'MARKET', stopLoss: 95, takeProfit: 110, strategyId: 's1' });
+
+        const legs = broker.getOrders({ open: true });
+        expect(legs).toHaveLength(2);
+        expect(legs.map(o => [o.type, o.role, o.quantity, o.reduceOnly, o.parentId])).toEqual([
+            ['STOP', 'STOP_LOSS', 2, true, entry.id],
+            ['LIMIT', 'TAKE_PROFIT', 2, true, entry.id]
+        ]);
+        expect(broker.positions.get(SYMBOL)).toMatchObject({ stopLoss: 95, takeProfit: 110 });
+
+        broker.updatePrice(SYMBOL, 111);
+        expect(fills.map(f => f.reason)).toEqual([undefined, 'TAKE_PROFIT']);
+        expect(broker.positions.get(SYMBOL)).toBeNull();
+        expect(status(broker, legs[0].id)).toMatchObject({ status: 'CANCELLED', reason: 'OCO' });
+    });
+
+    test('levels on the wrong side of the fill are skipped', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        broker.placeOrder({ symbol: SYMBOL, side: 'SELL', quantity: 1, type: 'MARKET', stopLoss: 95, takeProfit: 90 });
+        expect(broker.getOrders({ open: true }).map(o => o.role)).toEqual(['TAKE_PROFIT']);
+    });
+
+    test('legs are cancelled when the position is closed another way', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'MARKET', stopLoss: 95, takeProfit: 110 });
+        broker.closePosition(SYMBOL);
+        expect(broker.getOrders({ open: true })).toHaveLength(0);
+        expect(broker.getOrders({ status: 'CANCELLED' }).map(o => o.reason)).toEqual(['POSITION_CLOSED', 'POSITION_CLOSED']);
+    });
+
+    test('an entry leaving the book partly filled protects the filled quantity', () => {
+        const broker = createBroker({ maxVolumeFraction: 0.1 });
+        broker.updatePrice(SYMBOL, 100, 30);
+        const entry = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 10, type: 'LIMIT', limitPrice: 101, stopLoss: 95 });
+        expect(entry).toMatchObject({ status: 'PARTIALLY_FILLED', filledQuantity: 3 });
+        expect(broker.getOrders({ open: true })).toHaveLength(1);
+
+        broker.cancelOrder(entry.id);
+        const legs = broker.getOrders({ open: true });
+        expect(legs).toHaveLength(1);
+        expect(legs[0]).toMatchObject({ role: 'STOP_LOSS', quantity: 3, stopPrice: 95 });
+    });
+});
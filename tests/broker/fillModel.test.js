@@ -0,0 +1,108 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const createBrokerWith = require('../helpers/createBroker');
+
+const SYMBOL = 'ETH/USD';
+let now;
+
+const createBroker = (config, seed) => createBrokerWith(config, { clock: () => now, seed });
+
+beforeEach(() => {
+    now = Date.UTC(2026, 9, 19, 12);
+});
+
+describe('fill probability', () => {
+    const outcomes = (seed) => {
+        const broker = createBroker({ fillProbability: 0.5 }, seed);
+        broker.updatePrice(SYMBOL, 10);
+        return Array.from({ length: 40 }, () => broker.buy(SYMBOL, 1));
+    };
+
+    test('the same seed replays the same fills', () => {
+        const first = outcomes(11);
+        expect(outcomes(11)).toEqual(first);
+        expect(first).toContain(true);
+        expect(first).toContain(false);
+        expect(outcomes(12)).not.toEqual(first);
+    });
+
+    test('orders losing the draw are rejected NO_FILL', () => {
+        const broker = createBroker({ fillProbability: 0 });
+        broker.updatePrice(SYMBOL, 10);
+        expect(broker.buy(SYMBOL, 1)).toBe(false);
+        expect(broker.getOrders()[0]).toMatchObject({ status: 'REJECTED', reason: 'NO_FILL' });
+    });
+
+    test('closing orders and bracket legs are never rejected by the draw', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 10);
+        broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 2, type: 'MARKET', stopLoss: 9 });
+        broker.buy(SYMBOL, 1);
+        broker.config.fillProbability = 0;
+
+        broker.updatePrice(SYMBOL, 8.5);
+        expect(broker.positions.get(SYMBOL)).toMatchObject({ quantity: 1 });
+        expect(broker.closePosition(SYMBOL)).toBe(true);
+        expect(broker.positions.get(SYMBOL)).toBeNull();
+    });
+});
+
+describe('bar volume limit', () => {
+    test('fills at most maxVolumeFraction of each bar and keeps the rest working', () => {
+        const broker = createBroker({ maxVolumeFraction: 0.1 });
+        broker.updatePrice(SYMBOL, 10, 100);
+        const order = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 25, type: 'MARKET' });
+        expect(order).toMatchObject({ status: 'PARTIALLY_FILLED', filledQuantity: 10 });
+
+        broker.updatePrice(SYMBOL, 10.5); // same bar, volume used up
+        expect(broker.getOrders()[0].filledQuantity).toBe(10);
+
+        broker.updatePrice(SYMBOL, 11, 100);
+        broker.updatePrice(SYMBOL, 12, 100);
+        const done = broker.getOrders()[0];
+        expect(done).toMatchObject({ status: 'FILLED', filledQuantity: 25 });
+        expect(done.avgFillPrice).toBeCloseTo((10 * 10 + 10 * 11 + 5 * 12) / 25);
+    });
+
+    test('maxVolumeFraction 0 disables the limit', () => {
+        const broker = createBroker({ maxVolumeFraction: 0 });
+        broker.updatePrice(SYMBOL, 10, 100);
+        expect(broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 500, type: 'MARKET' }).status).toBe('FILLED');
+    });
+});
+
+describe('latency', () => {
+    test('market orders fill at the first price once latencyMs has passed', () => {
+        const broker = createBroker({ latencyMs: 1000 });
+        broker.updatePrice(SYMBOL, 10);
+        broker.buy(SYMBOL, 1);
+        expect(broker.getOrders()[0]).toMatchObject({ status: 'ACCEPTED', sentAt: now, executeAt: now + 1000 });
+
+        now += 500;
+        broker.updatePrice(SYMBOL, 10.2);
+        expect(broker.getOrders()[0].status).toBe('ACCEPTED');
+
+        now += 500;
+        broker.updatePrice(SYMBOL, 10.4);
+        expect(broker.getOrders()[0]).toMatchObject({ status: 'FILLED', avgFillPrice: 10.4 });
+    });
+
+    test('liquidate settles orders in flight and closes every position at once', () => {
+        const broker = createBroker({ latencyMs: 60000, maxVolumeFraction: 0.1 });
+        broker.updatePrice(SYMBOL, 10);
+        broker.buy(SYMBOL, 3);
+        now += 1000;
+        broker.updatePrice(SYMBOL, 11, 10);
+
+        broker.liquidate();
+        expect(broker.positions.all()).toHaveLength(0);
+        expect(broker.getOrders({ open: true })).toHaveLength(0);
+        expect(broker.getOrders().map(o => [o.side, o.status, o.avgFillPrice])).toEqual([
+            ['BUY', 'FILLED', 11],
+            ['SELL', 'FILLED', 11]
+        ]);
+        expect(broker.getOrders()[0].filledQuantity).toBe(3);
+    });
+});
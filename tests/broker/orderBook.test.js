@@ -0,0 +1,113 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { EVENTS } = require('@events/bus');
+const createBrokerWith = require('../helpers/createBroker');
+
+const SYMBOL = 'BTC/USD';
+let now;
+
+// On a clock the test moves
+const createBroker = (config) => createBrokerWith(config, { clock: () => now });
+
+const status = (broker, id) => broker.getOrders().find(o => o.id === id);
+
+beforeEach(() => {
+    now = Date.UTC(2026, 9, 19, 12);
+});
+
+describe('pending orders', () => {
+    test('a LIMIT buy rests until the price reaches it and fills at the price seen', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        const order = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'LIMIT', limitPrice: 95 });
+        expect(order.status).toBe('ACCEPTED');
+
+        broker.updatePrice(SYMBOL, 96);
+        expect(status(broker, order.id).status).toBe('ACCEPTED');
+        broker.updatePrice(SYMBOL, 94); // gapped through the limit
+        expect(status(broker, order.id)).toMatchObject({ status: 'FILLED', avgFillPrice: 94 });
+        expect(broker.positions.get(SYMBOL)).toMatchObject({ side: 'long', quantity: 1 });
+    });
+
+    test('a STOP sell triggers at or below its stop and fills at market', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        broker.buy(SYMBOL, 2);
+        const stop = broker.placeOrder({ symbol: SYMBOL, side: 'SELL', quantity: 2, type: 'STOP', stopPrice: 97 });
+
+        broker.updatePrice(SYMBOL, 98);
+        expect(status(broker, stop.id).status).toBe('ACCEPTED');
+        broker.updatePrice(SYMBOL, 96.5);
+        expect(status(broker, stop.id)).toMatchObject({ status: 'FILLED', avgFillPrice: 96.5 });
+        expect(broker.positions.get(SYMBOL)).toBeNull();
+    });
+
+    test('a STOP_LIMIT waits as a limit once its stop is hit', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        const order = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'STOP_LIMIT', stopPrice: 105, limitPrice: 106 });
+
+        broker.updatePrice(SYMBOL, 107);
+        const triggered = status(broker, order.id);
+        expect(triggered.status).toBe('ACCEPTED');
+        expect(triggered.triggeredAt).toBe(now);
+
+        broker.updatePrice(SYMBOL, 103); // below the stop again, but the limit now works
+        expect(status(broker, order.id)).toMatchObject({ status: 'FILLED', avgFillPrice: 103 });
+    });
+
+    test('invalid requests are rejected with the reason', () => {
+        const broker = createBroker();
+        const order = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'STOP' });
+        expect(order).toMatchObject({ status: 'REJECTED', reason: 'STOP order needs a stopPrice' });
+    });
+
+    test('every transition is emitted as ORDER.UPDATE', () => {
+        const broker = createBroker();
+        const seen = [];
+        broker.on(EVENTS.ORDER.UPDATE, (order) => seen.push(order.status));
+        broker.updatePrice(SYMBOL, 100);
+        broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'MARKET' });
+        expect(seen).toEqual(['NEW', 'ACCEPTED', 'FILLED']);
+    });
+});
+
+describe('time in force', () => {
+    test('IOC is cancelled when not marketable on placement', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        const order = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'LIMIT', limitPrice: 90, timeInForce: 'IOC' });
+        expect(order).toMatchObject({ status: 'CANCELLED', reason: 'NOT_MARKETABLE' });
+    });
+
+    test('FOK is cancelled when the bar cannot fill all of it', () => {
+        const broker = createBroker({ maxVolumeFraction: 0.1 });
+        broker.updatePrice(SYMBOL, 100, 50);
+        const order = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 10, type: 'MARKET', timeInForce: 'FOK' });
+        expect(order).toMatchObject({ status: 'CANCELLED', reason: 'NO_LIQUIDITY', filledQuantity: 0 });
+    });
+
+    test('DAY orders expire at the end of the trading day', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        const order = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'LIMIT', limitPrice: 90, timeInForce: 'DAY' });
+        expect(order.expiresAt).toBeGreaterThan(now);
+
+        now = order.expiresAt;
+        broker.updatePrice(SYMBOL, 89);
+        expect(status(broker, order.id)).toMatchObject({ status: 'CANCELLED', reason: 'EXPIRED', filledQuantity: 0 });
+    });
+
+    test('GTC orders stay until cancelled', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        const order = broker.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 1, type: 'LIMIT', limitPrice: 90 });
+        now += 30 * 24 * 60 * 60 * 1000;
+        broker.updatePrice(SYMBOL, 99);
+        expect(status(broker, order.id).status).toBe('ACCEPTED');
+        expect(broker.cancelOrder(order.id)).toMatchObject({ status: 'CANCELLED', reason: 'USER' });
+        expect(broker.cancelOrder(order.id)).toBeNull();
+    });
+});
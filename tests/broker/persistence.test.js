@@ -0,0 +1,99 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PaperBroker = require('@broker/paper');
+const createBrokerWith = require('../helpers/createBroker');
+
+const SYMBOL = 'BTC/USD';
+let dir;
+
+// State saves are deferred to the next turn of the event loop
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const createBroker = () => createBrokerWith({ commissionMin: 1 }, { capital: 10000, persist: true });
+
+const journal = () => fs.readFileSync(path.join(dir, 'data', 'paper', 'journal.jsonl'), 'utf8')
+    .trim().split('\n').map(line => JSON.parse(line));
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+});
+
+afterEach(async () => {
+    await flush();
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('PaperBroker persistence', () => {
+    test('restores cash, positions with their strategy and working orders', async () => {
+        const first = createBroker();
+        first.updatePrice(SYMBOL, 100);
+        first.buy(SYMBOL, 10, { strategyId: 'ema' });
+        first.placeOrder({ symbol: SYMBOL, side: 'BUY', quantity: 5, type: 'LIMIT', limitPrice: 90, strategyId: 'ema' });
+        await flush();
+
+        const second = createBroker();
+        expect(second.cash).toBeCloseTo(10000 - 1000 - 1);
+        expect(second.positions.get(SYMBOL)).toMatchObject({ side: 'long', quantity: 10, avgEntryPrice: 100, strategyId: 'ema' });
+        expect(second.getOrders({ open: true })).toEqual([expect.objectContaining({ type: 'LIMIT', limitPrice: 90, status: 'ACCEPTED' })]);
+        expect(second.getStrategyPositions('ema')).toEqual([expect.objectContaining({ symbol: SYMBOL, quantity: 10 })]);
+        expect(second.getStrategyPositions('other')).toEqual([]);
+
+        // Restored orders keep working and new ids do not collide with them
+        second.updatePrice(SYMBOL, 89);
+        expect(second.positions.get(SYMBOL).quantity).toBe(15);
+        const ids = second.getOrders().map(o => o.id);
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('appends every fill to the journal', () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        broker.buy(SYMBOL, 2, { strategyId: 'ema' });
+        broker.updatePrice(SYMBOL, 110);
+        broker.closePosition(SYMBOL);
+
+        const entries = journal();
+        expect(entries.map(e => [e.type, e.side, e.quantity, e.price])).toEqual([
+            ['FILL', 'BUY', 2, 100],
+            ['FILL', 'SELL', 2, 110]
+        ]);
+        expect(entries[0]).toMatchObject({ strategyId: 'ema', position: { side: 'long', quantity: 2, avgEntryPrice: 100 } });
+        expect(entries[1]).toMatchObject({ realizedPnL: 20, position: null });
+    });
+
+    test('a reset is journaled and starts the next session empty', async () => {
+        const broker = createBroker();
+        broker.updatePrice(SYMBOL, 100);
+        broker.buy(SYMBOL, 1);
+        broker.resetAccount();
+        await flush();
+
+        expect(journal().map(e => e.type)).toEqual(['FILL', 'RESET']);
+        const restored = createBroker();
+        expect(restored.cash).toBe(10000);
+        expect(restored.positions.all()).toHaveLength(0);
+        expect(restored.getOrders()).toHaveLength(0);
+    });
+
+    test('an unreadable state file starts a fresh account', () => {
+        fs.mkdirSync(path.join(dir, 'data', 'paper'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'data', 'paper', 'state.json'), '{ not json');
+        const broker = createBroker();
+        expect(broker.cash).toBe(10000);
+        expect(broker.positions.all()).toHaveLength(0);
+    });
+
+    test('backtest brokers never touch the disk', () => {
+        const broker = new PaperBroker(10000, { silent: true, persist: false });
+        broker.updatePrice(SYMBOL, 100);
+        broker.buy(SYMBOL, 1);
+        expect(fs.existsSync(path.join(dir, 'data'))).toBe(false);
+    });
+});
@@ -0,0 +1,17 @@
+"use strict";
+
+const PaperBroker = require('@broker/paper');
+
+/**
+ * Paper broker for the broker specs: no commission or slippage, every order passes the
+ * fill draw and nothing is written to disk unless `persist` is set.
+ * @param {Object} [config] - Broker config overrides.
+ * @param {Object} [options] - { capital, clock, seed, persist }
+ */
+const createBroker = (config = {}, { capital = 100000, clock, seed = 1, persist = false } = {}) => {
+    const broker = new PaperBroker(capital, { silent: true, persist, clock, seed });
+    broker.config = { ...broker.config, commissionPerShare: 0, commissionMin: 0, slippageBps: 0, fillProbability: 1, ...config };
+    return broker;
+};
+
+module.exports = createBroker;
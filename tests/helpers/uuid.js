@@ -0,0 +1,6 @@
+"use strict";
+
+// uuid 13 ships as ES modules only, which jest's CommonJS runtime cannot load
+const { randomUUID } = require('crypto');
+
+module.exports = { v4: () => randomUUID() };
@@ -0,0 +1,100 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const jobManager = require('@core/managers/backtestJobManager');
+
+// Fresh manager per test; the module only exports the shared instance
+const createManager = (options) => new jobManager.constructor(options);
+
+// A task the test finishes by hand, reporting progress through `step`
+const deferredTask = () => {
+    const task = {};
+    task.run = jest.fn(({ onProgress }) => new Promise((resolve, reject) => {
+        task.step = (update) => {
+            try {
+                onProgress(update);
+            } catch (err) {
+                reject(err);
+            }
+        };
+        task.resolve = resolve;
+    }));
+    return task;
+};
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('BacktestJobManager', () => {
+    test('runs jobs up to the concurrency limit and queues the rest', async () => {
+        const manager = createManager({ concurrency: 1 });
+        const first = deferredTask();
+        const second = deferredTask();
+        const a = manager.submit({ strategyId: 'ema', kind: 'SINGLE' }, first.run);
+        const b = manager.submit({ strategyId: 'ema', kind: 'SINGLE' }, second.run);
+
+        expect(manager.get(a.id).status).toBe('RUNNING');
+        expect(manager.get(b.id).status).toBe('QUEUED');
+        expect(second.run).not.toHaveBeenCalled();
+
+        first.resolve({ meta: { id: 'report-1' } });
+        await settle();
+        expect(manager.get(a.id)).toMatchObject({ status: 'COMPLETED', reportId: 'report-1' });
+        expect(manager.get(a.id, { withResult: true }).result).toEqual({ meta: { id: 'report-1' } });
+        expect(manager.get(b.id).status).toBe('RUNNING');
+    });
+
+    test('progress carries percent and an ETA for the current stage', () => {
+        const manager = createManager();
+        const task = deferredTask();
+        const job = manager.submit({ strategyId: 'ema', kind: 'OPTIMIZE' }, task.run);
+
+        task.step({ stage: 'evaluate', processed: 5, total: 20, trades: 3 });
+        expect(manager.get(job.id).progress).toMatchObject({ stage: 'evaluate', processed: 5, total: 20, percent: 25, trades: 3 });
+        expect(manager.get(job.id).progress).not.toHaveProperty('stageStartedAt');
+    });
+
+    test('a queued job is cancelled at once, a running one at its next checkpoint', async () => {
+        const manager = createManager({ concurrency: 1 });
+        const running = deferredTask();
+        const queued = deferredTask();
+        const a = manager.submit({ strategyId: 'ema', kind: 'SINGLE' }, running.run);
+        const onSettled = jest.fn();
+        const b = manager.submit({ strategyId: 'ema', kind: 'SINGLE' }, queued.run, onSettled);
+
+        expect(manager.cancel(b.id).status).toBe('CANCELLED');
+        expect(onSettled).toHaveBeenCalledTimes(1);
+
+        expect(manager.cancel(a.id)).toMatchObject({ status: 'RUNNING', cancelRequested: true });
+        running.step({ stage: 'replay', processed: 1, total: 2 });
+        await settle();
+        expect(manager.get(a.id).status).toBe('CANCELLED');
+        expect(queued.run).not.toHaveBeenCalled();
+        expect(manager.cancel('missing')).toBeNull();
+    });
+
+    test('a failing task records the error', async () => {
+        const manager = createManager();
+        const job = manager.submit({ strategyId: 'ema', kind: 'SINGLE' }, async () => {
+            throw new Error('No bars loaded');
+        });
+        await settle();
+        expect(manager.get(job.id)).toMatchObject({ status: 'FAILED', error: 'No bars loaded' });
+        expect(manager.list({ status: 'failed', strategyId: 'ema' })).toHaveLength(1);
+    });
+
+    test('only the newest finished jobs are kept', async () => {
+        let clock = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => ++clock * 1000);
+        const manager = createManager({ retain: 2 });
+        for (let i = 0; i < 4; i++) {
+            manager.submit({ strategyId: `s${i}`, kind: 'SINGLE' }, async () => ({}));
+            await settle();
+        }
+        expect(manager.list().map(j => j.strategyId)).toEqual(['s3', 's2']);
+    });
+});
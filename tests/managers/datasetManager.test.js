@@ -0,0 +1,85 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CSV = [
+    'Time,Open,High,Low,Close,Volume,Symbol',
+    '2026-01-05T14:00:00Z,100,101,99,100.5,10,ETHUSD',
+    '2026-01-05T14:05:00Z,100.5,102,100,101.5,12,ETHUSD',
+    '2026-01-05T14:10:00Z,101.5,103,101,102,9,ETHUSD'
+].join('\n');
+
+let dir;
+let datasets;
+
+const upload = (name, content = CSV) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return { path: file, originalname: name };
+};
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'datasets-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+    jest.resetModules();
+    datasets = require('@core/managers/datasetManager');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('DatasetManager', () => {
+    test('registers a CSV with the detected symbol, timeframe and range', () => {
+        const meta = datasets.register(upload('eth.csv'));
+        expect(meta).toMatchObject({
+            name: 'eth.csv',
+            symbol: 'ETHUSD',
+            timeframe: '5m',
+            kind: 'bars',
+            bars: 3,
+            from: Date.parse('2026-01-05T14:00:00Z'),
+            to: Date.parse('2026-01-05T14:10:00Z')
+        });
+        expect(meta.id).toHaveLength(16);
+        expect(fs.readFileSync(datasets.filePath(meta.id), 'utf8')).toBe(CSV);
+    });
+
+    test('the same content is stored once', () => {
+        const first = datasets.register(upload('a.csv'));
+        const again = datasets.register(upload('b.csv'), { symbol: 'ETH/USD' });
+        expect(again).toMatchObject({ id: first.id, name: 'a.csv', duplicate: true });
+        expect(datasets.list()).toHaveLength(1);
+    });
+
+    test('the index survives a restart', () => {
+        const meta = datasets.register(upload('eth.csv'), { name: 'ETH 5m' });
+        datasets.update(meta.id, { symbol: ' ETH/USD ', kind: 'ticks' });
+
+        jest.resetModules();
+        const restarted = require('@core/managers/datasetManager');
+        expect(restarted.get(meta.id)).toMatchObject({ name: 'ETH 5m', symbol: 'ETH/USD', kind: 'bars' });
+        expect(restarted.list({ symbol: 'ETH/USD', timeframe: '5m' })).toHaveLength(1);
+        expect(restarted.list({ timeframe: '1h' })).toHaveLength(0);
+    });
+
+    test('stored datasets resolve to an upload-shaped file until removed', () => {
+        const meta = datasets.register(upload('eth.csv'));
+        expect(datasets.resolveFile(meta.id)).toEqual({ path: datasets.filePath(meta.id), originalname: 'eth.csv', datasetId: meta.id });
+
+        expect(datasets.remove(meta.id)).toBe(true);
+        expect(datasets.resolveFile(meta.id)).toBeNull();
+        expect(fs.existsSync(datasets.filePath(meta.id))).toBe(false);
+        expect(datasets.remove(meta.id)).toBe(false);
+    });
+
+    test('files without usable rows are refused', () => {
+        expect(() => datasets.register(upload('empty.csv', 'Time,Close\nx,0\n'))).toThrow(/No rows with a recognizable time and price/);
+        expect(datasets.list()).toHaveLength(0);
+    });
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let dir;
+let bus;
+let EVENTS;
+let orders;
+
+const update = (id, status, extra = {}) => bus.emit(EVENTS.ORDER.UPDATE, {
+    id,
+    symbol: 'BTC/USD',
+    side: 'BUY',
+    quantity: 2,
+    status,
+    strategyId: 's1',
+    createdAt: Number(id.slice(1)),
+    updatedAt: 1000 + Number(id.slice(1)),
+    ...extra
+});
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+    jest.resetModules();
+    ({ bus, EVENTS } = require('@events/bus'));
+    orders = require('@core/managers/orderManager');
+});
+
+afterEach(() => {
+    bus.removeAllListeners();
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('OrderManager', () => {
+    test('follows an order through its statuses and fills', () => {
+        update('o1', 'NEW');
+        update('o1', 'ACCEPTED');
+        update('o1', 'PARTIALLY_FILLED', { filledQuantity: 1 });
+        bus.emit(EVENTS.ORDER.FILLED, { orderId: 'o1', quantity: 1, price: 100, commission: 0.5, timestamp: 5 });
+        update('o1', 'FILLED', { filledQuantity: 2 });
+
+        const record = orders.get('o1');
+        expect(record).toMatchObject({ status: 'FILLED', filledQuantity: 2 });
+        expect(record.history.map(h => h.status)).toEqual(['NEW', 'ACCEPTED', 'PARTIALLY_FILLED', 'FILLED']);
+        expect(record.fills).toEqual([{ quantity: 1, price: 100, commission: 0.5, at: 5 }]);
+    });
+
+    test('keeps the reason of cancelled and rejected orders', () => {
+        update('o1', 'REJECTED', { reason: 'NO_FILL' });
+        expect(orders.get('o1').history).toEqual([{ status: 'REJECTED', at: 1001, reason: 'NO_FILL' }]);
+    });
+
+    test('lists newest first with filters', () => {
+        update('o1', 'FILLED');
+        update('o2', 'ACCEPTED', { symbol: 'ETH/USD' });
+        update('o3', 'CANCELLED', { strategyId: 's2' });
+
+        expect(orders.list().map(o => o.id)).toEqual(['o3', 'o2', 'o1']);
+        expect(orders.list({ strategyId: 's1' }).map(o => o.id)).toEqual(['o2', 'o1']);
+        expect(orders.list({ status: 'accepted' }).map(o => o.id)).toEqual(['o2']);
+        expect(orders.list({ from: 2, to: 3, limit: 1 }).map(o => o.id)).toEqual(['o3']);
+    });
+
+    test('flush writes the history that a restart loads', () => {
+        update('o1', 'FILLED');
+        orders.flush();
+
+        bus.removeAllListeners();
+        jest.resetModules();
+        const restarted = require('@core/managers/orderManager');
+        expect(restarted.get('o1')).toMatchObject({ status: 'FILLED', history: [{ status: 'FILLED' }] });
+    });
+
+    test('pruning drops the oldest finished orders and keeps open ones', () => {
+        jest.useFakeTimers();
+        try {
+            orders.retain = 2;
+            update('o1', 'ACCEPTED');
+            update('o2', 'FILLED');
+            update('o3', 'FILLED');
+            jest.advanceTimersByTime(orders.SAVE_DELAY_MS);
+        } finally {
+            jest.useRealTimers();
+        }
+        expect(orders.list().map(o => o.id)).toEqual(['o3', 'o1']);
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, 'data', 'orders', 'orders.json'), 'utf8'));
+        expect(saved.map(o => o.id).sort()).toEqual(['o1', 'o3']);
+    });
+});
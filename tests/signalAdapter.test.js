@@ -0,0 +1,81 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const BaseStrategy = require('@utils/BaseStrategy');
+const SignalAdapter = require('@core/signalAdapter');
+const createBroker = require('./helpers/createBroker');
+
+const SYMBOL = 'BTC/USD';
+
+const setup = () => {
+    const broker = createBroker();
+    const adapter = new SignalAdapter({ mode: 'PAPER', broker });
+    const strategy = new BaseStrategy({ id: 's1', symbols: [SYMBOL] });
+    strategy.executionContext = { adapter, broker };
+    adapter.attach(strategy);
+    broker.updatePrice(SYMBOL, 100);
+    return { broker, adapter, strategy };
+};
+
+describe('strategy positions follow the broker', () => {
+    test('a bracket closed through its stop loss leaves the strategy flat', async () => {
+        const { broker, adapter, strategy } = setup();
+        await adapter.handle(strategy.entryLong({ quantity: 2, stopLoss: 95, takeProfit: 110 }));
+        expect(strategy.positions.get(SYMBOL)).toMatchObject({ side: 'long', quantity: 2 });
+
+        broker.updatePrice(SYMBOL, 94);
+        expect(broker.positions.get(SYMBOL)).toBeNull();
+        expect(strategy.positions.getState(SYMBOL)).toBe('flat');
+    });
+
+    test('a partial fill of a leg leaves the remaining quantity', async () => {
+        const { broker, adapter, strategy } = setup();
+        await adapter.handle(strategy.entryShort({ quantity: 10, takeProfit: 90 }));
+        broker.config.maxVolumeFraction = 0.1;
+
+        broker.updatePrice(SYMBOL, 89, 40);
+        expect(strategy.positions.get(SYMBOL)).toMatchObject({ side: 'short', quantity: 6 });
+    });
+
+    test('detached strategies are no longer followed', async () => {
+        const { broker, adapter, strategy } = setup();
+        await adapter.handle(strategy.entryLong({ quantity: 1, stopLoss: 95 }));
+        adapter.detach('s1');
+
+        broker.updatePrice(SYMBOL, 94);
+        expect(strategy.positions.getState(SYMBOL)).toBe('long');
+    });
+});
+
+describe('entries the broker does not fill at once', () => {
+    test('a rejected entry is rolled back', async () => {
+        const { broker, adapter, strategy } = setup();
+        broker.config.fillProbability = 0;
+        const result = await adapter.handle(strategy.entryLong({ quantity: 1, orderType: 'LIMIT', limitPrice: 101 }));
+
+        expect(result).toMatchObject({ status: 'REJECTED', reason: 'NO_FILL' });
+        expect(strategy.positions.getState(SYMBOL)).toBe('flat');
+    });
+
+    test('a resting entry is booked when it fills', async () => {
+        const { broker, adapter, strategy } = setup();
+        const result = await adapter.handle(strategy.entryLong({ quantity: 1, orderType: 'LIMIT', limitPrice: 95 }));
+
+        expect(result.status).toBe('ACCEPTED');
+        expect(strategy.positions.getState(SYMBOL)).toBe('flat');
+
+        broker.updatePrice(SYMBOL, 94);
+        expect(strategy.positions.get(SYMBOL)).toMatchObject({ side: 'long', quantity: 1, avgEntryPrice: 94 });
+    });
+
+    test('a resting exit keeps the position until it fills', async () => {
+        const { broker, adapter, strategy } = setup();
+        await adapter.handle(strategy.entryLong({ quantity: 1 }));
+        await adapter.handle(strategy.exitLong({ orderType: 'LIMIT', limitPrice: 105 }));
+        expect(strategy.positions.getState(SYMBOL)).toBe('long');
+
+        broker.updatePrice(SYMBOL, 105);
+        expect(strategy.positions.getState(SYMBOL)).toBe('flat');
+    });
+});
@@ -0,0 +1,26 @@
+"use strict";
+
+jest.mock('@utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const BaseStrategy = require('@utils/BaseStrategy');
+
+// Saturday noon in New York
+const SATURDAY = Date.UTC(2026, 0, 10, 17);
+
+class Echo extends BaseStrategy {
+    next(tick) {
+        return { intent: 'NONE', time: tick.time };
+    }
+}
+
+describe('off-session ticks', () => {
+    test('reach the strategy unless it sets sessions to skip', () => {
+        const tick = { symbol: 'AAPL', time: SATURDAY, price: 100 };
+        const keeps = new Echo({ symbols: ['AAPL'], candleBased: false });
+        const skips = new Echo({ symbols: ['AAPL'], candleBased: false, sessions: 'skip' });
+
+        expect(keeps.sessions).toBe('off');
+        expect(keeps.onTick(tick)).toMatchObject({ time: SATURDAY });
+        expect(skips.onTick(tick)).toBeNull();
+    });
+});
@@ -0,0 +1,115 @@
+"use strict";
+
+const { MarketCalendar } = require('@utils/calendar');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+// Eastern time is UTC-5 in January and UTC-4 in July
+const est = (date, hh, mm = 0) => Date.parse(`${date}T00:00:00Z`) + (hh + 5) * HOUR + mm * MINUTE;
+const edt = (date, hh, mm = 0) => Date.parse(`${date}T00:00:00Z`) + (hh + 4) * HOUR + mm * MINUTE;
+
+let calendar;
+
+beforeEach(() => {
+    calendar = new MarketCalendar();
+});
+
+describe('symbol resolution', () => {
+    test('guesses the calendar from the symbol shape', () => {
+        expect(calendar.forSymbol('EUR/USD').name).toBe('fx');
+        expect(calendar.forSymbol('XAUUSD').name).toBe('fx');
+        expect(calendar.forSymbol('AAPL').name).toBe('us_equity');
+        expect(calendar.forSymbol('BRK.B').name).toBe('us_equity');
+        expect(calendar.forSymbol('BTC/USD').name).toBe('crypto');
+        expect(calendar.forSymbol('ETHUSDT').name).toBe('crypto');
+        expect(calendar.forSymbol('SOL').name).toBe('crypto');
+    });
+
+    test('assignments and overrides win over the guess', () => {
+        calendar.assign('SPY', 'crypto');
+        expect(calendar.forSymbol('SPY').name).toBe('crypto');
+        expect(calendar.forSymbol('BTC/USD', 'us_equity').name).toBe('us_equity');
+        expect(() => calendar.forSymbol('BTC/USD', 'lse')).toThrow("Unknown calendar 'lse'");
+        expect(() => calendar.assign('VOD', 'lse')).toThrow("Unknown calendar 'lse'");
+    });
+});
+
+describe('sessions', () => {
+    test('US equities trade 09:30 to 16:00 New York time across DST', () => {
+        expect(calendar.isOpen('AAPL', est('2026-01-06', 9, 29))).toBe(false);
+        expect(calendar.sessionAt('AAPL', est('2026-01-06', 9, 30))).toEqual({
+            open: est('2026-01-06', 9, 30),
+            close: est('2026-01-06', 16),
+            tradingDate: '2026-01-06'
+        });
+        expect(calendar.isOpen('AAPL', edt('2026-07-07', 15, 59))).toBe(true);
+        expect(calendar.isOpen('AAPL', edt('2026-07-07', 16))).toBe(false);
+    });
+
+    test('weekends, holidays and early closes', () => {
+        expect(calendar.isOpen('AAPL', est('2026-01-10', 12))).toBe(false);
+        expect(calendar.isOpen('AAPL', est('2026-01-19', 12))).toBe(false);
+        expect(calendar.sessionAt('AAPL', est('2026-11-27', 10)).close).toBe(est('2026-11-27', 13));
+    });
+
+    test('NYSE holidays follow the exchange rules in any year', () => {
+        const closed = ['2030-01-01', '2030-01-21', '2030-02-18', '2030-04-19', '2030-05-27', '2030-06-19',
+            '2030-07-04', '2030-09-02', '2030-11-28', '2030-12-25', '2032-12-24', '2033-12-26'];
+        for (const date of closed) expect([date, calendar.isOpen('AAPL', est(date, 12))]).toEqual([date, false]);
+
+        expect(calendar.isOpen('AAPL', est('2021-12-31', 12))).toBe(true); // New Year's Day on a Saturday
+        expect(calendar.sessionAt('AAPL', edt('2030-07-03', 10)).close).toBe(edt('2030-07-03', 13));
+        expect(calendar.sessionAt('AAPL', est('2030-12-24', 10)).close).toBe(est('2030-12-24', 13));
+        expect(calendar.sessionAt('AAPL', est('2032-12-23', 10)).close).toBe(est('2032-12-23', 16));
+    });
+
+    test('the FX week runs overnight from Sunday 17:00 New York', () => {
+        expect(calendar.isOpen('EUR/USD', est('2026-01-04', 16, 59))).toBe(false);
+        expect(calendar.sessionAt('EUR/USD', est('2026-01-04', 17))).toMatchObject({ tradingDate: '2026-01-05' });
+        expect(calendar.isOpen('EUR/USD', est('2026-01-09', 16, 59))).toBe(true);
+        expect(calendar.isOpen('EUR/USD', est('2026-01-09', 17))).toBe(false);
+    });
+
+    test('crypto never closes', () => {
+        const saturday = Date.UTC(2026, 0, 10, 3);
+        expect(calendar.sessionAt('BTC/USD', saturday)).toEqual({
+            open: Date.UTC(2026, 0, 10),
+            close: Date.UTC(2026, 0, 11),
+            tradingDate: '2026-01-10'
+        });
+    });
+});
+
+describe('bar boundaries', () => {
+    test('daily bars roll at the calendar day start', () => {
+        expect(calendar.tradingDayStart('EUR/USD', est('2026-01-06', 16))).toBe(est('2026-01-05', 17));
+        expect(calendar.tradingDayStart('EUR/USD', est('2026-01-06', 18))).toBe(est('2026-01-06', 17));
+        expect(calendar.bucketStart('BTC/USD', Date.UTC(2026, 0, 6, 13), 24 * HOUR)).toBe(Date.UTC(2026, 0, 6));
+    });
+
+    test('intraday equity bars count from the session open', () => {
+        expect(calendar.bucketStart('AAPL', est('2026-01-06', 10, 45), HOUR)).toBe(est('2026-01-06', 10, 30));
+        expect(calendar.bucketStart('AAPL', est('2026-01-06', 9, 31), HOUR)).toBe(est('2026-01-06', 9, 30));
+    });
+
+    test('openMs counts session time only', () => {
+        const friday = est('2026-01-09', 15);
+        const monday = est('2026-01-12', 10);
+        expect(calendar.openMs('AAPL', friday, monday)).toBe(HOUR + 30 * MINUTE);
+        expect(calendar.openMs('BTC/USD', friday, monday)).toBe(monday - friday);
+    });
+});
+
+describe('define', () => {
+    test('custom calendars replace cached sessions', () => {
+        calendar.define('lse', {
+            timezone: 'Europe/London',
+            sessions: [{ days: [1, 2, 3, 4, 5], open: '08:00', close: '16:30' }]
+        });
+        calendar.assign('VOD', 'lse');
+        expect(calendar.isOpen('VOD', Date.UTC(2026, 0, 6, 8))).toBe(true);
+        expect(calendar.list().map(c => c.name)).toEqual(['crypto', 'fx', 'us_equity', 'lse']);
+        expect(() => calendar.define('bad', { timezone: 'Mars/Olympus' })).toThrow();
+    });
+});
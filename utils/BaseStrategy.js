@@ -1,6 +1,7 @@
 "use strict";
 
 const logger = require('@utils/logger');
+const marketCalendar = require('@utils/calendar');
 const math = require('mathjs');
 const indicators = require('technicalindicators');
 const {
@@ -91,13 +92,10 @@ const SignalHelpers = {
         if (!this._flipNext) return null;
         const next = this._flipNext;
         this._flipNext = null;
-        const signal = next.side === this.SIDE.LONG
+        // The entry helpers book the position themselves
+        return next.side === this.SIDE.LONG
             ? this.entryLong({ symbol, ...next.params })
             : this.entryShort({ symbol, ...next.params });
-        if (signal) {
-            this.positions.open(symbol, next.side === this.SIDE.LONG ? "long" : "short", next.params?.quantity || 1, signal.price);
-        }
-        return signal;
     }
 };
 
@@ -120,6 +118,9 @@ class BaseStrategy {
         this.lookback = Math.max(10, config.lookback || 100);
         this.candleBased = config.candleBased !== false;
         this.timeframe = config.timeframe || "1m";
+        this.calendar = config.calendar || null; // calendar name overriding the per-symbol guess (see utils/calendar)
+        this.sessions = config.sessions || 'off'; // 'off' | 'flag' | 'skip' data outside the session (see backtestManager._applySessions)
+        if (this.calendar) marketCalendar.forSymbol(this.symbols[0], this.calendar); // throws on an unknown name
 
         this.max_data_history = Math.min(
             config.max_data_history || 5000,
@@ -221,17 +222,31 @@ class BaseStrategy {
         return (parseInt(match[1], 10) || 1) * (units[match[2]] || 60000);
     }
 
+    /**
+     * Whether the symbol's market is in session at `time` (default: the current tick /
+     * bar time, else now). Always true for 24/7 markets.
+     */
+    isMarketOpen(symbol, time) {
+        const at = time ?? this.lastTick?.time ?? this.currentBar?.time ?? Date.now();
+        return marketCalendar.isOpen(symbol || this.symbols[0], at, this.calendar);
+    }
+
     onTick(tick) {
         if (!tick?.symbol || typeof tick.time !== 'number') return null;
+        if (this.sessions === 'skip' && !this.isMarketOpen(tick.symbol, tick.time)) return null;
         this.lastTick = tick;
         const result = this.dataManager.updateTick({
             symbol: tick.symbol,
             time: tick.time,
             price: tick.price ?? tick.close,
             volume: tick.volume ?? 0
-        }, this._getTFMs());
+        }, this._getTFMs(), (time, tfMs) => marketCalendar.bucketStart(tick.symbol, time, tfMs, this.calendar));
+
+        if (this.candleBased && !result.closed) return null;
 
-        return (this.candleBased && !result.closed) ? null : this.next(tick);
+        // Entry half of a flip: as in onBar, on the next candle once the exit has gone out
+        const signal = this.next(tick);
+        return (!signal && this._flipNext) ? this.applyFlip(tick.symbol) : signal;
     }
 
     /**
@@ -263,8 +278,10 @@ onBar(bar) {
 
     // 4. Final Signal Cleanup
     // Ensure the signal has the required metadata for the adapter/backtester
+    // Multi-symbol strategies may signal a leg other than the bar's symbol.
     if (signal) {
-        signal.symbol = symbol;
+        const targetsOtherLeg = this.symbols.length > 1 && this.symbols.includes(signal.symbol);
+        if (!targetsOtherLeg) signal.symbol = symbol;
         signal.time = bar.time;
     }
 
@@ -368,11 +385,14 @@ onBar(bar) {
 
 /**
  * RuleChain – Fluent interface for strategy logic
+ * Actions run lazily: only the first action whose condition holds touches
+ * position state. Actions before any `when*()` are unconditional.
  */
 class RuleChain {
     constructor(strategy, ctx = {}) {
         this.strategy = strategy;
         this._matched = false;
+        this._current = true;
         this._signal = null;
         this._barTime = ctx.barTime || strategy.currentBar?.time || strategy.lastTick?.time;
     }
@@ -397,21 +417,21 @@ class RuleChain {
         return this;
     }
 
-    _commit(signal) {
+    _commit(action) {
         if (!this._matched && this._current) {
-            this._signal = signal;
+            this._signal = action();
             this._matched = true;
         }
         return this;
     }
 
-    enterLong(params) { return this._commit(this.strategy.entryLong(params)); }
-    enterShort(params) { return this._commit(this.strategy.entryShort(params)); }
-    exitLong(params) { return this._commit(this.strategy.exitLong(params)); }
-    exitShort(params) { return this._commit(this.strategy.exitShort(params)); }
-    exitAll(params) { return this._commit(this.strategy.exitAll(params)); }
-    flipToLong(params) { return this._commit(this.strategy.flipToLong(params)); }
-    flipToShort(params) { return this._commit(this.strategy.flipToShort(params)); }
+    enterLong(params) { return this._commit(() => this.strategy.entryLong(params)); }
+    enterShort(params) { return this._commit(() => this.strategy.entryShort(params)); }
+    exitLong(params) { return this._commit(() => this.strategy.exitLong(params)); }
+    exitShort(params) { return this._commit(() => this.strategy.exitShort(params)); }
+    exitAll(params) { return this._commit(() => this.strategy.exitAll(params)); }
+    flipToLong(params) { return this._commit(() => this.strategy.flipToLong(params)); }
+    flipToShort(params) { return this._commit(() => this.strategy.flipToShort(params)); }
 
     end() { return this._signal; }
     value() { return this._signal; }
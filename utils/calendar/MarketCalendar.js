@@ -0,0 +1,276 @@
+"use strict";
+
+const { CALENDARS, FX_CODES, CRYPTO_CODES } = require("./definitions");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const toMinutes = (hhmm) => {
+    const match = String(hhmm || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) throw new Error(`Invalid session time '${hhmm}' (expected HH:MM)`);
+    return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const addDays = (date, days) => {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (date) => {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+};
+
+/**
+ * MarketCalendar – sessions, holidays and daily bar boundaries per symbol.
+ *
+ * Symbols resolve to a calendar by explicit assignment first, then by shape:
+ * 'EUR/USD' / 'EURUSD' currency and metal pairs → fx, plain tickers of up to five
+ * letters ('AAPL', 'BRK.B') → us_equity unless they are a known coin (CRYPTO_CODES:
+ * 'BTC', 'SOL', ...). Anything unrecognised is treated as crypto (24/7), which keeps the
+ * previous raw-UTC bucketing. The guess is only a guess: a bare coin missing from the
+ * list trades on us_equity hours, so set a strategy's `calendar` (or `assign`) for those.
+ */
+class MarketCalendar {
+    constructor(calendars = CALENDARS) {
+        this.calendars = new Map();
+        this.assignments = new Map(); // symbol → calendar name
+        this._formatters = new Map(); // timezone → Intl.DateTimeFormat
+        this._windowCache = new Map(); // `${name}|${date}` → session windows
+        this._lastSession = new Map(); // name → last matched window (bars arrive in order)
+        for (const [name, def] of Object.entries(calendars)) this.define(name, def);
+    }
+
+    /**
+     * Add or replace a calendar (see definitions.js for the shape).
+     */
+    define(name, def = {}) {
+        const calendar = {
+            name,
+            timezone: def.timezone || 'UTC',
+            dayStart: toMinutes(def.dayStart || '00:00'),
+            alwaysOpen: def.alwaysOpen === true,
+            sessions: (def.sessions || []).map(s => ({ days: s.days || [0, 1, 2, 3, 4, 5, 6], open: toMinutes(s.open), close: toMinutes(s.close) })),
+            holidays: new Set(def.holidays || []),
+            recurringHolidays: new Set(def.recurringHolidays || []),
+            earlyCloses: Object.fromEntries(Object.entries(def.earlyCloses || {}).map(([date, time]) => [date, toMinutes(time)])),
+            yearly: typeof def.yearly === 'function' ? def.yearly : null,
+            years: new Map() // year → { holidays, earlyCloses } from `yearly`
+        };
+        this._localParts(0, calendar.timezone); // fails fast on an unknown timezone
+        this.calendars.set(name, calendar);
+        this._lastSession.delete(name);
+        for (const key of this._windowCache.keys()) {
+            if (key.startsWith(`${name}|`)) this._windowCache.delete(key);
+        }
+        return calendar;
+    }
+
+    /**
+     * Pin a symbol to a calendar, overriding the shape-based guess.
+     */
+    assign(symbol, name) {
+        if (!this.calendars.has(name)) throw new Error(`Unknown calendar '${name}'`);
+        this.assignments.set(symbol, name);
+    }
+
+    /**
+     * Calendar of a symbol. `override` is a calendar name (e.g. a strategy's `calendar`).
+     */
+    forSymbol(symbol, override) {
+        if (override && this.calendars.has(override)) return this.calendars.get(override);
+        if (override) throw new Error(`Unknown calendar '${override}'`);
+        return this.calendars.get(this.assignments.get(symbol) || this._guess(symbol)) || this.calendars.get('crypto');
+    }
+
+    /**
+     * Whether `symbol` is in session at `time` (epoch ms).
+     */
+    isOpen(symbol, time = Date.now(), override) {
+        return this.sessionAt(symbol, time, override) !== null;
+    }
+
+    /**
+     * The session containing `time`: { open, close, tradingDate }, or null when closed.
+     * Around-the-clock calendars report the UTC-day (dayStart) window.
+     */
+    sessionAt(symbol, time = Date.now(), override) {
+        const cal = this.forSymbol(symbol, override);
+        if (cal.alwaysOpen) {
+            const open = this._dayStart(cal, time);
+            return { open, close: open + DAY, tradingDate: this._localParts(open, cal.timezone).date };
+        }
+        const last = this._lastSession.get(cal.name);
+        if (last && time >= last.open && time < last.close) return { ...last };
+
+        const { date } = this._localParts(time, cal.timezone);
+        for (const day of [addDays(date, -1), date]) {
+            const match = this._windows(cal, day).find(w => time >= w.open && time < w.close);
+            if (match) {
+                this._lastSession.set(cal.name, match);
+                return { ...match };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Start (epoch ms) of the daily bar holding `time`: the latest local `dayStart`.
+     */
+    tradingDayStart(symbol, time, override) {
+        return this._dayStart(this.forSymbol(symbol, override), time);
+    }
+
+    /**
+     * Open time of the `tfMs` candle holding `time`. Daily candles start at the trading
+     * day boundary; intraday ones count from the session open (so 1h equity bars start
+     * at 09:30, 10:30, ...), or from the day boundary outside a session. Multi-day frames
+     * keep the raw epoch buckets.
+     */
+    bucketStart(symbol, time, tfMs, override) {
+        if (tfMs > DAY) return Math.floor(time / tfMs) * tfMs;
+        const cal = this.forSymbol(symbol, override);
+        if (tfMs === DAY) return this._dayStart(cal, time);
+        const session = cal.alwaysOpen ? null : this.sessionAt(symbol, time, override);
+        const anchor = session ? session.open : this._dayStart(cal, time);
+        return anchor + Math.floor((time - anchor) / tfMs) * tfMs;
+    }
+
+    /**
+     * Milliseconds of session time between `from` and `to` (wall time for 24/7 markets),
+     * e.g. to tell a weekend-old candle cache from a stale one.
+     */
+    openMs(symbol, from, to, override) {
+        if (!(to > from)) return 0;
+        const cal = this.forSymbol(symbol, override);
+        if (cal.alwaysOpen) return to - from;
+
+        let total = 0;
+        const last = this._localParts(to, cal.timezone).date;
+        for (let day = addDays(this._localParts(from, cal.timezone).date, -1); day <= last; day = addDays(day, 1)) {
+            for (const w of this._windows(cal, day)) {
+                total += Math.max(0, Math.min(w.close, to) - Math.max(w.open, from));
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Calendar names and definitions (for APIs / UI).
+     */
+    list() {
+        return Array.from(this.calendars.values()).map(cal => ({
+            name: cal.name,
+            timezone: cal.timezone,
+            alwaysOpen: cal.alwaysOpen,
+            sessions: cal.sessions.length,
+            holidays: cal.holidays.size + cal.recurringHolidays.size,
+            holidayRules: cal.yearly !== null
+        }));
+    }
+
+    _guess(symbol) {
+        const raw = String(symbol || '').toUpperCase();
+        const [base, quote] = raw.includes('/') ? raw.split('/') : [raw.slice(0, 3), raw.slice(3)];
+        if (FX_CODES.includes(base) && FX_CODES.includes(quote)) return 'fx';
+        if (CRYPTO_CODES.includes(raw)) return 'crypto';
+        return !raw.includes('/') && /^[A-Z]{1,5}(\.[A-Z])?$/.test(raw) ? 'us_equity' : 'crypto';
+    }
+
+    _isHoliday(cal, date) {
+        return cal.holidays.has(date) || cal.recurringHolidays.has(date.slice(5)) || !!this._year(cal, date)?.holidays.has(date);
+    }
+
+    _earlyClose(cal, date) {
+        return cal.earlyCloses[date] ?? this._year(cal, date)?.earlyCloses[date];
+    }
+
+    // Rule-based holidays and early closes of the year holding `date`, computed once per year
+    _year(cal, date) {
+        if (!cal.yearly) return null;
+        const year = Number(date.slice(0, 4));
+        if (!cal.years.has(year)) {
+            const { holidays = [], earlyCloses = {} } = cal.yearly(year) || {};
+            cal.years.set(year, {
+                holidays: new Set(holidays),
+                earlyCloses: Object.fromEntries(Object.entries(earlyCloses).map(([day, time]) => [day, toMinutes(time)]))
+            });
+        }
+        return cal.years.get(year);
+    }
+
+    /**
+     * Session windows (epoch ms) opening on local `date`; overnight sessions belong to
+     * the next date, and are dropped when that date is a holiday.
+     */
+    _windows(cal, date) {
+        const key = `${cal.name}|${date}`;
+        if (this._windowCache.has(key)) return this._windowCache.get(key);
+
+        const weekday = weekdayOf(date);
+        const windows = [];
+        for (const session of cal.sessions) {
+            if (!session.days.includes(weekday)) continue;
+            const overnight = session.close <= session.open;
+            const tradingDate = overnight ? addDays(date, 1) : date;
+            if (this._isHoliday(cal, tradingDate)) continue;
+            const close = this._earlyClose(cal, tradingDate) ?? session.close;
+            windows.push({
+                open: this._zonedTime(date, session.open, cal.timezone),
+                close: this._zonedTime(tradingDate, close, cal.timezone),
+                tradingDate
+            });
+        }
+        if (this._windowCache.size > 5000) this._windowCache.clear();
+        this._windowCache.set(key, windows);
+        return windows;
+    }
+
+    _dayStart(cal, time) {
+        const { date } = this._localParts(time, cal.timezone);
+        const start = this._zonedTime(date, cal.dayStart, cal.timezone);
+        return start <= time ? start : this._zonedTime(addDays(date, -1), cal.dayStart, cal.timezone);
+    }
+
+    /**
+     * Epoch ms of local `date` + `minutes` in `timezone`.
+     */
+    _zonedTime(date, minutes, timezone) {
+        const [y, m, d] = date.split('-').map(Number);
+        const wall = Date.UTC(y, m - 1, d, 0, minutes);
+        let guess = wall - this._offset(wall, timezone);
+        guess = wall - this._offset(guess, timezone); // settle across a DST change
+        return guess;
+    }
+
+    // Local wall time minus UTC at `time`, in ms
+    _offset(time, timezone) {
+        const p = this._localParts(time, timezone);
+        const [y, m, d] = p.date.split('-').map(Number);
+        return Date.UTC(y, m - 1, d, 0, p.minutes) - Math.floor(time / MINUTE) * MINUTE;
+    }
+
+    _localParts(time, timezone) {
+        let fmt = this._formatters.get(timezone);
+        if (!fmt) {
+            fmt = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            this._formatters.set(timezone, fmt);
+        }
+        const parts = {};
+        for (const { type, value } of fmt.formatToParts(new Date(time))) parts[type] = value;
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+}
+
+module.exports = MarketCalendar;
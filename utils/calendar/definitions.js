@@ -0,0 +1,129 @@
+"use strict";
+
+/**
+ * Built-in market calendars.
+ *
+ * A calendar is { timezone, dayStart, sessions, holidays, recurringHolidays, earlyCloses }:
+ * - timezone: IANA zone the times below are read in (DST handled by the zone);
+ * - dayStart: local 'HH:MM' where the daily bar begins;
+ * - sessions: [{ days, open, close }] with days 0 (Sun) – 6 (Sat) the session opens on;
+ *   a close at or before the open runs overnight and belongs to the next day's date;
+ * - holidays: 'YYYY-MM-DD' dates with no session; recurringHolidays: 'MM-DD' every year;
+ * - earlyCloses: { 'YYYY-MM-DD': 'HH:MM' } shortened sessions;
+ * - yearly: optional (year) → { holidays, earlyCloses } for rule-based calendars, merged
+ *   with the fixed lists above.
+ * `alwaysOpen` calendars skip the session checks entirely.
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+
+// `nth` (1-based, -1 for the last) `weekday` (0 = Sun) of a month
+const nthWeekday = (year, month, weekday, nth) => {
+    if (nth > 0) {
+        const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        return isoDate(year, month, 1 + ((weekday - first + 7) % 7) + (nth - 1) * 7);
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0));
+    return isoDate(year, month, lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7));
+};
+
+// Gregorian Easter Sunday (anonymous algorithm)
+const easter = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const g = Math.floor((b - Math.floor((b + 8) / 25) + 1) / 3);
+    const h = (19 * a + b - Math.floor(b / 4) - g + 15) % 30;
+    const l = (32 + 2 * (b % 4) + 2 * Math.floor(c / 4) - h - (c % 4)) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    return isoDate(year, month, ((h + l - 7 * m + 114) % 31) + 1);
+};
+
+// Fixed-date holiday moved off the weekend: Saturday → Friday, Sunday → Monday
+const observed = (year, month, day) => {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return isoDate(year, month, day + (weekday === 6 ? -1 : weekday === 0 ? 1 : 0));
+};
+
+// One-off NYSE closures the rules below cannot know about
+const NYSE_SPECIAL_CLOSURES = [
+    '2025-01-09' // National Day of Mourning, President Carter
+];
+
+/**
+ * NYSE full-day holidays and 13:00 early closes of `year`, from the exchange's rules.
+ * New Year's Day on a Saturday is not made up on the Friday before.
+ */
+const nyseYear = (year) => {
+    const newYear = new Date(Date.UTC(year, 0, 1)).getUTCDay() === 6 ? null : observed(year, 1, 1);
+    const independence = observed(year, 7, 4);
+    const christmas = observed(year, 12, 25);
+    const goodFriday = new Date(Date.parse(`${easter(year)}T00:00:00Z`) - 2 * 86400000).toISOString().slice(0, 10);
+    const holidays = [
+        newYear,
+        nthWeekday(year, 1, 1, 3), // Martin Luther King Jr. Day
+        nthWeekday(year, 2, 1, 3), // Washington's Birthday
+        goodFriday,
+        nthWeekday(year, 5, 1, -1), // Memorial Day
+        year >= 2022 ? observed(year, 6, 19) : null, // Juneteenth
+        independence,
+        nthWeekday(year, 9, 1, 1), // Labor Day
+        nthWeekday(year, 11, 4, 4), // Thanksgiving
+        christmas
+    ].filter(Boolean);
+
+    const earlyCloses = {};
+    const thanksgiving = nthWeekday(year, 11, 4, 4);
+    earlyCloses[isoDate(year, 11, Number(thanksgiving.slice(8)) + 1)] = '13:00';
+    // The day before Independence Day and Christmas Eve, when they are regular weekdays
+    for (const [month, day, holiday] of [[7, 3, independence], [12, 24, christmas]]) {
+        const date = `${year}-${pad(month)}-${pad(day)}`;
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        if (weekday >= 1 && weekday <= 5 && date !== holiday) earlyCloses[date] = '13:00';
+    }
+    return { holidays, earlyCloses };
+};
+
+const CALENDARS = {
+    // Crypto trades around the clock; daily bars roll at 00:00 UTC
+    crypto: {
+        timezone: 'UTC',
+        dayStart: '00:00',
+        alwaysOpen: true
+    },
+    // Spot FX and metals: Sunday 17:00 to Friday 17:00 New York, daily bars roll at the NY close
+    fx: {
+        timezone: 'America/New_York',
+        dayStart: '17:00',
+        sessions: [{ days: [0, 1, 2, 3, 4], open: '17:00', close: '17:00' }],
+        recurringHolidays: ['12-25', '01-01']
+    },
+    // NYSE / Nasdaq regular hours
+    us_equity: {
+        timezone: 'America/New_York',
+        dayStart: '00:00',
+        sessions: [{ days: [1, 2, 3, 4, 5], open: '09:30', close: '16:00' }],
+        holidays: NYSE_SPECIAL_CLOSURES,
+        yearly: nyseYear
+    }
+};
+
+// Currency and metal codes that make a 'XXX/YYY' pair trade on the FX calendar
+const FX_CODES = [
+    'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'AUD', 'NZD', 'CAD', 'SEK', 'NOK', 'DKK', 'SGD',
+    'HKD', 'ZAR', 'MXN', 'TRY', 'PLN', 'CNH', 'HUF', 'CZK', 'XAU', 'XAG'
+];
+
+// Coins quoted bare ('BTC', 'SOL'), which would otherwise pass for us_equity tickers
+const CRYPTO_CODES = [
+    'BTC', 'ETH', 'SOL', 'XRP', 'ADA', 'DOGE', 'DOT', 'LTC', 'BNB', 'AVAX', 'LINK',
+    'MATIC', 'TRX', 'XLM', 'BCH', 'ATOM', 'UNI', 'SHIB', 'USDT', 'USDC'
+];
+
+module.exports = {
+    CALENDARS,
+    FX_CODES,
+    CRYPTO_CODES
+};
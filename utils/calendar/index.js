@@ -0,0 +1,7 @@
+"use strict";
+
+const MarketCalendar = require("./MarketCalendar");
+
+// Shared calendar: strategies, the candle builder and the backtester read the same sessions
+module.exports = new MarketCalendar();
+module.exports.MarketCalendar = MarketCalendar;
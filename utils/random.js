@@ -0,0 +1,51 @@
+"use strict";
+
+/**
+ * SeededRandom – deterministic PRNG (mulberry32).
+ * Same seed → same sequence, so sampled optimizer runs can be reproduced.
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} [seed] - Defaults to a time-based seed.
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this._state = this.seed;
+    }
+
+    static normalizeSeed(seed) {
+        if (seed === undefined || seed === null || seed === '') {
+            return (Date.now() ^ Math.floor(Math.random() * 0xffffffff)) >>> 0;
+        }
+        const num = Number(seed);
+        if (Number.isFinite(num)) return Math.trunc(num) >>> 0;
+
+        // Hash arbitrary strings into a 32-bit seed
+        let h = 2166136261;
+        for (const ch of String(seed)) {
+            h ^= ch.charCodeAt(0);
+            h = Math.imul(h, 16777619);
+        }
+        return h >>> 0;
+    }
+
+    /** @returns {number} Float in [0, 1) */
+    next() {
+        let t = (this._state = (this._state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** @returns {number} Float in [min, max) */
+    real(min = 0, max = 1) {
+        return min + this.next() * (max - min);
+    }
+
+    /** @returns {number} Integer in [min, max] */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+}
+
+module.exports = SeededRandom;
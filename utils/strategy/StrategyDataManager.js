@@ -54,9 +54,14 @@ class StrategyDataManager {
         return this.data.get(symbol);
     }
 
-    updateTick({ symbol, time, price, volume = 0 }, tfMs) {
+    /**
+     * Fold a tick into the symbol's active candle.
+     * @param {Function} [bucketStart] - (time, tfMs) → candle open time; defaults to raw
+     *   UTC epoch buckets. Strategies pass the market calendar's session-aware buckets.
+     */
+    updateTick({ symbol, time, price, volume = 0 }, tfMs, bucketStart) {
         const store = this.ensureSymbol(symbol);
-        const candleStart = Math.floor(time / tfMs) * tfMs;
+        const candleStart = bucketStart ? bucketStart(time, tfMs) : Math.floor(time / tfMs) * tfMs;
 
         if (!store.activeCandle || store.activeCandle.time !== candleStart) {
             if (store.activeCandle) {